@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const { findFuel, priceField, updateField } = require('./fuels');
+const { getStationIndex, sells } = require('./stations');
+const { getChannel, PermanentDeliveryError } = require('./notifiers');
+
+// 'below': price at or under `threshold` €/L.
+// 'drop': price fell by `threshold` cents since it was last notified (or
+// since the alert was created), measured from the highest price seen since.
+const CONDITIONS = ['below', 'drop'];
+
+const MAX_STATIONS = 20;
+const MAX_RADIUS_KM = 30;
+const MAX_ALERTS_PER_OWNER = 50;
+
+const THRESHOLD_RANGES = {
+    below: { min: 0.5, max: 5 },
+    drop: { min: 1, max: 100 }
+};
+
+function toAlert(row) {
+    return {
+        id: row.id,
+        fuel: row.fuel,
+        stationIds: row.station_ids ? JSON.parse(row.station_ids) : null,
+        area: row.station_ids ? null : { lat: row.latitude, lon: row.longitude, radiusKm: row.radius_km },
+        condition: row.condition,
+        threshold: row.threshold,
+        channel: row.channel,
+        target: JSON.parse(row.target),
+        active: Boolean(row.active),
+        createdAt: row.created_at,
+        lastNotifiedAt: row.last_notified_at
+    };
+}
+
+// Validate an alert from a request body. With `existing`, only the given
+// fields are changed. Returns { value } or { error }.
+function parseAlert(input, existing = null) {
+    const body = { ...existing, ...input };
+
+    const fuel = findFuel(body.fuel || '');
+    if (!fuel) return { error: `Unknown fuel: ${body.fuel}` };
+
+    if (!CONDITIONS.includes(body.condition)) {
+        return { error: `condition must be one of ${CONDITIONS.join(', ')}` };
+    }
+    const threshold = Number(body.threshold);
+    const range = THRESHOLD_RANGES[body.condition];
+    if (!(threshold >= range.min && threshold <= range.max)) {
+        const unit = body.condition === 'below' ? '€/L' : 'cents';
+        return { error: `threshold must be between ${range.min} and ${range.max} ${unit}` };
+    }
+
+    let stationIds = null;
+    let area = null;
+    if (input.stationIds || (!input.area && body.stationIds)) {
+        stationIds = body.stationIds;
+        if (!Array.isArray(stationIds) || stationIds.length === 0 || stationIds.length > MAX_STATIONS ||
+            !stationIds.every(id => typeof id === 'string' || typeof id === 'number')) {
+            return { error: `stationIds must list between 1 and ${MAX_STATIONS} stations` };
+        }
+        stationIds = [...new Set(stationIds.map(String))];
+    } else {
+        const lat = Number(body.area?.lat);
+        const lon = Number(body.area?.lon);
+        const radiusKm = Number(body.area?.radiusKm);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            return { error: 'Either stationIds or an area with lat, lon and radiusKm is required' };
+        }
+        if (!(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+            return { error: `area.radiusKm must be between 0 and ${MAX_RADIUS_KM}` };
+        }
+        area = { lat, lon, radiusKm };
+    }
+
+    const channel = getChannel(body.channel);
+    if (!channel) return { error: `Unavailable notification channel: ${body.channel}` };
+    const targetError = channel.validateTarget(body.target);
+    if (targetError) return { error: targetError };
+
+    return {
+        value: {
+            fuel,
+            stationIds,
+            area,
+            condition: body.condition,
+            threshold,
+            channel: channel.name,
+            target: body.target,
+            active: body.active === undefined ? true : Boolean(body.active)
+        }
+    };
+}
+
+// Stations an alert watches that currently sell its fuel
+function alertStations(alert, { index, byId }) {
+    const stations = alert.stationIds
+        ? alert.stationIds.map(id => byId.get(id)).filter(Boolean)
+        : index.nearby(alert.area.lat, alert.area.lon, alert.area.radiusKm).map(({ item }) => item);
+    return stations.filter(station => sells(station, alert.fuel));
+}
+
+// Start measuring drops from the prices at subscription time
+function seedState(db, alert) {
+    const insert = db.prepare(`
+        INSERT OR REPLACE INTO alert_state (alert_id, station_id, reference_price, notified)
+        VALUES (?, ?, ?, 0)
+    `);
+    const field = priceField(alert.fuel);
+    db.prepare('DELETE FROM alert_state WHERE alert_id = ?').run(alert.id);
+    alertStations(alert, getStationIndex(db)).forEach(station => insert.run(alert.id, station.id, station[field]));
+}
+
+function listAlerts(owner, db = getDb()) {
+    return db.prepare('SELECT * FROM alerts WHERE owner = ? ORDER BY created_at').all(owner).map(toAlert);
+}
+
+function getAlert(owner, id, db = getDb()) {
+    const row = db.prepare('SELECT * FROM alerts WHERE owner = ? AND id = ?').get(owner, id);
+    return row ? toAlert(row) : null;
+}
+
+// Returns the new alert, or null when the owner already has too many
+function createAlert(owner, value, db = getDb()) {
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM alerts WHERE owner = ?').get(owner);
+    if (count >= MAX_ALERTS_PER_OWNER) return null;
+
+    const id = crypto.randomUUID();
+    db.transaction(() => {
+        db.prepare(`
+            INSERT INTO alerts (id, owner, fuel, station_ids, latitude, longitude, radius_km,
+                condition, threshold, channel, target, active, created_at)
+            VALUES (@id, @owner, @fuel, @stationIds, @lat, @lon, @radiusKm,
+                @condition, @threshold, @channel, @target, @active, @createdAt)
+        `).run({
+            id,
+            owner,
+            fuel: value.fuel,
+            stationIds: value.stationIds ? JSON.stringify(value.stationIds) : null,
+            lat: value.area?.lat ?? null,
+            lon: value.area?.lon ?? null,
+            radiusKm: value.area?.radiusKm ?? null,
+            condition: value.condition,
+            threshold: value.threshold,
+            channel: value.channel,
+            target: JSON.stringify(value.target),
+            active: value.active ? 1 : 0,
+            createdAt: new Date().toISOString()
+        });
+        seedState(db, { id, ...value });
+    })();
+    return getAlert(owner, id, db);
+}
+
+function updateAlert(owner, id, value, db = getDb()) {
+    const existing = getAlert(owner, id, db);
+    if (!existing) return null;
+
+    db.transaction(() => {
+        db.prepare(`
+            UPDATE alerts SET fuel = @fuel, station_ids = @stationIds, latitude = @lat, longitude = @lon,
+                radius_km = @radiusKm, condition = @condition, threshold = @threshold,
+                channel = @channel, target = @target, active = @active
+            WHERE id = @id
+        `).run({
+            id,
+            fuel: value.fuel,
+            stationIds: value.stationIds ? JSON.stringify(value.stationIds) : null,
+            lat: value.area?.lat ?? null,
+            lon: value.area?.lon ?? null,
+            radiusKm: value.area?.radiusKm ?? null,
+            condition: value.condition,
+            threshold: value.threshold,
+            channel: value.channel,
+            target: JSON.stringify(value.target),
+            active: value.active ? 1 : 0
+        });
+        // What is watched changed: measure from the current prices again
+        const watchChanged = value.fuel !== existing.fuel || value.condition !== existing.condition ||
+            JSON.stringify(value.stationIds) !== JSON.stringify(existing.stationIds) ||
+            JSON.stringify(value.area) !== JSON.stringify(existing.area);
+        if (watchChanged) seedState(db, { id, ...value });
+    })();
+    return getAlert(owner, id, db);
+}
+
+function deleteAlert(owner, id, db = getDb()) {
+    return db.prepare('DELETE FROM alerts WHERE owner = ? AND id = ?').run(owner, id).changes > 0;
+}
+
+// Whether a station's new price triggers the alert, and the state to keep
+function evaluate(alert, price, state) {
+    if (alert.condition === 'below') {
+        if (price <= alert.threshold) {
+            return { trigger: !state?.notified, next: { reference: price, notified: 1 } };
+        }
+        return { trigger: false, next: { reference: price, notified: 0 } };
+    }
+
+    if (!state) return { trigger: false, next: { reference: price, notified: 0 } };
+    // Compare in tenths of a cent to avoid floating point misses on exact drops
+    if (Math.round(price * 1000) <= Math.round((state.reference - alert.threshold / 100) * 1000)) {
+        return { trigger: true, next: { reference: price, notified: 1 } };
+    }
+    if (price > state.reference) return { trigger: false, next: { reference: price, notified: 0 } };
+    return { trigger: false, next: null };
+}
+
+function buildMessage(alert, matches) {
+    const lines = matches.map(({ station, price, previousPrice }) => {
+        const was = previousPrice != null && previousPrice !== price ? ` (was ${previousPrice.toFixed(3)} €)` : '';
+        return `${station.ville} - ${station.adresse}: ${price.toFixed(3)} €${was}`;
+    });
+    const title = alert.condition === 'below'
+        ? `${alert.fuel} under ${alert.threshold.toFixed(3)} €`
+        : `${alert.fuel} dropped by ${alert.threshold} cents`;
+    return {
+        title,
+        body: lines.join('\n'),
+        url: process.env.APP_URL || null,
+        payload: {
+            alertId: alert.id,
+            fuel: alert.fuel,
+            condition: alert.condition,
+            threshold: alert.threshold,
+            matches: matches.map(({ station, price, previousPrice, updatedAt }) => ({
+                stationId: station.id,
+                cp: station.cp,
+                ville: station.ville,
+                adresse: station.adresse,
+                price,
+                previousPrice,
+                updatedAt
+            })),
+            sentAt: new Date().toISOString()
+        }
+    };
+}
+
+// Evaluate every active alert against the current prices and notify the
+// triggered ones. Run after each refresh of the price data.
+async function checkAlerts(db = getDb()) {
+    const stationIndex = getStationIndex(db);
+    const alerts = db.prepare('SELECT * FROM alerts WHERE active = 1').all().map(toAlert);
+    const selectState = db.prepare('SELECT station_id, reference_price, notified FROM alert_state WHERE alert_id = ?');
+    const saveState = db.prepare(`
+        INSERT OR REPLACE INTO alert_state (alert_id, station_id, reference_price, notified)
+        VALUES (?, ?, ?, ?)
+    `);
+    const result = { checked: alerts.length, notified: 0, failed: 0 };
+
+    for (const alert of alerts) {
+        const field = priceField(alert.fuel);
+        const states = new Map(selectState.all(alert.id).map(row => [
+            row.station_id, { reference: row.reference_price, notified: row.notified }
+        ]));
+        const matches = [];
+        const updates = [];
+        const triggeredUpdates = [];
+
+        alertStations(alert, stationIndex).forEach(station => {
+            const price = station[field];
+            const state = states.get(station.id);
+            const { trigger, next } = evaluate(alert, price, state);
+            if (!next) return;
+            const update = [alert.id, station.id, next.reference, next.notified];
+            if (trigger) {
+                matches.push({ station, price, previousPrice: state ? state.reference : null, updatedAt: station[updateField(alert.fuel)] });
+                triggeredUpdates.push(update);
+            } else {
+                updates.push(update);
+            }
+        });
+
+        db.transaction(() => updates.forEach(update => saveState.run(...update)))();
+        if (matches.length === 0) continue;
+
+        matches.sort((a, b) => a.price - b.price);
+        const channel = getChannel(alert.channel);
+        try {
+            if (!channel) throw new Error(`Channel ${alert.channel} is not configured`);
+            await channel.send(alert.target, buildMessage(alert, matches));
+            // Only remember what was sent, so failed deliveries are retried next time
+            db.transaction(() => {
+                triggeredUpdates.forEach(update => saveState.run(...update));
+                db.prepare('UPDATE alerts SET last_notified_at = ? WHERE id = ?').run(new Date().toISOString(), alert.id);
+            })();
+            result.notified++;
+        } catch (error) {
+            result.failed++;
+            console.error(`Error notifying alert ${alert.id} via ${alert.channel}:`, error.message);
+            if (error instanceof PermanentDeliveryError) {
+                db.prepare('UPDATE alerts SET active = 0 WHERE id = ?').run(alert.id);
+            }
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    CONDITIONS,
+    parseAlert,
+    listAlerts,
+    getAlert,
+    createAlert,
+    updateAlert,
+    deleteAlert,
+    evaluate,
+    checkAlerts
+};
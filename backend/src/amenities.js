@@ -0,0 +1,129 @@
+// Opening hours and services of stations. Both sources describe them in
+// French: the archives as XML (see importer.js), the instantaneous feed as
+// `horaires` (JSON with '@'-prefixed attributes) and `services_service`.
+// They are stored in one shape:
+//
+// hours: { automate24, days: [{ day (1 = Monday), name, closed, ranges: [{ open: 'HH:MM', close: 'HH:MM' }] }] }
+// services: [string], as published
+
+// Services that can be filtered on, recognized from their published label
+const SERVICES = [
+    { id: 'carWash', label: 'Car wash', pattern: /lavage/i },
+    { id: 'adblue', label: 'AdBlue', pattern: /adblue/i },
+    { id: 'shop', label: 'Shop', pattern: /boutique/i },
+    { id: 'evCharging', label: 'EV charging', pattern: /bornes? (de recharge|electrique|électrique)/i },
+    { id: 'air', label: 'Air', pattern: /gonflage/i },
+    { id: 'toilets', label: 'Toilets', pattern: /toilettes/i },
+    { id: 'cashMachine', label: 'Cash machine', pattern: /\bDAB\b|distributeur automatique de billets/i },
+    { id: 'truckLane', label: 'Truck lane', pattern: /poids lourds/i }
+];
+
+const SERVICE_IDS = SERVICES.map(service => service.id);
+
+// Filterable service ids of a station's services list
+function serviceIds(services) {
+    return SERVICES
+        .filter(service => (services || []).some(label => service.pattern.test(label)))
+        .map(service => service.id);
+}
+
+// "7.00", "07.00" and "07:00" all become "07:00"
+function normalizeTime(value) {
+    const match = /^(\d{1,2})[.:hH](\d{2})/.exec(String(value || '').trim());
+    return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+const asList = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]);
+
+// Feed values are JSON strings in some exports and parsed objects in others
+function parseJson(value) {
+    if (typeof value !== 'string') return value || null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+}
+
+// Opening hours of an instantaneous feed record, or null when not published
+function hoursFromFields(fields) {
+    const horaires = parseJson(fields.horaires);
+    const automate = fields['horaires_automate_24_24'];
+    if (!horaires && automate == null) return null;
+    return {
+        automate24: (horaires?.['@automate-24-24'] === '1') || String(automate).toLowerCase() === 'oui',
+        days: asList(horaires?.jour).map(jour => ({
+            day: Number(jour['@id']),
+            name: jour['@nom'] || null,
+            closed: jour['@ferme'] === '1',
+            ranges: asList(jour.horaire)
+                .map(h => ({ open: normalizeTime(h['@ouverture']), close: normalizeTime(h['@fermeture']) }))
+                .filter(range => range.open && range.close)
+        }))
+    };
+}
+
+// Services of an instantaneous feed record, or null when not published
+function servicesFromFields(fields) {
+    if (fields.services_service != null) {
+        const services = Array.isArray(fields.services_service)
+            ? fields.services_service
+            : String(fields.services_service).split('//');
+        return services.map(service => String(service).trim()).filter(Boolean);
+    }
+    const services = parseJson(fields.services);
+    return services ? asList(services.service).map(String) : null;
+}
+
+const parisFormatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'Europe/Paris',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Whether a station is open at `date` (French local time). 24/7 automates
+// always are. null when its hours for that day aren't known.
+function isOpenAt(hours, date = new Date()) {
+    if (!hours) return null;
+    if (hours.automate24) return true;
+    const parts = Object.fromEntries(parisFormatter.formatToParts(date).map(p => [p.type, p.value]));
+    const day = hours.days.find(d => d.day === WEEKDAYS.indexOf(parts.weekday) + 1);
+    if (!day) return null;
+    if (day.closed) return false;
+    const now = `${parts.hour}:${parts.minute}`;
+    return day.ranges.some(range => {
+        const open = normalizeTime(range.open);
+        const close = normalizeTime(range.close);
+        if (!open || !close) return false;
+        // Ranges past midnight ("18:00"-"02:00") wrap around
+        return open <= close ? now >= open && now < close : now >= open || now < close;
+    });
+}
+
+// Predicate keeping stations open now, 24/7 automates and stations offering
+// every one of `services` (ids from SERVICES, see `service_ids` in stations.js)
+function amenityFilter({ openNow = false, automate24 = false, services = null } = {}) {
+    if (!openNow && !automate24 && !services) return () => true;
+    const now = new Date();
+    return (station) => {
+        if (automate24 && !station.hours?.automate24) return false;
+        if (openNow && !isOpenAt(station.hours, now)) return false;
+        if (services && !services.every(id => station.service_ids.includes(id))) return false;
+        return true;
+    };
+}
+
+module.exports = {
+    SERVICES,
+    SERVICE_IDS,
+    serviceIds,
+    normalizeTime,
+    hoursFromFields,
+    servicesFromFields,
+    isOpenAt,
+    amenityFilter
+};
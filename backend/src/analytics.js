@@ -0,0 +1,188 @@
+const { getDb } = require('./db');
+const { ROAD_TYPES } = require('./model');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week', 'month'];
+
+// How long the last price of a station that has left the feed keeps counting
+// when no snapshot recorded when it was last listed (see carriedUntil)
+const STALE_DAYS = 30;
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function median(sortedValues) {
+    const mid = Math.floor(sortedValues.length / 2);
+    return sortedValues.length % 2
+        ? sortedValues[mid]
+        : (sortedValues[mid - 1] + sortedValues[mid]) / 2;
+}
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+function startOfBucket(time, interval) {
+    const date = new Date(time);
+    date.setUTCHours(0, 0, 0, 0);
+    if (interval === 'week') {
+        // ISO weeks start on Monday
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    } else if (interval === 'month') {
+        date.setUTCDate(1);
+    }
+    return date;
+}
+
+function nextBucket(date, interval) {
+    const next = new Date(date);
+    if (interval === 'week') next.setUTCDate(next.getUTCDate() + 7);
+    else if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+    else next.setUTCDate(next.getUTCDate() + 1);
+    return next;
+}
+
+// UTC calendar buckets covering [from, to]
+function buildBuckets(from, to, interval) {
+    const buckets = [];
+    for (let start = startOfBucket(from, interval); start.getTime() <= to; start = nextBucket(start, interval)) {
+        const end = nextBucket(start, interval);
+        buckets.push({
+            period: interval === 'month' ? start.toISOString().slice(0, 7) : start.toISOString().slice(0, 10),
+            start: start.toISOString(),
+            end: end.toISOString()
+        });
+    }
+    return buckets;
+}
+
+function describe(values) {
+    if (values.length === 0) {
+        return { mean: null, median: null, min: null, max: null, count: 0 };
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        mean: round3(mean(sorted)),
+        median: round3(median(sorted)),
+        min: round3(sorted[0]),
+        max: round3(sorted[sorted.length - 1]),
+        count: sorted.length
+    };
+}
+
+// Feed `pop` code of each road type ('road' or 'motorway')
+const POP_CODES = Object.fromEntries(Object.entries(ROAD_TYPES).map(([pop, roadType]) => [roadType, pop]));
+
+// Price changes for a fuel during [since, until), grouped per station in
+// chronological order and preceded by the price the station displayed at
+// `since`, with when the station was last listed by the feed:
+// Map station_id -> { lastSeenAt, changes }
+function loadStationSeries(db, { fuel, since, until, region, departement, roadType }) {
+    const conditions = ['1 = 1'];
+    if (region) conditions.push('s.region = @region');
+    if (departement) conditions.push('(s.departement = @departement OR s.code_departement = @departement)');
+    if (roadType) conditions.push('s.pop = @pop');
+    const params = { fuel, since, until, region, departement, pop: POP_CODES[roadType] || null };
+
+    const carried = db.prepare(`
+        SELECT s.id AS station_id, s.last_seen_at, h.price, h.updated_at
+        FROM stations s
+        JOIN price_history h ON h.station_id = s.id AND h.fuel = @fuel AND h.updated_at = (
+            SELECT MAX(updated_at) FROM price_history
+            WHERE station_id = s.id AND fuel = @fuel AND updated_at < @since
+        )
+        WHERE ${conditions.join(' AND ')}
+    `).all(params);
+
+    const changes = db.prepare(`
+        SELECT h.station_id, s.last_seen_at, h.price, h.updated_at
+        FROM price_history h
+        JOIN stations s ON s.id = h.station_id
+        WHERE h.fuel = @fuel AND h.updated_at >= @since AND h.updated_at < @until AND ${conditions.join(' AND ')}
+        ORDER BY h.station_id, h.updated_at
+    `).all(params);
+
+    const series = new Map();
+    [...carried, ...changes].forEach(row => {
+        if (!series.has(row.station_id)) series.set(row.station_id, { lastSeenAt: row.last_seen_at, changes: [] });
+        series.get(row.station_id).changes.push(row);
+    });
+    return series;
+}
+
+// Time until which a station's last price still counts: for good while the
+// latest feed snapshot lists the station, until it was last listed if it has
+// left the feed since, else STALE_DAYS after that price was set
+function carriedUntil({ lastSeenAt }, latestSeen, carried) {
+    if (latestSeen && lastSeenAt === latestSeen) return null;
+    if (lastSeenAt) return lastSeenAt;
+    return new Date(new Date(carried.updated_at).getTime() + STALE_DAYS * DAY_MS).toISOString();
+}
+
+// Average price series of a fuel, optionally at stations on one road type
+// ('road' or 'motorway'). Each station contributes, per bucket, the
+// mean of the prices it displayed during that bucket: the price carried in
+// from before the bucket (however old, while the station is still in the
+// feed) plus every change inside it.
+function averagePrices({ fuel, from, to, region, departement, roadType, interval = 'day' }, db = getDb()) {
+    const buckets = buildBuckets(from, to, interval);
+    if (buckets.length === 0) return [];
+
+    const since = buckets[0].start;
+    const until = buckets[buckets.length - 1].end;
+    const { latestSeen } = db.prepare('SELECT MAX(last_seen_at) AS latestSeen FROM stations').get();
+    const values = buckets.map(() => []);
+
+    loadStationSeries(db, { fuel, since, until, region, departement, roadType }).forEach(station => {
+        const { changes } = station;
+        let i = 0;
+        let carried = null;
+        buckets.forEach((bucket, b) => {
+            while (i < changes.length && changes[i].updated_at < bucket.start) {
+                carried = changes[i++];
+            }
+            const displayed = [];
+            if (carried) {
+                const until = carriedUntil(station, latestSeen, carried);
+                if (until === null || bucket.start < until) displayed.push(carried.price);
+            }
+            while (i < changes.length && changes[i].updated_at < bucket.end) {
+                carried = changes[i++];
+                displayed.push(carried.price);
+            }
+            if (displayed.length) values[b].push(mean(displayed));
+        });
+    });
+
+    return buckets.map((bucket, b) => ({
+        period: bucket.period,
+        start: bucket.start,
+        ...describe(values[b])
+    }));
+}
+
+// Recorded price changes of one station since `from`, preceded by the price
+// that was already displayed at that time so charts start at the right level
+function stationHistory({ stationId, fuel, from }, db = getDb()) {
+    const since = new Date(from).toISOString();
+    const fuelCondition = fuel ? 'AND fuel = @fuel' : '';
+
+    const carried = db.prepare(`
+        SELECT fuel, price, MAX(updated_at) AS updated_at
+        FROM price_history
+        WHERE station_id = @stationId AND updated_at < @since ${fuelCondition}
+        GROUP BY fuel
+    `).all({ stationId, since, fuel });
+
+    const changes = db.prepare(`
+        SELECT fuel, price, updated_at
+        FROM price_history
+        WHERE station_id = @stationId AND updated_at >= @since ${fuelCondition}
+        ORDER BY fuel, updated_at
+    `).all({ stationId, since, fuel });
+
+    return [...carried, ...changes]
+        .sort((a, b) => a.fuel.localeCompare(b.fuel) || a.updated_at.localeCompare(b.updated_at))
+        .map(row => ({ fuel: row.fuel, price: row.price, updatedAt: row.updated_at }));
+}
+
+module.exports = { INTERVALS, buildBuckets, carriedUntil, averagePrices, stationHistory, describe, mean, median };
@@ -0,0 +1,96 @@
+// Canonical fuel station brands. OpenStreetMap tags name the same network in
+// many ways ("Total Access", "TotalEnergies", "Leclerc", "E.Leclerc"...):
+// features are resolved to a registry entry by `brand:wikidata` first, then
+// by the aliases found in their brand, name and operator tags.
+//
+// category: 'major' (oil company networks), 'supermarket' (hypermarket and
+// supermarket stations) or 'independent'. `short` and `color` draw the
+// placeholder badge shown in place of the brand's logo.
+
+const CATEGORIES = ['major', 'supermarket', 'independent'];
+
+const BRANDS = [
+    { id: 'totalenergies', name: 'TotalEnergies', category: 'major', wikidata: 'Q154037', short: 'TE', color: '#ED0000', aliases: ['total', 'total access', 'totalenergies access', 'total energies', 'elf', 'elan'] },
+    { id: 'esso', name: 'Esso', category: 'major', wikidata: 'Q867662', short: 'E', color: '#E31937', aliases: ['esso express'] },
+    { id: 'bp', name: 'BP', category: 'major', wikidata: 'Q152057', short: 'BP', color: '#009A3E', aliases: ['bp express'] },
+    { id: 'shell', name: 'Shell', category: 'major', wikidata: 'Q110716465', short: 'S', color: '#FBCE07', aliases: [] },
+    { id: 'eni', name: 'Eni', category: 'major', wikidata: 'Q565594', short: 'ENI', color: '#FFD200', aliases: ['agip'] },
+    { id: 'avia', name: 'Avia', category: 'independent', wikidata: 'Q300147', short: 'AV', color: '#D6001C', aliases: [] },
+    { id: 'dyneff', name: 'Dyneff', category: 'independent', wikidata: null, short: 'DY', color: '#0055A4', aliases: [] },
+    { id: 'as24', name: 'AS24', category: 'independent', wikidata: null, short: 'AS', color: '#E4002B', aliases: ['as 24'] },
+    { id: 'leclerc', name: 'E.Leclerc', category: 'supermarket', wikidata: 'Q1273376', short: 'EL', color: '#0066B3', aliases: ['leclerc', 'e leclerc', 'centre leclerc', 'leclerc express'] },
+    { id: 'intermarche', name: 'Intermarché', category: 'supermarket', wikidata: 'Q3153200', short: 'IM', color: '#E30613', aliases: ['intermarche super', 'intermarche contact', 'intermarche hyper', 'itm'] },
+    { id: 'carrefour', name: 'Carrefour', category: 'supermarket', wikidata: 'Q217599', short: 'C', color: '#004E9E', aliases: ['carrefour market', 'carrefour contact', 'carrefour express', 'carrefour station'] },
+    { id: 'auchan', name: 'Auchan', category: 'supermarket', wikidata: 'Q758603', short: 'AU', color: '#E2001A', aliases: ['auchan supermarche', 'simply market'] },
+    { id: 'systeme-u', name: 'Système U', category: 'supermarket', wikidata: 'Q2529029', short: 'U', color: '#005AA0', aliases: ['super u', 'hyper u', 'u express', 'marche u', 'station u', 'magasins u'] },
+    { id: 'casino', name: 'Casino', category: 'supermarket', wikidata: null, short: 'CA', color: '#00843D', aliases: ['geant casino', 'geant', 'supermarche casino'] },
+    { id: 'cora', name: 'Cora', category: 'supermarket', wikidata: null, short: 'CO', color: '#C8102E', aliases: [] },
+    { id: 'netto', name: 'Netto', category: 'supermarket', wikidata: null, short: 'N', color: '#FFD500', aliases: [] }
+];
+
+const byId = new Map(BRANDS.map(brand => [brand.id, brand]));
+const byWikidata = new Map(BRANDS.filter(brand => brand.wikidata).map(brand => [brand.wikidata, brand]));
+
+// Lowercase, strip accents and punctuation: "E.Leclerc" -> "e leclerc"
+const normalize = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// [alias, brand] pairs, longest alias first so "carrefour market" wins over "carrefour"
+const ALIASES = BRANDS
+    .flatMap(brand => [brand.name, ...brand.aliases].map(alias => [normalize(alias), brand]))
+    .sort((a, b) => b[0].length - a[0].length);
+
+function findByAlias(value) {
+    const text = ` ${normalize(value)} `;
+    if (text.trim() === '') return null;
+    const match = ALIASES.find(([alias]) => text.includes(` ${alias} `));
+    return match ? match[1] : null;
+}
+
+// Registry entry for an OSM feature's tags, or null for unknown brands
+function resolveBrand({ wikidata, brand, name, operator }) {
+    if (wikidata && byWikidata.has(wikidata)) return byWikidata.get(wikidata);
+    return findByAlias(brand) || findByAlias(name) || findByAlias(operator);
+}
+
+function getBrand(id) {
+    return byId.get(id) || null;
+}
+
+// Public shape of a registry entry
+function toBrand(brand) {
+    return {
+        id: brand.id,
+        name: brand.name,
+        category: brand.category,
+        wikidata: brand.wikidata,
+        aliases: brand.aliases,
+        badgeUrl: `/api/v1/brands/${brand.id}/badge.svg`
+    };
+}
+
+const escapeXml = (value) => String(value).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+
+// Perceived brightness of a #RRGGBB colour, from 0 to 255
+function brightness(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+// Round placeholder badge with the brand's initials in its colour
+function brandBadgeSvg(brand, size = 64) {
+    const dark = brightness(brand.color) > 160;
+    const fontSize = brand.short.length > 2 ? size * 0.3 : size * 0.4;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+        `<title>${escapeXml(brand.name)}</title>` +
+        `<circle cx="${size / 2}" cy="${size / 2}" r="${size / 2}" fill="${brand.color}"/>` +
+        `<text x="50%" y="50%" dy=".35em" text-anchor="middle" font-family="Arial, sans-serif" font-weight="bold" ` +
+        `font-size="${fontSize}" fill="${dark ? '#222' : '#fff'}">${escapeXml(brand.short)}</text>` +
+        '</svg>';
+}
+
+module.exports = { CATEGORIES, BRANDS, resolveBrand, getBrand, toBrand, brandBadgeSvg };
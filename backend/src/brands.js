@@ -0,0 +1,269 @@
+const { getDb } = require('./db');
+const { createUpstreamClient } = require('./upstream');
+const { createSpatialIndex } = require('./spatial');
+
+// Station brands come from OpenStreetMap: every amenity=fuel feature in France
+// is fetched from Overpass in one query and each station is matched to the
+// most likely feature nearby. The stored tags are resolved to canonical brands
+// when stations are loaded (see brandRegistry.js). Point OVERPASS_URL at a
+// local Overpass instance (or a stand-in serving fixture data) to avoid the
+// public server.
+const OVERPASS_URL = process.env.OVERPASS_URL || 'https://overpass-api.de/api/interpreter';
+
+const overpassClient = createUpstreamClient({
+    name: 'Overpass',
+    timeoutMs: Number(process.env.OVERPASS_TIMEOUT_MS) || 300000,
+    retries: 1,
+    concurrency: 1
+});
+
+const OVERPASS_QUERY = `
+[out:json][timeout:240];
+area["ISO3166-1"="FR"][admin_level=2]->.france;
+nwr["amenity"="fuel"](area.france);
+out center tags;
+`;
+
+// Features further than this from a station are never matched to it
+const MAX_DISTANCE_M = 250;
+// Within this distance the coordinates alone are as good as they get
+const EXACT_DISTANCE_M = 30;
+// Matches below this confidence are not stored at all
+const MIN_CONFIDENCE = 0.2;
+// Brands are only served for matches at least this confident (see stations.js)
+const BRAND_MIN_CONFIDENCE = 0.5;
+
+const DEFAULT_REFRESH_DAYS = 7;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// A failed run is retried after this delay, doubled with each further failure
+// up to the refresh period
+const RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Words too common in addresses and station names to tell two places apart
+const STOP_WORDS = new Set([
+    'de', 'du', 'des', 'la', 'le', 'les', 'l', 'd', 'et', 'a', 'au', 'aux', 'en', 'sur',
+    'rue', 'avenue', 'av', 'bd', 'boulevard', 'route', 'rte', 'chemin', 'place', 'zone', 'za', 'zi', 'zac',
+    'station', 'service', 'services', 'relais', 'carburant', 'carburants'
+]);
+
+function tokens(...values) {
+    return new Set(
+        values
+            .filter(Boolean)
+            .join(' ')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    );
+}
+
+async function fetchOsmFuelStations() {
+    const response = await overpassClient.request({
+        method: 'post',
+        url: OVERPASS_URL,
+        data: new URLSearchParams({ data: OVERPASS_QUERY }).toString(),
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    return (response.data?.elements || [])
+        .map(element => {
+            const tags = element.tags || {};
+            const coords = element.center || element;
+            return {
+                osmId: `${element.type}/${element.id}`,
+                lat: coords.lat,
+                lon: coords.lon,
+                brand: tags.brand || null,
+                brandWikidata: tags['brand:wikidata'] || null,
+                name: tags.name || null,
+                operator: tags.operator || null,
+                postcode: tags['addr:postcode'] || null,
+                words: tokens(tags.name, tags.brand, tags.operator, tags['addr:street'], tags['addr:city'])
+            };
+        })
+        .filter(feature => Number.isFinite(feature.lat) && Number.isFinite(feature.lon));
+}
+
+// How well a feature's name and address tags agree with the station's
+// address, from 0 to 1. null when the feature has nothing to compare.
+function textSimilarity(station, feature) {
+    if (feature.words.size === 0 && !feature.postcode) return null;
+    let score = 0;
+    if (feature.postcode) {
+        score += feature.postcode === station.cp ? 0.4 : 0;
+    }
+    if (station.words.size > 0) {
+        const shared = [...station.words].filter(word => feature.words.has(word)).length;
+        score += 0.6 * Math.min(1, shared / Math.min(station.words.size, 3));
+    }
+    return Math.min(1, feature.postcode ? score : score / 0.6);
+}
+
+function candidateScore(station, feature, distanceM) {
+    const proximity = distanceM <= EXACT_DISTANCE_M
+        ? 1
+        : 1 - (distanceM - EXACT_DISTANCE_M) / (MAX_DISTANCE_M - EXACT_DISTANCE_M);
+    const similarity = textSimilarity(station, feature);
+    // Without comparable tags the distance has to carry the match on its own
+    return similarity == null ? 0.8 * proximity : 0.6 * proximity + 0.4 * similarity;
+}
+
+// Pair each station with at most one feature and each feature with at most one
+// station, best scores first. A station's confidence is its score, lowered when
+// another feature nearby scored more than half as well.
+function matchStations(stations, features) {
+    const index = createSpatialIndex({ cellSize: 0.01 });
+    features.forEach(feature => index.insert(feature, feature.lat, feature.lon));
+
+    const candidates = [];
+    stations.forEach(station => {
+        const scored = index.nearby(station.latitude, station.longitude, MAX_DISTANCE_M / 1000)
+            .map(({ item, distance }) => ({
+                station,
+                feature: item,
+                distanceM: distance * 1000,
+                score: candidateScore(station, item, distance * 1000)
+            }))
+            .sort((a, b) => b.score - a.score);
+        scored.forEach((candidate, i) => {
+            const runnerUp = scored[i === 0 ? 1 : 0];
+            const ambiguity = runnerUp ? Math.max(0, 2 * runnerUp.score / candidate.score - 1) : 0;
+            candidate.confidence = candidate.score * (1 - 0.5 * Math.min(1, ambiguity));
+            candidates.push(candidate);
+        });
+    });
+
+    const matchedStations = new Set();
+    const matchedFeatures = new Set();
+    return candidates
+        .sort((a, b) => b.confidence - a.confidence)
+        .filter(({ station, feature, confidence }) => {
+            if (confidence < MIN_CONFIDENCE) return false;
+            if (matchedStations.has(station.id) || matchedFeatures.has(feature.osmId)) return false;
+            matchedStations.add(station.id);
+            matchedFeatures.add(feature.osmId);
+            return true;
+        });
+}
+
+// Match every stored station against OpenStreetMap and replace the mapping
+async function matchBrands(db = getDb()) {
+    const features = await fetchOsmFuelStations();
+    // An empty answer is an Overpass failure, not France running out of stations
+    if (features.length === 0) throw new Error('Overpass returned no fuel stations');
+    const stations = db.prepare(`
+        SELECT id, cp, ville, adresse, latitude, longitude FROM stations
+        WHERE latitude IS NOT NULL AND longitude IS NOT NULL
+    `).all().map(station => ({ ...station, words: tokens(station.adresse, station.ville) }));
+
+    const matches = matchStations(stations, features);
+    const matchedAt = new Date().toISOString();
+    const insert = db.prepare(`
+        INSERT INTO station_brands (station_id, osm_id, brand, brand_wikidata, name, operator, distance_m, confidence, matched_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    db.transaction(() => {
+        db.prepare('DELETE FROM station_brands').run();
+        matches.forEach(({ station, feature, distanceM, confidence }) => {
+            insert.run(
+                station.id,
+                feature.osmId,
+                feature.brand,
+                feature.brandWikidata,
+                feature.name,
+                feature.operator,
+                Math.round(distanceM * 10) / 10,
+                Math.round(confidence * 1000) / 1000,
+                matchedAt
+            );
+        });
+    })();
+
+    const branded = matches.filter(match => match.confidence >= BRAND_MIN_CONFIDENCE).length;
+    return { stations: stations.length, features: features.length, matched: matches.length, branded, matchedAt };
+}
+
+// Time of the next matching run given the recorded attempts: `refreshDays`
+// after the last successful one, or RETRY_DELAY_MS after a failure, doubled for
+// each failure in a row. Null when nothing was attempted yet.
+function nextBrandMatchAt(runs, refreshDays = DEFAULT_REFRESH_DAYS) {
+    if (runs.length === 0) return null;
+    const refreshMs = refreshDays * 24 * 60 * 60 * 1000;
+    const sorted = [...runs].sort((a, b) => a.attempted_at.localeCompare(b.attempted_at));
+    const last = sorted[sorted.length - 1];
+    const lastAttempt = Date.parse(last.attempted_at);
+    if (!last.error) return lastAttempt + refreshMs;
+
+    let failures = 0;
+    for (let i = sorted.length - 1; i >= 0 && sorted[i].error; i--) failures++;
+    return lastAttempt + Math.min(RETRY_DELAY_MS * 2 ** (failures - 1), refreshMs);
+}
+
+// Match brands when due (see nextBrandMatchAt), checking hourly so the first
+// run starts as soon as the first snapshot has stations. Returns a stop function.
+function startBrandMatcher({ refreshDays = DEFAULT_REFRESH_DAYS } = {}) {
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const db = getDb();
+            const { stations } = db.prepare('SELECT COUNT(*) AS stations FROM stations').get();
+            const runs = db.prepare(`
+                SELECT attempted_at, error FROM brand_match_runs
+                ORDER BY attempted_at DESC LIMIT 32
+            `).all();
+            if (runs.length === 0) {
+                // Mappings made before attempts were recorded count as a successful run
+                const { lastMatched } = db.prepare('SELECT MAX(matched_at) AS lastMatched FROM station_brands').get();
+                if (lastMatched) runs.push({ attempted_at: lastMatched, error: null });
+            }
+            const nextAt = nextBrandMatchAt(runs, refreshDays);
+            if (stations === 0 || (nextAt !== null && Date.now() < nextAt)) return;
+
+            const record = db.prepare('INSERT INTO brand_match_runs (attempted_at, matched, error) VALUES (?, ?, ?)');
+            const attemptedAt = new Date().toISOString();
+            try {
+                const result = await matchBrands(db);
+                record.run(attemptedAt, result.matched, null);
+                console.log(`Matched brands: ${result.matched}/${result.stations} stations to ${result.features} OSM features, ${result.branded} confident`);
+            } catch (error) {
+                record.run(attemptedAt, null, error.message);
+                throw error;
+            }
+        } catch (error) {
+            console.error('Error matching station brands:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    const timer = setInterval(run, CHECK_INTERVAL_MS);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+// `npm run brands` rebuilds the mapping once and exits
+if (require.main === module) {
+    matchBrands()
+        .then(result => {
+            console.log(`Matched ${result.matched}/${result.stations} stations to ${result.features} OSM features, ${result.branded} confident`);
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('Brand matching failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    BRAND_MIN_CONFIDENCE,
+    matchBrands,
+    matchStations,
+    nextBrandMatchAt,
+    startBrandMatcher,
+    overpassClient
+};
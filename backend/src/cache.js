@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// In-memory LRU cache of serialized JSON responses with stale-while-revalidate.
+//
+// Each entry is fresh for `ttl` ms, then served as-is for another `staleTtl`
+// ms while a single background load refreshes it. Past that it is reloaded
+// before answering; if the load fails, the last good copy is served no matter
+// how old it is. Entries are evicted least recently used first once either
+// `maxEntries` or `maxBytes` is exceeded.
+function createCache({ maxEntries = 200, maxBytes = 100 * 1024 * 1024 } = {}) {
+    // Map iteration order doubles as recency order: oldest first
+    const entries = new Map();
+    const inFlight = new Map();
+    const counters = { hits: 0, misses: 0, stale: 0, staleOnError: 0, errors: 0, evictions: 0 };
+    let bytes = 0;
+
+    function touch(key, entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+    }
+
+    function remove(key) {
+        const entry = entries.get(key);
+        if (!entry) return;
+        entries.delete(key);
+        bytes -= entry.size;
+    }
+
+    function store(key, value, { ttl, staleTtl }) {
+        const body = JSON.stringify(value);
+        const size = Buffer.byteLength(body);
+        const now = Date.now();
+        const entry = {
+            body,
+            size,
+            etag: `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+            fetchedAt: now,
+            freshUntil: now + ttl,
+            staleUntil: now + ttl + staleTtl
+        };
+        remove(key);
+        // Too big to ever fit: serve it but don't keep it
+        if (size > maxBytes) return entry;
+
+        entries.set(key, entry);
+        bytes += size;
+        for (const oldest of entries.keys()) {
+            if (entries.size <= maxEntries && bytes <= maxBytes) break;
+            remove(oldest);
+            counters.evictions++;
+        }
+        return entry;
+    }
+
+    // One load per key at a time, shared by every caller waiting on it
+    function load(key, loader, options) {
+        if (!inFlight.has(key)) {
+            const promise = Promise.resolve()
+                .then(loader)
+                .then(value => store(key, value, options))
+                .finally(() => inFlight.delete(key));
+            inFlight.set(key, promise);
+        }
+        return inFlight.get(key);
+    }
+
+    // Resolves to { entry, status } where status is one of
+    // 'hit', 'miss', 'stale' (being revalidated) or 'stale-on-error' (with
+    // the load's `error`)
+    async function get(key, loader, { ttl, staleTtl = 0 }) {
+        const now = Date.now();
+        const cached = entries.get(key);
+
+        if (cached && now < cached.freshUntil) {
+            counters.hits++;
+            touch(key, cached);
+            return { entry: cached, status: 'hit' };
+        }
+
+        if (cached && now < cached.staleUntil) {
+            counters.stale++;
+            touch(key, cached);
+            load(key, loader, { ttl, staleTtl }).catch(error => {
+                counters.errors++;
+                console.error(`Background refresh of ${key} failed:`, error.message);
+            });
+            return { entry: cached, status: 'stale' };
+        }
+
+        counters.misses++;
+        try {
+            return { entry: await load(key, loader, { ttl, staleTtl }), status: 'miss' };
+        } catch (error) {
+            counters.errors++;
+            const fallback = entries.get(key);
+            if (!fallback) throw error;
+            counters.staleOnError++;
+            console.error(`Serving stale ${key} after upstream error:`, error.message);
+            return { entry: fallback, status: 'stale-on-error', error };
+        }
+    }
+
+    function stats() {
+        const lookups = counters.hits + counters.misses + counters.stale;
+        return {
+            entries: entries.size,
+            bytes,
+            maxEntries,
+            maxBytes,
+            ...counters,
+            hitRate: lookups ? (counters.hits + counters.stale) / lookups : null
+        };
+    }
+
+    function clear() {
+        entries.clear();
+        bytes = 0;
+    }
+
+    return { get, stats, clear };
+}
+
+// Send a cached entry with validators so clients can revalidate with
+// If-None-Match / If-Modified-Since (express answers 304 from these headers).
+// A copy served because upstream failed names the failure in X-Upstream-Error.
+function sendCached(res, { entry, status, error }) {
+    const maxAge = Math.max(0, Math.floor((entry.freshUntil - Date.now()) / 1000));
+    res.set({
+        ETag: entry.etag,
+        'Last-Modified': new Date(entry.fetchedAt).toUTCString(),
+        'Cache-Control': `public, max-age=${maxAge}`,
+        'X-Cache': status.toUpperCase()
+    });
+    if (error) res.set('X-Upstream-Error', error.category || 'upstream_error');
+    res.type('json').send(entry.body);
+}
+
+module.exports = { createCache, sendCached };
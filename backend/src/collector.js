@@ -0,0 +1,63 @@
+const { odsExport } = require('./ods');
+const { getDb } = require('./db');
+const { recordSnapshot } = require('./history');
+const { checkAlerts } = require('./alerts');
+
+const DEFAULT_INTERVAL_MINUTES = 30;
+
+// Fetch the instantaneous feed once, store every price that changed and
+// notify the price alerts that changes trigger
+async function collectSnapshot(db = getDb()) {
+    const { records: exported, fetchedAt } = await odsExport();
+    const records = exported.map(record => record.fields);
+    const result = recordSnapshot(db, records, {
+        source: 'flux',
+        recordedAt: new Date(fetchedAt).toISOString()
+    });
+    console.log(`Collected snapshot: ${result.stations} stations, ${result.changes} price changes`);
+
+    if (result.changes > 0) {
+        try {
+            const alerts = await checkAlerts(db);
+            console.log(`Checked ${alerts.checked} alerts: ${alerts.notified} notified, ${alerts.failed} failed`);
+        } catch (error) {
+            console.error('Error checking price alerts:', error.message);
+        }
+    }
+    return result;
+}
+
+// Run the collector now and then every `intervalMinutes`. Returns a stop function.
+function startCollector({ intervalMinutes = DEFAULT_INTERVAL_MINUTES } = {}) {
+    let running = false;
+
+    const run = async () => {
+        // Skip a tick rather than stacking runs when upstream is slow
+        if (running) return;
+        running = true;
+        try {
+            await collectSnapshot();
+        } catch (error) {
+            console.error('Error collecting price snapshot:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+// `npm run collect` takes a single snapshot and exits
+if (require.main === module) {
+    collectSnapshot()
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('Snapshot failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { collectSnapshot, startCollector };
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'data', 'fuel-prices.db');
+
+// Schema migrations, applied in order and tracked through PRAGMA user_version.
+// Never edit an entry once released: append a new one instead.
+const MIGRATIONS = [
+    `
+    CREATE TABLE stations (
+        id TEXT PRIMARY KEY,
+        cp TEXT,
+        ville TEXT,
+        adresse TEXT,
+        pop TEXT,
+        departement TEXT,
+        code_departement TEXT,
+        region TEXT,
+        code_region TEXT,
+        latitude REAL,
+        longitude REAL,
+        updated_at TEXT,
+        -- Time of the last feed snapshot listing the station, so stations
+        -- that have closed can be told apart
+        last_seen_at TEXT
+    );
+
+    -- One row per observed price change, keyed on the station's own update time
+    CREATE TABLE price_history (
+        station_id TEXT NOT NULL,
+        fuel TEXT NOT NULL,
+        price REAL NOT NULL,
+        updated_at TEXT NOT NULL,
+        source TEXT NOT NULL,
+        PRIMARY KEY (station_id, fuel, updated_at)
+    ) WITHOUT ROWID;
+
+    CREATE INDEX price_history_fuel_date ON price_history (fuel, updated_at);
+
+    -- Last known price per station and fuel, used to detect real changes
+    CREATE TABLE current_prices (
+        station_id TEXT NOT NULL,
+        fuel TEXT NOT NULL,
+        price REAL NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (station_id, fuel)
+    ) WITHOUT ROWID;
+
+    CREATE TABLE snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source TEXT NOT NULL,
+        recorded_at TEXT NOT NULL,
+        stations INTEGER NOT NULL,
+        changes INTEGER NOT NULL
+    );
+    `,
+    `
+    -- JSON-encoded opening hours and services list
+    ALTER TABLE stations ADD COLUMN hours TEXT;
+    ALTER TABLE stations ADD COLUMN services TEXT;
+    `,
+    `
+    -- Price alert subscriptions, owned by an anonymous client token.
+    -- Either station_ids (JSON array) or a latitude/longitude/radius_km area is set.
+    CREATE TABLE alerts (
+        id TEXT PRIMARY KEY,
+        owner TEXT NOT NULL,
+        fuel TEXT NOT NULL,
+        station_ids TEXT,
+        latitude REAL,
+        longitude REAL,
+        radius_km REAL,
+        condition TEXT NOT NULL,
+        threshold REAL NOT NULL,
+        channel TEXT NOT NULL,
+        target TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        last_notified_at TEXT
+    );
+
+    CREATE INDEX alerts_owner ON alerts (owner);
+
+    -- Per alert and station: the price drops are measured from, and whether
+    -- the station is currently below a 'below' threshold already notified
+    CREATE TABLE alert_state (
+        alert_id TEXT NOT NULL REFERENCES alerts (id) ON DELETE CASCADE,
+        station_id TEXT NOT NULL,
+        reference_price REAL NOT NULL,
+        notified INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (alert_id, station_id)
+    ) WITHOUT ROWID;
+    `,
+    `
+    -- Best OpenStreetMap amenity=fuel feature for each station (see brands.js).
+    -- Rebuilt as a whole by each matching run.
+    CREATE TABLE station_brands (
+        station_id TEXT PRIMARY KEY REFERENCES stations (id) ON DELETE CASCADE,
+        osm_id TEXT NOT NULL,
+        brand TEXT,
+        name TEXT,
+        operator TEXT,
+        distance_m REAL NOT NULL,
+        confidence REAL NOT NULL,
+        matched_at TEXT NOT NULL
+    );
+
+    -- Every brand matching attempt (see brands.js), so that failed runs are
+    -- retried with a growing delay. error is NULL for runs that succeeded.
+    CREATE TABLE brand_match_runs (
+        attempted_at TEXT NOT NULL,
+        matched INTEGER,
+        error TEXT
+    );
+    `,
+    `
+    ALTER TABLE station_brands ADD COLUMN brand_wikidata TEXT;
+    `,
+    `
+    -- Fuels a station currently reports as out of stock, replaced with every
+    -- feed snapshot. type: 'temporary' or 'permanent'.
+    CREATE TABLE station_shortages (
+        station_id TEXT NOT NULL REFERENCES stations (id) ON DELETE CASCADE,
+        fuel TEXT NOT NULL,
+        type TEXT NOT NULL,
+        since TEXT NOT NULL,
+        recorded_at TEXT NOT NULL,
+        PRIMARY KEY (station_id, fuel)
+    ) WITHOUT ROWID;
+    `,
+    `
+    -- Favorite stations synced by a browser's anonymous owner token (see profile.js)
+    CREATE TABLE favorites (
+        owner TEXT NOT NULL,
+        station_id TEXT NOT NULL,
+        added_at TEXT NOT NULL,
+        PRIMARY KEY (owner, station_id)
+    ) WITHOUT ROWID;
+    `,
+    `
+    -- Fill-ups logged by an anonymous owner token (see logbook.js).
+    -- price is what was paid per litre, odometer in km.
+    CREATE TABLE logbook_entries (
+        id TEXT PRIMARY KEY,
+        owner TEXT NOT NULL,
+        vehicle TEXT NOT NULL DEFAULT '',
+        station_id TEXT NOT NULL,
+        fuel TEXT NOT NULL,
+        liters REAL NOT NULL,
+        price REAL NOT NULL,
+        odometer INTEGER NOT NULL,
+        filled_at TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX logbook_entries_owner ON logbook_entries (owner, filled_at);
+    `
+];
+
+function migrate(db) {
+    const version = db.pragma('user_version', { simple: true });
+    for (let i = version; i < MIGRATIONS.length; i++) {
+        db.transaction(() => {
+            db.exec(MIGRATIONS[i]);
+            db.pragma(`user_version = ${i + 1}`);
+        })();
+    }
+}
+
+function openDb(file = DB_PATH) {
+    if (file !== ':memory:') {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    migrate(db);
+    return db;
+}
+
+// Shared connection for the server process, opened lazily
+let sharedDb = null;
+
+function getDb() {
+    if (!sharedDb) {
+        sharedDb = openDb();
+    }
+    return sharedDb;
+}
+
+module.exports = { openDb, getDb, DB_PATH };
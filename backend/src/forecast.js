@@ -0,0 +1,228 @@
+const { averagePrices } = require('./analytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HORIZONS = [7, 14, 30];
+const SEASON_LENGTH = 7;
+const MIN_POINTS = 14;
+const Z_95 = 1.96;
+
+// Smoothing parameter grid searched when fitting
+const GRID = {
+    alpha: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9],
+    beta: [0.01, 0.05, 0.1, 0.2, 0.3],
+    phi: [0.8, 0.9, 0.98, 1],
+    gamma: [0.05, 0.1, 0.2, 0.3]
+};
+
+// Daily average series with days lacking data filled by linear interpolation
+function dailySeries({ fuel, region, departement, days }) {
+    const to = Date.now();
+    const buckets = averagePrices({ fuel, region, departement, from: to - days * DAY_MS, to, interval: 'day' });
+    const first = buckets.findIndex(b => b.count > 0);
+    if (first === -1) return [];
+
+    const points = buckets.slice(first);
+    const values = points.map(b => b.mean);
+    let lastKnown = 0;
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] == null) continue;
+        for (let j = lastKnown + 1; j < i; j++) {
+            values[j] = values[lastKnown] + (values[i] - values[lastKnown]) * (j - lastKnown) / (i - lastKnown);
+        }
+        lastKnown = i;
+    }
+    // Trailing days without data carry the last value forward
+    for (let j = lastKnown + 1; j < values.length; j++) values[j] = values[lastKnown];
+
+    return points.map((b, i) => ({ date: b.period, value: values[i], observed: b.count > 0 }));
+}
+
+// Additive Holt-Winters with damped trend; gamma = null fits the non-seasonal
+// (Holt) variant. Returns the final state and the one-step-ahead SSE.
+function fitModel(y, { alpha, beta, phi, gamma, m = SEASON_LENGTH }) {
+    const seasonal = gamma != null;
+    const warmup = seasonal ? m : 1;
+    let level;
+    let trend;
+    let season = [];
+
+    if (seasonal) {
+        const firstSeason = y.slice(0, m);
+        const avg = firstSeason.reduce((a, b) => a + b, 0) / m;
+        level = avg;
+        trend = y.length >= 2 * m
+            ? (y.slice(m, 2 * m).reduce((a, b) => a + b, 0) / m - avg) / m
+            : 0;
+        season = firstSeason.map(v => v - avg);
+    } else {
+        level = y[0];
+        trend = y[1] - y[0];
+    }
+
+    let sse = 0;
+    for (let t = warmup; t < y.length; t++) {
+        const s = seasonal ? season[t % m] : 0;
+        const predicted = level + phi * trend + s;
+        const error = y[t] - predicted;
+        sse += error * error;
+
+        const newLevel = alpha * (y[t] - s) + (1 - alpha) * (level + phi * trend);
+        trend = beta * (newLevel - level) + (1 - beta) * phi * trend;
+        if (seasonal) season[t % m] = gamma * (y[t] - newLevel) + (1 - gamma) * s;
+        level = newLevel;
+    }
+
+    return { level, trend, season, sse, n: y.length - warmup, params: { alpha, beta, phi, gamma, m }, length: y.length };
+}
+
+function forecastFrom(model, horizon) {
+    const { level, trend, season, params, length } = model;
+    const { alpha, beta, phi, gamma, m } = params;
+    const seasonal = gamma != null;
+    const k = seasonal ? 4 + m : 4;
+    const sigma = Math.sqrt(model.sse / Math.max(model.n - k, 1));
+
+    const points = [];
+    let dampSum = 0;
+    let varianceFactor = 1;
+    for (let h = 1; h <= horizon; h++) {
+        dampSum += Math.pow(phi, h);
+        const s = seasonal ? season[(length + h - 1) % m] : 0;
+        const value = level + dampSum * trend + s;
+        const halfWidth = Z_95 * sigma * Math.sqrt(varianceFactor);
+        points.push({ step: h, value, lower: value - halfWidth, upper: value + halfWidth });
+
+        // Variance multiplier for the next step (Hyndman et al., additive damped HW)
+        const c = alpha * (1 + beta * dampSum) + (seasonal && h % m === 0 ? gamma * (1 - alpha) : 0);
+        varianceFactor += c * c;
+    }
+    return points;
+}
+
+// Grid-search the smoothing parameters, choosing between the seasonal and
+// non-seasonal variants by AIC so weekly seasonality is only used when it pays
+function selectModel(y) {
+    const candidates = y.length >= 3 * SEASON_LENGTH ? [null, ...GRID.gamma] : [null];
+    let best = null;
+    candidates.forEach(gamma => {
+        GRID.alpha.forEach(alpha => GRID.beta.forEach(beta => GRID.phi.forEach(phi => {
+            const model = fitModel(y, { alpha, beta, phi, gamma });
+            const k = gamma != null ? 4 + SEASON_LENGTH : 4;
+            const aic = model.n * Math.log(Math.max(model.sse, 1e-12) / model.n) + 2 * k;
+            if (!best || aic < best.aic) best = { ...model, aic };
+        })));
+    });
+    return best;
+}
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+function addDays(date, days) {
+    return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function forecastPrices({ fuel, region, departement, horizon, historyDays = 180 }) {
+    const series = dailySeries({ fuel, region, departement, days: historyDays });
+    if (series.length < MIN_POINTS) {
+        return { series, forecast: null };
+    }
+
+    const model = selectModel(series.map(p => p.value));
+    const lastDate = series[series.length - 1].date;
+    const forecast = forecastFrom(model, horizon).map(p => ({
+        date: addDays(lastDate, p.step),
+        value: round3(p.value),
+        lower: round3(p.lower),
+        upper: round3(p.upper)
+    }));
+
+    const { alpha, beta, phi, gamma, m } = model.params;
+    return {
+        series,
+        model: {
+            type: gamma != null ? 'holt-winters-damped' : 'holt-damped',
+            alpha,
+            beta,
+            phi,
+            gamma,
+            seasonLength: gamma != null ? m : null
+        },
+        forecast
+    };
+}
+
+// Backtests refit every model of the grid once per fold, synchronously:
+// keep them small
+const MAX_BACKTEST_FOLDS = 6;
+const BACKTEST_HISTORY_DAYS = { min: 60, max: 180 };
+
+// Rolling-origin backtest over a daily series: refit on history up to each
+// cutoff, forecast the next `horizon` days and compare with what was then
+// recorded. Interpolated days are not scored, and folds without any recorded
+// day are skipped. A naive "last value" forecast is scored alongside as a
+// baseline.
+function scoreBacktest(series, { horizon, folds }) {
+    const y = series.map(p => p.value);
+    const maxFolds = Math.floor((y.length - MIN_POINTS) / horizon);
+    const foldCount = Math.min(folds, maxFolds);
+
+    const errors = [];
+    const naiveErrors = [];
+    const percentErrors = [];
+    const byStep = Array.from({ length: horizon }, () => []);
+    let scoredFolds = 0;
+
+    for (let f = foldCount; f >= 1; f--) {
+        const cutoff = y.length - f * horizon;
+        const steps = series.slice(cutoff, cutoff + horizon)
+            .map((point, h) => ({ h, value: point.value, observed: point.observed }))
+            .filter(step => step.observed);
+        if (steps.length === 0) continue;
+
+        const train = y.slice(0, cutoff);
+        const predicted = forecastFrom(selectModel(train), horizon);
+        steps.forEach(({ h, value }) => {
+            const error = Math.abs(value - predicted[h].value);
+            errors.push(error);
+            byStep[h].push(error);
+            percentErrors.push(error / value);
+            naiveErrors.push(Math.abs(value - train[train.length - 1]));
+        });
+        scoredFolds++;
+    }
+
+    if (scoredFolds === 0) {
+        return { points: y.length, folds: 0, scored: 0, mae: null, rmse: null, mape: null, naiveMae: null, maeByStep: [] };
+    }
+    const avg = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+    return {
+        points: y.length,
+        folds: scoredFolds,
+        scored: errors.length,
+        mae: round3(avg(errors)),
+        rmse: round3(Math.sqrt(avg(errors.map(e => e * e)))),
+        mape: Math.round(avg(percentErrors) * 10000) / 100,
+        naiveMae: round3(avg(naiveErrors)),
+        maeByStep: byStep.map((stepErrors, h) => ({
+            step: h + 1,
+            scored: stepErrors.length,
+            mae: stepErrors.length ? round3(avg(stepErrors)) : null
+        }))
+    };
+}
+
+function backtest({ fuel, region, departement, horizon, folds = 4, historyDays = BACKTEST_HISTORY_DAYS.max }) {
+    return scoreBacktest(dailySeries({ fuel, region, departement, days: historyDays }), { horizon, folds });
+}
+
+module.exports = {
+    HORIZONS,
+    MAX_BACKTEST_FOLDS,
+    BACKTEST_HISTORY_DAYS,
+    forecastPrices,
+    backtest,
+    scoreBacktest,
+    fitModel,
+    forecastFrom,
+    selectModel
+};
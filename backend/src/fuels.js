@@ -0,0 +1,123 @@
+// Fuel catalog: every fuel published by the instantaneous feed and the
+// PrixCarburants archives, in display order. Clients build their fuel
+// selectors, chart colors and popups from it (GET /api/v1/fuels), so adding a
+// fuel only takes a new entry here.
+//   euroLabel: harmonised EU pump label
+//   vehicles: VEHICLE_TYPES ids that can run on it
+//   services: station services worth showing next to its price (amenities.js ids)
+const VEHICLE_TYPES = [
+    { id: 'diesel', label: 'Diesel' },
+    { id: 'petrol', label: 'Petrol' },
+    { id: 'flexfuel', label: 'Flex-fuel (E85)' },
+    { id: 'lpg', label: 'LPG' }
+];
+
+const FUEL_CATALOG = [
+    {
+        code: 'Gazole',
+        label: 'Diesel (Gazole)',
+        euroLabel: 'B7',
+        color: '#4bc0c0',
+        vehicles: ['diesel'],
+        compatibility: 'Diesel engines',
+        services: ['adblue']
+    },
+    {
+        code: 'SP95',
+        label: 'SP95',
+        euroLabel: 'E5',
+        color: '#36a2eb',
+        vehicles: ['petrol', 'flexfuel'],
+        compatibility: 'All petrol engines',
+        services: []
+    },
+    {
+        code: 'SP98',
+        label: 'SP98',
+        euroLabel: 'E5',
+        color: '#9966ff',
+        vehicles: ['petrol', 'flexfuel'],
+        compatibility: 'All petrol engines',
+        services: []
+    },
+    {
+        code: 'E10',
+        label: 'SP95-E10',
+        euroLabel: 'E10',
+        color: '#4caf50',
+        vehicles: ['petrol', 'flexfuel'],
+        compatibility: 'Petrol engines from 2000 on and most older ones (check the fuel cap)',
+        services: []
+    },
+    {
+        code: 'E85',
+        label: 'E85 (Superéthanol)',
+        euroLabel: 'E85',
+        color: '#ff9f40',
+        vehicles: ['flexfuel'],
+        compatibility: 'Flex-fuel vehicles, or petrol engines with an approved E85 conversion kit',
+        services: []
+    },
+    {
+        code: 'GPLc',
+        label: 'GPL',
+        euroLabel: 'LPG',
+        color: '#ff6384',
+        vehicles: ['lpg'],
+        compatibility: 'LPG-equipped vehicles',
+        services: []
+    }
+];
+
+// The feed exposes each fuel as `<code lowercased>_prix` / `<code lowercased>_maj`
+const FUELS = FUEL_CATALOG.map(fuel => fuel.code);
+
+function priceField(fuel) {
+    return `${fuel.toLowerCase()}_prix`;
+}
+
+function updateField(fuel) {
+    return `${fuel.toLowerCase()}_maj`;
+}
+
+// Per-fuel shortage fields: `<code>_rupture_type` ('temporaire' or
+// 'definitive') and `<code>_rupture_debut` (when it started)
+function shortageTypeField(fuel) {
+    return `${fuel.toLowerCase()}_rupture_type`;
+}
+
+function shortageStartField(fuel) {
+    return `${fuel.toLowerCase()}_rupture_debut`;
+}
+
+// Case-insensitive lookup so `gazole`, `GAZOLE` and `Gazole` all resolve
+function findFuel(value) {
+    if (!value) return null;
+    const wanted = String(value).toLowerCase();
+    return FUELS.find(f => f.toLowerCase() === wanted) || null;
+}
+
+// Catalog entry as served by the API, with the dataset field names
+function toFuel(fuel) {
+    return {
+        ...fuel,
+        fields: {
+            price: priceField(fuel.code),
+            updatedAt: updateField(fuel.code),
+            shortageType: shortageTypeField(fuel.code),
+            shortageStart: shortageStartField(fuel.code)
+        }
+    };
+}
+
+module.exports = {
+    VEHICLE_TYPES,
+    FUEL_CATALOG,
+    FUELS,
+    priceField,
+    updateField,
+    shortageTypeField,
+    shortageStartField,
+    findFuel,
+    toFuel
+};
@@ -0,0 +1,255 @@
+const { FUELS, priceField, updateField, shortageTypeField, shortageStartField, findFuel } = require('./fuels');
+const { hoursFromFields, servicesFromFields } = require('./amenities');
+
+// Prices are published with millieme precision; rounding avoids float noise
+// turning an unchanged price into a "change".
+function roundPrice(value) {
+    const price = parseFloat(value);
+    if (!Number.isFinite(price) || price <= 0) return null;
+    return Math.round(price * 1000) / 1000;
+}
+
+function toIsoDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+const parisFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'Europe/Paris',
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+});
+
+const parisParts = (date) => Object.fromEntries(parisFormatter.formatToParts(date).map(p => [p.type, p.value]));
+
+// UTC ISO timestamp of a French local date and time
+function parisToIso(year, month, day, hour = 0, minute = 0, second = 0) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+    const parts = parisParts(new Date(guess));
+    const asParis = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+    return new Date(guess - (asParis - guess)).toISOString();
+}
+
+// Archive timestamps ("2024-01-02T07:53:00" or "2007-01-02 07:53:00") are
+// French local time without an offset
+function parisLocalToIso(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?/.exec(value || '');
+    if (!match) return null;
+    const [, y, mo, d, h, mi, s = '0'] = match;
+    return parisToIso(+y, +mo, +d, +h, +mi, +s);
+}
+
+// French calendar day ("YYYY-MM-DD") of an ISO timestamp
+function parisDay(iso) {
+    const parts = parisParts(new Date(iso));
+    return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// Departement code from a postal code (Corsica and overseas need special cases)
+function departementFromCp(cp) {
+    if (!cp || cp.length < 2) return null;
+    if (cp.startsWith('97') || cp.startsWith('98')) return cp.slice(0, 3);
+    if (cp.startsWith('20')) return parseInt(cp, 10) < 20200 ? '2A' : '2B';
+    return cp.slice(0, 2);
+}
+
+// Feed coordinates come either as geom [lat, lon] or as strings scaled by 100000
+function coordinatesFromFields(fields) {
+    if (Array.isArray(fields.geom) && fields.geom.length === 2) {
+        return { latitude: fields.geom[0], longitude: fields.geom[1] };
+    }
+    const latitude = parseFloat(fields.latitude);
+    const longitude = parseFloat(fields.longitude);
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+        return { latitude: latitude / 100000, longitude: longitude / 100000 };
+    }
+    return { latitude: null, longitude: null };
+}
+
+// Map a record of the instantaneous feed onto a stations row
+function stationFromFields(fields) {
+    const { latitude, longitude } = coordinatesFromFields(fields);
+    const hours = hoursFromFields(fields);
+    const services = servicesFromFields(fields);
+    return {
+        id: String(fields.id),
+        cp: fields.cp || null,
+        ville: fields.ville || null,
+        adresse: fields.adresse || null,
+        pop: fields.pop || null,
+        departement: fields.departement || null,
+        code_departement: fields.code_departement || departementFromCp(fields.cp),
+        region: fields.region || null,
+        code_region: fields.code_region || null,
+        latitude,
+        longitude,
+        hours: hours ? JSON.stringify(hours) : null,
+        services: services ? JSON.stringify(services) : null
+    };
+}
+
+const SHORTAGE_TYPES = { temporaire: 'temporary', definitive: 'permanent' };
+
+// Fuel lists come as arrays or as 'Gazole;SP98' strings depending on the export
+function fuelList(value) {
+    const names = Array.isArray(value) ? value : String(value || '').split(/[;,]/);
+    return names.map(name => findFuel(String(name).trim())).filter(Boolean);
+}
+
+// Out-of-stock fuels of a feed record as [{ fuel, type, since }]. The per-fuel
+// rupture fields are the most precise, then the carburants_rupture_* lists.
+// carburants_indisponibles also lists fuels a station never sold, so those
+// only count when `sells(fuel)` says the station normally has it.
+function shortagesFromFields(fields, sells = fuel => fields[priceField(fuel)] != null) {
+    const shortages = new Map();
+    const add = (fuel, type, since = null) => {
+        if (!shortages.has(fuel)) shortages.set(fuel, { fuel, type, since });
+    };
+
+    FUELS.forEach(fuel => {
+        const type = SHORTAGE_TYPES[String(fields[shortageTypeField(fuel)] || '').toLowerCase()];
+        if (type) add(fuel, type, toIsoDate(fields[shortageStartField(fuel)]));
+    });
+    fuelList(fields.carburants_rupture_definitive).forEach(fuel => add(fuel, 'permanent'));
+    fuelList(fields.carburants_rupture_temporaire).forEach(fuel => add(fuel, 'temporary'));
+    fuelList(fields.carburants_indisponibles)
+        .filter(fuel => sells(fuel))
+        .forEach(fuel => add(fuel, 'temporary'));
+
+    return [...shortages.values()];
+}
+
+const statementCache = new WeakMap();
+
+function statements(db) {
+    let cached = statementCache.get(db);
+    if (!cached) {
+        cached = {
+            upsertStation: db.prepare(`
+                INSERT INTO stations (id, cp, ville, adresse, pop, departement, code_departement, region, code_region, latitude, longitude, hours, services, updated_at)
+                VALUES (@id, @cp, @ville, @adresse, @pop, @departement, @code_departement, @region, @code_region, @latitude, @longitude, @hours, @services, @updated_at)
+                ON CONFLICT (id) DO UPDATE SET
+                    cp = COALESCE(excluded.cp, cp),
+                    ville = COALESCE(excluded.ville, ville),
+                    adresse = COALESCE(excluded.adresse, adresse),
+                    pop = COALESCE(excluded.pop, pop),
+                    departement = COALESCE(excluded.departement, departement),
+                    code_departement = COALESCE(excluded.code_departement, code_departement),
+                    region = COALESCE(excluded.region, region),
+                    code_region = COALESCE(excluded.code_region, code_region),
+                    latitude = COALESCE(excluded.latitude, latitude),
+                    longitude = COALESCE(excluded.longitude, longitude),
+                    hours = COALESCE(excluded.hours, hours),
+                    services = COALESCE(excluded.services, services),
+                    updated_at = excluded.updated_at
+            `),
+            markSeen: db.prepare('UPDATE stations SET last_seen_at = ? WHERE id = ?'),
+            getCurrent: db.prepare('SELECT price, updated_at FROM current_prices WHERE station_id = ? AND fuel = ?'),
+            upsertCurrent: db.prepare(`
+                INSERT INTO current_prices (station_id, fuel, price, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT (station_id, fuel) DO UPDATE SET price = excluded.price, updated_at = excluded.updated_at
+            `),
+            insertHistory: db.prepare(`
+                INSERT OR IGNORE INTO price_history (station_id, fuel, price, updated_at, source) VALUES (?, ?, ?, ?, ?)
+            `),
+            getShortages: db.prepare('SELECT fuel, type, since FROM station_shortages WHERE station_id = ?'),
+            deleteShortages: db.prepare('DELETE FROM station_shortages WHERE station_id = ?'),
+            insertShortage: db.prepare(`
+                INSERT INTO station_shortages (station_id, fuel, type, since, recorded_at) VALUES (?, ?, ?, ?, ?)
+            `),
+            insertSnapshot: db.prepare('INSERT INTO snapshots (source, recorded_at, stations, changes) VALUES (?, ?, ?, ?)')
+        };
+        statementCache.set(db, cached);
+    }
+    return cached;
+}
+
+function upsertStation(db, station, updatedAt = new Date().toISOString()) {
+    statements(db).upsertStation.run({
+        hours: null,
+        services: null,
+        ...station,
+        updated_at: updatedAt
+    });
+}
+
+// Record one observed price. Returns true when a new history row was written.
+// Observations newer than the last known price are only kept if the price
+// actually moved; older ones (archive backfill) go straight into the history.
+function recordPrice(db, { stationId, fuel, price, updatedAt, source }) {
+    const stmts = statements(db);
+    const current = stmts.getCurrent.get(stationId, fuel);
+
+    if (current && updatedAt <= current.updated_at) {
+        if (updatedAt === current.updated_at) return false;
+        return stmts.insertHistory.run(stationId, fuel, price, updatedAt, source).changes > 0;
+    }
+
+    stmts.upsertCurrent.run(stationId, fuel, price, updatedAt);
+    if (current && current.price === price) return false;
+    return stmts.insertHistory.run(stationId, fuel, price, updatedAt, source).changes > 0;
+}
+
+// Replace a station's shortages. An ongoing shortage keeps its start date when
+// the feed doesn't give one; new ones start at the snapshot time.
+function recordShortages(db, stationId, shortages, recordedAt) {
+    const stmts = statements(db);
+    const previous = new Map(stmts.getShortages.all(stationId).map(row => [row.fuel, row]));
+    stmts.deleteShortages.run(stationId);
+    shortages.forEach(({ fuel, type, since }) => {
+        const ongoing = previous.get(fuel);
+        const start = since || (ongoing && ongoing.type === type ? ongoing.since : recordedAt);
+        stmts.insertShortage.run(stationId, fuel, type, start, recordedAt);
+    });
+}
+
+// Store a snapshot of instantaneous feed records (the `fields` objects)
+function recordSnapshot(db, records, { source = 'flux', recordedAt = new Date().toISOString() } = {}) {
+    let stations = 0;
+    let changes = 0;
+
+    db.transaction(() => {
+        records.forEach(fields => {
+            if (!fields || fields.id == null) return;
+            const station = stationFromFields(fields);
+            upsertStation(db, station, recordedAt);
+            statements(db).markSeen.run(recordedAt, station.id);
+            stations++;
+
+            FUELS.forEach(fuel => {
+                const price = roundPrice(fields[priceField(fuel)]);
+                const updatedAt = toIsoDate(fields[updateField(fuel)]);
+                if (price == null || !updatedAt) return;
+                if (recordPrice(db, { stationId: station.id, fuel, price, updatedAt, source })) {
+                    changes++;
+                }
+            });
+
+            const sells = fuel => fields[priceField(fuel)] != null || !!statements(db).getCurrent.get(station.id, fuel);
+            recordShortages(db, station.id, shortagesFromFields(fields, sells), recordedAt);
+        });
+        statements(db).insertSnapshot.run(source, recordedAt, stations, changes);
+    })();
+
+    return { stations, changes, recordedAt };
+}
+
+module.exports = {
+    roundPrice,
+    toIsoDate,
+    parisToIso,
+    parisLocalToIso,
+    parisDay,
+    departementFromCp,
+    stationFromFields,
+    shortagesFromFields,
+    upsertStation,
+    recordPrice,
+    recordSnapshot
+};
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { StringDecoder } = require('string_decoder');
+const AdmZip = require('adm-zip');
+const sax = require('sax');
+const { getDb } = require('./db');
+const { findFuel } = require('./fuels');
+const { roundPrice, departementFromCp, upsertStation, recordPrice, parisLocalToIso } = require('./history');
+const { normalizeTime } = require('./amenities');
+
+// Importer for the official PrixCarburants XML archives
+// (PrixCarburants_annuel_YYYY.zip, PrixCarburants_quotidien_YYYYMMDD.zip).
+// Re-importing an archive is harmless: history rows are keyed on
+// station/fuel/update time and duplicates are ignored.
+//
+// Yearly archives hold hundreds of megabytes of XML, so it is inflated,
+// decoded and parsed as a stream and stations are written in batches.
+
+const BATCH_SIZE = 500;
+const CHUNK_SIZE = 1024 * 1024;
+
+// Older archives publish prices in thousandths of a euro ("1130" = 1.130)
+function archivePrice(valeur) {
+    const value = parseFloat(valeur);
+    if (!Number.isFinite(value)) return null;
+    return roundPrice(value > 100 ? value / 1000 : value);
+}
+
+const text = (node) => {
+    if (node == null) return null;
+    const value = typeof node === 'object' ? node._ : node;
+    return value == null ? null : String(value).trim() || null;
+};
+
+function parseHours(horaires) {
+    if (!horaires) return null;
+    const attrs = horaires.$ || {};
+    return {
+        automate24: attrs['automate-24-24'] === '1',
+        days: (horaires.jour || []).map(jour => ({
+            day: Number(jour.$?.id),
+            name: jour.$?.nom || null,
+            closed: jour.$?.ferme === '1',
+            ranges: (jour.horaire || []).map(h => ({
+                open: normalizeTime(h.$?.ouverture),
+                close: normalizeTime(h.$?.fermeture)
+            }))
+        }))
+    };
+}
+
+function parseServices(services) {
+    if (!services) return null;
+    return (services.service || []).map(text).filter(Boolean);
+}
+
+// Map a parsed <pdv> element onto a stations row
+function stationFromPdv(pdv) {
+    const attrs = pdv.$ || {};
+    const latitude = parseFloat(attrs.latitude);
+    const longitude = parseFloat(attrs.longitude);
+    const hours = parseHours(pdv.horaires?.[0]);
+    const services = parseServices(pdv.services?.[0]);
+    return {
+        id: String(attrs.id),
+        cp: attrs.cp || null,
+        ville: text(pdv.ville?.[0]),
+        adresse: text(pdv.adresse?.[0]),
+        pop: attrs.pop || null,
+        departement: null,
+        code_departement: departementFromCp(attrs.cp),
+        region: null,
+        code_region: null,
+        latitude: Number.isFinite(latitude) ? latitude / 100000 : null,
+        longitude: Number.isFinite(longitude) ? longitude / 100000 : null,
+        hours: hours ? JSON.stringify(hours) : null,
+        services: services ? JSON.stringify(services) : null
+    };
+}
+
+// Per-fuel price changes of a <pdv>, oldest first, with repeated values dropped
+function priceChangesFromPdv(pdv) {
+    const byFuel = {};
+    (pdv.prix || []).forEach(prix => {
+        const attrs = prix.$ || {};
+        const fuel = findFuel(attrs.nom);
+        const price = archivePrice(attrs.valeur);
+        const updatedAt = parisLocalToIso(attrs.maj);
+        if (!fuel || price == null || !updatedAt) return;
+        (byFuel[fuel] = byFuel[fuel] || []).push({ fuel, price, updatedAt });
+    });
+
+    const changes = [];
+    Object.values(byFuel).forEach(entries => {
+        entries.sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+        entries.forEach((entry, i) => {
+            if (i > 0 && entries[i - 1].price === entry.price) return;
+            changes.push(entry);
+        });
+    });
+    return changes;
+}
+
+// Calls `onPdv` with each <pdv> element as it is parsed, shaped like xml2js
+// output: attributes under `$`, children as arrays, text under `_` (or as a
+// plain string for elements with neither attributes nor children)
+function createPdvParser(onPdv) {
+    const parser = sax.parser(true);
+    const stack = [];
+
+    parser.onopentag = ({ name, attributes }) => {
+        if (stack.length === 0 && name !== 'pdv') return;
+        stack.push({ name, node: Object.keys(attributes).length ? { $: attributes } : {} });
+    };
+    parser.ontext = parser.oncdata = (value) => {
+        if (stack.length === 0) return;
+        const { node } = stack[stack.length - 1];
+        node._ = (node._ || '') + value;
+    };
+    parser.onclosetag = () => {
+        if (stack.length === 0) return;
+        const { name, node } = stack.pop();
+        if (stack.length === 0) return onPdv(node);
+        const parent = stack[stack.length - 1].node;
+        const simple = Object.keys(node).every(key => key === '_');
+        (parent[name] = parent[name] || []).push(simple ? node._ || '' : node);
+    };
+    return parser;
+}
+
+function* chunks(buffer) {
+    for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+        yield buffer.subarray(offset, offset + CHUNK_SIZE);
+    }
+}
+
+// The bytes of a zip entry, inflated as they are read
+function entryStream(entry) {
+    const data = entry.getCompressedData();
+    if (entry.header.method === 0) return chunks(data);
+    const inflate = zlib.createInflateRaw();
+    inflate.end(data);
+    return inflate;
+}
+
+async function importXml(db, bytes, { source }) {
+    const recordedAt = new Date().toISOString();
+    let stations = 0;
+    let prices = 0;
+    let changes = 0;
+
+    let batch = [];
+    const writeBatch = db.transaction((pdvs) => {
+        pdvs.forEach(pdv => {
+            if (!pdv.$?.id) return;
+            const station = stationFromPdv(pdv);
+            upsertStation(db, station, recordedAt);
+            stations++;
+
+            priceChangesFromPdv(pdv).forEach(({ fuel, price, updatedAt }) => {
+                prices++;
+                if (recordPrice(db, { stationId: station.id, fuel, price, updatedAt, source })) {
+                    changes++;
+                }
+            });
+        });
+    });
+    const flush = () => {
+        writeBatch(batch);
+        batch = [];
+    };
+
+    const parser = createPdvParser(pdv => batch.push(pdv));
+    let decoder = null;
+    for await (const chunk of bytes) {
+        if (!decoder) {
+            // Archives are declared ISO-8859-1; fall back to UTF-8 if declared so
+            const head = chunk.subarray(0, 100).toString('ascii');
+            decoder = new StringDecoder(/encoding="utf-8"/i.test(head) ? 'utf8' : 'latin1');
+        }
+        parser.write(decoder.write(chunk));
+        if (batch.length >= BATCH_SIZE) flush();
+    }
+    if (decoder) parser.write(decoder.end());
+    parser.close();
+    flush();
+
+    // Imports that changed nothing leave the snapshots (and with them the
+    // station index) alone
+    if (changes > 0) {
+        db.prepare('INSERT INTO snapshots (source, recorded_at, stations, changes) VALUES (?, ?, ?, ?)')
+            .run(source, recordedAt, stations, changes);
+    }
+
+    return { stations, prices, changes };
+}
+
+// Import an archive given as a Buffer (zip or bare XML)
+async function importArchive(buffer, { name = 'upload', db = getDb() } = {}) {
+    const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+    const files = isZip
+        ? new AdmZip(buffer).getEntries()
+            .filter(entry => !entry.isDirectory && entry.entryName.toLowerCase().endsWith('.xml'))
+            .map(entry => ({ name: entry.entryName, bytes: () => entryStream(entry) }))
+        : [{ name, bytes: () => chunks(buffer) }];
+
+    if (files.length === 0) {
+        throw new Error(`No XML file found in ${name}`);
+    }
+
+    const totals = { archive: name, files: [], stations: 0, prices: 0, changes: 0 };
+    for (const file of files) {
+        const result = await importXml(db, file.bytes(), { source: `archive:${path.basename(name)}` });
+        totals.files.push({ name: file.name, ...result });
+        totals.stations += result.stations;
+        totals.prices += result.prices;
+        totals.changes += result.changes;
+    }
+    console.log(`Imported ${name}: ${totals.stations} stations, ${totals.changes} new price changes`);
+    return totals;
+}
+
+async function importFile(filePath, options = {}) {
+    const buffer = await fs.promises.readFile(filePath);
+    return importArchive(buffer, { name: path.basename(filePath), ...options });
+}
+
+// `npm run import -- PrixCarburants_annuel_2023.zip [...]`
+if (require.main === module) {
+    const files = process.argv.slice(2);
+    if (files.length === 0) {
+        console.error('Usage: node src/importer.js <archive.zip|file.xml> [...]');
+        process.exit(1);
+    }
+    (async () => {
+        for (const file of files) {
+            await importFile(file);
+        }
+    })()
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('Import failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { importArchive, importFile, parisLocalToIso, archivePrice };
@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const { findFuel } = require('./fuels');
+const { getStationIndex } = require('./stations');
+const { parisToIso, parisDay } = require('./history');
+
+// Fill-up logbook of an anonymous owner token (see requireOwner in server.js).
+// Consumption assumes every fill-up fills the tank: the litres bought refill
+// what was burnt since the previous fill-up of the same vehicle.
+
+const MAX_ENTRIES_PER_OWNER = 5000;
+const MAX_RADIUS_KM = 30;
+const DEFAULT_RADIUS_KM = 5;
+
+// Carried prices older than this before the day aren't trusted for comparisons
+const CARRIED_PRICE_DAYS = 30;
+
+const STATION_ID = /^\d{1,12}$/;
+
+const CSV_COLUMNS = ['date', 'vehicle', 'station_id', 'fuel', 'liters', 'price_per_liter', 'total', 'odometer_km'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+function toEntry(row) {
+    return {
+        id: row.id,
+        vehicle: row.vehicle,
+        stationId: row.station_id,
+        fuel: row.fuel,
+        liters: row.liters,
+        price: row.price,
+        total: round2(row.liters * row.price),
+        odometer: row.odometer,
+        filledAt: row.filled_at,
+        createdAt: row.created_at
+    };
+}
+
+// Fill-up date: an ISO timestamp with its offset (as the app and the CSV export
+// send it), or a French local "YYYY-MM-DD" or "DD/MM/YYYY" date with an
+// optional "HH:MM[:SS]" time. Other formats are ambiguous and rejected.
+// Returns the UTC ISO timestamp or null.
+function parseFilledAt(value) {
+    const text = String(value ?? '').trim();
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(text)) {
+        const date = new Date(text);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    let match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+    let year, month, day, time;
+    if (match) {
+        [, year, month, day, ...time] = match;
+    } else {
+        match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+        if (!match) return null;
+        [, day, month, year, ...time] = match;
+    }
+    const [hour, minute, second] = time.map(part => Number(part || 0));
+    // Date.UTC rolls 31/02 over into March: compare back to catch it
+    const calendar = new Date(Date.UTC(+year, +month - 1, +day));
+    if (calendar.getUTCMonth() !== +month - 1 || calendar.getUTCDate() !== +day || hour > 23 || minute > 59 || second > 59) {
+        return null;
+    }
+    return parisToIso(+year, +month, +day, hour, minute, second);
+}
+
+// Validate a fill-up from a request body or a CSV row. Returns { value } or { error }.
+function parseEntry(input) {
+    const vehicle = input.vehicle == null ? '' : String(input.vehicle).trim();
+    if (vehicle.length > 40) return { error: 'vehicle must be at most 40 characters' };
+
+    const stationId = String(input.stationId ?? '');
+    if (!STATION_ID.test(stationId)) return { error: `Invalid station id: ${stationId}` };
+
+    const fuel = findFuel(input.fuel || '');
+    if (!fuel) return { error: `Unknown fuel: ${input.fuel}` };
+
+    const liters = Number(input.liters);
+    if (!(liters > 0 && liters <= 500)) return { error: 'liters must be between 0 and 500' };
+
+    // Either the price per litre or the total paid
+    let price = Number(input.price);
+    if (input.price == null || input.price === '') {
+        price = Number(input.total) / liters;
+    }
+    if (!(price >= 0.5 && price <= 5)) return { error: 'price must be between 0.5 and 5 €/L' };
+
+    const odometer = Number(input.odometer);
+    if (!Number.isInteger(odometer) || odometer < 0 || odometer > 2000000) {
+        return { error: 'odometer must be a whole number of km' };
+    }
+
+    const filledAt = parseFilledAt(input.filledAt);
+    if (!filledAt || Date.parse(filledAt) > Date.now() + 24 * 60 * 60 * 1000) {
+        return { error: `Invalid fill-up date (YYYY-MM-DD or DD/MM/YYYY): ${input.filledAt}` };
+    }
+
+    return {
+        value: { vehicle, stationId, fuel, liters: round2(liters), price: round3(price), odometer, filledAt }
+    };
+}
+
+function listEntries(owner, db = getDb()) {
+    return db.prepare('SELECT * FROM logbook_entries WHERE owner = ? ORDER BY filled_at, odometer').all(owner).map(toEntry);
+}
+
+// Add parsed fill-ups, skipping those already logged (same vehicle, date and
+// odometer) so re-importing an export is harmless. Returns the number added,
+// or null when the owner would go over MAX_ENTRIES_PER_OWNER.
+function addEntries(owner, values, db = getDb()) {
+    const exists = db.prepare('SELECT 1 FROM logbook_entries WHERE owner = ? AND vehicle = ? AND filled_at = ? AND odometer = ?');
+    const insert = db.prepare(`
+        INSERT INTO logbook_entries (id, owner, vehicle, station_id, fuel, liters, price, odometer, filled_at, created_at)
+        VALUES (@id, @owner, @vehicle, @stationId, @fuel, @liters, @price, @odometer, @filledAt, @createdAt)
+    `);
+    return db.transaction(() => {
+        const { count } = db.prepare('SELECT COUNT(*) AS count FROM logbook_entries WHERE owner = ?').get(owner);
+        const added = values.filter(value => !exists.get(owner, value.vehicle, value.filledAt, value.odometer));
+        if (count + added.length > MAX_ENTRIES_PER_OWNER) return null;
+        const createdAt = new Date().toISOString();
+        added.forEach(value => insert.run({ ...value, id: crypto.randomUUID(), owner, createdAt }));
+        return added.length;
+    })();
+}
+
+function createEntry(owner, value, db = getDb()) {
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM logbook_entries WHERE owner = ?').get(owner);
+    if (count >= MAX_ENTRIES_PER_OWNER) return null;
+    const id = crypto.randomUUID();
+    db.prepare(`
+        INSERT INTO logbook_entries (id, owner, vehicle, station_id, fuel, liters, price, odometer, filled_at, created_at)
+        VALUES (@id, @owner, @vehicle, @stationId, @fuel, @liters, @price, @odometer, @filledAt, @createdAt)
+    `).run({ ...value, id, owner, createdAt: new Date().toISOString() });
+    return toEntry(db.prepare('SELECT * FROM logbook_entries WHERE id = ?').get(id));
+}
+
+function deleteEntry(owner, id, db = getDb()) {
+    return db.prepare('DELETE FROM logbook_entries WHERE owner = ? AND id = ?').run(owner, id).changes > 0;
+}
+
+// Lowest price each of a set of stations (JSON array of ids) charged for a
+// fuel during [start, end), counting the price in effect at `start`
+const LOWEST_PRICES_SQL = `
+    SELECT ids.value AS station_id, MIN(h.price) AS price
+    FROM json_each(@stationIds) AS ids
+    JOIN price_history h ON h.station_id = ids.value AND h.fuel = @fuel
+    WHERE h.updated_at < @end AND h.updated_at >= COALESCE((
+        SELECT MAX(updated_at) FROM price_history
+        WHERE station_id = ids.value AND fuel = @fuel AND updated_at >= @carriedSince AND updated_at < @start
+    ), @start)
+    GROUP BY ids.value
+`;
+
+// Set `cheapest` on every entry: the cheapest station within `radiusKm` of
+// where it was filled up, on the day of the fill-up (French time), or null.
+// One query per day and fuel reads the prices of all the stations around
+// that day's fill-ups.
+function compareWithCheapest(db, entries, radiusKm) {
+    const { index } = getStationIndex(db);
+    const origin = db.prepare('SELECT latitude, longitude FROM stations WHERE id = ?');
+    const lowest = db.prepare(LOWEST_PRICES_SQL);
+
+    // Stations around each station filled up at
+    const around = new Map();
+    const nearbyStations = (stationId) => {
+        if (!around.has(stationId)) {
+            const position = origin.get(stationId);
+            around.set(stationId, position && position.latitude != null
+                ? index.nearby(position.latitude, position.longitude, radiusKm)
+                : []);
+        }
+        return around.get(stationId);
+    };
+
+    const days = new Map();
+    entries.forEach(entry => {
+        entry.cheapest = null;
+        const key = `${parisDay(entry.filledAt)}|${entry.fuel}`;
+        if (!days.has(key)) days.set(key, []);
+        days.get(key).push(entry);
+    });
+
+    days.forEach((dayEntries, key) => {
+        const [day, fuel] = key.split('|');
+        const stationIds = new Set();
+        dayEntries.forEach(entry => nearbyStations(entry.stationId).forEach(({ item }) => stationIds.add(item.id)));
+        if (stationIds.size === 0) return;
+
+        const [year, month, date] = day.split('-').map(Number);
+        const start = parisToIso(year, month, date);
+        const prices = new Map(lowest.all({
+            stationIds: JSON.stringify([...stationIds]),
+            fuel,
+            carriedSince: new Date(Date.parse(start) - CARRIED_PRICE_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+            start,
+            end: parisToIso(year, month, date + 1)
+        }).map(row => [row.station_id, row.price]));
+
+        dayEntries.forEach(entry => {
+            let cheapest = null;
+            nearbyStations(entry.stationId).forEach(({ item, distance }) => {
+                const price = prices.get(item.id);
+                if (price != null && (!cheapest || price < cheapest.price)) {
+                    cheapest = { stationId: item.id, price, distance: round2(distance) };
+                }
+            });
+            if (cheapest) {
+                entry.cheapest = {
+                    ...cheapest,
+                    // What filling up there would have saved; 0 when this was the cheapest
+                    missedSavings: round2(Math.max(0, (entry.price - cheapest.price) * entry.liters))
+                };
+            }
+        });
+    });
+}
+
+// Totals of fill-ups that closed a measured distance
+function consumptionStats(entries) {
+    const measured = entries.filter(entry => entry.distance);
+    const distance = measured.reduce((sum, entry) => sum + entry.distance, 0);
+    const liters = measured.reduce((sum, entry) => sum + entry.liters, 0);
+    const spent = measured.reduce((sum, entry) => sum + entry.total, 0);
+    return {
+        distance,
+        consumption: distance > 0 ? round2(liters / distance * 100) : null,
+        costPerKm: distance > 0 ? round3(spent / distance) : null
+    };
+}
+
+// An owner's logbook with per fill-up consumption (L/100km), cost per km and
+// comparison with the cheapest station within `radiusKm` that day, plus
+// totals per vehicle and spend per month
+function logbookReport(owner, { radiusKm = DEFAULT_RADIUS_KM } = {}, db = getDb()) {
+    const entries = listEntries(owner, db);
+
+    const byVehicle = new Map();
+    entries.forEach(entry => {
+        if (!byVehicle.has(entry.vehicle)) byVehicle.set(entry.vehicle, []);
+        byVehicle.get(entry.vehicle).push(entry);
+    });
+    byVehicle.forEach(fillUps => {
+        fillUps.sort((a, b) => a.odometer - b.odometer || a.filledAt.localeCompare(b.filledAt));
+        fillUps.forEach((entry, i) => {
+            const distance = i > 0 ? entry.odometer - fillUps[i - 1].odometer : 0;
+            entry.distance = distance > 0 ? distance : null;
+            entry.consumption = entry.distance ? round2(entry.liters / entry.distance * 100) : null;
+            entry.costPerKm = entry.distance ? round3(entry.total / entry.distance) : null;
+        });
+    });
+    compareWithCheapest(db, entries, radiusKm);
+
+    const months = new Map();
+    entries.forEach(entry => {
+        const month = parisDay(entry.filledAt).slice(0, 7);
+        const totals = months.get(month) || { month, fillUps: 0, liters: 0, spent: 0, missedSavings: 0 };
+        totals.fillUps++;
+        totals.liters += entry.liters;
+        totals.spent += entry.total;
+        totals.missedSavings += entry.cheapest ? entry.cheapest.missedSavings : 0;
+        months.set(month, totals);
+    });
+
+    const spent = entries.reduce((sum, entry) => sum + entry.total, 0);
+    return {
+        radiusKm,
+        entries: entries.reverse(),
+        vehicles: [...byVehicle].map(([vehicle, fillUps]) => ({
+            vehicle,
+            fillUps: fillUps.length,
+            odometer: fillUps[fillUps.length - 1].odometer,
+            ...consumptionStats(fillUps)
+        })),
+        monthly: [...months.values()]
+            .sort((a, b) => a.month.localeCompare(b.month))
+            .map(totals => ({ ...totals, liters: round2(totals.liters), spent: round2(totals.spent), missedSavings: round2(totals.missedSavings) })),
+        totals: {
+            fillUps: entries.length,
+            liters: round2(entries.reduce((sum, entry) => sum + entry.liters, 0)),
+            spent: round2(spent),
+            missedSavings: round2(entries.reduce((sum, entry) => sum + (entry.cheapest ? entry.cheapest.missedSavings : 0), 0)),
+            ...consumptionStats(entries)
+        }
+    };
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote fields containing the separator, quotes or line breaks, and keep
+// user text that looks like a formula as text behind a leading '
+function csvField(value) {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+    const lines = entries.map(entry => [
+        entry.filledAt, entry.vehicle, entry.stationId, entry.fuel,
+        entry.liters, entry.price, entry.total, entry.odometer
+    ].map(csvField).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+// Rows of a CSV document as arrays of fields, honouring quoted fields
+function parseCsvRows(text, separator) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Parse a logbook CSV with a header naming the CSV_COLUMNS, in any order
+// (price_per_liter or total may be left empty). Spreadsheet exports with ';'
+// and decimal commas are accepted too. Returns { value: [entry] } or
+// { error, errors: [{ path: 'line N', message }] }.
+function parseCsv(text) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const separator = firstLine.includes(';') ? ';' : ',';
+    const [header, ...rows] = parseCsvRows(content, separator);
+    if (!header) return { error: 'The CSV is empty', errors: [] };
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    const missing = CSV_COLUMNS.filter(name => !['price_per_liter', 'total', 'vehicle'].includes(name) && !columns.includes(name));
+    if (missing.length > 0) {
+        return { error: `Missing CSV columns: ${missing.join(', ')}`, errors: [] };
+    }
+    if (rows.length > MAX_ENTRIES_PER_OWNER) {
+        return { error: `At most ${MAX_ENTRIES_PER_OWNER} rows`, errors: [] };
+    }
+
+    const number = (value) => (separator === ';' ? String(value).replace(',', '.') : value);
+    const errors = [];
+    const value = [];
+    rows.forEach((fields, i) => {
+        const cell = (name) => (fields[columns.indexOf(name)] ?? '').trim();
+        const { value: entry, error } = parseEntry({
+            filledAt: cell('date'),
+            // Undo csvField's escaping so re-imports match the logged vehicle
+            vehicle: cell('vehicle').replace(/^'(?=[=+\-@])/, ''),
+            stationId: cell('station_id'),
+            fuel: cell('fuel'),
+            liters: number(cell('liters')),
+            price: cell('price_per_liter') === '' ? null : number(cell('price_per_liter')),
+            total: number(cell('total')),
+            odometer: number(cell('odometer_km'))
+        });
+        if (error) {
+            errors.push({ path: `line ${i + 2}`, message: error });
+        } else {
+            value.push(entry);
+        }
+    });
+    if (errors.length > 0) {
+        return { error: `${errors.length} invalid row(s); nothing was imported`, errors };
+    }
+    return { value };
+}
+
+module.exports = {
+    MAX_ENTRIES_PER_OWNER,
+    MAX_RADIUS_KM,
+    DEFAULT_RADIUS_KM,
+    parseFilledAt,
+    parseEntry,
+    listEntries,
+    createEntry,
+    addEntries,
+    deleteEntry,
+    logbookReport,
+    toCsv,
+    parseCsv
+};
@@ -0,0 +1,56 @@
+const { FUELS, priceField, updateField } = require('./fuels');
+const { isOpenAt } = require('./amenities');
+
+// Normalized Station shape served by the versioned API (/api/v1). Internally
+// stations keep the instantaneous feed's field layout; this is the only place
+// that knows about it, so upstream schema changes stop here.
+//
+// {
+//   id, brand, brandId,
+//   address: { street, postalCode, city, departement, departementCode, region, regionCode },
+//   location: { lat, lon },
+//   roadType: 'road' | 'motorway' | null,
+//   prices: [{ fuel, price, updatedAt }],
+//   shortages: [{ fuel, type: 'temporary' | 'permanent', since }],
+//   services: [string],
+//   amenities: [service id],
+//   hours: { automate24, days: [{ day, name, closed, ranges: [{ open, close }] }] } | null,
+//   openNow: boolean | null
+// }
+
+const ROAD_TYPES = { R: 'road', A: 'motorway' };
+
+function toStation(raw) {
+    return {
+        id: String(raw.id),
+        brand: raw.brand || null,
+        brandId: raw.brand_id || null,
+        address: {
+            street: raw.adresse || null,
+            postalCode: raw.cp || null,
+            city: raw.ville || null,
+            departement: raw.departement || null,
+            departementCode: raw.code_departement || null,
+            region: raw.region || null,
+            regionCode: raw.code_region || null
+        },
+        location: raw.geom ? { lat: raw.geom[0], lon: raw.geom[1] } : null,
+        roadType: ROAD_TYPES[raw.pop] || null,
+        prices: FUELS
+            .filter(fuel => raw[priceField(fuel)] != null)
+            .map(fuel => ({ fuel, price: raw[priceField(fuel)], updatedAt: raw[updateField(fuel)] || null })),
+        shortages: raw.shortages || [],
+        services: raw.services || [],
+        amenities: raw.service_ids || [],
+        hours: raw.hours || null,
+        openNow: isOpenAt(raw.hours)
+    };
+}
+
+// A station plus the ranking fields nearby searches add (cost only when
+// searching for a fuel)
+function toRankedStation(raw) {
+    return { ...toStation(raw), distance: raw.distance, score: raw.score, cost: raw.cost || null };
+}
+
+module.exports = { ROAD_TYPES, toStation, toRankedStation };
@@ -0,0 +1,65 @@
+const { createUpstreamClient } = require('./upstream');
+
+const ODS_BASE_URL = process.env.ODS_BASE_URL || 'https://data.economie.gouv.fr/api/records/1.0/search/';
+const DATASET = 'prix-des-carburants-en-france-flux-instantane-v2';
+// The search API caps start + rows at 10,000, fewer than there are stations
+// in France: the whole dataset comes from the download endpoint instead
+const ODS_EXPORT_URL = process.env.ODS_EXPORT_URL || ODS_BASE_URL.replace(/search\/?$/, 'download/');
+
+const odsClient = createUpstreamClient({
+    name: 'data.economie.gouv.fr',
+    timeoutMs: Number(process.env.ODS_TIMEOUT_MS) || 20000,
+    retries: process.env.ODS_RETRIES != null ? Number(process.env.ODS_RETRIES) : 2,
+    concurrency: Number(process.env.ODS_CONCURRENCY) || 4,
+    failureThreshold: Number(process.env.ODS_BREAKER_THRESHOLD) || 5,
+    resetMs: Number(process.env.ODS_BREAKER_RESET_MS) || 30000
+});
+
+// Helper to call Opendatasoft v1 search API with proper facet/refine params
+async function odsSearch({ filters = {}, start = 0, rows = 10000, facets = [] } = {}) {
+    try {
+        const now = Date.now();
+        const params = new URLSearchParams();
+        params.append('dataset', DATASET);
+        params.append('rows', String(rows));
+        if (start) params.append('start', String(start));
+
+        // facets
+        (facets && facets.length ? facets : []).forEach(f => params.append('facet', f));
+
+        // refine.<facet>
+        if (filters.region) params.append('refine.region', filters.region);
+        if (filters.departement) params.append('refine.departement', filters.departement);
+        if (filters.ville) params.append('refine.ville', filters.ville);
+        if (filters.code_postal) params.append('refine.code_postal', filters.code_postal);
+
+        if (filters.q) params.append('q', filters.q);
+
+        const url = `${ODS_BASE_URL}?${params.toString()}`;
+        const response = await odsClient.get(url);
+        return { data: response.data, fetchedAt: now };
+    } catch (error) {
+        console.error(`Error calling ODS search (${error.category}):`, error.message);
+        throw error;
+    }
+}
+
+// Every record of the dataset, as an array of { recordid, fields, geometry }
+async function odsExport() {
+    try {
+        const now = Date.now();
+        const params = new URLSearchParams({ dataset: DATASET, format: 'json' });
+        const response = await odsClient.get(`${ODS_EXPORT_URL}?${params.toString()}`, {
+            timeout: Number(process.env.ODS_EXPORT_TIMEOUT_MS) || 120000
+        });
+        if (!Array.isArray(response.data)) {
+            throw new Error('Unexpected ODS export format');
+        }
+        return { records: response.data, fetchedAt: now };
+    } catch (error) {
+        console.error(`Error calling ODS export (${error.category || 'invalid_response'}):`, error.message);
+        throw error;
+    }
+}
+
+module.exports = { odsSearch, odsExport, odsClient, DATASET };
@@ -0,0 +1,1591 @@
+const { FUELS } = require('./fuels');
+const { ROAD_TYPES } = require('./model');
+const { INTERVALS } = require('./analytics');
+const { HORIZONS } = require('./forecast');
+const { SORTS } = require('./stations');
+const { CONDITIONS } = require('./alerts');
+const { CATEGORIES } = require('./brandRegistry');
+const { SERVICE_IDS } = require('./amenities');
+const { MAX_FAVORITES } = require('./profile');
+const { MAX_RADIUS_KM: LOGBOOK_MAX_RADIUS_KM, DEFAULT_RADIUS_KM: LOGBOOK_DEFAULT_RADIUS_KM } = require('./logbook');
+
+// OpenAPI 3 contract of every backend route. Requests are validated against
+// it before reaching the handlers (see server.js); responses too outside
+// production. Served at /api/openapi.json and browsable at /api/docs.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+
+const errorResponses = (...codes) => Object.fromEntries(codes.map(code => [code, { $ref: `#/components/responses/${code}` }]));
+
+// Fuels are matched case-insensitively by the handlers
+const fuelSchema = { type: 'string', pattern: '^[A-Za-z0-9]{2,10}$', example: 'Gazole', description: `One of ${FUELS.join(', ')} (case-insensitive)` };
+const nullableNumber = { type: 'number', nullable: true };
+const nullableString = { type: 'string', nullable: true };
+
+// Also inlined where it can be null: `nullable` needs a `type` next to it
+const trueCostSchema = {
+    type: 'object',
+    description: 'Cost in euros of filling up at a station, including the fuel burnt driving there and back. ' +
+        'Savings compare it with the nearest station that has the fuel (nearestId).',
+    required: ['fill', 'detour', 'detourLiters', 'total'],
+    properties: {
+        fill: { type: 'number' },
+        detour: { type: 'number' },
+        detourLiters: { type: 'number' },
+        total: { type: 'number' },
+        nearestId: nullableString,
+        priceSavings: { ...nullableNumber, description: 'What the price difference saves on the fill' },
+        extraDetour: { ...nullableNumber, description: 'Extra detour cost compared with the nearest station' },
+        savings: { ...nullableNumber, description: 'priceSavings minus extraDetour' }
+    }
+};
+
+const spec = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Fuel Price Predictor API',
+        version: '1.0.0',
+        description: 'French fuel prices: live station data, price history, forecasts, trip planning and price alerts.\n\n' +
+            'Routes under /api/v1 serve normalized Station objects; the unversioned station routes keep the ' +
+            'field layout of the government instantaneous feed.'
+    },
+    servers: [{ url: '/' }, { url: '/fuelprice' }],
+    tags: [
+        { name: 'Stations (v1)' },
+        { name: 'Locations' },
+        { name: 'Stations' },
+        { name: 'History' },
+        { name: 'Forecast' },
+        { name: 'Trips' },
+        { name: 'Alerts' },
+        { name: 'Profile' },
+        { name: 'Logbook' },
+        { name: 'Admin' },
+        { name: 'Health' }
+    ],
+    paths: {
+        '/api/v1/stations': {
+            get: {
+                tags: ['Stations (v1)'],
+                summary: 'Stations matching location filters, a page at a time',
+                parameters: [
+                    { name: 'region', in: 'query', schema: { type: 'string', maxLength: 100 } },
+                    { name: 'departement', in: 'query', schema: { type: 'string', maxLength: 100 } },
+                    { name: 'city', in: 'query', schema: { type: 'string', maxLength: 100 } },
+                    { name: 'postalCode', in: 'query', schema: { type: 'string', pattern: '^\\d{5}$' } },
+                    { name: 'q', in: 'query', description: 'Words matched against brand, address, town, postal code, departement and region', schema: { type: 'string', maxLength: 200 } },
+                    { name: 'start', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+                    { name: 'rows', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 100 } }
+                ],
+                responses: {
+                    200: {
+                        description: 'Page of stations',
+                        ...json({
+                            type: 'object',
+                            required: ['total', 'start', 'stations'],
+                            properties: {
+                                total: { type: 'integer' },
+                                start: { type: 'integer' },
+                                stations: { type: 'array', items: ref('Station') }
+                            }
+                        })
+                    },
+                    ...errorResponses(400, 500)
+                }
+            }
+        },
+        '/api/v1/stations/viewport': {
+            get: {
+                tags: ['Stations (v1)'],
+                summary: 'Stations in a map viewport, clustered at low zoom',
+                parameters: [param('bbox'), param('zoom'), param('optionalFuel'), param('brand'), param('category'), param('openNow'), param('automate24'), param('services')],
+                responses: {
+                    200: { description: 'Stations or clusters', ...json(ref('StationViewport')) },
+                    ...errorResponses(400, 500)
+                }
+            }
+        },
+        '/api/v1/stations/nearby': {
+            get: {
+                tags: ['Stations (v1)'],
+                summary: 'Nearest or cheapest stations around a point',
+                parameters: [param('lat'), param('lon'), param('optionalFuel'), param('brand'), param('category'), param('openNow'), param('automate24'), param('services'), param('includeShortages'), param('sort'), param('consumption'), param('fillLiters'), param('radius'), param('limit')],
+                responses: {
+                    200: {
+                        description: 'Ranked stations',
+                        ...json({
+                            type: 'object',
+                            required: ['lat', 'lon', 'sort', 'radius', 'total', 'stations'],
+                            properties: {
+                                lat: { type: 'number' },
+                                lon: { type: 'number' },
+                                fuel: nullableString,
+                                sort: { type: 'string', enum: SORTS },
+                                vehicle: {
+                                    type: 'object',
+                                    properties: { consumption: { type: 'number' }, fillLiters: { type: 'number' } }
+                                },
+                                radius: { type: 'number' },
+                                total: { type: 'integer' },
+                                stations: { type: 'array', items: ref('RankedStation') }
+                            }
+                        })
+                    },
+                    ...errorResponses(400, 500)
+                }
+            }
+        },
+        '/api/v1/stations/summary': {
+            get: {
+                tags: ['Stations (v1)'],
+                summary: "A few stations compared with their departement's average, with their recent price changes",
+                parameters: [
+                    param('stationIds'),
+                    { name: 'days', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 90, default: 7 }, description: 'How far back changes go' }
+                ],
+                responses: {
+                    200: {
+                        description: 'Station summaries',
+                        ...json({
+                            type: 'object',
+                            required: ['days', 'stations', 'missing'],
+                            properties: {
+                                days: { type: 'integer' },
+                                stations: { type: 'array', items: ref('StationSummary') },
+                                missing: { type: 'array', items: { type: 'string' }, description: 'Requested ids with no current data' }
+                            }
+                        })
+                    },
+                    ...errorResponses(400, 500)
+                }
+            }
+        },
+        '/api/v1/stations/history': {
+            get: {
+                tags: ['Stations (v1)'],
+                summary: 'Recorded price changes of a few stations at once',
+                parameters: [param('stationIds'), param('optionalFuel'), param('days')],
+                responses: {
+                    200: { description: 'Price changes per station', ...json(ref('StationHistories')) },
+                    ...errorResponses(400, 500)
+                }
+            }
+        },
+        '/api/v1/stations/{id}': {
+            get: {
+                tags: ['Stations (v1)'],
+                summary: 'A single station',
+                parameters: [param('stationId')],
+                responses: {
+                    200: { description: 'Station', ...json(ref('Station')) },
+                    ...errorResponses(400, 404, 500)
+                }
+            }
+        },
+        '/api/v1/stations/{id}/history': {
+            get: {
+                tags: ['Stations (v1)'],
+                summary: 'Recorded price changes of a station',
+                parameters: [param('stationId'), param('optionalFuel'), param('days')],
+                responses: {
+                    200: { description: 'Price changes', ...json(ref('StationHistory')) },
+                    ...errorResponses(400, 404, 500)
+                }
+            }
+        },
+        '/api/v1/fuels': {
+            get: {
+                tags: ['Stations (v1)'],
+                summary: 'Fuel catalog, with the vehicle types and services it refers to',
+                responses: {
+                    200: {
+                        description: 'Fuel catalog',
+                        ...json({
+                            type: 'object',
+                            required: ['fuels', 'vehicles', 'services'],
+                            properties: {
+                                fuels: { type: 'array', items: ref('Fuel') },
+                                vehicles: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['id', 'label'],
+                                        properties: { id: { type: 'string' }, label: { type: 'string' } }
+                                    }
+                                },
+                                services: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['id', 'label'],
+                                        properties: { id: { type: 'string', enum: SERVICE_IDS }, label: { type: 'string' } }
+                                    }
+                                }
+                            }
+                        })
+                    }
+                }
+            }
+        },
+        '/api/v1/services': {
+            get: {
+                tags: ['Stations (v1)'],
+                summary: 'Services stations can be filtered on',
+                responses: {
+                    200: {
+                        description: 'Services',
+                        ...json({
+                            type: 'object',
+                            required: ['services'],
+                            properties: {
+                                services: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['id', 'label'],
+                                        properties: { id: { type: 'string', enum: SERVICE_IDS }, label: { type: 'string' } }
+                                    }
+                                }
+                            }
+                        })
+                    }
+                }
+            }
+        },
+        '/api/v1/brands': {
+            get: {
+                tags: ['Stations (v1)'],
+                summary: 'Canonical brand registry',
+                responses: {
+                    200: {
+                        description: 'Brands',
+                        ...json({
+                            type: 'object',
+                            required: ['categories', 'brands'],
+                            properties: {
+                                categories: { type: 'array', items: { type: 'string' } },
+                                brands: {
+                                    type: 'array',
+                                    items: {
+                                        allOf: [
+                                            ref('Brand'),
+                                            { type: 'object', properties: { stations: { type: 'integer', description: 'Stations carrying the brand' } } }
+                                        ]
+                                    }
+                                }
+                            }
+                        })
+                    },
+                    ...errorResponses(500)
+                }
+            }
+        },
+        '/api/v1/brands/comparison': {
+            get: {
+                tags: ['Stations (v1)'],
+                summary: 'Average current price per brand, nationally or in one region',
+                parameters: [param('fuel'), param('region')],
+                responses: {
+                    200: {
+                        description: 'Brand averages, cheapest first',
+                        ...json({
+                            type: 'object',
+                            required: ['fuel', 'regions', 'overall', 'brands'],
+                            properties: {
+                                fuel: { type: 'string' },
+                                region: nullableString,
+                                regions: { type: 'array', items: { type: 'string' } },
+                                overall: {
+                                    type: 'object',
+                                    properties: { count: { type: 'integer' }, average: nullableNumber }
+                                },
+                                brands: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['brand', 'count', 'average'],
+                                        properties: {
+                                            brand: ref('Brand'),
+                                            count: { type: 'integer' },
+                                            average: { type: 'number' },
+                                            min: { type: 'number' },
+                                            max: { type: 'number' },
+                                            difference: { type: 'number', description: 'Against the average over every station of the area' }
+                                        }
+                                    }
+                                }
+                            }
+                        })
+                    },
+                    ...errorResponses(400, 500)
+                }
+            }
+        },
+        '/api/v1/brands/{id}/badge.svg': {
+            get: {
+                tags: ['Stations (v1)'],
+                summary: "Placeholder badge with the brand's initials in its colour",
+                parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-z0-9-]{1,40}$' } }],
+                responses: {
+                    200: { description: 'SVG image', content: { 'image/svg+xml': { schema: { type: 'string' } } } },
+                    ...errorResponses(404)
+                }
+            }
+        },
+        '/api/v1/trips/plan': {
+            post: {
+                tags: ['Stations (v1)', 'Trips'],
+                summary: 'Cheapest refuelling stops between two points',
+                requestBody: { required: true, ...json(ref('TripRequest')) },
+                responses: {
+                    200: { description: 'Trip plan', ...json(ref('TripPlan')) },
+                    ...errorResponses(400, 502, 503, 504)
+                }
+            }
+        },
+
+        '/api/regions': {
+            get: {
+                tags: ['Locations'],
+                summary: 'All regions',
+                responses: {
+                    200: { description: 'Region names', ...json({ type: 'array', items: { type: 'string' } }) },
+                    ...errorResponses(500, 502, 503, 504)
+                }
+            }
+        },
+        '/api/departments/{region}': {
+            get: {
+                tags: ['Locations'],
+                summary: 'Departements of a region',
+                parameters: [{ name: 'region', in: 'path', required: true, schema: { type: 'string', minLength: 2, maxLength: 100, pattern: '^[^/<>]+$' } }],
+                responses: {
+                    200: { description: 'Departement names', ...json({ type: 'array', items: { type: 'string' } }) },
+                    ...errorResponses(400, 500, 502, 503, 504)
+                }
+            }
+        },
+        '/api/towns/{department}': {
+            get: {
+                tags: ['Locations'],
+                summary: 'Towns of a departement',
+                parameters: [{ name: 'department', in: 'path', required: true, schema: { type: 'string', minLength: 2, maxLength: 100, pattern: '^[^/<>]+$' } }],
+                responses: {
+                    200: { description: 'Town names', ...json({ type: 'array', items: { type: 'string' } }) },
+                    ...errorResponses(400, 500, 502, 503, 504)
+                }
+            }
+        },
+        '/api/fuel-prices': {
+            get: {
+                tags: ['Locations'],
+                summary: 'Station records in the feed format, optionally filtered and paged',
+                parameters: [
+                    { name: 'region', in: 'query', schema: { type: 'string', maxLength: 100 } },
+                    { name: 'departement', in: 'query', schema: { type: 'string', maxLength: 100 } },
+                    { name: 'ville', in: 'query', schema: { type: 'string', maxLength: 100 } },
+                    { name: 'code_postal', in: 'query', schema: { type: 'string', pattern: '^\\d{5}$' } },
+                    { name: 'query', in: 'query', schema: { type: 'string', maxLength: 200 } },
+                    { name: 'start', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+                    { name: 'rows', in: 'query', description: 'Page size; every match is returned when omitted', schema: { type: 'integer', minimum: 1, maximum: 20000 } }
+                ],
+                responses: {
+                    200: {
+                        description: 'Records',
+                        ...json({
+                            type: 'object',
+                            required: ['source', 'nhits', 'records'],
+                            properties: {
+                                source: { type: 'string', enum: ['local', 'ods'] },
+                                nhits: { type: 'integer' },
+                                start: { type: 'integer' },
+                                rows: { type: 'integer' },
+                                records: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: { recordid: { type: 'string' }, fields: ref('FeedStation') }
+                                    }
+                                }
+                            }
+                        })
+                    },
+                    ...errorResponses(400, 500, 502, 503, 504)
+                }
+            }
+        },
+        '/api/search': {
+            get: {
+                tags: ['Locations'],
+                summary: 'Regions, departements, towns and postal codes matching a query',
+                parameters: [{ name: 'q', in: 'query', allowEmptyValue: true, schema: { type: 'string', maxLength: 100 } }],
+                responses: {
+                    200: {
+                        description: 'Matches',
+                        ...json({
+                            type: 'object',
+                            required: ['regions', 'departments', 'towns', 'zips'],
+                            properties: {
+                                regions: { type: 'array', items: { type: 'string' } },
+                                departments: { type: 'array', items: { type: 'string' } },
+                                towns: { type: 'array', items: { type: 'string' } },
+                                zips: { type: 'array', items: { type: 'string' } }
+                            }
+                        })
+                    },
+                    ...errorResponses(400, 500, 502, 503, 504)
+                }
+            }
+        },
+        '/api/cache/stats': {
+            get: {
+                tags: ['Health'],
+                summary: 'Hit/miss counters of the upstream proxy cache',
+                responses: {
+                    200: {
+                        description: 'Cache statistics',
+                        ...json({
+                            type: 'object',
+                            required: ['entries', 'bytes', 'hits', 'misses'],
+                            properties: {
+                                entries: { type: 'integer' },
+                                bytes: { type: 'integer' },
+                                maxEntries: { type: 'integer' },
+                                maxBytes: { type: 'integer' },
+                                hits: { type: 'integer' },
+                                misses: { type: 'integer' },
+                                stale: { type: 'integer' },
+                                staleOnError: { type: 'integer' },
+                                errors: { type: 'integer' },
+                                evictions: { type: 'integer' },
+                                hitRate: nullableNumber
+                            }
+                        })
+                    }
+                }
+            }
+        },
+
+        '/api/stations': {
+            get: {
+                tags: ['Stations'],
+                summary: 'Stations in a map viewport (feed format), clustered at low zoom',
+                parameters: [param('bbox'), param('zoom'), param('optionalFuel')],
+                responses: {
+                    200: { description: 'Stations or clusters', ...json(ref('FeedStationViewport')) },
+                    ...errorResponses(400, 500)
+                }
+            }
+        },
+        '/api/stations/nearby': {
+            get: {
+                tags: ['Stations'],
+                summary: 'Nearest or cheapest stations around a point (feed format)',
+                parameters: [param('lat'), param('lon'), param('optionalFuel'), param('legacySort'), param('radius'), param('limit')],
+                responses: {
+                    200: {
+                        description: 'Ranked stations',
+                        ...json({
+                            type: 'object',
+                            required: ['radius', 'total', 'stations'],
+                            properties: {
+                                radius: { type: 'number' },
+                                total: { type: 'integer' },
+                                stations: { type: 'array', items: ref('FeedStation') }
+                            }
+                        })
+                    },
+                    ...errorResponses(400, 500)
+                }
+            }
+        },
+        '/api/stations/history': {
+            get: {
+                tags: ['Stations'],
+                summary: 'Recorded price changes of a few stations at once',
+                parameters: [param('stationIds'), param('optionalFuel'), param('days')],
+                responses: {
+                    200: { description: 'Price changes per station', ...json(ref('StationHistories')) },
+                    ...errorResponses(400, 500)
+                }
+            }
+        },
+        '/api/stations/{id}/history': {
+            get: {
+                tags: ['Stations'],
+                summary: 'Recorded price changes of a station',
+                parameters: [param('stationId'), param('optionalFuel'), param('days')],
+                responses: {
+                    200: { description: 'Price changes', ...json(ref('StationHistory')) },
+                    ...errorResponses(400, 404, 500)
+                }
+            }
+        },
+        '/api/prices/by-departement': {
+            get: {
+                tags: ['Stations'],
+                summary: 'Current average price of a fuel per departement',
+                parameters: [param('fuel')],
+                responses: {
+                    200: {
+                        description: 'Averages',
+                        ...json({
+                            type: 'object',
+                            required: ['fuel', 'departements'],
+                            properties: {
+                                fuel: { type: 'string' },
+                                departements: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['code', 'count', 'average'],
+                                        properties: {
+                                            code: { type: 'string' },
+                                            name: nullableString,
+                                            count: { type: 'integer' },
+                                            average: { type: 'number' },
+                                            min: { type: 'number' },
+                                            max: { type: 'number' }
+                                        }
+                                    }
+                                }
+                            }
+                        })
+                    },
+                    ...errorResponses(400, 500)
+                }
+            }
+        },
+        '/api/shortages': {
+            get: {
+                tags: ['Stations'],
+                summary: 'Stations reporting a fuel (or any fuel) out of stock, per departement',
+                parameters: [param('optionalFuel')],
+                responses: {
+                    200: {
+                        description: 'Shortage counts',
+                        ...json({
+                            type: 'object',
+                            required: ['totals', 'departements'],
+                            properties: {
+                                fuel: nullableString,
+                                totals: ref('ShortageCounts'),
+                                departements: {
+                                    type: 'array',
+                                    items: {
+                                        allOf: [
+                                            ref('ShortageCounts'),
+                                            {
+                                                type: 'object',
+                                                required: ['code', 'share'],
+                                                properties: {
+                                                    code: { type: 'string' },
+                                                    name: nullableString,
+                                                    share: { type: 'number', description: 'Affected stations / stations' },
+                                                    byFuel: { type: 'object', additionalProperties: { type: 'integer' } }
+                                                }
+                                            }
+                                        ]
+                                    }
+                                }
+                            }
+                        })
+                    },
+                    ...errorResponses(400, 500)
+                }
+            }
+        },
+        '/api/trips/plan': {
+            post: {
+                tags: ['Trips'],
+                summary: 'Cheapest refuelling stops between two points (feed format stations)',
+                requestBody: { required: true, ...json(ref('TripRequest')) },
+                responses: {
+                    200: { description: 'Trip plan', ...json(ref('TripPlan')) },
+                    ...errorResponses(400, 502, 503, 504)
+                }
+            }
+        },
+
+        '/api/history/average': {
+            get: {
+                tags: ['History'],
+                summary: 'Average price time series',
+                parameters: [
+                    param('fuel'),
+                    param('region'),
+                    param('departement'),
+                    { name: 'roadType', in: 'query', schema: { type: 'string', enum: Object.values(ROAD_TYPES) }, description: 'Only stations on roads or on motorways' },
+                    { name: 'interval', in: 'query', schema: { type: 'string', enum: INTERVALS, default: 'day' } },
+                    { name: 'from', in: 'query', schema: { type: 'string', maxLength: 40 }, description: 'Date or date-time, defaults to 90 days before `to`' },
+                    { name: 'to', in: 'query', schema: { type: 'string', maxLength: 40 }, description: 'Date or date-time, defaults to now' }
+                ],
+                responses: {
+                    200: {
+                        description: 'Buckets',
+                        ...json({
+                            type: 'object',
+                            required: ['fuel', 'interval', 'from', 'to', 'buckets'],
+                            properties: {
+                                fuel: { type: 'string' },
+                                interval: { type: 'string', enum: INTERVALS },
+                                from: { type: 'string', format: 'date-time' },
+                                to: { type: 'string', format: 'date-time' },
+                                region: nullableString,
+                                departement: nullableString,
+                                roadType: { type: 'string', enum: [...Object.values(ROAD_TYPES), null], nullable: true },
+                                buckets: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['period', 'count'],
+                                        properties: {
+                                            period: { type: 'string' },
+                                            start: { type: 'string' },
+                                            mean: nullableNumber,
+                                            median: nullableNumber,
+                                            min: nullableNumber,
+                                            max: nullableNumber,
+                                            count: { type: 'integer' }
+                                        }
+                                    }
+                                }
+                            }
+                        })
+                    },
+                    ...errorResponses(400, 500)
+                }
+            }
+        },
+        '/api/history/import': {
+            post: {
+                tags: ['Admin'],
+                summary: 'Import a PrixCarburants yearly archive (zip or XML)',
+                security: [{ adminToken: [] }],
+                parameters: [{ name: 'name', in: 'query', schema: { type: 'string', maxLength: 100 }, description: 'Label stored as the history source' }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/zip': { schema: { type: 'string', format: 'binary' } },
+                        'application/octet-stream': { schema: { type: 'string', format: 'binary' } },
+                        'application/xml': { schema: { type: 'string', format: 'binary' } },
+                        'text/xml': { schema: { type: 'string', format: 'binary' } }
+                    }
+                },
+                responses: {
+                    200: { description: 'Import summary', ...json({ type: 'object' }) },
+                    ...errorResponses(400, 401, 500)
+                }
+            }
+        },
+
+        '/api/forecast': {
+            get: {
+                tags: ['Forecast'],
+                summary: 'Forecast of the daily average price with 95% bands',
+                parameters: [
+                    param('fuel'),
+                    param('region'),
+                    param('departement'),
+                    param('horizon'),
+                    { name: 'history', in: 'query', schema: { type: 'integer', minimum: 30, maximum: 730, default: 180 }, description: 'Days of history to fit on' }
+                ],
+                responses: {
+                    200: {
+                        description: 'Forecast',
+                        ...json({
+                            type: 'object',
+                            required: ['fuel', 'horizon', 'series', 'model', 'forecast'],
+                            properties: {
+                                fuel: { type: 'string' },
+                                region: nullableString,
+                                departement: nullableString,
+                                horizon: { type: 'integer', enum: HORIZONS },
+                                confidence: { type: 'number' },
+                                series: { type: 'array', items: ref('SeriesPoint') },
+                                model: { type: 'object' },
+                                forecast: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['date', 'value', 'lower', 'upper'],
+                                        properties: {
+                                            date: { type: 'string' },
+                                            value: { type: 'number' },
+                                            lower: { type: 'number' },
+                                            upper: { type: 'number' }
+                                        }
+                                    }
+                                }
+                            }
+                        })
+                    },
+                    422: { description: 'Not enough history to forecast yet', ...json(ref('Error')) },
+                    ...errorResponses(400, 500)
+                }
+            }
+        },
+        '/api/forecast/backtest': {
+            get: {
+                tags: ['Forecast'],
+                summary: 'Forecast accuracy on held-out history',
+                parameters: [
+                    param('fuel'),
+                    param('region'),
+                    param('departement'),
+                    param('horizon'),
+                    { name: 'folds', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 6, default: 4 } },
+                    { name: 'history', in: 'query', schema: { type: 'integer', minimum: 60, maximum: 180, default: 180 }, description: 'Days of history to backtest over' }
+                ],
+                responses: {
+                    200: {
+                        description: 'Error metrics',
+                        ...json({
+                            type: 'object',
+                            required: ['fuel', 'horizon', 'points', 'folds', 'scored'],
+                            properties: {
+                                fuel: { type: 'string' },
+                                horizon: { type: 'integer' },
+                                points: { type: 'integer' },
+                                folds: { type: 'integer', description: 'Folds with at least one recorded day' },
+                                scored: { type: 'integer', description: 'Recorded days scored; interpolated days are not' },
+                                mae: nullableNumber,
+                                rmse: nullableNumber,
+                                mape: nullableNumber,
+                                naiveMae: nullableNumber,
+                                maeByStep: { type: 'array', items: { type: 'object' } }
+                            }
+                        })
+                    },
+                    ...errorResponses(400, 500)
+                }
+            }
+        },
+
+        '/api/alerts/channels': {
+            get: {
+                tags: ['Alerts'],
+                summary: 'Notification channels configured on this server',
+                responses: {
+                    200: {
+                        description: 'Channels',
+                        ...json({
+                            type: 'object',
+                            required: ['channels'],
+                            properties: {
+                                channels: { type: 'array', items: { type: 'string' } },
+                                vapidPublicKey: nullableString
+                            }
+                        })
+                    }
+                }
+            }
+        },
+        '/api/alerts': {
+            get: {
+                tags: ['Alerts'],
+                summary: "The owner's alerts",
+                security: [{ ownerToken: [] }],
+                responses: {
+                    200: {
+                        description: 'Alerts',
+                        ...json({ type: 'object', required: ['alerts'], properties: { alerts: { type: 'array', items: ref('Alert') } } })
+                    },
+                    ...errorResponses(401, 500)
+                }
+            },
+            post: {
+                tags: ['Alerts'],
+                summary: 'Create an alert',
+                security: [{ ownerToken: [] }],
+                requestBody: { required: true, ...json(ref('AlertInput')) },
+                responses: {
+                    201: { description: 'Created alert', ...json(ref('Alert')) },
+                    409: { description: 'Too many alerts for this owner', ...json(ref('Error')) },
+                    ...errorResponses(400, 401, 500)
+                }
+            }
+        },
+        '/api/alerts/{id}': {
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }],
+            get: {
+                tags: ['Alerts'],
+                summary: 'One alert',
+                security: [{ ownerToken: [] }],
+                responses: {
+                    200: { description: 'Alert', ...json(ref('Alert')) },
+                    ...errorResponses(400, 401, 404, 500)
+                }
+            },
+            patch: {
+                tags: ['Alerts'],
+                summary: 'Change some fields of an alert',
+                security: [{ ownerToken: [] }],
+                requestBody: { required: true, ...json(ref('AlertPatch')) },
+                responses: {
+                    200: { description: 'Updated alert', ...json(ref('Alert')) },
+                    ...errorResponses(400, 401, 404, 500)
+                }
+            },
+            delete: {
+                tags: ['Alerts'],
+                summary: 'Delete an alert',
+                security: [{ ownerToken: [] }],
+                responses: {
+                    204: { description: 'Deleted' },
+                    ...errorResponses(400, 401, 404, 500)
+                }
+            }
+        },
+
+        '/api/profile/favorites': {
+            get: {
+                tags: ['Profile'],
+                summary: "The owner's favorite stations",
+                security: [{ ownerToken: [] }],
+                responses: {
+                    200: { description: 'Favorites', ...json(ref('Favorites')) },
+                    ...errorResponses(401, 500)
+                }
+            },
+            put: {
+                tags: ['Profile'],
+                summary: "Replace the owner's favorite stations",
+                security: [{ ownerToken: [] }],
+                requestBody: {
+                    required: true,
+                    ...json({
+                        type: 'object',
+                        required: ['favorites'],
+                        properties: {
+                            favorites: {
+                                type: 'array',
+                                maxItems: MAX_FAVORITES,
+                                items: {
+                                    oneOf: [
+                                        { type: 'string' },
+                                        ref('Favorite')
+                                    ]
+                                }
+                            }
+                        }
+                    })
+                },
+                responses: {
+                    200: { description: 'Saved favorites', ...json(ref('Favorites')) },
+                    ...errorResponses(400, 401, 500)
+                }
+            }
+        },
+        '/api/logbook': {
+            get: {
+                tags: ['Logbook'],
+                summary: "The owner's fill-ups with consumption, spend and missed savings",
+                security: [{ ownerToken: [] }],
+                parameters: [{
+                    name: 'radiusKm',
+                    in: 'query',
+                    description: 'Radius of the cheapest station each fill-up is compared with',
+                    schema: { type: 'number', exclusiveMinimum: true, minimum: 0, maximum: LOGBOOK_MAX_RADIUS_KM, default: LOGBOOK_DEFAULT_RADIUS_KM }
+                }],
+                responses: {
+                    200: { description: 'Logbook report', ...json(ref('LogbookReport')) },
+                    ...errorResponses(400, 401, 500)
+                }
+            },
+            post: {
+                tags: ['Logbook'],
+                summary: 'Log a fill-up',
+                security: [{ ownerToken: [] }],
+                requestBody: { required: true, ...json(ref('LogbookEntryInput')) },
+                responses: {
+                    201: { description: 'Logged fill-up', ...json(ref('LogbookEntry')) },
+                    409: { description: 'Too many entries for this owner', ...json(ref('Error')) },
+                    ...errorResponses(400, 401, 500)
+                }
+            }
+        },
+        '/api/logbook/export': {
+            get: {
+                tags: ['Logbook'],
+                summary: 'Download the logbook as CSV',
+                security: [{ ownerToken: [] }],
+                responses: {
+                    200: {
+                        description: 'CSV with a date,vehicle,station_id,fuel,liters,price_per_liter,total,odometer_km header',
+                        content: { 'text/csv': { schema: { type: 'string' } } }
+                    },
+                    ...errorResponses(401, 500)
+                }
+            }
+        },
+        '/api/logbook/import': {
+            post: {
+                tags: ['Logbook'],
+                summary: 'Add the fill-ups of a CSV in the export format',
+                description: 'Columns may come in any order; price_per_liter or total may be empty. ' +
+                    "';'-separated files with decimal commas are accepted. Dates are ISO timestamps, or French local " +
+                    'YYYY-MM-DD or DD/MM/YYYY dates with an optional HH:MM time. ' +
+                    'Nothing is imported when a row is invalid, ' +
+                    'and fill-ups already logged (same vehicle, date and odometer) are skipped.',
+                security: [{ ownerToken: [] }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'text/csv': { schema: { type: 'string' } },
+                        'text/plain': { schema: { type: 'string' } }
+                    }
+                },
+                responses: {
+                    200: {
+                        description: 'Import summary',
+                        ...json({
+                            type: 'object',
+                            required: ['imported', 'skipped'],
+                            properties: { imported: { type: 'integer' }, skipped: { type: 'integer' } }
+                        })
+                    },
+                    409: { description: 'Too many entries for this owner', ...json(ref('Error')) },
+                    ...errorResponses(400, 401, 500)
+                }
+            }
+        },
+        '/api/logbook/{id}': {
+            delete: {
+                tags: ['Logbook'],
+                summary: 'Delete a fill-up',
+                security: [{ ownerToken: [] }],
+                parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }],
+                responses: {
+                    204: { description: 'Deleted' },
+                    ...errorResponses(400, 401, 404, 500)
+                }
+            }
+        },
+        '/health': {
+            get: {
+                tags: ['Health'],
+                summary: 'Liveness and upstream client state',
+                responses: {
+                    200: {
+                        description: 'OK',
+                        ...json({ type: 'object', required: ['status'], properties: { status: { type: 'string' }, upstream: { type: 'object' } } })
+                    }
+                }
+            }
+        }
+    },
+
+    components: {
+        securitySchemes: {
+            adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN configured on the server' },
+            ownerToken: { type: 'apiKey', in: 'header', name: 'X-Owner-Token', description: 'Anonymous token generated by the client, 16-128 of [A-Za-z0-9_-]' }
+        },
+
+        parameters: {
+            fuel: { name: 'fuel', in: 'query', schema: { ...fuelSchema, default: 'Gazole' } },
+            optionalFuel: { name: 'fuel', in: 'query', schema: fuelSchema },
+            brand: {
+                name: 'brand',
+                in: 'query',
+                description: 'Comma-separated brand ids (see /api/v1/brands)',
+                allowReserved: true,
+                schema: { type: 'string', pattern: '^[a-z0-9-]+(,[a-z0-9-]+)*$', maxLength: 400 }
+            },
+            openNow: { name: 'openNow', in: 'query', schema: { type: 'boolean', default: false }, description: 'Only stations open now (24/7 automates included)' },
+            automate24: { name: 'automate24', in: 'query', schema: { type: 'boolean', default: false }, description: 'Only stations with a 24/7 card payment automate' },
+            services: {
+                name: 'services',
+                in: 'query',
+                description: `Only stations offering every listed service: ${SERVICE_IDS.join(', ')}`,
+                allowReserved: true,
+                schema: { type: 'string', pattern: `^(${SERVICE_IDS.join('|')})(,(${SERVICE_IDS.join('|')}))*$` }
+            },
+            includeShortages: {
+                name: 'includeShortages',
+                in: 'query',
+                schema: { type: 'boolean', default: false },
+                description: 'Keep stations out of the fuel, ranked last'
+            },
+            category: { name: 'category', in: 'query', schema: { type: 'string', enum: CATEGORIES }, description: 'Only stations of brands in this category' },
+            region: { name: 'region', in: 'query', schema: { type: 'string', maxLength: 100 } },
+            departement: { name: 'departement', in: 'query', schema: { type: 'string', maxLength: 100 }, description: 'Departement code, e.g. 75 or 2A' },
+            horizon: { name: 'horizon', in: 'query', schema: { type: 'integer', enum: HORIZONS, default: 14 }, description: 'Days ahead' },
+            stationId: { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^\\d{1,12}$' } },
+            stationIds: {
+                name: 'ids',
+                in: 'query',
+                required: true,
+                description: 'Comma-separated station ids (at most 100)',
+                allowReserved: true,
+                schema: { type: 'string', pattern: '^\\d{1,12}(,\\d{1,12})*$' }
+            },
+            days: { name: 'days', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 365, default: 90 } },
+            bbox: {
+                name: 'bbox',
+                in: 'query',
+                required: true,
+                description: 'minLon,minLat,maxLon,maxLat',
+                allowReserved: true,
+                schema: { type: 'string', pattern: '^-?\\d+(\\.\\d+)?(,-?\\d+(\\.\\d+)?){3}$' }
+            },
+            zoom: { name: 'zoom', in: 'query', schema: { type: 'number', minimum: 0, maximum: 20, default: 6 } },
+            lat: { name: 'lat', in: 'query', required: true, schema: { type: 'number', minimum: -90, maximum: 90 } },
+            lon: { name: 'lon', in: 'query', required: true, schema: { type: 'number', minimum: -180, maximum: 180 } },
+            sort: {
+                name: 'sort',
+                in: 'query',
+                schema: { type: 'string', enum: SORTS, default: 'distance' },
+                description: 'price, score and cost need a fuel. cost ranks by the true cost of filling up (see TrueCost)'
+            },
+            consumption: { name: 'consumption', in: 'query', schema: { type: 'number', exclusiveMinimum: true, minimum: 0, maximum: 50, default: 6.5 }, description: 'Vehicle consumption in L/100km, for true costs' },
+            fillLiters: { name: 'fillLiters', in: 'query', schema: { type: 'number', minimum: 1, maximum: 200, default: 40 }, description: 'Litres bought, for true costs' },
+            legacySort: {
+                name: 'sort',
+                in: 'query',
+                schema: { type: 'string', enum: SORTS.filter(sort => sort !== 'cost'), default: 'distance' },
+                description: 'price and score need a fuel. Ranking by true cost is only available in /api/v1/stations/nearby'
+            },
+            radius: { name: 'radius', in: 'query', schema: { type: 'number', minimum: 1, maximum: 100, default: 50 }, description: 'Km; doubled once when too few stations are found' },
+            limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 10 } }
+        },
+
+        responses: {
+            400: { description: 'Invalid request', ...json(ref('Error')) },
+            401: { description: 'Missing or invalid credentials', ...json(ref('Error')) },
+            404: { description: 'Not found', ...json(ref('Error')) },
+            500: { description: 'Server error', ...json(ref('Error')) },
+            502: { description: 'Upstream service failed', ...json(ref('Error')) },
+            503: { description: 'Upstream service rate limited or temporarily disabled', ...json(ref('Error')) },
+            504: { description: 'Upstream service timed out', ...json(ref('Error')) }
+        },
+
+        schemas: {
+            Brand: {
+                type: 'object',
+                required: ['id', 'name', 'category', 'badgeUrl'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    category: { type: 'string', enum: CATEGORIES },
+                    wikidata: nullableString,
+                    aliases: { type: 'array', items: { type: 'string' } },
+                    badgeUrl: { type: 'string', description: 'Initials badge standing in for the logo' }
+                }
+            },
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: { type: 'string' },
+                    details: { type: 'string' },
+                    category: {
+                        type: 'string',
+                        enum: ['upstream_timeout', 'upstream_4xx', 'upstream_5xx', 'upstream_unreachable', 'rate_limited', 'circuit_open']
+                    },
+                    errors: {
+                        type: 'array',
+                        description: 'Every invalid parameter, for validation failures',
+                        items: {
+                            type: 'object',
+                            required: ['path', 'message'],
+                            properties: {
+                                path: { type: 'string' },
+                                location: { type: 'string', enum: ['path', 'query', 'header', 'body'] },
+                                message: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            },
+            PriceEntry: {
+                type: 'object',
+                required: ['fuel', 'price'],
+                properties: {
+                    fuel: { type: 'string' },
+                    price: { type: 'number' },
+                    updatedAt: nullableString
+                }
+            },
+            Hours: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                    automate24: { type: 'boolean' },
+                    days: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                day: { type: 'integer', minimum: 1, maximum: 7, description: '1 = Monday' },
+                                name: nullableString,
+                                closed: { type: 'boolean' },
+                                ranges: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: { open: nullableString, close: nullableString }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            Station: {
+                type: 'object',
+                required: ['id', 'address', 'location', 'prices', 'shortages', 'services'],
+                properties: {
+                    id: { type: 'string' },
+                    brand: nullableString,
+                    brandId: { ...nullableString, description: 'Registry id of a known brand' },
+                    address: {
+                        type: 'object',
+                        properties: {
+                            street: nullableString,
+                            postalCode: nullableString,
+                            city: nullableString,
+                            departement: nullableString,
+                            departementCode: nullableString,
+                            region: nullableString,
+                            regionCode: nullableString
+                        }
+                    },
+                    location: {
+                        type: 'object',
+                        nullable: true,
+                        required: ['lat', 'lon'],
+                        properties: { lat: { type: 'number' }, lon: { type: 'number' } }
+                    },
+                    roadType: { type: 'string', enum: ['road', 'motorway', null], nullable: true },
+                    prices: { type: 'array', items: ref('PriceEntry') },
+                    shortages: { type: 'array', items: ref('Shortage') },
+                    services: { type: 'array', items: { type: 'string' } },
+                    amenities: { type: 'array', items: { type: 'string', enum: SERVICE_IDS }, description: 'Filterable services offered' },
+                    hours: ref('Hours'),
+                    openNow: { type: 'boolean', nullable: true, description: 'null when the hours are unknown' }
+                }
+            },
+            Fuel: {
+                type: 'object',
+                required: ['code', 'label', 'euroLabel', 'color', 'vehicles', 'compatibility', 'services', 'fields'],
+                properties: {
+                    code: { type: 'string', enum: FUELS, description: 'Value of fuel parameters' },
+                    label: { type: 'string', example: 'Diesel (Gazole)' },
+                    euroLabel: { type: 'string', example: 'B7', description: 'Harmonised EU pump label' },
+                    color: { type: 'string', example: '#4bc0c0', description: 'Chart and legend color' },
+                    vehicles: { type: 'array', items: { type: 'string' }, description: 'Vehicle type ids that can use it' },
+                    compatibility: { type: 'string' },
+                    services: {
+                        type: 'array',
+                        items: { type: 'string', enum: SERVICE_IDS },
+                        description: 'Station services relevant with this fuel (e.g. AdBlue for diesel)'
+                    },
+                    fields: {
+                        type: 'object',
+                        description: 'Field names in the instantaneous feed',
+                        properties: {
+                            price: { type: 'string', example: 'gazole_prix' },
+                            updatedAt: { type: 'string', example: 'gazole_maj' },
+                            shortageType: { type: 'string' },
+                            shortageStart: { type: 'string' }
+                        }
+                    }
+                }
+            },
+            Shortage: {
+                type: 'object',
+                required: ['fuel', 'type', 'since'],
+                properties: {
+                    fuel: { type: 'string' },
+                    type: { type: 'string', enum: ['temporary', 'permanent'] },
+                    since: { type: 'string', format: 'date-time' }
+                }
+            },
+            ShortageCounts: {
+                type: 'object',
+                required: ['stations', 'affected', 'temporary', 'permanent'],
+                description: 'Stations out of a fuel for good count as permanent, whatever else they lack',
+                properties: {
+                    stations: { type: 'integer' },
+                    affected: { type: 'integer' },
+                    temporary: { type: 'integer' },
+                    permanent: { type: 'integer' }
+                }
+            },
+            TrueCost: trueCostSchema,
+            StationSummary: {
+                allOf: [
+                    ref('Station'),
+                    {
+                        type: 'object',
+                        required: ['comparison', 'changes'],
+                        properties: {
+                            comparison: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    required: ['fuel', 'price'],
+                                    properties: {
+                                        fuel: { type: 'string' },
+                                        price: { type: 'number' },
+                                        departementAverage: nullableNumber,
+                                        difference: { ...nullableNumber, description: 'price - departementAverage' }
+                                    }
+                                }
+                            },
+                            changes: {
+                                type: 'array',
+                                description: 'Newest first',
+                                items: {
+                                    type: 'object',
+                                    required: ['fuel', 'price', 'previousPrice', 'updatedAt'],
+                                    properties: {
+                                        fuel: { type: 'string' },
+                                        price: { type: 'number' },
+                                        previousPrice: { type: 'number' },
+                                        updatedAt: { type: 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                ]
+            },
+            Favorite: {
+                type: 'object',
+                required: ['stationId'],
+                properties: {
+                    stationId: { type: 'string', pattern: '^\\d{1,12}$' },
+                    addedAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            Favorites: {
+                type: 'object',
+                required: ['favorites'],
+                properties: { favorites: { type: 'array', items: ref('Favorite') } }
+            },
+            LogbookEntryInput: {
+                type: 'object',
+                required: ['stationId', 'fuel', 'liters', 'odometer', 'filledAt'],
+                description: 'Either price (per litre) or total (paid) is required',
+                properties: {
+                    vehicle: { type: 'string', maxLength: 40, description: 'Plate or name, to log several vehicles' },
+                    stationId: { type: 'string', pattern: '^\\d{1,12}$' },
+                    fuel: fuelSchema,
+                    liters: { type: 'number', exclusiveMinimum: true, minimum: 0, maximum: 500 },
+                    price: { type: 'number', minimum: 0.5, maximum: 5, description: '€/L paid' },
+                    total: { type: 'number', exclusiveMinimum: true, minimum: 0 },
+                    odometer: { type: 'integer', minimum: 0, maximum: 2000000, description: 'km' },
+                    filledAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            LogbookEntry: {
+                type: 'object',
+                required: ['id', 'vehicle', 'stationId', 'fuel', 'liters', 'price', 'total', 'odometer', 'filledAt', 'createdAt'],
+                properties: {
+                    id: { type: 'string', format: 'uuid' },
+                    vehicle: { type: 'string' },
+                    stationId: { type: 'string' },
+                    fuel: { type: 'string' },
+                    liters: { type: 'number' },
+                    price: { type: 'number' },
+                    total: { type: 'number' },
+                    odometer: { type: 'integer' },
+                    filledAt: { type: 'string', format: 'date-time' },
+                    createdAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            LogbookReport: {
+                type: 'object',
+                required: ['radiusKm', 'entries', 'vehicles', 'monthly', 'totals'],
+                properties: {
+                    radiusKm: { type: 'number' },
+                    entries: {
+                        type: 'array',
+                        description: 'Newest first',
+                        items: {
+                            allOf: [
+                                ref('LogbookEntry'),
+                                {
+                                    type: 'object',
+                                    properties: {
+                                        distance: { ...nullableNumber, description: 'km since the previous fill-up of the vehicle' },
+                                        consumption: { ...nullableNumber, description: 'L/100km since the previous fill-up' },
+                                        costPerKm: nullableNumber,
+                                        cheapest: {
+                                            type: 'object',
+                                            nullable: true,
+                                            description: 'Cheapest station within radiusKm that day, when prices are known',
+                                            properties: {
+                                                stationId: { type: 'string' },
+                                                price: { type: 'number' },
+                                                distance: { type: 'number' },
+                                                missedSavings: { type: 'number', description: '€ saved by filling up there instead' }
+                                            }
+                                        }
+                                    }
+                                }
+                            ]
+                        }
+                    },
+                    vehicles: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                vehicle: { type: 'string' },
+                                fillUps: { type: 'integer' },
+                                odometer: { type: 'integer' },
+                                distance: { type: 'number' },
+                                consumption: nullableNumber,
+                                costPerKm: nullableNumber
+                            }
+                        }
+                    },
+                    monthly: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                month: { type: 'string', example: '2025-03' },
+                                fillUps: { type: 'integer' },
+                                liters: { type: 'number' },
+                                spent: { type: 'number' },
+                                missedSavings: { type: 'number' }
+                            }
+                        }
+                    },
+                    totals: {
+                        type: 'object',
+                        properties: {
+                            fillUps: { type: 'integer' },
+                            liters: { type: 'number' },
+                            spent: { type: 'number' },
+                            missedSavings: { type: 'number' },
+                            distance: { type: 'number' },
+                            consumption: nullableNumber,
+                            costPerKm: nullableNumber
+                        }
+                    }
+                }
+            },
+            RankedStation: {
+                allOf: [
+                    ref('Station'),
+                    {
+                        type: 'object',
+                        properties: {
+                            distance: { type: 'number' },
+                            score: { type: 'number' },
+                            cost: { ...trueCostSchema, nullable: true }
+                        }
+                    }
+                ]
+            },
+            FeedStation: {
+                type: 'object',
+                description: 'Station in the instantaneous feed layout: `<fuel>_prix` / `<fuel>_maj` per fuel sold',
+                required: ['id'],
+                properties: {
+                    id: { type: 'string' },
+                    brand: { ...nullableString, description: 'From the matched OpenStreetMap feature' },
+                    cp: nullableString,
+                    ville: nullableString,
+                    adresse: nullableString,
+                    pop: nullableString,
+                    geom: { type: 'array', nullable: true, items: { type: 'number' }, minItems: 2, maxItems: 2, description: '[lat, lon], null when the feed gives no coordinates' },
+                    carburants_disponibles: { type: 'array', items: { type: 'string' } },
+                    shortages: { type: 'array', items: ref('Shortage') }
+                }
+            },
+            Cluster: {
+                type: 'object',
+                required: ['lat', 'lon', 'count'],
+                properties: {
+                    lat: { type: 'number' },
+                    lon: { type: 'number' },
+                    count: { type: 'integer' },
+                    minPrice: nullableNumber,
+                    avgPrice: nullableNumber
+                }
+            },
+            StationViewport: {
+                type: 'object',
+                required: ['bbox', 'zoom', 'clustered', 'total', 'stations', 'clusters'],
+                properties: {
+                    bbox: { type: 'array', items: { type: 'number' } },
+                    zoom: { type: 'integer' },
+                    fuel: nullableString,
+                    clustered: { type: 'boolean' },
+                    total: { type: 'integer' },
+                    stations: { type: 'array', items: ref('Station') },
+                    clusters: { type: 'array', items: ref('Cluster') }
+                }
+            },
+            FeedStationViewport: {
+                type: 'object',
+                required: ['bbox', 'zoom', 'clustered', 'total', 'stations', 'clusters'],
+                properties: {
+                    bbox: { type: 'array', items: { type: 'number' } },
+                    zoom: { type: 'integer' },
+                    fuel: nullableString,
+                    clustered: { type: 'boolean' },
+                    total: { type: 'integer' },
+                    stations: { type: 'array', items: ref('FeedStation') },
+                    clusters: { type: 'array', items: ref('Cluster') }
+                }
+            },
+            StationHistory: {
+                type: 'object',
+                required: ['id', 'from', 'history'],
+                properties: {
+                    id: { type: 'string' },
+                    fuel: nullableString,
+                    from: { type: 'string', format: 'date-time' },
+                    history: { type: 'array', items: ref('PriceEntry') }
+                }
+            },
+            StationHistories: {
+                type: 'object',
+                required: ['from', 'stations', 'missing'],
+                properties: {
+                    fuel: nullableString,
+                    from: { type: 'string', format: 'date-time' },
+                    stations: { type: 'array', items: ref('StationHistory') },
+                    missing: { type: 'array', items: { type: 'string' }, description: 'Requested ids with no current data' }
+                }
+            },
+            SeriesPoint: {
+                type: 'object',
+                required: ['date', 'value'],
+                properties: {
+                    date: { type: 'string' },
+                    value: { type: 'number' },
+                    observed: { type: 'boolean' }
+                }
+            },
+            Point: {
+                type: 'object',
+                required: ['lat', 'lon'],
+                properties: {
+                    lat: { type: 'number', minimum: -90, maximum: 90 },
+                    lon: { type: 'number', minimum: -180, maximum: 180 }
+                }
+            },
+            TripRequest: {
+                type: 'object',
+                required: ['origin', 'destination', 'tankLiters', 'fuelLevel', 'consumption'],
+                properties: {
+                    origin: ref('Point'),
+                    destination: ref('Point'),
+                    fuel: { ...fuelSchema, default: 'Gazole' },
+                    tankLiters: { type: 'number', minimum: 10, maximum: 200 },
+                    fuelLevel: { type: 'number', minimum: 0, maximum: 100, description: 'Percentage of the tank' },
+                    consumption: { type: 'number', exclusiveMinimum: true, minimum: 0, maximum: 50, description: 'L/100km' },
+                    corridorKm: { type: 'number', minimum: 0.5, maximum: 20, default: 5 }
+                }
+            },
+            TripPlan: {
+                type: 'object',
+                required: ['fuel', 'route', 'feasible', 'stops', 'totalLiters', 'totalCost'],
+                properties: {
+                    fuel: { type: 'string' },
+                    route: {
+                        type: 'object',
+                        required: ['distanceKm', 'durationMin', 'geometry'],
+                        properties: {
+                            distanceKm: { type: 'number' },
+                            durationMin: { type: 'number' },
+                            geometry: { type: 'array', items: { type: 'array', items: { type: 'number' } } }
+                        }
+                    },
+                    candidates: { type: 'integer' },
+                    feasible: { type: 'boolean' },
+                    stops: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['station', 'positionKm', 'detourKm', 'price', 'liters', 'cost'],
+                            properties: {
+                                station: { type: 'object', description: 'Station (v1) or FeedStation' },
+                                positionKm: { type: 'number' },
+                                detourKm: { type: 'number' },
+                                price: { type: 'number' },
+                                liters: { type: 'number' },
+                                cost: { type: 'number' }
+                            }
+                        }
+                    },
+                    totalLiters: { type: 'number' },
+                    totalCost: { type: 'number' },
+                    arrivalLiters: { type: 'number' },
+                    averagePriceCost: { type: 'number' }
+                }
+            },
+            AlertArea: {
+                type: 'object',
+                required: ['lat', 'lon', 'radiusKm'],
+                properties: {
+                    lat: { type: 'number', minimum: -90, maximum: 90 },
+                    lon: { type: 'number', minimum: -180, maximum: 180 },
+                    radiusKm: { type: 'number', exclusiveMinimum: true, minimum: 0, maximum: 30 }
+                }
+            },
+            AlertInput: {
+                type: 'object',
+                required: ['fuel', 'condition', 'threshold', 'channel', 'target'],
+                description: 'Watches either `stationIds` or an `area`. `threshold` is in €/L for below, in cents for drop.',
+                properties: {
+                    fuel: fuelSchema,
+                    stationIds: { type: 'array', minItems: 1, maxItems: 20, items: { type: 'string', pattern: '^\\d{1,12}$' } },
+                    area: ref('AlertArea'),
+                    condition: { type: 'string', enum: CONDITIONS },
+                    threshold: { type: 'number' },
+                    channel: { type: 'string', enum: ['webpush', 'email', 'webhook'] },
+                    target: { type: 'object', description: 'PushSubscription JSON, { email } or { url } depending on channel' },
+                    active: { type: 'boolean', default: true }
+                }
+            },
+            AlertPatch: {
+                type: 'object',
+                minProperties: 1,
+                properties: {
+                    fuel: fuelSchema,
+                    stationIds: { type: 'array', minItems: 1, maxItems: 20, items: { type: 'string', pattern: '^\\d{1,12}$' } },
+                    area: ref('AlertArea'),
+                    condition: { type: 'string', enum: CONDITIONS },
+                    threshold: { type: 'number' },
+                    channel: { type: 'string', enum: ['webpush', 'email', 'webhook'] },
+                    target: { type: 'object' },
+                    active: { type: 'boolean' }
+                }
+            },
+            Alert: {
+                type: 'object',
+                required: ['id', 'fuel', 'condition', 'threshold', 'channel', 'active', 'createdAt'],
+                properties: {
+                    id: { type: 'string' },
+                    fuel: { type: 'string' },
+                    stationIds: { type: 'array', items: { type: 'string' }, nullable: true },
+                    area: {
+                        type: 'object',
+                        nullable: true,
+                        properties: { lat: { type: 'number' }, lon: { type: 'number' }, radiusKm: { type: 'number' } }
+                    },
+                    condition: { type: 'string', enum: CONDITIONS },
+                    threshold: { type: 'number' },
+                    channel: { type: 'string' },
+                    target: { type: 'object' },
+                    active: { type: 'boolean' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    lastNotifiedAt: { ...nullableString, format: 'date-time' }
+                }
+            }
+        }
+    }
+};
+
+module.exports = spec;
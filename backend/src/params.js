@@ -0,0 +1,147 @@
+const { findFuel } = require('./fuels');
+const { SORTS, DEFAULT_VEHICLE } = require('./stations');
+const { CATEGORIES, getBrand } = require('./brandRegistry');
+const { SERVICE_IDS } = require('./amenities');
+
+// Query-string parsing shared by the unversioned routes in server.js and the
+// v1 router, so both answer the same request the same way. Each parser
+// returns { value } or { error }.
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Merge the values of several parse results, or return the first error
+function combine(...results) {
+    const failed = results.find(result => result.error);
+    return failed || { value: Object.assign({}, ...results.map(result => result.value)) };
+}
+
+// Optional ?fuel=
+function parseFuel(query) {
+    if (!query.fuel) return { value: { fuel: null } };
+    const fuel = findFuel(query.fuel);
+    return fuel ? { value: { fuel } } : { error: `Unknown fuel: ${query.fuel}` };
+}
+
+// Optional ?brand=id,id and ?category=
+function parseBrandFilter(query) {
+    const brands = query.brand ? String(query.brand).split(',') : null;
+    const unknown = (brands || []).find(id => !getBrand(id));
+    if (unknown) return { error: `Unknown brand: ${unknown}` };
+    const category = query.category || null;
+    if (category && !CATEGORIES.includes(category)) {
+        return { error: `category must be one of ${CATEGORIES.join(', ')}` };
+    }
+    return { value: { brands, category } };
+}
+
+// Optional ?openNow=true, ?automate24=true and ?services=id,id
+function parseAmenityFilter(query) {
+    const services = query.services ? String(query.services).split(',') : null;
+    const unknown = (services || []).find(id => !SERVICE_IDS.includes(id));
+    if (unknown) return { error: `Unknown service: ${unknown}` };
+    return {
+        value: {
+            openNow: String(query.openNow) === 'true',
+            automate24: String(query.automate24) === 'true',
+            services
+        }
+    };
+}
+
+// bbox=minLon,minLat,maxLon,maxLat and zoom, with the fuel and station filters
+function parseViewportQuery(query) {
+    const bbox = String(query.bbox || '').split(',').map(Number);
+    const [minLon, minLat, maxLon, maxLat] = bbox;
+    if (bbox.length !== 4 || bbox.some(v => !Number.isFinite(v)) || minLon > maxLon || minLat > maxLat) {
+        return { error: 'bbox must be minLon,minLat,maxLon,maxLat' };
+    }
+    const zoom = clamp(Math.round(Number(query.zoom) || 6), 0, 20);
+    return combine(
+        { value: { minLon, minLat, maxLon, maxLat, zoom } },
+        parseFuel(query),
+        parseBrandFilter(query),
+        parseAmenityFilter(query)
+    );
+}
+
+// lat/lon, ranking and vehicle of a nearby search, with the fuel and station
+// filters. `sorts` lists the rankings the route offers.
+function parseNearbyQuery(query, { sorts = SORTS } = {}) {
+    const lat = Number(query.lat);
+    const lon = Number(query.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return { error: 'lat and lon must be valid coordinates' };
+    }
+    const filters = combine(parseFuel(query), parseBrandFilter(query), parseAmenityFilter(query));
+    if (filters.error) return filters;
+
+    const sort = query.sort || 'distance';
+    if (!sorts.includes(sort)) {
+        return { error: `sort must be one of ${sorts.join(', ')}` };
+    }
+    if (sort !== 'distance' && !filters.value.fuel) {
+        return { error: `sort=${sort} needs a fuel` };
+    }
+    const vehicle = {
+        consumption: query.consumption == null ? DEFAULT_VEHICLE.consumption : Number(query.consumption),
+        fillLiters: query.fillLiters == null ? DEFAULT_VEHICLE.fillLiters : Number(query.fillLiters)
+    };
+    if (!(vehicle.consumption > 0 && vehicle.consumption <= 50)) {
+        return { error: 'consumption must be between 0 and 50 L/100km' };
+    }
+    if (!(vehicle.fillLiters >= 1 && vehicle.fillLiters <= 200)) {
+        return { error: 'fillLiters must be between 1 and 200' };
+    }
+    const radius = Number(query.radius || 50);
+    if (!(radius >= 1 && radius <= 100)) {
+        return { error: 'radius must be between 1 and 100 km' };
+    }
+    const limit = Number(query.limit || 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        return { error: 'limit must be an integer between 1 and 200' };
+    }
+
+    return {
+        value: {
+            ...filters.value,
+            lat,
+            lon,
+            sort,
+            radius,
+            limit,
+            includeShortages: String(query.includeShortages) === 'true',
+            vehicle
+        }
+    };
+}
+
+// ?ids=id,id of a request about a few stations at once
+function parseStationIds(query, max) {
+    const ids = String(query.ids || '').split(',').filter(Boolean);
+    if (ids.length === 0 || ids.length > max) {
+        return { error: `ids must list 1 to ${max} station ids` };
+    }
+    return { value: { ids } };
+}
+
+// ?fuel= and ?days= of a station's price history, with the `from` time it gives
+function parseStationHistoryQuery(query) {
+    const days = clamp(Number(query.days) || 90, 1, 365);
+    return combine(parseFuel(query), { value: { days, from: Date.now() - days * 24 * 60 * 60 * 1000 } });
+}
+
+// ?ids=, ?fuel= and ?days= of the price histories of a few stations
+function parseStationHistoriesQuery(query, max) {
+    return combine(parseStationIds(query, max), parseStationHistoryQuery(query));
+}
+
+module.exports = {
+    parseFuel,
+    parseBrandFilter,
+    parseAmenityFilter,
+    parseViewportQuery,
+    parseNearbyQuery,
+    parseStationIds,
+    parseStationHistoryQuery,
+    parseStationHistoriesQuery
+};
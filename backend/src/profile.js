@@ -0,0 +1,51 @@
+const { getDb } = require('./db');
+
+// Profile kept for a browser's anonymous owner token (the X-Owner-Token also
+// used by alerts): for now its favorite stations. Browsers keep their own
+// copy and replace the stored list whenever it changes.
+
+const MAX_FAVORITES = 100;
+
+const STATION_ID = /^\d{1,12}$/;
+
+// Validate a favorites list: [stationId] or [{ stationId, addedAt }].
+// Returns { value } or { error }.
+function parseFavorites(input) {
+    if (!Array.isArray(input)) {
+        return { error: 'favorites must be an array' };
+    }
+    if (input.length > MAX_FAVORITES) {
+        return { error: `At most ${MAX_FAVORITES} favorites` };
+    }
+    const now = new Date().toISOString();
+    const favorites = new Map();
+    for (const entry of input) {
+        const stationId = String(typeof entry === 'object' && entry !== null ? entry.stationId : entry);
+        if (!STATION_ID.test(stationId)) {
+            return { error: `Invalid station id: ${stationId}` };
+        }
+        const addedAt = entry && entry.addedAt && !Number.isNaN(Date.parse(entry.addedAt))
+            ? new Date(entry.addedAt).toISOString()
+            : now;
+        favorites.set(stationId, { stationId, addedAt });
+    }
+    return { value: [...favorites.values()] };
+}
+
+function listFavorites(owner, db = getDb()) {
+    return db.prepare('SELECT station_id, added_at FROM favorites WHERE owner = ? ORDER BY added_at')
+        .all(owner)
+        .map(row => ({ stationId: row.station_id, addedAt: row.added_at }));
+}
+
+// Replace an owner's favorites with a parsed list
+function setFavorites(owner, favorites, db = getDb()) {
+    const insert = db.prepare('INSERT INTO favorites (owner, station_id, added_at) VALUES (?, ?, ?)');
+    db.transaction(() => {
+        db.prepare('DELETE FROM favorites WHERE owner = ?').run(owner);
+        favorites.forEach(({ stationId, addedAt }) => insert.run(owner, stationId, addedAt));
+    })();
+    return listFavorites(owner, db);
+}
+
+module.exports = { MAX_FAVORITES, parseFavorites, listFavorites, setFavorites };
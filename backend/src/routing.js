@@ -0,0 +1,41 @@
+const { createUpstreamClient } = require('./upstream');
+
+// Routing goes through a provider object exposing `route(waypoints)`.
+// The default talks to any OSRM-compatible HTTP API; point OSRM_URL at a
+// local instance (or a stand-in serving canned routes) to avoid the public demo server.
+const DEFAULT_OSRM_URL = 'https://router.project-osrm.org';
+
+function createOsrmProvider({ baseUrl = process.env.OSRM_URL || DEFAULT_OSRM_URL, profile = 'driving' } = {}) {
+    const client = createUpstreamClient({ name: 'OSRM', timeoutMs: 15000, retries: 1, concurrency: 2 });
+
+    // waypoints: [{ lat, lon }, ...] -> { distanceKm, durationMin, geometry: [[lat, lon], ...] }
+    async function route(waypoints) {
+        const coordinates = waypoints.map(p => `${p.lon},${p.lat}`).join(';');
+        const url = `${baseUrl.replace(/\/$/, '')}/route/v1/${profile}/${coordinates}?overview=full&geometries=geojson`;
+        const response = await client.get(url);
+        const best = response.data?.routes?.[0];
+        if (response.data?.code !== 'Ok' || !best) {
+            throw new Error(`No route found (${response.data?.code || 'unknown error'})`);
+        }
+        return {
+            distanceKm: best.distance / 1000,
+            durationMin: best.duration / 60,
+            geometry: best.geometry.coordinates.map(([lon, lat]) => [lat, lon])
+        };
+    }
+
+    return { name: 'osrm', route, stats: client.stats };
+}
+
+let provider = null;
+
+function getRoutingProvider() {
+    if (!provider) provider = createOsrmProvider();
+    return provider;
+}
+
+function setRoutingProvider(next) {
+    provider = next;
+}
+
+module.exports = { createOsrmProvider, getRoutingProvider, setRoutingProvider };
@@ -1,69 +1,95 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const AdmZip = require('adm-zip');
-const xml2js = require('xml2js');
 const morgan = require('morgan');
+const OpenApiValidator = require('express-openapi-validator');
+const swaggerUi = require('swagger-ui-express');
+const { odsSearch, odsClient, DATASET } = require('./ods');
+const { startCollector } = require('./collector');
+const { startBrandMatcher, overpassClient } = require('./brands');
+const { importArchive } = require('./importer');
+const { findFuel } = require('./fuels');
+const { INTERVALS, averagePrices, stationHistory } = require('./analytics');
+const { getDb } = require('./db');
+const { ROAD_TYPES } = require('./model');
+const { SORTS, getStationIndex, nearbyStations, stationsInBbox, departementAverages, shortagesByDepartement, queryStations } = require('./stations');
+const { HORIZONS, MAX_BACKTEST_FOLDS, BACKTEST_HISTORY_DAYS, forecastPrices, backtest } = require('./forecast');
+const { planTrip, parseTripRequest } = require('./tripPlanner');
+const { parseAlert, listAlerts, getAlert, createAlert, updateAlert, deleteAlert } = require('./alerts');
+const { parseFavorites, listFavorites, setFavorites } = require('./profile');
+const { MAX_RADIUS_KM: LOGBOOK_MAX_RADIUS_KM, DEFAULT_RADIUS_KM: LOGBOOK_DEFAULT_RADIUS_KM, parseEntry, listEntries, createEntry, addEntries, deleteEntry, logbookReport, toCsv, parseCsv } = require('./logbook');
+const { availableChannels, VAPID_PUBLIC_KEY } = require('./notifiers');
+const { createCache, sendCached } = require('./cache');
+const { parseFuel, parseViewportQuery, parseNearbyQuery, parseStationHistoryQuery, parseStationHistoriesQuery } = require('./params');
+const { UpstreamError, sendUpstreamError } = require('./upstream');
+const v1Router = require('./v1');
+const apiSpec = require('./openapi');
 
 const app = express();
 
-// Cache for fuel prices data
-let fuelPricesCache = {
-    data: null,
-    timestamp: null
+// Shared cache in front of the ODS proxy routes, keyed per route and query
+const odsCache = createCache({
+    maxEntries: Number(process.env.ODS_CACHE_MAX_ENTRIES) || 200,
+    maxBytes: (Number(process.env.ODS_CACHE_MAX_MB) || 100) * 1024 * 1024
+});
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// How long each route's responses stay fresh, then may be served stale
+const ODS_CACHE_TTLS = {
+    regions: { ttl: 24 * HOUR, staleTtl: 7 * 24 * HOUR },
+    departments: { ttl: 24 * HOUR, staleTtl: 7 * 24 * HOUR },
+    towns: { ttl: 24 * HOUR, staleTtl: 7 * 24 * HOUR },
+    fuelPrices: { ttl: 10 * MINUTE, staleTtl: HOUR },
+    search: { ttl: HOUR, staleTtl: 24 * HOUR }
 };
 
+async function sendOds(res, route, params, loader) {
+    const key = `${route}:${JSON.stringify(params)}`;
+    sendCached(res, await odsCache.get(key, loader, ODS_CACHE_TTLS[route]));
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(morgan('dev'));
 
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ error: 'Something went wrong!' });
+// API contract and interactive docs
+app.get('/api/openapi.json', (req, res) => {
+    res.json(apiSpec);
 });
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(apiSpec, { customSiteTitle: 'Fuel Price Predictor API' }));
 
-// Helper to call Opendatasoft v1 search API with proper facet/refine params
-async function odsSearch({ filters = {}, rows = 10000, facets = [] } = {}) {
-    try {
-        const now = Date.now();
-        const baseUrl = 'https://data.economie.gouv.fr/api/records/1.0/search/';
-        const params = new URLSearchParams();
-        params.append('dataset', 'prix-des-carburants-en-france-flux-instantane-v2');
-        params.append('rows', String(rows));
+// Requests not matching the spec are rejected with a 400 listing every
+// problem. Responses are checked too outside production, to catch handlers
+// drifting from the spec; set OPENAPI_VALIDATE_RESPONSES to override.
+// Archive and logbook CSV uploads are raw bodies parsed by their own route.
+const validateResponses = process.env.OPENAPI_VALIDATE_RESPONSES
+    ? process.env.OPENAPI_VALIDATE_RESPONSES === 'true'
+    : process.env.NODE_ENV !== 'production';
+app.use(OpenApiValidator.middleware({
+    apiSpec,
+    validateRequests: { allErrors: true },
+    validateResponses,
+    validateSecurity: false,
+    ignoreUndocumented: true,
+    ignorePaths: /^\/api\/(docs|openapi\.json|history\/import|logbook\/import)/
+}));
 
-        // facets
-        (facets && facets.length ? facets : []).forEach(f => params.append('facet', f));
-
-        // refine.<facet>
-        if (filters.region) params.append('refine.region', filters.region);
-        if (filters.departement) params.append('refine.departement', filters.departement);
-        if (filters.ville) params.append('refine.ville', filters.ville);
-        if (filters.code_postal) params.append('refine.code_postal', filters.code_postal);
-
-        if (filters.q) params.append('q', filters.q);
-
-        const url = `${baseUrl}?${params.toString()}`;
-        const response = await axios.get(url);
-        return { data: response.data, fetchedAt: now };
-    } catch (error) {
-        console.error('Error calling ODS search:', error?.response?.data || error.message);
-        throw error;
-    }
-}
+// Normalized station API
+app.use('/api/v1', v1Router);
 
 // Get all available regions
 app.get('/api/regions', async (req, res) => {
     try {
-        const { data } = await odsSearch({ rows: 0, facets: ['region'] });
-        const facetGroup = (data.facet_groups || []).find(g => g.name === 'region');
-        const regions = (facetGroup?.facets || []).map(f => f.name).sort();
-        res.json(regions);
+        await sendOds(res, 'regions', {}, async () => {
+            const { data } = await odsSearch({ rows: 0, facets: ['region'] });
+            const facetGroup = (data.facet_groups || []).find(g => g.name === 'region');
+            return (facetGroup?.facets || []).map(f => f.name).sort();
+        });
     } catch (error) {
         console.error('Error fetching regions:', error);
-        res.status(500).json({ error: 'Failed to fetch regions' });
+        sendUpstreamError(res, error, 'Failed to fetch regions');
     }
 });
 
@@ -71,13 +97,14 @@ app.get('/api/regions', async (req, res) => {
 app.get('/api/departments/:region', async (req, res) => {
     try {
         const { region } = req.params;
-        const { data } = await odsSearch({ filters: { region }, rows: 0, facets: ['departement'] });
-        const facetGroup = (data.facet_groups || []).find(g => g.name === 'departement');
-        const departments = (facetGroup?.facets || []).map(f => f.name).sort();
-        res.json(departments);
+        await sendOds(res, 'departments', { region }, async () => {
+            const { data } = await odsSearch({ filters: { region }, rows: 0, facets: ['departement'] });
+            const facetGroup = (data.facet_groups || []).find(g => g.name === 'departement');
+            return (facetGroup?.facets || []).map(f => f.name).sort();
+        });
     } catch (error) {
         console.error('Error fetching departments:', error);
-        res.status(500).json({ error: 'Failed to fetch departments' });
+        sendUpstreamError(res, error, 'Failed to fetch departments');
     }
 });
 
@@ -85,17 +112,32 @@ app.get('/api/departments/:region', async (req, res) => {
 app.get('/api/towns/:department', async (req, res) => {
     try {
         const { department } = req.params;
-        const { data } = await odsSearch({ filters: { departement: department }, rows: 0, facets: ['ville'] });
-        const facetGroup = (data.facet_groups || []).find(g => g.name === 'ville');
-        const towns = (facetGroup?.facets || []).map(f => f.name).sort();
-        res.json(towns);
+        await sendOds(res, 'towns', { department }, async () => {
+            const { data } = await odsSearch({ filters: { departement: department }, rows: 0, facets: ['ville'] });
+            const facetGroup = (data.facet_groups || []).find(g => g.name === 'ville');
+            return (facetGroup?.facets || []).map(f => f.name).sort();
+        });
     } catch (error) {
         console.error('Error fetching towns:', error);
-        res.status(500).json({ error: 'Failed to fetch towns' });
+        sendUpstreamError(res, error, 'Failed to fetch towns');
     }
 });
 
-// Get fuel prices with optional location filtering
+// Largest page /api/fuel-prices returns when `rows` is given
+const MAX_FUEL_PRICE_ROWS = 20000;
+
+// Stations in the feed's record format
+const toRecord = (station) => ({
+    datasetid: DATASET,
+    recordid: station.id,
+    fields: station,
+    geometry: station.geom ? { type: 'Point', coordinates: [station.geom[1], station.geom[0]] } : null
+});
+
+// Get fuel prices with optional location filtering. Served from the local
+// store, which the collector keeps complete; ODS search is only proxied until
+// the first snapshot has been recorded. `start` and `rows` page through the
+// results, which are all returned when `rows` is omitted.
 app.get('/api/fuel-prices', async (req, res) => {
     try {
         const { region, departement, ville, code_postal, query } = req.query;
@@ -106,27 +148,36 @@ app.get('/api/fuel-prices', async (req, res) => {
         if (code_postal) filters.code_postal = code_postal;
         if (query) filters.q = query;
 
-        // cache by key (simple)
-        const cacheKey = JSON.stringify({ filters });
-        const now = Date.now();
-        if (
-            fuelPricesCache.data &&
-            fuelPricesCache.timestamp &&
-            fuelPricesCache.key === cacheKey &&
-            now - fuelPricesCache.timestamp < 10 * 60 * 1000
-        ) {
-            return res.json(fuelPricesCache.data);
+        const start = Number(req.query.start || 0);
+        const rows = req.query.rows != null ? Number(req.query.rows) : null;
+        if (!Number.isInteger(start) || start < 0) {
+            return res.status(400).json({ error: 'start must be a non-negative integer' });
+        }
+        if (rows != null && !(Number.isInteger(rows) && rows >= 1 && rows <= MAX_FUEL_PRICE_ROWS)) {
+            return res.status(400).json({ error: `rows must be an integer between 1 and ${MAX_FUEL_PRICE_ROWS}` });
+        }
+
+        const { snapshotId, brandsMatchedAt, stations } = getStationIndex();
+        if (stations.length > 0) {
+            return await sendOds(res, 'fuelPrices', { snapshotId, brandsMatchedAt, filters, start, rows }, async () => {
+                const page = queryStations({ ...filters, start, rows });
+                return {
+                    source: 'local',
+                    nhits: page.total,
+                    start,
+                    rows: page.stations.length,
+                    records: page.stations.map(toRecord)
+                };
+            });
         }
 
-        const { data } = await odsSearch({ filters, rows: 10000 });
-        fuelPricesCache = { data, timestamp: now, key: cacheKey };
-        res.json(data);
+        await sendOds(res, 'fuelPrices', { filters, start, rows }, async () => {
+            const { data } = await odsSearch({ filters, start, rows: Math.max(0, Math.min(rows || 10000, 10000 - start)) });
+            return { source: 'ods', start, ...data };
+        });
     } catch (error) {
         console.error('Error in /api/fuel-prices:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch fuel prices',
-            details: error.message 
-        });
+        sendUpstreamError(res, error, 'Failed to fetch fuel prices');
     }
 });
 
@@ -137,28 +188,537 @@ app.get('/api/search', async (req, res) => {
         if (!q) return res.json({ regions: [], departments: [], towns: [], zips: [] });
         const isZip = /^\d{5}$/.test(q);
         const filters = isZip ? { code_postal: q } : { q };
-        const { data } = await odsSearch({ filters, rows: 200, facets: ['region', 'departement', 'ville', 'code_postal'] });
-        const groups = data.facet_groups || [];
-        const get = (name) => (groups.find(g => g.name === name)?.facets || []).map(f => f.name);
-        res.json({
-            regions: get('region'),
-            departments: get('departement'),
-            towns: get('ville'),
-            zips: get('code_postal')
+        await sendOds(res, 'search', filters, async () => {
+            const { data } = await odsSearch({ filters, rows: 200, facets: ['region', 'departement', 'ville', 'code_postal'] });
+            const groups = data.facet_groups || [];
+            const get = (name) => (groups.find(g => g.name === name)?.facets || []).map(f => f.name);
+            return {
+                regions: get('region'),
+                departments: get('departement'),
+                towns: get('ville'),
+                zips: get('code_postal')
+            };
         });
     } catch (error) {
         console.error('Error in /api/search:', error);
-        res.status(500).json({ error: 'Failed to search locations' });
+        sendUpstreamError(res, error, 'Failed to search locations');
+    }
+});
+
+// Hit/miss counters of the ODS proxy cache
+app.get('/api/cache/stats', (req, res) => {
+    res.json(odsCache.stats());
+});
+
+// Average price time series from the local history store
+app.get('/api/history/average', (req, res) => {
+    try {
+        const { region, departement } = req.query;
+        const fuel = findFuel(req.query.fuel || 'Gazole');
+        if (!fuel) {
+            return res.status(400).json({ error: `Unknown fuel: ${req.query.fuel}` });
+        }
+        const roadType = req.query.roadType || null;
+        if (roadType && !Object.values(ROAD_TYPES).includes(roadType)) {
+            return res.status(400).json({ error: `roadType must be one of ${Object.values(ROAD_TYPES).join(', ')}` });
+        }
+        const interval = req.query.interval || 'day';
+        if (!INTERVALS.includes(interval)) {
+            return res.status(400).json({ error: `interval must be one of ${INTERVALS.join(', ')}` });
+        }
+        const to = req.query.to ? Date.parse(req.query.to) : Date.now();
+        const from = req.query.from ? Date.parse(req.query.from) : to - 90 * 24 * 60 * 60 * 1000;
+        if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+            return res.status(400).json({ error: 'from and to must be dates with from <= to' });
+        }
+        if (interval === 'day' && to - from > 5 * 366 * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ error: 'Daily series are limited to 5 years, use week or month' });
+        }
+
+        const buckets = averagePrices({ fuel, from, to, region, departement, roadType, interval });
+        res.json({
+            fuel,
+            interval,
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            region: region || null,
+            departement: departement || null,
+            roadType,
+            buckets
+        });
+    } catch (error) {
+        console.error('Error in /api/history/average:', error);
+        res.status(500).json({ error: 'Failed to compute average prices' });
+    }
+});
+
+// Stations in a map viewport: bbox=minLon,minLat,maxLon,maxLat, clustered at low zoom
+app.get('/api/stations', (req, res) => {
+    try {
+        const { value, error } = parseViewportQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { minLon, minLat, maxLon, maxLat, zoom, fuel } = value;
+        res.json({ bbox: [minLon, minLat, maxLon, maxLat], zoom, fuel, ...stationsInBbox(value) });
+    } catch (error) {
+        console.error('Error in /api/stations:', error);
+        res.status(500).json({ error: 'Failed to fetch stations' });
+    }
+});
+
+// Rankings of the unversioned nearby search; cost is only offered in v1,
+// which returns the cost breakdown it ranks by
+const LEGACY_SORTS = SORTS.filter(sort => sort !== 'cost');
+
+// Nearest / cheapest stations around a point, ranked server-side
+app.get('/api/stations/nearby', (req, res) => {
+    try {
+        const { value, error } = parseNearbyQuery(req.query, { sorts: LEGACY_SORTS });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { lat, lon, fuel, sort } = value;
+        res.json({ lat, lon, fuel, sort, ...nearbyStations(value) });
+    } catch (error) {
+        console.error('Error in /api/stations/nearby:', error);
+        res.status(500).json({ error: 'Failed to find nearby stations' });
+    }
+});
+
+// Current average price of a fuel in each departement
+app.get('/api/prices/by-departement', (req, res) => {
+    try {
+        const fuel = findFuel(req.query.fuel || 'Gazole');
+        if (!fuel) {
+            return res.status(400).json({ error: `Unknown fuel: ${req.query.fuel}` });
+        }
+        res.json({ fuel, departements: departementAverages(fuel) });
+    } catch (error) {
+        console.error('Error in /api/prices/by-departement:', error);
+        res.status(500).json({ error: 'Failed to compute departement averages' });
+    }
+});
+
+// Stations reporting a fuel (or any fuel) out of stock, per departement
+app.get('/api/shortages', (req, res) => {
+    try {
+        const { value, error } = parseFuel(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json({ fuel: value.fuel, ...shortagesByDepartement(value.fuel) });
+    } catch (error) {
+        console.error('Error in /api/shortages:', error);
+        res.status(500).json({ error: 'Failed to summarize shortages' });
+    }
+});
+
+const MAX_HISTORY_STATIONS = 100;
+
+// Recorded price changes of a few stations at once (for list sparklines)
+app.get('/api/stations/history', (req, res) => {
+    try {
+        const { value, error } = parseStationHistoriesQuery(req.query, MAX_HISTORY_STATIONS);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { ids, fuel, from } = value;
+
+        const findStation = getDb().prepare('SELECT id FROM stations WHERE id = ?');
+        const known = ids.filter(id => findStation.get(id));
+        res.json({
+            fuel,
+            from: new Date(from).toISOString(),
+            stations: known.map(id => ({
+                id,
+                fuel,
+                from: new Date(from).toISOString(),
+                history: stationHistory({ stationId: id, fuel, from })
+            })),
+            missing: ids.filter(id => !known.includes(id))
+        });
+    } catch (error) {
+        console.error('Error in /api/stations/history:', error);
+        res.status(500).json({ error: 'Failed to fetch station histories' });
+    }
+});
+
+// Recorded price changes of a single station
+app.get('/api/stations/:id/history', (req, res) => {
+    try {
+        const { id } = req.params;
+        const { value, error } = parseStationHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { fuel, from } = value;
+
+        const station = getDb().prepare('SELECT id FROM stations WHERE id = ?').get(id);
+        if (!station) {
+            return res.status(404).json({ error: `Unknown station: ${id}` });
+        }
+        res.json({
+            id,
+            fuel,
+            from: new Date(from).toISOString(),
+            history: stationHistory({ stationId: id, fuel, from })
+        });
+    } catch (error) {
+        console.error('Error in /api/stations/:id/history:', error);
+        res.status(500).json({ error: 'Failed to fetch station history' });
     }
 });
 
+// Cheapest refuelling stops between two points
+app.post('/api/trips/plan', async (req, res) => {
+    try {
+        const { value, error } = parseTripRequest(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const plan = await planTrip(value);
+        res.json(plan);
+    } catch (error) {
+        console.error('Error in /api/trips/plan:', error);
+        if (error instanceof UpstreamError) {
+            return sendUpstreamError(res, error, 'Failed to plan trip');
+        }
+        res.status(502).json({ error: 'Failed to plan trip', details: error.message });
+    }
+});
+
+function parseHorizon(value) {
+    const horizon = Number(value || 14);
+    return HORIZONS.includes(horizon) ? horizon : null;
+}
+
+// Forecast of the daily average price, with 95% confidence bands
+app.get('/api/forecast', (req, res) => {
+    try {
+        const { region, departement } = req.query;
+        const fuel = findFuel(req.query.fuel || 'Gazole');
+        if (!fuel) {
+            return res.status(400).json({ error: `Unknown fuel: ${req.query.fuel}` });
+        }
+        const horizon = parseHorizon(req.query.horizon);
+        if (!horizon) {
+            return res.status(400).json({ error: `horizon must be one of ${HORIZONS.join(', ')}` });
+        }
+        const historyDays = Math.min(Math.max(Number(req.query.history) || 180, 30), 730);
+
+        const result = forecastPrices({ fuel, region, departement, horizon, historyDays });
+        if (!result.forecast) {
+            return res.status(422).json({ error: 'Not enough price history to forecast yet', points: result.series.length });
+        }
+        res.json({
+            fuel,
+            region: region || null,
+            departement: departement || null,
+            horizon,
+            confidence: 0.95,
+            ...result
+        });
+    } catch (error) {
+        console.error('Error in /api/forecast:', error);
+        res.status(500).json({ error: 'Failed to compute forecast' });
+    }
+});
+
+// Accuracy of the forecast against held-out history
+app.get('/api/forecast/backtest', (req, res) => {
+    try {
+        const { region, departement } = req.query;
+        const fuel = findFuel(req.query.fuel || 'Gazole');
+        if (!fuel) {
+            return res.status(400).json({ error: `Unknown fuel: ${req.query.fuel}` });
+        }
+        const horizon = parseHorizon(req.query.horizon);
+        if (!horizon) {
+            return res.status(400).json({ error: `horizon must be one of ${HORIZONS.join(', ')}` });
+        }
+        const folds = Number(req.query.folds || 4);
+        if (!Number.isInteger(folds) || folds < 1 || folds > MAX_BACKTEST_FOLDS) {
+            return res.status(400).json({ error: `folds must be an integer between 1 and ${MAX_BACKTEST_FOLDS}` });
+        }
+        const historyDays = Number(req.query.history || BACKTEST_HISTORY_DAYS.max);
+        if (!Number.isInteger(historyDays) || historyDays < BACKTEST_HISTORY_DAYS.min || historyDays > BACKTEST_HISTORY_DAYS.max) {
+            return res.status(400).json({
+                error: `history must be between ${BACKTEST_HISTORY_DAYS.min} and ${BACKTEST_HISTORY_DAYS.max} days`
+            });
+        }
+
+        res.json({
+            fuel,
+            region: region || null,
+            departement: departement || null,
+            horizon,
+            ...backtest({ fuel, region, departement, horizon, folds, historyDays })
+        });
+    } catch (error) {
+        console.error('Error in /api/forecast/backtest:', error);
+        res.status(500).json({ error: 'Failed to run backtest' });
+    }
+});
+
+// Alerts, profiles and logbooks belong to an anonymous token the client generates once
+// and sends in X-Owner-Token; nobody else can list or change them
+function requireOwner(req, res, next) {
+    const owner = req.get('x-owner-token');
+    if (!owner || !/^[A-Za-z0-9_-]{16,128}$/.test(owner)) {
+        return res.status(401).json({ error: 'X-Owner-Token header is required' });
+    }
+    req.owner = owner;
+    next();
+}
+
+// Notification channels configured on this server
+app.get('/api/alerts/channels', (req, res) => {
+    res.json({ channels: availableChannels(), vapidPublicKey: VAPID_PUBLIC_KEY || null });
+});
+
+app.get('/api/alerts', requireOwner, (req, res) => {
+    try {
+        res.json({ alerts: listAlerts(req.owner) });
+    } catch (error) {
+        console.error('Error in /api/alerts:', error);
+        res.status(500).json({ error: 'Failed to list alerts' });
+    }
+});
+
+app.post('/api/alerts', requireOwner, (req, res) => {
+    try {
+        const { value, error } = parseAlert(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const alert = createAlert(req.owner, value);
+        if (!alert) {
+            return res.status(409).json({ error: 'Too many alerts for this owner' });
+        }
+        res.status(201).json(alert);
+    } catch (error) {
+        console.error('Error in POST /api/alerts:', error);
+        res.status(500).json({ error: 'Failed to create alert' });
+    }
+});
+
+app.get('/api/alerts/:id', requireOwner, (req, res) => {
+    try {
+        const alert = getAlert(req.owner, req.params.id);
+        if (!alert) {
+            return res.status(404).json({ error: `Unknown alert: ${req.params.id}` });
+        }
+        res.json(alert);
+    } catch (error) {
+        console.error('Error in /api/alerts/:id:', error);
+        res.status(500).json({ error: 'Failed to fetch alert' });
+    }
+});
+
+app.patch('/api/alerts/:id', requireOwner, (req, res) => {
+    try {
+        const existing = getAlert(req.owner, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: `Unknown alert: ${req.params.id}` });
+        }
+        const { value, error } = parseAlert(req.body || {}, existing);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json(updateAlert(req.owner, req.params.id, value));
+    } catch (error) {
+        console.error('Error in PATCH /api/alerts/:id:', error);
+        res.status(500).json({ error: 'Failed to update alert' });
+    }
+});
+
+app.delete('/api/alerts/:id', requireOwner, (req, res) => {
+    try {
+        if (!deleteAlert(req.owner, req.params.id)) {
+            return res.status(404).json({ error: `Unknown alert: ${req.params.id}` });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error in DELETE /api/alerts/:id:', error);
+        res.status(500).json({ error: 'Failed to delete alert' });
+    }
+});
+
+// Favorite stations synced across this owner's visits
+app.get('/api/profile/favorites', requireOwner, (req, res) => {
+    try {
+        res.json({ favorites: listFavorites(req.owner) });
+    } catch (error) {
+        console.error('Error in /api/profile/favorites:', error);
+        res.status(500).json({ error: 'Failed to list favorites' });
+    }
+});
+
+app.put('/api/profile/favorites', requireOwner, (req, res) => {
+    try {
+        const { value, error } = parseFavorites((req.body || {}).favorites);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json({ favorites: setFavorites(req.owner, value) });
+    } catch (error) {
+        console.error('Error in PUT /api/profile/favorites:', error);
+        res.status(500).json({ error: 'Failed to save favorites' });
+    }
+});
+
+// Fill-up logbook with consumption and spend statistics, each fill-up
+// compared with the cheapest station within ?radiusKm= that day
+app.get('/api/logbook', requireOwner, (req, res) => {
+    try {
+        const radiusKm = req.query.radiusKm === undefined ? LOGBOOK_DEFAULT_RADIUS_KM : Number(req.query.radiusKm);
+        if (!(radiusKm > 0 && radiusKm <= LOGBOOK_MAX_RADIUS_KM)) {
+            return res.status(400).json({ error: `radiusKm must be between 0 and ${LOGBOOK_MAX_RADIUS_KM}` });
+        }
+        res.json(logbookReport(req.owner, { radiusKm }));
+    } catch (error) {
+        console.error('Error in /api/logbook:', error);
+        res.status(500).json({ error: 'Failed to load logbook' });
+    }
+});
+
+app.post('/api/logbook', requireOwner, (req, res) => {
+    try {
+        const { value, error } = parseEntry(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const entry = createEntry(req.owner, value);
+        if (!entry) {
+            return res.status(409).json({ error: 'Too many logbook entries for this owner' });
+        }
+        res.status(201).json(entry);
+    } catch (error) {
+        console.error('Error in POST /api/logbook:', error);
+        res.status(500).json({ error: 'Failed to log fill-up' });
+    }
+});
+
+app.get('/api/logbook/export', requireOwner, (req, res) => {
+    try {
+        res.attachment('fuel-logbook.csv');
+        res.type('text/csv').send(toCsv(listEntries(req.owner)));
+    } catch (error) {
+        console.error('Error in /api/logbook/export:', error);
+        res.status(500).json({ error: 'Failed to export logbook' });
+    }
+});
+
+// Adds the fill-ups of a CSV (see parseCsv in logbook.js), all or none
+app.post(
+    '/api/logbook/import',
+    requireOwner,
+    express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+    (req, res) => {
+        try {
+            if (typeof req.body !== 'string' || req.body.length === 0) {
+                return res.status(400).json({ error: 'Expected a CSV document as request body' });
+            }
+            const { value, error, errors } = parseCsv(req.body);
+            if (error) {
+                return res.status(400).json({ error, errors });
+            }
+            const imported = addEntries(req.owner, value);
+            if (imported === null) {
+                return res.status(409).json({ error: 'Too many logbook entries for this owner' });
+            }
+            res.json({ imported, skipped: value.length - imported });
+        } catch (error) {
+            console.error('Error in /api/logbook/import:', error);
+            res.status(500).json({ error: 'Failed to import logbook' });
+        }
+    }
+);
+
+app.delete('/api/logbook/:id', requireOwner, (req, res) => {
+    try {
+        if (!deleteEntry(req.owner, req.params.id)) {
+            return res.status(404).json({ error: `Unknown logbook entry: ${req.params.id}` });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error in DELETE /api/logbook/:id:', error);
+        res.status(500).json({ error: 'Failed to delete logbook entry' });
+    }
+});
+
+// Admin routes are disabled unless ADMIN_TOKEN is set, and then need it as a bearer token
+function requireAdmin(req, res, next) {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token || req.get('authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
+// Import an uploaded PrixCarburants archive (zip or XML) into the price history.
+// The upload is held in memory (yearly zips are well under the limit) but its
+// XML is parsed as a stream.
+app.post(
+    '/api/history/import',
+    requireAdmin,
+    express.raw({ type: ['application/zip', 'application/octet-stream', 'application/xml', 'text/xml'], limit: '200mb' }),
+    async (req, res) => {
+        try {
+            if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                return res.status(400).json({ error: 'Expected a zip or XML archive as request body' });
+            }
+            const result = await importArchive(req.body, { name: req.query.name || 'upload' });
+            res.json(result);
+        } catch (error) {
+            console.error('Error in /api/history/import:', error);
+            res.status(500).json({ error: 'Failed to import archive', details: error.message });
+        }
+    }
+);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
-    res.json({ status: 'ok' });
+    res.json({ status: 'ok', upstream: { ods: odsClient.stats(), overpass: overpassClient.stats() } });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+    if (err.status && err.errors) {
+        // Spec violation: a bad request, or a response not matching the spec
+        if (err.status >= 500) {
+            console.error(`Invalid response from ${req.method} ${req.path}:`, err.errors);
+            return res.status(500).json({ error: 'Something went wrong!' });
+        }
+        return res.status(err.status).json({
+            error: err.status === 400 ? 'Invalid request' : err.message,
+            errors: err.errors.map(({ path, message }) => ({ path, message, location: path.split('/')[1] }))
+        });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+    console.error(err.stack);
+    res.status(500).json({ error: 'Something went wrong!' });
 });
 
 // Start server
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`Backend server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Snapshot the instantaneous feed into the price history store
+if (process.env.COLLECTOR_ENABLED !== 'false') {
+    startCollector({
+        intervalMinutes: Number(process.env.COLLECTOR_INTERVAL_MINUTES) || undefined
+    });
+}
+
+// Match stations to OpenStreetMap brands once, then refresh periodically
+if (process.env.BRANDS_ENABLED !== 'false') {
+    startBrandMatcher({
+        refreshDays: Number(process.env.BRANDS_REFRESH_DAYS) || undefined
+    });
+}
\ No newline at end of file
@@ -0,0 +1,72 @@
+// Grid-based spatial index: items are bucketed into fixed lat/lon cells so
+// radius and bounding-box queries only look at the cells they overlap.
+// France spans ~10x15 degrees, so 0.1 degree cells keep buckets small.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = (degrees) => degrees * (Math.PI / 180);
+
+// Haversine distance in km
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a =
+        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function createSpatialIndex({ cellSize = 0.1 } = {}) {
+    const cells = new Map();
+    let size = 0;
+
+    const cellOf = (value) => Math.floor(value / cellSize);
+    const keyOf = (latCell, lonCell) => `${latCell}:${lonCell}`;
+
+    function insert(item, lat, lon) {
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+        const key = keyOf(cellOf(lat), cellOf(lon));
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push({ item, lat, lon });
+        size++;
+    }
+
+    function inBbox(minLon, minLat, maxLon, maxLat) {
+        const results = [];
+        const collect = (entries) => entries.forEach(entry => {
+            if (entry.lat >= minLat && entry.lat <= maxLat && entry.lon >= minLon && entry.lon <= maxLon) {
+                results.push(entry);
+            }
+        });
+
+        const latCells = cellOf(maxLat) - cellOf(minLat) + 1;
+        const lonCells = cellOf(maxLon) - cellOf(minLon) + 1;
+        // Boxes spanning more cells than are occupied (zoomed far out) are cheaper
+        // to answer by scanning every occupied cell
+        if (latCells * lonCells > cells.size) {
+            cells.forEach(collect);
+            return results;
+        }
+        for (let latCell = cellOf(minLat); latCell <= cellOf(maxLat); latCell++) {
+            for (let lonCell = cellOf(minLon); lonCell <= cellOf(maxLon); lonCell++) {
+                collect(cells.get(keyOf(latCell, lonCell)) || []);
+            }
+        }
+        return results;
+    }
+
+    // Items within `radiusKm` of a point, closest first, with their distance
+    function nearby(lat, lon, radiusKm) {
+        const latDelta = radiusKm / 111.32;
+        const lonDelta = radiusKm / (111.32 * Math.max(Math.cos(toRad(lat)), 0.01));
+        return inBbox(lon - lonDelta, lat - latDelta, lon + lonDelta, lat + latDelta)
+            .map(entry => ({ item: entry.item, distance: distanceKm(lat, lon, entry.lat, entry.lon) }))
+            .filter(entry => entry.distance <= radiusKm)
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    return { insert, inBbox, nearby, get size() { return size; } };
+}
+
+module.exports = { createSpatialIndex, distanceKm };
@@ -0,0 +1,405 @@
+const { getDb } = require('./db');
+const { FUELS, priceField, updateField } = require('./fuels');
+const { createSpatialIndex } = require('./spatial');
+const { BRAND_MIN_CONFIDENCE } = require('./brands');
+const { resolveBrand, getBrand, toBrand } = require('./brandRegistry');
+const { serviceIds, amenityFilter } = require('./amenities');
+
+// Prices not refreshed for this long are treated as unavailable
+const STALE_DAYS = 30;
+
+const SORTS = ['distance', 'price', 'score', 'cost'];
+
+// Euro per litre a kilometre of distance is worth when ranking by score:
+// 10 km away has to be 5 cents/L cheaper to beat the station next door
+const SCORE_DISTANCE_WEIGHT = 0.005;
+
+// Vehicle assumed by the cost ranking: consumption in L/100km, litres bought
+const DEFAULT_VEHICLE = { consumption: 6.5, fillLiters: 40 };
+
+// Stations with their current prices, in the same field layout as the
+// instantaneous feed records, plus their parsed hours and services (with the
+// ids of the filterable ones), reported shortages as [{ fuel, type, since }]
+// and the brand of confidently matched OpenStreetMap features (canonical name
+// and registry id when known, else the raw tag). See model.js for the
+// normalized shape served by the versioned API.
+//
+// Only stations listed in the latest feed snapshot are loaded (all of them
+// until the first snapshot), so stations known from old archives alone don't
+// show up. Stations without coordinates are loaded with a null `geom`: paged
+// queries list them, spatial searches can't find them.
+function loadStations(db) {
+    const staleBefore = new Date(Date.now() - STALE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const stations = new Map();
+
+    db.prepare(`
+        SELECT s.*, b.brand AS osm_brand, b.brand_wikidata AS osm_wikidata, b.name AS osm_name, b.operator AS osm_operator
+        FROM stations s
+        LEFT JOIN station_brands b ON b.station_id = s.id AND b.confidence >= ?
+        WHERE s.last_seen_at IS (SELECT MAX(last_seen_at) FROM stations)
+    `).all(BRAND_MIN_CONFIDENCE).forEach(row => {
+        const known = resolveBrand({ wikidata: row.osm_wikidata, brand: row.osm_brand, name: row.osm_name, operator: row.osm_operator });
+        stations.set(row.id, {
+            id: row.id,
+            cp: row.cp,
+            ville: row.ville,
+            adresse: row.adresse,
+            pop: row.pop,
+            departement: row.departement,
+            code_departement: row.code_departement,
+            region: row.region,
+            code_region: row.code_region,
+            brand: known ? known.name : (row.osm_brand || row.osm_operator || row.osm_name || null),
+            brand_id: known ? known.id : null,
+            geom: row.latitude != null && row.longitude != null ? [row.latitude, row.longitude] : null,
+            carburants_disponibles: [],
+            hours: row.hours ? JSON.parse(row.hours) : null,
+            services: row.services ? JSON.parse(row.services) : [],
+            shortages: []
+        });
+        const station = stations.get(row.id);
+        station.service_ids = serviceIds(station.services);
+    });
+
+    db.prepare('SELECT station_id, fuel, type, since FROM station_shortages ORDER BY since').all().forEach(row => {
+        const station = stations.get(row.station_id);
+        if (station) station.shortages.push({ fuel: row.fuel, type: row.type, since: row.since });
+    });
+
+    db.prepare('SELECT station_id, fuel, price, updated_at FROM current_prices WHERE updated_at >= ?')
+        .all(staleBefore)
+        .forEach(row => {
+            const station = stations.get(row.station_id);
+            if (!station) return;
+            station[priceField(row.fuel)] = row.price;
+            station[updateField(row.fuel)] = row.updated_at;
+        });
+
+    stations.forEach(station => {
+        station.carburants_disponibles = FUELS.filter(fuel => station[priceField(fuel)] != null);
+    });
+    return [...stations.values()];
+}
+
+function inShortage(station, fuel) {
+    return station.shortages.some(shortage => shortage.fuel === fuel);
+}
+
+// A station can sell `fuel` when it has a current price for it and doesn't
+// report it out of stock
+function sells(station, fuel) {
+    return station[priceField(fuel)] != null && !inShortage(station, fuel);
+}
+
+// The index is rebuilt whenever a new snapshot or import has been recorded,
+// or brands have been matched again
+let cachedIndex = null;
+
+function getStationIndex(db = getDb()) {
+    const { latest, brandsMatchedAt } = db.prepare(`
+        SELECT (SELECT MAX(id) FROM snapshots) AS latest, (SELECT MAX(matched_at) FROM station_brands) AS brandsMatchedAt
+    `).get();
+    if (!cachedIndex || cachedIndex.snapshotId !== latest || cachedIndex.brandsMatchedAt !== brandsMatchedAt) {
+        const stations = loadStations(db);
+        const index = createSpatialIndex();
+        stations.filter(station => station.geom).forEach(station => index.insert(station, station.geom[0], station.geom[1]));
+        cachedIndex = { snapshotId: latest, brandsMatchedAt, index, stations, byId: new Map(stations.map(s => [s.id, s])) };
+    }
+    return cachedIndex;
+}
+
+// Predicate keeping stations of one of `brands` (registry ids) and of a brand
+// in `category`. Stations without a known brand only pass when neither is set.
+function brandFilter({ brands = null, category = null } = {}) {
+    if (!brands && !category) return () => true;
+    return (station) => {
+        const brand = station.brand_id ? getBrand(station.brand_id) : null;
+        if (!brand) return false;
+        return (!brands || brands.includes(brand.id)) && (!category || brand.category === category);
+    };
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// What filling up at each station really costs: `fillLiters` at its price
+// plus the fuel burnt driving there and back (straight-line distance, at the
+// same price). Savings are against the nearest station that has the fuel:
+// what the cheaper litres save minus the extra detour.
+function trueCosts(entries, { fuel, vehicle }) {
+    const field = priceField(fuel);
+    const costOf = ({ station, distance }) => {
+        const detourLiters = 2 * distance * vehicle.consumption / 100;
+        const fill = station[field] * vehicle.fillLiters;
+        const detour = station[field] * detourLiters;
+        return { fill, detour, detourLiters, total: fill + detour };
+    };
+    const nearest = entries
+        .filter(entry => sells(entry.station, fuel))
+        .reduce((best, entry) => (!best || entry.distance < best.distance ? entry : best), null);
+    const reference = nearest && costOf(nearest);
+
+    return new Map(entries.map(entry => {
+        const cost = costOf(entry);
+        return [entry.station.id, {
+            fill: round2(cost.fill),
+            detour: round2(cost.detour),
+            detourLiters: round2(cost.detourLiters),
+            total: round2(cost.total),
+            nearestId: nearest ? nearest.station.id : null,
+            priceSavings: reference ? round2((nearest.station[field] - entry.station[field]) * vehicle.fillLiters) : null,
+            extraDetour: reference ? round2(cost.detour - reference.detour) : null,
+            savings: reference ? round2(reference.total - cost.total) : null
+        }];
+    }));
+}
+
+function rankStations(entries, { fuel, sort, vehicle }) {
+    const field = fuel ? priceField(fuel) : null;
+    const costs = fuel ? trueCosts(entries, { fuel, vehicle }) : null;
+    const comparators = {
+        distance: (a, b) => a.distance - b.distance,
+        price: (a, b) => a.station[field] - b.station[field] || a.distance - b.distance,
+        score: (a, b) => a.score - b.score,
+        cost: (a, b) => a.cost.total - b.cost.total || a.distance - b.distance
+    };
+    return entries
+        .map(entry => ({
+            ...entry,
+            score: field ? entry.station[field] + SCORE_DISTANCE_WEIGHT * entry.distance : entry.distance,
+            cost: costs ? costs.get(entry.station.id) : null
+        }))
+        .sort(comparators[sort]);
+}
+
+// Stations around a point, optionally limited to those selling `fuel`, to
+// some brands (see brandFilter) and to some amenities (see amenities.js).
+// Stations out of `fuel` are left out unless `includeShortages` is set; they
+// then rank after those that have it. With a fuel, each station also gets its
+// true cost for `vehicle` (see trueCosts). When fewer than `minResults` are
+// found the radius is doubled once, up to `maxRadius`.
+function nearbyStations({
+    lat, lon, radius = 50, fuel = null, brands = null, category = null, openNow = false, automate24 = false, services = null,
+    includeShortages = false, vehicle = DEFAULT_VEHICLE, sort = 'distance', limit = 10, minResults = 5, maxRadius = 100
+}) {
+    const { index } = getStationIndex();
+    const field = fuel ? priceField(fuel) : null;
+    const ofBrand = brandFilter({ brands, category });
+    const withAmenities = amenityFilter({ openNow, automate24, services });
+    const available = (station) => !fuel || (includeShortages ? station[field] != null : sells(station, fuel));
+
+    const search = (radiusKm) => index.nearby(lat, lon, radiusKm)
+        .filter(({ item }) => available(item) && ofBrand(item) && withAmenities(item))
+        .map(({ item, distance }) => ({ station: item, distance }));
+
+    let usedRadius = radius;
+    let entries = search(radius);
+    if (entries.length < minResults && radius < maxRadius) {
+        usedRadius = Math.min(radius * 2, maxRadius);
+        entries = search(usedRadius);
+    }
+
+    const ranked = rankStations(entries, { fuel, sort, vehicle })
+        .sort((a, b) => (fuel ? inShortage(a.station, fuel) - inShortage(b.station, fuel) : 0))
+        .slice(0, limit);
+    return {
+        radius: usedRadius,
+        total: entries.length,
+        stations: ranked.map(({ station, distance, score, cost }) => ({
+            ...station,
+            distance: Math.round(distance * 1000) / 1000,
+            score: Math.round(score * 1000) / 1000,
+            ...(cost && { cost })
+        }))
+    };
+}
+
+// Viewports below this zoom level holding more than this many stations are clustered
+const CLUSTER_BELOW_ZOOM = 12;
+const MAX_UNCLUSTERED = 500;
+
+// Group stations into grid clusters roughly 64px wide at the given zoom.
+// Prices of stations out of `fuel` don't count towards the cluster's.
+function clusterEntries(entries, zoom, fuel) {
+    const cellSize = 360 / Math.pow(2, zoom) / 4;
+    const cells = new Map();
+    entries.forEach(({ item, lat, lon }) => {
+        const key = `${Math.floor(lat / cellSize)}:${Math.floor(lon / cellSize)}`;
+        if (!cells.has(key)) cells.set(key, { latSum: 0, lonSum: 0, count: 0, prices: [] });
+        const cell = cells.get(key);
+        cell.latSum += lat;
+        cell.lonSum += lon;
+        cell.count++;
+        if (fuel && sells(item, fuel)) cell.prices.push(item[priceField(fuel)]);
+    });
+
+    return [...cells.values()].map(cell => ({
+        lat: cell.latSum / cell.count,
+        lon: cell.lonSum / cell.count,
+        count: cell.count,
+        minPrice: cell.prices.length ? Math.min(...cell.prices) : null,
+        avgPrice: cell.prices.length
+            ? Math.round(cell.prices.reduce((a, b) => a + b, 0) / cell.prices.length * 1000) / 1000
+            : null
+    }));
+}
+
+// Stations inside a bounding box. At low zoom they come back as clusters so
+// a country-wide view stays light; at street level every station is returned,
+// including those out of `fuel` so maps can flag them.
+function stationsInBbox({ minLon, minLat, maxLon, maxLat, zoom, fuel = null, brands = null, category = null, openNow = false, automate24 = false, services = null }) {
+    const { index } = getStationIndex();
+    const field = fuel ? priceField(fuel) : null;
+    const ofBrand = brandFilter({ brands, category });
+    const withAmenities = amenityFilter({ openNow, automate24, services });
+    const entries = index.inBbox(minLon, minLat, maxLon, maxLat)
+        .filter(({ item }) => (!field || item[field] != null) && ofBrand(item) && withAmenities(item));
+
+    if (zoom < CLUSTER_BELOW_ZOOM && entries.length > MAX_UNCLUSTERED) {
+        return { clustered: true, total: entries.length, stations: [], clusters: clusterEntries(entries, zoom, fuel) };
+    }
+    return { clustered: false, total: entries.length, stations: entries.map(({ item }) => item), clusters: [] };
+}
+
+// Average current price of a fuel per departement, for choropleth maps
+function departementAverages(fuel) {
+    const { stations } = getStationIndex();
+    const field = priceField(fuel);
+    const groups = new Map();
+
+    stations.forEach(station => {
+        const code = station.code_departement;
+        if (!code || !sells(station, fuel)) return;
+        if (!groups.has(code)) groups.set(code, { code, name: station.departement, prices: [] });
+        const group = groups.get(code);
+        group.name = group.name || station.departement;
+        group.prices.push(station[field]);
+    });
+
+    return [...groups.values()]
+        .map(({ code, name, prices }) => ({
+            code,
+            name: name || null,
+            count: prices.length,
+            average: Math.round(prices.reduce((a, b) => a + b, 0) / prices.length * 1000) / 1000,
+            min: Math.min(...prices),
+            max: Math.max(...prices)
+        }))
+        .sort((a, b) => a.code.localeCompare(b.code));
+}
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+// Stations reporting shortages per departement, for one fuel or any. Only
+// stations with a price for the fuel (any fuel) count towards `stations`.
+function shortagesByDepartement(fuel = null) {
+    const { stations } = getStationIndex();
+    const relevant = (shortage) => !fuel || shortage.fuel === fuel;
+    const groups = new Map();
+    const totals = { stations: 0, affected: 0, temporary: 0, permanent: 0 };
+
+    stations.forEach(station => {
+        const code = station.code_departement;
+        const shortages = station.shortages.filter(relevant);
+        const concerned = fuel ? station[priceField(fuel)] != null : station.carburants_disponibles.length > 0;
+        if (!code || (!concerned && shortages.length === 0)) return;
+        if (!groups.has(code)) {
+            groups.set(code, { code, name: null, stations: 0, affected: 0, temporary: 0, permanent: 0, byFuel: {} });
+        }
+        const group = groups.get(code);
+        group.name = group.name || station.departement || null;
+        [group, totals].forEach(target => {
+            target.stations++;
+            if (shortages.length === 0) return;
+            target.affected++;
+            // A station out of one fuel for good and another for now counts as permanent
+            target[shortages.some(shortage => shortage.type === 'permanent') ? 'permanent' : 'temporary']++;
+        });
+        shortages.forEach(shortage => {
+            group.byFuel[shortage.fuel] = (group.byFuel[shortage.fuel] || 0) + 1;
+        });
+    });
+
+    return {
+        totals,
+        departements: [...groups.values()]
+            .map(group => ({ ...group, share: round3(group.affected / group.stations) }))
+            .sort((a, b) => a.code.localeCompare(b.code))
+    };
+}
+
+// Current price of a fuel per known brand, nationally or in one region,
+// compared with the average over every station of the same area
+function brandAverages(fuel, { region = null } = {}) {
+    const { stations } = getStationIndex();
+    const field = priceField(fuel);
+    const inArea = stations.filter(station =>
+        sells(station, fuel) && (!region || fold(station.region) === fold(region)));
+    const groups = new Map();
+
+    inArea.forEach(station => {
+        if (!station.brand_id) return;
+        if (!groups.has(station.brand_id)) groups.set(station.brand_id, []);
+        groups.get(station.brand_id).push(station[field]);
+    });
+
+    const average = (prices) => prices.reduce((a, b) => a + b, 0) / prices.length;
+    const overall = inArea.length ? average(inArea.map(station => station[field])) : null;
+    return {
+        regions: [...new Set(stations.map(station => station.region).filter(Boolean))].sort(),
+        overall: { count: inArea.length, average: overall == null ? null : round3(overall) },
+        brands: [...groups.entries()]
+            .map(([id, prices]) => ({
+                brand: toBrand(getBrand(id)),
+                count: prices.length,
+                average: round3(average(prices)),
+                min: Math.min(...prices),
+                max: Math.max(...prices),
+                difference: round3(average(prices) - overall)
+            }))
+            .sort((a, b) => a.average - b.average)
+    };
+}
+
+// Lowercase and strip accents so "Ile-de-France" matches "Île-de-France"
+const fold = (value) => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Page of the locally stored stations matching the feed's location filters.
+// `q` matches stations whose brand, address, town, postal code, departement
+// or region contain every word. Ordered by id so pages are stable.
+function queryStations({ region, departement, ville, code_postal, q, start = 0, rows = null } = {}) {
+    const { stations } = getStationIndex();
+    const exact = [
+        ['region', region],
+        ['departement', departement],
+        ['ville', ville],
+        ['cp', code_postal]
+    ].filter(([, value]) => value).map(([field, value]) => [field, fold(value)]);
+    const words = q ? fold(q).split(/\s+/).filter(Boolean) : [];
+
+    const matches = stations.filter(station => {
+        if (!exact.every(([field, value]) => fold(station[field]) === value)) return false;
+        if (words.length === 0) return true;
+        const text = fold([station.brand, station.adresse, station.ville, station.cp, station.departement, station.region].join(' '));
+        return words.every(word => text.includes(word));
+    }).sort((a, b) => String(a.id).localeCompare(String(b.id)));
+
+    return {
+        total: matches.length,
+        stations: rows == null ? matches.slice(start) : matches.slice(start, start + rows)
+    };
+}
+
+module.exports = {
+    SORTS,
+    DEFAULT_VEHICLE,
+    getStationIndex,
+    inShortage,
+    sells,
+    trueCosts,
+    nearbyStations,
+    stationsInBbox,
+    departementAverages,
+    brandAverages,
+    shortagesByDepartement,
+    queryStations
+};
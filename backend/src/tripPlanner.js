@@ -0,0 +1,239 @@
+const { getRoutingProvider } = require('./routing');
+const { getStationIndex, sells } = require('./stations');
+const { distanceKm } = require('./spatial');
+const { priceField, findFuel } = require('./fuels');
+
+// Route sampling step when looking for stations along the corridor
+const SAMPLE_STEP_KM = 1;
+// Only the cheapest few stations of each stretch of road are considered
+const SEGMENT_KM = 10;
+const STATIONS_PER_SEGMENT = 3;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Cumulative distance (km) at each point of a [[lat, lon], ...] polyline
+function cumulativeDistances(geometry) {
+    const distances = [0];
+    for (let i = 1; i < geometry.length; i++) {
+        const [lat1, lon1] = geometry[i - 1];
+        const [lat2, lon2] = geometry[i];
+        distances.push(distances[i - 1] + distanceKm(lat1, lon1, lat2, lon2));
+    }
+    return distances;
+}
+
+// Points every `step` km along the polyline, with their position on the route
+function samplePolyline(geometry, step) {
+    const distances = cumulativeDistances(geometry);
+    const samples = [];
+    let segment = 1;
+    for (let at = 0; at <= distances[distances.length - 1]; at += step) {
+        while (segment < geometry.length - 1 && distances[segment] < at) segment++;
+        const start = distances[segment - 1];
+        const length = distances[segment] - start;
+        const t = length > 0 ? (at - start) / length : 0;
+        const [lat1, lon1] = geometry[segment - 1];
+        const [lat2, lon2] = geometry[segment] || geometry[segment - 1];
+        samples.push({ lat: lat1 + (lat2 - lat1) * t, lon: lon1 + (lon2 - lon1) * t, positionKm: at });
+    }
+    return { samples, lengthKm: distances[distances.length - 1] };
+}
+
+// Stations within `corridorKm` of the route that have the fuel in stock, with
+// where they sit along it and how far off it they are. Positions are rescaled
+// to the router's distance.
+function stationsAlongRoute(route, { fuel, corridorKm }) {
+    const { index } = getStationIndex();
+    const field = priceField(fuel);
+    const { samples, lengthKm } = samplePolyline(route.geometry, SAMPLE_STEP_KM);
+    const scale = lengthKm > 0 ? route.distanceKm / lengthKm : 1;
+    const found = new Map();
+
+    samples.forEach(sample => {
+        index.nearby(sample.lat, sample.lon, corridorKm).forEach(({ item, distance }) => {
+            if (!sells(item, fuel)) return;
+            const known = found.get(item.id);
+            if (!known || distance < known.offRouteKm) {
+                found.set(item.id, { station: item, price: item[field], positionKm: sample.positionKm * scale, offRouteKm: distance });
+            }
+        });
+    });
+
+    // Keep the cheapest stations of each stretch so the optimisation stays small
+    const bySegment = new Map();
+    found.forEach(candidate => {
+        const segment = Math.floor(candidate.positionKm / SEGMENT_KM);
+        if (!bySegment.has(segment)) bySegment.set(segment, []);
+        bySegment.get(segment).push(candidate);
+    });
+    const candidates = [];
+    bySegment.forEach(list => {
+        list.sort((a, b) => a.price - b.price || a.offRouteKm - b.offRouteKm);
+        candidates.push(...list.slice(0, STATIONS_PER_SEGMENT));
+    });
+    return candidates.sort((a, b) => a.positionKm - b.positionKm);
+}
+
+// Cheapest refuelling plan along an ordered list of candidate stations.
+// Dynamic programming over (stop, litres in tank) in 1 L steps: reaching a
+// station costs the fuel for the road plus its round-trip detour, and at
+// each stop any amount up to a full tank can be bought. The reserve is kept
+// on every leg except the first, as the driver may already be running low.
+function optimiseStops(candidates, { routeKm, tankLiters, startLiters, consumption, reserveLiters }) {
+    const perKm = consumption / 100;
+    const capacity = Math.floor(tankLiters);
+    const nodes = [
+        { positionKm: 0, offRouteKm: 0, price: null },
+        ...candidates,
+        { positionKm: routeKm, offRouteKm: 0, price: null }
+    ];
+    const last = nodes.length - 1;
+
+    // leave[i][f]: cheapest spend to leave node i with f litres
+    const leave = nodes.map(() => new Array(capacity + 1).fill(Infinity));
+    const parent = nodes.map(() => new Array(capacity + 1).fill(null));
+    leave[0][Math.min(Math.floor(startLiters), capacity)] = 0;
+
+    for (let j = 1; j <= last; j++) {
+        const node = nodes[j];
+        const arrive = new Array(capacity + 1).fill(Infinity);
+        const arriveFrom = new Array(capacity + 1).fill(null);
+
+        for (let i = 0; i < j; i++) {
+            // Detours are driven to the station and back onto the route
+            const drive = (node.positionKm - nodes[i].positionKm) + node.offRouteKm * 2;
+            const needed = Math.ceil(drive * perKm);
+            const reserve = i === 0 ? 0 : reserveLiters;
+            for (let f = needed + reserve; f <= capacity; f++) {
+                if (leave[i][f] < arrive[f - needed]) {
+                    arrive[f - needed] = leave[i][f];
+                    arriveFrom[f - needed] = { node: i, liters: f };
+                }
+            }
+        }
+
+        if (j === last) {
+            let best = null;
+            arrive.forEach((cost, f) => {
+                if (cost < Infinity && (!best || cost < best.cost)) best = { cost, liters: f, from: arriveFrom[f] };
+            });
+            return best ? { best, parent } : null;
+        }
+
+        // Buying is cumulative: leaving with g litres costs the cheaper of
+        // arriving with g, or leaving with g - 1 and buying one more litre
+        for (let g = 0; g <= capacity; g++) {
+            const arrived = arrive[g];
+            const bought = g > 0 ? leave[j][g - 1] + node.price : Infinity;
+            if (arrived <= bought) {
+                leave[j][g] = arrived;
+                parent[j][g] = arriveFrom[g] && { ...arriveFrom[g], arrivedWith: g };
+            } else {
+                leave[j][g] = bought;
+                parent[j][g] = parent[j][g - 1];
+            }
+        }
+    }
+    return null;
+}
+
+async function planTrip({ origin, destination, fuel, tankLiters, fuelLevel, consumption, corridorKm = 5, reserveLiters }) {
+    const route = await getRoutingProvider().route([origin, destination]);
+    const startLiters = tankLiters * fuelLevel / 100;
+    const reserve = Math.ceil(reserveLiters != null ? reserveLiters : tankLiters * 0.1);
+    const candidates = stationsAlongRoute(route, { fuel, corridorKm });
+
+    const plan = optimiseStops(candidates, {
+        routeKm: route.distanceKm,
+        tankLiters,
+        startLiters,
+        consumption,
+        reserveLiters: reserve
+    });
+
+    const result = {
+        fuel,
+        route: {
+            distanceKm: round2(route.distanceKm),
+            durationMin: Math.round(route.durationMin),
+            geometry: route.geometry
+        },
+        candidates: candidates.length,
+        feasible: Boolean(plan),
+        stops: [],
+        totalLiters: 0,
+        totalCost: 0
+    };
+    if (!plan) return result;
+
+    // Walk the parent links back from the destination
+    const stops = [];
+    let link = plan.best.from;
+    while (link && link.node !== 0) {
+        const { node, liters } = link;
+        const info = plan.parent[node][liters];
+        const candidate = candidates[node - 1];
+        const bought = liters - info.arrivedWith;
+        if (bought > 0) {
+            stops.unshift({
+                station: candidate.station,
+                positionKm: round2(candidate.positionKm),
+                detourKm: round2(candidate.offRouteKm * 2),
+                price: candidate.price,
+                liters: bought,
+                cost: round2(bought * candidate.price)
+            });
+        }
+        link = { node: info.node, liters: info.liters };
+    }
+
+    result.stops = stops;
+    result.totalLiters = stops.reduce((sum, stop) => sum + stop.liters, 0);
+    result.totalCost = round2(stops.reduce((sum, stop) => sum + stop.cost, 0));
+    result.arrivalLiters = plan.best.liters;
+
+    // What the same litres would cost at the average corridor price
+    if (candidates.length && result.totalLiters > 0) {
+        const average = candidates.reduce((sum, c) => sum + c.price, 0) / candidates.length;
+        result.averagePriceCost = round2(average * result.totalLiters);
+    }
+    return result;
+}
+
+function parsePoint(point) {
+    const lat = Number(point?.lat);
+    const lon = Number(point?.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return null;
+    }
+    return { lat, lon };
+}
+
+// Validate a trip request body. Returns { value } (planTrip options) or { error }.
+function parseTripRequest(body) {
+    const origin = parsePoint(body.origin);
+    const destination = parsePoint(body.destination);
+    if (!origin || !destination) {
+        return { error: 'origin and destination need lat and lon' };
+    }
+    const fuel = findFuel(body.fuel || 'Gazole');
+    if (!fuel) {
+        return { error: `Unknown fuel: ${body.fuel}` };
+    }
+    const tankLiters = Number(body.tankLiters);
+    const fuelLevel = Number(body.fuelLevel);
+    const consumption = Number(body.consumption);
+    if (!(tankLiters >= 10 && tankLiters <= 200)) {
+        return { error: 'tankLiters must be between 10 and 200' };
+    }
+    if (!(fuelLevel >= 0 && fuelLevel <= 100)) {
+        return { error: 'fuelLevel must be a percentage between 0 and 100' };
+    }
+    if (!(consumption > 0 && consumption <= 50)) {
+        return { error: 'consumption must be between 0 and 50 L/100km' };
+    }
+    const corridorKm = Math.min(Math.max(Number(body.corridorKm) || 5, 0.5), 20);
+    return { value: { origin, destination, fuel, tankLiters, fuelLevel, consumption, corridorKm } };
+}
+
+module.exports = { planTrip, parseTripRequest, stationsAlongRoute, optimiseStops };
@@ -0,0 +1,186 @@
+const axios = require('axios');
+
+// Shared client for outbound HTTP calls to third-party APIs: per-attempt
+// timeout, retries with exponential backoff and full jitter, a concurrency
+// limit and a circuit breaker. Failures surface as an UpstreamError whose
+// `category` tells API clients what went wrong.
+
+// category -> HTTP status our API answers with
+const CATEGORY_STATUS = {
+    upstream_timeout: 504,
+    upstream_4xx: 502,
+    upstream_5xx: 502,
+    upstream_unreachable: 502,
+    rate_limited: 503,
+    circuit_open: 503
+};
+
+class UpstreamError extends Error {
+    constructor(category, message, { upstream, upstreamStatus, retryAfter } = {}) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.category = category;
+        this.status = CATEGORY_STATUS[category];
+        this.upstream = upstream;
+        this.upstreamStatus = upstreamStatus;
+        this.retryAfter = retryAfter;
+    }
+}
+
+function parseRetryAfter(value) {
+    if (!value) return undefined;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return seconds;
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.max(0, Math.ceil((date - Date.now()) / 1000)) : undefined;
+}
+
+function categorize(error, upstream) {
+    if (error instanceof UpstreamError) return error;
+    const status = error.response?.status;
+    if (status === 429) {
+        return new UpstreamError('rate_limited', `${upstream} is rate limiting requests`, {
+            upstream,
+            upstreamStatus: status,
+            retryAfter: parseRetryAfter(error.response.headers?.['retry-after'])
+        });
+    }
+    if (status >= 400 && status < 500) {
+        return new UpstreamError('upstream_4xx', `${upstream} rejected the request (${status})`, { upstream, upstreamStatus: status });
+    }
+    if (status >= 500) {
+        return new UpstreamError('upstream_5xx', `${upstream} failed (${status})`, { upstream, upstreamStatus: status });
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || axios.isCancel(error)) {
+        return new UpstreamError('upstream_timeout', `${upstream} did not answer in time`, { upstream });
+    }
+    return new UpstreamError('upstream_unreachable', `${upstream} is unreachable (${error.code || error.message})`, { upstream });
+}
+
+// Client errors other than rate limiting will fail the same way again
+const isRetryable = (error) => error.category !== 'upstream_4xx' && error.category !== 'circuit_open';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createUpstreamClient({
+    name,
+    timeoutMs = 15000,
+    retries = 2,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    concurrency = 4,
+    failureThreshold = 5,
+    resetMs = 30000
+}) {
+    const stats = { requests: 0, failures: 0, retries: 0, rejected: 0 };
+
+    // Circuit breaker: after `failureThreshold` consecutive failed calls the
+    // circuit opens and calls fail fast for `resetMs`; then a single trial
+    // call is let through (half-open) and closes it again if it succeeds.
+    let consecutiveFailures = 0;
+    let openedAt = null;
+    let trialInFlight = false;
+
+    function admit() {
+        if (openedAt === null) return false;
+        if (Date.now() - openedAt < resetMs || trialInFlight) {
+            stats.rejected++;
+            throw new UpstreamError('circuit_open', `${name} is temporarily disabled after repeated failures`, {
+                upstream: name,
+                retryAfter: Math.max(1, Math.ceil((openedAt + resetMs - Date.now()) / 1000))
+            });
+        }
+        trialInFlight = true;
+        return true;
+    }
+
+    function settle(ok, trial) {
+        if (trial) trialInFlight = false;
+        if (ok) {
+            consecutiveFailures = 0;
+            openedAt = null;
+        } else if (++consecutiveFailures >= failureThreshold || trial) {
+            if (openedAt === null || trial) console.error(`Circuit to ${name} opened`);
+            openedAt = Date.now();
+        }
+    }
+
+    // Simple FIFO semaphore
+    let active = 0;
+    const queue = [];
+
+    async function acquire() {
+        if (active < concurrency) {
+            active++;
+            return;
+        }
+        await new Promise(resolve => queue.push(resolve));
+    }
+
+    function release() {
+        const next = queue.shift();
+        if (next) next();
+        else active--;
+    }
+
+    async function attempt(config) {
+        await acquire();
+        try {
+            return await axios({ timeout: timeoutMs, ...config });
+        } finally {
+            release();
+        }
+    }
+
+    async function request(config) {
+        const trial = admit();
+        stats.requests++;
+        let lastError;
+        for (let i = 0; i <= retries; i++) {
+            if (i > 0) {
+                stats.retries++;
+                const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (i - 1));
+                const delay = lastError.retryAfter != null
+                    ? Math.min(maxDelayMs, lastError.retryAfter * 1000)
+                    : Math.random() * backoff;
+                await sleep(delay);
+            }
+            try {
+                const response = await attempt(config);
+                settle(true, trial);
+                return response;
+            } catch (error) {
+                lastError = categorize(error, name);
+                if (!isRetryable(lastError)) break;
+            }
+        }
+        stats.failures++;
+        // A 4xx is our request's fault, not a sign the upstream is unhealthy
+        settle(lastError.category === 'upstream_4xx', trial);
+        throw lastError;
+    }
+
+    return {
+        name,
+        request,
+        get: (url, config = {}) => request({ ...config, method: 'get', url }),
+        stats: () => ({
+            ...stats,
+            active,
+            queued: queue.length,
+            circuit: openedAt === null ? 'closed' : (Date.now() - openedAt < resetMs ? 'open' : 'half-open')
+        })
+    };
+}
+
+// Answer an API request that failed on an upstream call, letting the
+// frontend know which kind of failure it was
+function sendUpstreamError(res, error, message) {
+    if (error instanceof UpstreamError) {
+        if (error.retryAfter != null) res.set('Retry-After', String(error.retryAfter));
+        return res.status(error.status).json({ error: message, category: error.category, details: error.message });
+    }
+    return res.status(500).json({ error: message, details: error.message });
+}
+
+module.exports = { UpstreamError, createUpstreamClient, sendUpstreamError };
@@ -0,0 +1,262 @@
+const express = require('express');
+const { FUEL_CATALOG, VEHICLE_TYPES, findFuel, toFuel } = require('./fuels');
+const { stationHistory } = require('./analytics');
+const { getStationIndex, nearbyStations, stationsInBbox, departementAverages, brandAverages, queryStations } = require('./stations');
+const { CATEGORIES, BRANDS, getBrand, toBrand, brandBadgeSvg } = require('./brandRegistry');
+const { SERVICES } = require('./amenities');
+const { parseViewportQuery, parseNearbyQuery, parseStationIds, parseStationHistoryQuery, parseStationHistoriesQuery } = require('./params');
+const { planTrip, parseTripRequest } = require('./tripPlanner');
+const { toStation, toRankedStation } = require('./model');
+const { UpstreamError, sendUpstreamError } = require('./upstream');
+
+// Versioned API serving normalized Station objects (see model.js).
+// The unversioned routes in server.js keep the feed's field layout.
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 1000;
+const MAX_BATCH_STATIONS = 100;
+
+// Stations matching location filters, a page at a time
+router.get('/stations', (req, res) => {
+    try {
+        const start = Number(req.query.start || 0);
+        const rows = Number(req.query.rows || 100);
+        if (!Number.isInteger(start) || start < 0) {
+            return res.status(400).json({ error: 'start must be a non-negative integer' });
+        }
+        if (!Number.isInteger(rows) || rows < 1 || rows > MAX_PAGE_SIZE) {
+            return res.status(400).json({ error: `rows must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+        }
+        const { region, departement, city, postalCode, q } = req.query;
+        const page = queryStations({ region, departement, ville: city, code_postal: postalCode, q, start, rows });
+        res.json({ total: page.total, start, stations: page.stations.map(toStation) });
+    } catch (error) {
+        console.error('Error in /api/v1/stations:', error);
+        res.status(500).json({ error: 'Failed to fetch stations' });
+    }
+});
+
+// Stations in a map viewport: bbox=minLon,minLat,maxLon,maxLat, clustered at low zoom
+router.get('/stations/viewport', (req, res) => {
+    try {
+        const { value, error } = parseViewportQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { minLon, minLat, maxLon, maxLat, zoom, fuel } = value;
+        const result = stationsInBbox(value);
+        res.json({ bbox: [minLon, minLat, maxLon, maxLat], zoom, fuel, ...result, stations: result.stations.map(toStation) });
+    } catch (error) {
+        console.error('Error in /api/v1/stations/viewport:', error);
+        res.status(500).json({ error: 'Failed to fetch stations' });
+    }
+});
+
+// Nearest / cheapest stations around a point, ranked server-side
+router.get('/stations/nearby', (req, res) => {
+    try {
+        const { value, error } = parseNearbyQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { lat, lon, fuel, sort, vehicle } = value;
+        const result = nearbyStations(value);
+        res.json({ lat, lon, fuel, sort, vehicle, ...result, stations: result.stations.map(toRankedStation) });
+    } catch (error) {
+        console.error('Error in /api/v1/stations/nearby:', error);
+        res.status(500).json({ error: 'Failed to find nearby stations' });
+    }
+});
+
+// Price changes since `from`, newest first, out of a station's history (which
+// starts with the price each fuel had at `from`)
+function recentChanges(history, from) {
+    const previous = {};
+    const changes = [];
+    history.forEach(entry => {
+        if (previous[entry.fuel] != null && Date.parse(entry.updatedAt) >= from) {
+            changes.push({ fuel: entry.fuel, price: entry.price, previousPrice: previous[entry.fuel], updatedAt: entry.updatedAt });
+        }
+        previous[entry.fuel] = entry.price;
+    });
+    return changes.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// Current prices of a few stations compared with their departement's
+// average, with their price changes over the last `days` (for dashboards)
+router.get('/stations/summary', (req, res) => {
+    try {
+        const { value, error } = parseStationIds(req.query, MAX_BATCH_STATIONS);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { ids } = value;
+        const days = Math.min(Math.max(Number(req.query.days) || 7, 1), 90);
+        const from = Date.now() - days * 24 * 60 * 60 * 1000;
+        const { byId } = getStationIndex();
+        const averages = new Map();
+        const averageOf = (fuel, code) => {
+            if (!averages.has(fuel)) averages.set(fuel, new Map(departementAverages(fuel).map(d => [d.code, d.average])));
+            return averages.get(fuel).get(code) ?? null;
+        };
+
+        const stations = ids.filter(id => byId.has(id)).map(id => {
+            const raw = byId.get(id);
+            const station = toStation(raw);
+            return {
+                ...station,
+                comparison: station.prices.map(({ fuel, price }) => {
+                    const average = averageOf(fuel, raw.code_departement);
+                    return { fuel, price, departementAverage: average, difference: average == null ? null : Math.round((price - average) * 1000) / 1000 };
+                }),
+                changes: recentChanges(stationHistory({ stationId: id, from }), from)
+            };
+        });
+        res.json({ days, stations, missing: ids.filter(id => !byId.has(id)) });
+    } catch (error) {
+        console.error('Error in /api/v1/stations/summary:', error);
+        res.status(500).json({ error: 'Failed to summarize stations' });
+    }
+});
+
+// Recorded price changes of a few stations at once (for list sparklines)
+router.get('/stations/history', (req, res) => {
+    try {
+        const { value, error } = parseStationHistoriesQuery(req.query, MAX_BATCH_STATIONS);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { ids, fuel, from } = value;
+        const { byId } = getStationIndex();
+
+        res.json({
+            fuel,
+            from: new Date(from).toISOString(),
+            stations: ids.filter(id => byId.has(id)).map(id => ({
+                id,
+                fuel,
+                from: new Date(from).toISOString(),
+                history: stationHistory({ stationId: id, fuel, from })
+            })),
+            missing: ids.filter(id => !byId.has(id))
+        });
+    } catch (error) {
+        console.error('Error in /api/v1/stations/history:', error);
+        res.status(500).json({ error: 'Failed to fetch station histories' });
+    }
+});
+
+router.get('/stations/:id', (req, res) => {
+    try {
+        const station = getStationIndex().byId.get(req.params.id);
+        if (!station) {
+            return res.status(404).json({ error: `Unknown station: ${req.params.id}` });
+        }
+        res.json(toStation(station));
+    } catch (error) {
+        console.error('Error in /api/v1/stations/:id:', error);
+        res.status(500).json({ error: 'Failed to fetch station' });
+    }
+});
+
+// Recorded price changes of a single station
+router.get('/stations/:id/history', (req, res) => {
+    try {
+        const { id } = req.params;
+        const { value, error } = parseStationHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { fuel, from } = value;
+
+        if (!getStationIndex().byId.has(id)) {
+            return res.status(404).json({ error: `Unknown station: ${id}` });
+        }
+        res.json({
+            id,
+            fuel,
+            from: new Date(from).toISOString(),
+            history: stationHistory({ stationId: id, fuel, from })
+        });
+    } catch (error) {
+        console.error('Error in /api/v1/stations/:id/history:', error);
+        res.status(500).json({ error: 'Failed to fetch station history' });
+    }
+});
+
+// Fuel catalog driving client selectors, colors and popups, with the vehicle
+// types and station services its entries refer to
+router.get('/fuels', (req, res) => {
+    res.json({
+        fuels: FUEL_CATALOG.map(toFuel),
+        vehicles: VEHICLE_TYPES,
+        services: SERVICES.map(({ id, label }) => ({ id, label }))
+    });
+});
+
+// Services stations can be filtered on (?services=)
+router.get('/services', (req, res) => {
+    res.json({ services: SERVICES.map(({ id, label }) => ({ id, label })) });
+});
+
+// Canonical brand registry, with how many stations carry each brand
+router.get('/brands', (req, res) => {
+    try {
+        const counts = new Map();
+        getStationIndex().stations.forEach(station => {
+            if (station.brand_id) counts.set(station.brand_id, (counts.get(station.brand_id) || 0) + 1);
+        });
+        res.json({
+            categories: CATEGORIES,
+            brands: BRANDS.map(brand => ({ ...toBrand(brand), stations: counts.get(brand.id) || 0 }))
+        });
+    } catch (error) {
+        console.error('Error in /api/v1/brands:', error);
+        res.status(500).json({ error: 'Failed to fetch brands' });
+    }
+});
+
+// Average current price per brand, nationally or in one region
+router.get('/brands/comparison', (req, res) => {
+    try {
+        const fuel = findFuel(req.query.fuel || 'Gazole');
+        if (!fuel) {
+            return res.status(400).json({ error: `Unknown fuel: ${req.query.fuel}` });
+        }
+        const region = req.query.region || null;
+        res.json({ fuel, region, ...brandAverages(fuel, { region }) });
+    } catch (error) {
+        console.error('Error in /api/v1/brands/comparison:', error);
+        res.status(500).json({ error: 'Failed to compare brands' });
+    }
+});
+
+// Placeholder badge with the brand's initials, not its actual logo
+router.get('/brands/:id/badge.svg', (req, res) => {
+    const brand = getBrand(req.params.id);
+    if (!brand) {
+        return res.status(404).json({ error: `Unknown brand: ${req.params.id}` });
+    }
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.type('image/svg+xml').send(brandBadgeSvg(brand));
+});
+
+// Cheapest refuelling stops between two points
+router.post('/trips/plan', async (req, res) => {
+    try {
+        const { value, error } = parseTripRequest(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const plan = await planTrip(value);
+        res.json({ ...plan, stops: plan.stops.map(stop => ({ ...stop, station: toStation(stop.station) })) });
+    } catch (error) {
+        console.error('Error in /api/v1/trips/plan:', error);
+        if (error instanceof UpstreamError) {
+            return sendUpstreamError(res, error, 'Failed to plan trip');
+        }
+        res.status(502).json({ error: 'Failed to plan trip', details: error.message });
+    }
+});
+
+module.exports = router;
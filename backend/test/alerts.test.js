@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDb } = require('../src/db');
+const { recordSnapshot } = require('../src/history');
+const { registerChannel, PermanentDeliveryError } = require('../src/notifiers');
+const { parseAlert, createAlert, getAlert, evaluate, checkAlerts } = require('../src/alerts');
+
+// Messages delivered through the test channel; `failWith` makes the next
+// delivery throw
+const sent = [];
+let failWith = null;
+registerChannel('test', {
+    enabled: () => true,
+    validateTarget: () => null,
+    async send(target, message) {
+        if (failWith) {
+            const error = failWith;
+            failWith = null;
+            throw error;
+        }
+        sent.push(message);
+    }
+});
+
+// One database for the whole file: the station index is cached by snapshot
+const db = openDb(':memory:');
+let minutes = 0;
+
+function setPrice(price) {
+    minutes++;
+    recordSnapshot(db, [{
+        id: 1,
+        cp: '75001',
+        ville: 'Paris',
+        adresse: '1 rue de Rivoli',
+        geom: [48.8566, 2.3522],
+        gazole_prix: price,
+        gazole_maj: new Date(Date.now() - 60 * 60000 + minutes * 60000).toISOString()
+    }]);
+}
+
+function addAlert(condition, threshold) {
+    const { value, error } = parseAlert({ fuel: 'Gazole', stationIds: ['1'], condition, threshold, channel: 'test', target: {} });
+    assert.equal(error, undefined);
+    return createAlert('owner', value, db);
+}
+
+const state = (alert) => ({ ...db.prepare('SELECT reference_price, notified FROM alert_state WHERE alert_id = ?').get(alert.id) });
+
+test('evaluate triggers below alerts once until the price goes back up', () => {
+    const alert = { condition: 'below', threshold: 1.75 };
+    assert.deepEqual(evaluate(alert, 1.8, null), { trigger: false, next: { reference: 1.8, notified: 0 } });
+    assert.deepEqual(evaluate(alert, 1.75, { reference: 1.8, notified: 0 }), { trigger: true, next: { reference: 1.75, notified: 1 } });
+    assert.equal(evaluate(alert, 1.7, { reference: 1.75, notified: 1 }).trigger, false);
+    assert.deepEqual(evaluate(alert, 1.76, { reference: 1.7, notified: 1 }).next, { reference: 1.76, notified: 0 });
+});
+
+test('evaluate measures drops from the highest price since the last notification', () => {
+    const alert = { condition: 'drop', threshold: 5 };
+    assert.deepEqual(evaluate(alert, 1.8, null), { trigger: false, next: { reference: 1.8, notified: 0 } });
+    // Exactly 5 cents, despite floating point
+    assert.equal(evaluate(alert, 1.75, { reference: 1.8, notified: 0 }).trigger, true);
+    assert.deepEqual(evaluate(alert, 1.76, { reference: 1.8, notified: 0 }), { trigger: false, next: null });
+    assert.deepEqual(evaluate(alert, 1.82, { reference: 1.8, notified: 1 }), { trigger: false, next: { reference: 1.82, notified: 0 } });
+});
+
+test('checkAlerts notifies below alerts and re-arms them', async () => {
+    setPrice(1.8);
+    const alert = addAlert('below', 1.75);
+    assert.deepEqual(state(alert), { reference_price: 1.8, notified: 0 });
+
+    assert.deepEqual(await checkAlerts(db), { checked: 1, notified: 0, failed: 0 });
+
+    setPrice(1.74);
+    assert.equal((await checkAlerts(db)).notified, 1);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].title, 'Gazole under 1.750 €');
+    assert.deepEqual(sent[0].payload.matches.map(match => [match.stationId, match.price, match.previousPrice]), [['1', 1.74, 1.8]]);
+    assert.deepEqual(state(alert), { reference_price: 1.74, notified: 1 });
+    assert.ok(getAlert('owner', alert.id, db).lastNotifiedAt);
+
+    // Still under: no repeat
+    setPrice(1.73);
+    assert.equal((await checkAlerts(db)).notified, 0);
+
+    setPrice(1.76);
+    await checkAlerts(db);
+    assert.deepEqual(state(alert), { reference_price: 1.76, notified: 0 });
+    setPrice(1.75);
+    assert.equal((await checkAlerts(db)).notified, 1);
+    assert.equal(sent.length, 2);
+
+    db.prepare('DELETE FROM alerts').run();
+});
+
+test('checkAlerts notifies drops and retries failed deliveries', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    sent.length = 0;
+    setPrice(1.8);
+    const alert = addAlert('drop', 5);
+
+    // A rise moves the reference up
+    setPrice(1.82);
+    await checkAlerts(db);
+    assert.deepEqual(state(alert), { reference_price: 1.82, notified: 0 });
+
+    setPrice(1.77);
+    failWith = new Error('timeout');
+    assert.deepEqual(await checkAlerts(db), { checked: 1, notified: 0, failed: 1 });
+    assert.deepEqual(state(alert), { reference_price: 1.82, notified: 0 });
+
+    assert.equal((await checkAlerts(db)).notified, 1);
+    assert.equal(sent[0].title, 'Gazole dropped by 5 cents');
+    assert.deepEqual(state(alert), { reference_price: 1.77, notified: 1 });
+
+    // A target that can never be reached deactivates the alert
+    setPrice(1.7);
+    failWith = new PermanentDeliveryError('gone');
+    assert.equal((await checkAlerts(db)).failed, 1);
+    assert.equal(getAlert('owner', alert.id, db).active, false);
+    assert.equal((await checkAlerts(db)).checked, 0);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeTime, hoursFromFields, servicesFromFields, serviceIds, isOpenAt, amenityFilter } = require('../src/amenities');
+
+// Monday to Saturday 07:00-12:00 and 14:00-19:30, Sunday closed
+const HOURS = {
+    automate24: false,
+    days: [
+        ...[1, 2, 3, 4, 5, 6].map(day => ({
+            day,
+            name: null,
+            closed: false,
+            ranges: [{ open: '07:00', close: '12:00' }, { open: '14:00', close: '19:30' }]
+        })),
+        { day: 7, name: 'Dimanche', closed: true, ranges: [] }
+    ]
+};
+
+test('times are normalized to HH:MM', () => {
+    assert.equal(normalizeTime('7.00'), '07:00');
+    assert.equal(normalizeTime('07.30'), '07:30');
+    assert.equal(normalizeTime('19:30:00'), '19:30');
+    assert.equal(normalizeTime('8h15'), '08:15');
+    assert.equal(normalizeTime(''), null);
+    assert.equal(normalizeTime('midi'), null);
+});
+
+test('feed hours are read from JSON strings or objects', () => {
+    const horaires = {
+        '@automate-24-24': '',
+        jour: [
+            { '@id': '1', '@nom': 'Lundi', '@ferme': '', horaire: { '@ouverture': '07.00', '@fermeture': '19.30' } },
+            { '@id': '7', '@nom': 'Dimanche', '@ferme': '1' }
+        ]
+    };
+    const expected = {
+        automate24: false,
+        days: [
+            { day: 1, name: 'Lundi', closed: false, ranges: [{ open: '07:00', close: '19:30' }] },
+            { day: 7, name: 'Dimanche', closed: true, ranges: [] }
+        ]
+    };
+    assert.deepEqual(hoursFromFields({ horaires: JSON.stringify(horaires) }), expected);
+    assert.deepEqual(hoursFromFields({ horaires }), expected);
+
+    assert.deepEqual(hoursFromFields({ horaires_automate_24_24: 'Oui' }), { automate24: true, days: [] });
+    assert.equal(hoursFromFields({}), null);
+    assert.equal(hoursFromFields({ horaires: '{not json' }), null);
+});
+
+test('services are read from either feed layout and mapped to ids', () => {
+    const services = servicesFromFields({ services_service: 'Boutique alimentaire//Station de gonflage// DAB (Distributeur automatique de billets)' });
+    assert.deepEqual(services, ['Boutique alimentaire', 'Station de gonflage', 'DAB (Distributeur automatique de billets)']);
+    assert.deepEqual(serviceIds(services), ['shop', 'air', 'cashMachine']);
+
+    assert.deepEqual(servicesFromFields({ services: '{"service":"Lavage automatique"}' }), ['Lavage automatique']);
+    assert.deepEqual(serviceIds(['Bornes électriques', 'Piste poids lourds']), ['evCharging', 'truckLane']);
+    assert.equal(servicesFromFields({}), null);
+    assert.deepEqual(serviceIds(null), []);
+});
+
+test('isOpenAt uses French local time', () => {
+    // Monday 15 July 2024, summer time (UTC+2)
+    assert.equal(isOpenAt(HOURS, new Date('2024-07-15T05:30:00Z')), true);
+    assert.equal(isOpenAt(HOURS, new Date('2024-07-15T04:59:00Z')), false);
+    assert.equal(isOpenAt(HOURS, new Date('2024-07-15T10:30:00Z')), false);
+    assert.equal(isOpenAt(HOURS, new Date('2024-07-15T17:29:00Z')), true);
+    assert.equal(isOpenAt(HOURS, new Date('2024-07-15T17:30:00Z')), false);
+    // Monday 15 January 2024, winter time (UTC+1)
+    assert.equal(isOpenAt(HOURS, new Date('2024-01-15T06:00:00Z')), true);
+    assert.equal(isOpenAt(HOURS, new Date('2024-01-15T05:59:00Z')), false);
+    // Sunday
+    assert.equal(isOpenAt(HOURS, new Date('2024-07-14T10:00:00Z')), false);
+});
+
+test('isOpenAt handles ranges past midnight, 24/7 automates and unknown days', () => {
+    const night = { automate24: false, days: [{ day: 5, closed: false, ranges: [{ open: '18:00', close: '02:00' }] }] };
+    // Friday 19 July 2024
+    assert.equal(isOpenAt(night, new Date('2024-07-19T21:00:00Z')), true);
+    assert.equal(isOpenAt(night, new Date('2024-07-18T23:30:00Z')), true);
+    assert.equal(isOpenAt(night, new Date('2024-07-19T10:00:00Z')), false);
+    // Thursday is not described
+    assert.equal(isOpenAt(night, new Date('2024-07-18T10:00:00Z')), null);
+
+    assert.equal(isOpenAt({ automate24: true, days: [] }), true);
+    assert.equal(isOpenAt(null), null);
+});
+
+test('amenityFilter combines open-now, 24/7 and service criteria', () => {
+    const stations = [
+        { id: 'automate', hours: { automate24: true, days: [] }, service_ids: ['adblue'] },
+        { id: 'shop', hours: HOURS, service_ids: ['shop', 'adblue'] },
+        { id: 'unknown', hours: null, service_ids: [] }
+    ];
+    const ids = (filter) => stations.filter(amenityFilter(filter)).map(station => station.id);
+
+    assert.deepEqual(ids(), ['automate', 'shop', 'unknown']);
+    assert.deepEqual(ids({ automate24: true }), ['automate']);
+    assert.deepEqual(ids({ services: ['adblue'] }), ['automate', 'shop']);
+    assert.deepEqual(ids({ services: ['adblue', 'shop'] }), ['shop']);
+    // Stations with unknown hours never count as open
+    assert.ok(!ids({ openNow: true }).includes('unknown'));
+    assert.ok(ids({ openNow: true }).includes('automate'));
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDb } = require('../src/db');
+const { recordSnapshot } = require('../src/history');
+const { buildBuckets, carriedUntil, averagePrices } = require('../src/analytics');
+
+const PARIS = { cp: '75001', departement: 'Paris', region: 'Île-de-France', pop: 'R' };
+const MARSEILLE = { cp: '13001', departement: 'Bouches-du-Rhône', region: "Provence-Alpes-Côte d'Azur", pop: 'A' };
+
+// Station 1 keeps a price set before the range, station 2 changes it and
+// station 3 leaves the feed after the first day
+function seed() {
+    const db = openDb(':memory:');
+    recordSnapshot(db, [
+        { id: 1, ...PARIS, gazole_prix: 1.8, gazole_maj: '2024-06-20T08:00:00+02:00' },
+        { id: 2, ...MARSEILLE, gazole_prix: 1.9, gazole_maj: '2024-07-01T07:00:00+02:00' },
+        { id: 3, ...PARIS, cp: '75002', gazole_prix: 1.7, gazole_maj: '2024-07-01T07:00:00+02:00' }
+    ], { recordedAt: '2024-07-01T06:00:00.000Z' });
+    recordSnapshot(db, [
+        { id: 1, ...PARIS, gazole_prix: 1.8, gazole_maj: '2024-06-20T08:00:00+02:00' },
+        { id: 2, ...MARSEILLE, gazole_prix: 2, gazole_maj: '2024-07-03T07:00:00+02:00' }
+    ], { recordedAt: '2024-07-03T06:00:00.000Z' });
+    return db;
+}
+
+const averages = (db, filters = {}) => averagePrices({
+    fuel: 'Gazole',
+    from: Date.parse('2024-07-01T00:00:00Z'),
+    to: Date.parse('2024-07-04T12:00:00Z'),
+    ...filters
+}, db).map(bucket => [bucket.period, bucket.mean, bucket.count]);
+
+test('buckets are UTC days, ISO weeks or calendar months', () => {
+    const periods = (from, to, interval) => buildBuckets(Date.parse(from), Date.parse(to), interval).map(bucket => bucket.period);
+
+    assert.deepEqual(periods('2024-07-30T18:00:00Z', '2024-08-01T01:00:00Z', 'day'), ['2024-07-30', '2024-07-31', '2024-08-01']);
+    // Wednesday 3 July falls in the week of Monday 1 July
+    assert.deepEqual(periods('2024-07-03T00:00:00Z', '2024-07-20T00:00:00Z', 'week'), ['2024-07-01', '2024-07-08', '2024-07-15']);
+    assert.deepEqual(periods('2024-01-31T00:00:00Z', '2024-03-01T00:00:00Z', 'month'), ['2024-01', '2024-02', '2024-03']);
+
+    const [week] = buildBuckets(Date.parse('2024-07-03T00:00:00Z'), Date.parse('2024-07-03T00:00:00Z'), 'week');
+    assert.deepEqual(week, { period: '2024-07-01', start: '2024-07-01T00:00:00.000Z', end: '2024-07-08T00:00:00.000Z' });
+    assert.deepEqual(buildBuckets(Date.parse('2024-07-03T00:00:00Z'), Date.parse('2024-07-01T00:00:00Z'), 'day'), []);
+});
+
+test('a price counts until the station leaves the feed', () => {
+    const latest = '2024-07-03T06:00:00.000Z';
+    const carried = { updated_at: '2024-07-01T05:00:00.000Z' };
+
+    assert.equal(carriedUntil({ lastSeenAt: latest }, latest, carried), null);
+    assert.equal(carriedUntil({ lastSeenAt: '2024-07-01T06:00:00.000Z' }, latest, carried), '2024-07-01T06:00:00.000Z');
+    // Known from archives only
+    assert.equal(carriedUntil({ lastSeenAt: null }, latest, carried), '2024-07-31T05:00:00.000Z');
+    assert.equal(carriedUntil({ lastSeenAt: null }, null, carried), '2024-07-31T05:00:00.000Z');
+});
+
+test('unchanged prices are carried forward into each bucket', () => {
+    const db = seed();
+    assert.deepEqual(averages(db), [
+        ['2024-07-01', 1.8, 3],
+        // Station 3 is no longer listed
+        ['2024-07-02', 1.85, 2],
+        // Station 2 displayed 1.90 then 2.00 that day
+        ['2024-07-03', 1.875, 2],
+        ['2024-07-04', 1.9, 2]
+    ]);
+
+    const [day] = averagePrices({ fuel: 'Gazole', from: Date.parse('2024-07-01T00:00:00Z'), to: Date.parse('2024-07-01T00:00:00Z') }, db);
+    assert.deepEqual(day, { period: '2024-07-01', start: '2024-07-01T00:00:00.000Z', mean: 1.8, median: 1.8, min: 1.7, max: 1.9, count: 3 });
+
+    // Each station weighs once per bucket, whatever its number of changes
+    assert.deepEqual(averages(db, { interval: 'week' }), [['2024-07-01', 1.817, 3]]);
+    assert.deepEqual(averages(db, { fuel: 'E85' }).map(([, mean, count]) => [mean, count]), [[null, 0], [null, 0], [null, 0], [null, 0]]);
+});
+
+test('averages can be restricted to a region or departement', () => {
+    const db = seed();
+    assert.deepEqual(averages(db, { region: 'Île-de-France' }), [
+        ['2024-07-01', 1.75, 2],
+        ['2024-07-02', 1.8, 1],
+        ['2024-07-03', 1.8, 1],
+        ['2024-07-04', 1.8, 1]
+    ]);
+    // By name or code
+    assert.deepEqual(averages(db, { departement: 'Bouches-du-Rhône' }), averages(db, { departement: '13' }));
+    assert.deepEqual(averages(db, { departement: '13' }).map(([, mean]) => mean), [1.9, 1.9, 1.95, 2]);
+    assert.deepEqual(averages(db, { region: 'Bretagne' }).map(([, , count]) => count), [0, 0, 0, 0]);
+});
+
+test('averages can be restricted to stations on one road type', () => {
+    const db = seed();
+    assert.deepEqual(averages(db, { roadType: 'motorway' }), averages(db, { departement: '13' }));
+    assert.deepEqual(averages(db, { roadType: 'road' }), averages(db, { region: 'Île-de-France' }));
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveBrand, getBrand, toBrand, brandBadgeSvg } = require('../src/brandRegistry');
+
+const id = (tags) => resolveBrand(tags)?.id ?? null;
+
+test('OpenStreetMap tags resolve to registry brands', () => {
+    assert.equal(id({ wikidata: 'Q154037', brand: 'Something else' }), 'totalenergies');
+    assert.equal(id({ brand: 'Total Access' }), 'totalenergies');
+    assert.equal(id({ brand: 'E.Leclerc' }), 'leclerc');
+    // Accents and the longest alias win
+    assert.equal(id({ name: 'Station Intermarché Super' }), 'intermarche');
+    assert.equal(id({ brand: 'Carrefour Market' }), 'carrefour');
+    assert.equal(id({ brand: null, name: 'Relais du Lac', operator: 'Super U' }), 'systeme-u');
+    // Whole words only
+    assert.equal(id({ name: 'Bpifrance' }), null);
+    assert.equal(id({ wikidata: 'Q1', name: 'Garage Martin' }), null);
+    assert.equal(id({}), null);
+});
+
+test('brands are served with a placeholder badge', () => {
+    assert.equal(getBrand('nope'), null);
+    assert.deepEqual(toBrand(getBrand('esso')), {
+        id: 'esso',
+        name: 'Esso',
+        category: 'major',
+        wikidata: 'Q867662',
+        aliases: ['esso express'],
+        badgeUrl: '/api/v1/brands/esso/badge.svg'
+    });
+
+    assert.match(brandBadgeSvg(getBrand('esso')), /fill="#E31937".*fill="#fff">E<\/text>/);
+    // Dark initials on light colours, names escaped
+    assert.match(brandBadgeSvg(getBrand('shell')), /fill="#222">S</);
+    assert.match(brandBadgeSvg({ name: 'A&B', short: '<>', color: '#000000' }), /<title>A&#38;B<\/title>.*&#60;&#62;/);
+});
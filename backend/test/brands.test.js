@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Overpass stand-in answering with `overpass.answer` (a status and body),
+// started before brands.js reads OVERPASS_URL
+const overpass = http.createServer((req, res) => {
+    overpass.hits++;
+    const { status, body } = overpass.answer;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+});
+overpass.hits = 0;
+
+// startBrandMatcher reads the shared connection: keep it in memory
+process.env.DB_PATH = ':memory:';
+
+const { getDb } = require('../src/db');
+const { recordSnapshot } = require('../src/history');
+
+let brands;
+test.before(async () => {
+    await new Promise(resolve => overpass.listen(0, '127.0.0.1', resolve));
+    process.env.OVERPASS_URL = `http://127.0.0.1:${overpass.address().port}/api/interpreter`;
+    brands = require('../src/brands');
+});
+test.after(() => overpass.close());
+
+const HOUR = 60 * 60 * 1000;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Metres north of a station, in degrees of latitude
+const north = (lat, metres) => lat + metres / 111200;
+
+const STATIONS = [
+    { id: 1, cp: '75011', ville: 'Paris', adresse: '12 Avenue de la République', geom: [48.865, 2.375] },
+    { id: 2, cp: '69003', ville: 'Lyon', adresse: '4 Cours Gambetta', geom: [45.75, 4.85] },
+    { id: 3, cp: '13001', ville: 'Marseille', adresse: '1 La Canebière', geom: [43.297, 5.378] },
+    { id: 4, cp: '33000', ville: 'Bordeaux', adresse: '20 Quai des Chartrons', geom: [44.85, -0.57] }
+];
+
+const ELEMENTS = [
+    // Next to station 1 with matching address tags
+    {
+        type: 'node',
+        id: 101,
+        lat: north(48.865, 10),
+        lon: 2.375,
+        tags: {
+            amenity: 'fuel',
+            brand: 'TotalEnergies',
+            'brand:wikidata': 'Q154037',
+            'addr:street': 'Avenue de la République',
+            'addr:city': 'Paris',
+            'addr:postcode': '75011'
+        }
+    },
+    // Two untagged features as close to station 2
+    { type: 'node', id: 201, lat: north(45.75, 20), lon: 4.85, tags: { amenity: 'fuel' } },
+    { type: 'node', id: 202, lat: north(45.75, -20), lon: 4.85, tags: { amenity: 'fuel' } },
+    // Too far from station 3
+    { type: 'node', id: 301, lat: north(43.297, 400), lon: 5.378, tags: { amenity: 'fuel', brand: 'Esso' } },
+    // A forecourt 140 m from station 4 whose name doesn't match its address
+    { type: 'way', id: 401, center: { lat: north(44.85, 140), lon: -0.57 }, tags: { amenity: 'fuel', name: 'Intermarché' } },
+    // No coordinates
+    { type: 'relation', id: 501, tags: { amenity: 'fuel' } }
+];
+
+test('stations are matched to the nearest agreeing OpenStreetMap feature', async () => {
+    const db = getDb();
+    recordSnapshot(db, STATIONS);
+    overpass.answer = { status: 200, body: { elements: ELEMENTS } };
+
+    const result = await brands.matchBrands(db);
+    assert.deepEqual({ ...result, matchedAt: undefined }, { stations: 4, features: 5, matched: 3, branded: 1, matchedAt: undefined });
+
+    const rows = db.prepare('SELECT station_id, osm_id, brand, brand_wikidata, name, distance_m, confidence FROM station_brands ORDER BY station_id').all();
+    assert.deepEqual(rows.map(row => row.station_id), ['1', '2', '4']);
+    assert.equal(rows[0].osm_id, 'node/101');
+    assert.match(rows[1].osm_id, /^node\/20[12]$/);
+    assert.equal(rows[2].osm_id, 'way/401');
+
+    // Close, same postcode and two of three address words shared
+    assert.equal(rows[0].brand, 'TotalEnergies');
+    assert.equal(rows[0].brand_wikidata, 'Q154037');
+    assert.equal(rows[0].distance_m, 10);
+    assert.equal(rows[0].confidence, 0.92);
+    // Untagged features rely on distance alone, and two of them halve it
+    assert.equal(rows[1].confidence, 0.4);
+    // Half way to the maximum distance with nothing else in common
+    assert.equal(rows[2].name, 'Intermarché');
+    assert.equal(rows[2].confidence, 0.3);
+
+    assert.equal(rows.filter(row => row.confidence >= brands.BRAND_MIN_CONFIDENCE).length, 1);
+});
+
+test('each feature is matched to one station at most', () => {
+    const features = [{ osmId: 'node/1', lat: 48.865, lon: 2.375, postcode: null, words: new Set(['total']) }];
+    const stations = [
+        { id: 'a', cp: '75011', latitude: 48.865, longitude: 2.375, words: new Set(['total']) },
+        { id: 'b', cp: '75011', latitude: north(48.865, 50), longitude: 2.375, words: new Set(['esso']) }
+    ];
+    const matches = brands.matchStations(stations, features);
+    assert.deepEqual(matches.map(match => match.station.id), ['a']);
+    assert.equal(matches[0].confidence, 1);
+});
+
+test('an empty Overpass answer keeps the previous mapping', async () => {
+    const db = getDb();
+    overpass.answer = { status: 200, body: { elements: [] } };
+    await assert.rejects(brands.matchBrands(db), /no fuel stations/);
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM station_brands').get().count, 3);
+});
+
+test('runs are due a refresh period after a success and back off after failures', () => {
+    const { nextBrandMatchAt } = brands;
+    const at = (hours) => new Date(Date.UTC(2024, 6, 1) + hours * HOUR).toISOString();
+    const start = Date.parse(at(0));
+
+    assert.equal(nextBrandMatchAt([]), null);
+    assert.equal(nextBrandMatchAt([{ attempted_at: at(0), error: null }]), start + 7 * 24 * HOUR);
+    assert.equal(nextBrandMatchAt([{ attempted_at: at(0), error: null }], 1), start + 24 * HOUR);
+
+    const failures = (count) => Array.from({ length: count }, (_, i) => ({ attempted_at: at(i), error: 'timeout' }));
+    assert.equal(nextBrandMatchAt(failures(1)), start + HOUR);
+    assert.equal(nextBrandMatchAt(failures(3)), Date.parse(at(2)) + 4 * HOUR);
+    // Capped at the refresh period, and in any order
+    assert.equal(nextBrandMatchAt(failures(12).reverse(), 1), Date.parse(at(11)) + 24 * HOUR);
+    // A success resets the count
+    assert.equal(nextBrandMatchAt([...failures(3), { attempted_at: at(3), error: null }, { attempted_at: at(4), error: 'timeout' }]),
+        Date.parse(at(4)) + HOUR);
+});
+
+test('the matcher records failed runs and waits before the next attempt', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const db = getDb();
+    const runs = () => db.prepare('SELECT matched, error FROM brand_match_runs ORDER BY attempted_at').all().map(row => ({ ...row }));
+
+    // The earlier mapping counts as a fresh run
+    let stop = brands.startBrandMatcher();
+    stop();
+    await sleep(50);
+    assert.deepEqual(runs(), []);
+
+    db.prepare('UPDATE station_brands SET matched_at = ?').run(new Date(Date.now() - 8 * 24 * HOUR).toISOString());
+    overpass.answer = { status: 200, body: { elements: [] } };
+    stop = brands.startBrandMatcher();
+    stop();
+    for (let i = 0; i < 100 && runs().length === 0; i++) await sleep(20);
+    assert.deepEqual(runs(), [{ matched: null, error: 'Overpass returned no fuel stations' }]);
+
+    // Not retried within the hour
+    const hits = overpass.hits;
+    stop = brands.startBrandMatcher();
+    stop();
+    await sleep(50);
+    assert.equal(overpass.hits, hits);
+    assert.equal(runs().length, 1);
+});
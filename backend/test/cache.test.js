@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCache, sendCached } = require('../src/cache');
+
+const FRESH = { ttl: 60000 };
+// Expired at once but servable while a background load refreshes it
+const STALE = { ttl: 0, staleTtl: 60000 };
+const EXPIRED = { ttl: 0, staleTtl: 0 };
+
+// Loader returning `value` and counting its calls
+const counting = (value) => {
+    const loader = async () => {
+        loader.calls++;
+        return typeof value === 'function' ? value(loader.calls) : value;
+    };
+    loader.calls = 0;
+    return loader;
+};
+
+const failing = async () => {
+    throw new Error('upstream down');
+};
+
+test('a fresh entry is served without loading again', async () => {
+    const cache = createCache();
+    const loader = counting({ prices: [1.8] });
+
+    const first = await cache.get('prices', loader, FRESH);
+    const second = await cache.get('prices', loader, FRESH);
+    assert.equal(first.status, 'miss');
+    assert.equal(second.status, 'hit');
+    assert.equal(second.entry.body, '{"prices":[1.8]}');
+    assert.equal(second.entry.etag, first.entry.etag);
+    assert.equal(loader.calls, 1);
+    assert.equal(cache.stats().hitRate, 0.5);
+});
+
+test('concurrent misses share one load', async () => {
+    const cache = createCache();
+    const loader = counting('value');
+    const results = await Promise.all([1, 2, 3].map(() => cache.get('key', loader, FRESH)));
+    assert.deepEqual(results.map(result => result.status), ['miss', 'miss', 'miss']);
+    assert.equal(loader.calls, 1);
+});
+
+test('a stale entry is served while it is refreshed in the background', async () => {
+    const cache = createCache();
+    const loader = counting(calls => ({ version: calls }));
+    await cache.get('key', loader, STALE);
+
+    const stale = await cache.get('key', loader, STALE);
+    assert.equal(stale.status, 'stale');
+    assert.equal(stale.entry.body, '{"version":1}');
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(loader.calls, 2);
+    assert.equal((await cache.get('key', loader, STALE)).entry.body, '{"version":2}');
+});
+
+test('the last good copy is served when a reload fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const cache = createCache();
+    await cache.get('key', counting('good'), EXPIRED);
+
+    const result = await cache.get('key', failing, EXPIRED);
+    assert.equal(result.status, 'stale-on-error');
+    assert.equal(result.entry.body, '"good"');
+    assert.equal(result.error.message, 'upstream down');
+
+    await assert.rejects(cache.get('other', failing, EXPIRED), /upstream down/);
+    assert.equal(cache.stats().errors, 2);
+    assert.equal(cache.stats().staleOnError, 1);
+});
+
+test('the least recently used entry is evicted first', async () => {
+    const cache = createCache({ maxEntries: 2 });
+    const loaders = { a: counting('a'), b: counting('b'), c: counting('c') };
+    await cache.get('a', loaders.a, FRESH);
+    await cache.get('b', loaders.b, FRESH);
+    await cache.get('a', loaders.a, FRESH);
+    await cache.get('c', loaders.c, FRESH);
+
+    assert.equal((await cache.get('a', loaders.a, FRESH)).status, 'hit');
+    assert.equal((await cache.get('b', loaders.b, FRESH)).status, 'miss');
+    assert.equal(cache.stats().evictions, 2);
+    assert.equal(cache.stats().entries, 2);
+});
+
+test('entries are evicted to stay under maxBytes', async () => {
+    // Each body is 12 bytes: "xxxxxxxxxx"
+    const cache = createCache({ maxBytes: 30 });
+    await cache.get('a', counting('a'.repeat(10)), FRESH);
+    await cache.get('b', counting('b'.repeat(10)), FRESH);
+    await cache.get('c', counting('c'.repeat(10)), FRESH);
+    assert.deepEqual([cache.stats().entries, cache.stats().bytes], [2, 24]);
+
+    // Larger than the whole cache: answered but not kept
+    const big = await cache.get('big', counting('x'.repeat(40)), FRESH);
+    assert.equal(big.entry.size, 42);
+    assert.deepEqual([cache.stats().entries, cache.stats().bytes], [2, 24]);
+});
+
+test('sendCached sets validators and names upstream failures', async () => {
+    const cache = createCache();
+    const { entry } = await cache.get('key', counting([1]), FRESH);
+    const headers = {};
+    const res = {
+        set: (name, value) => Object.assign(headers, typeof name === 'object' ? name : { [name]: value }),
+        type: () => res,
+        send: (body) => {
+            res.body = body;
+        }
+    };
+
+    sendCached(res, { entry, status: 'stale-on-error', error: { category: 'upstream_timeout' } });
+    assert.equal(res.body, '[1]');
+    assert.equal(headers.ETag, entry.etag);
+    assert.equal(headers['X-Cache'], 'STALE-ON-ERROR');
+    assert.equal(headers['X-Upstream-Error'], 'upstream_timeout');
+    assert.match(headers['Cache-Control'], /^public, max-age=(59|60)$/);
+});
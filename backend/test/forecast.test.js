@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fitModel, forecastFrom, selectModel, scoreBacktest } = require('../src/forecast');
+
+const WEEK = [0.02, 0.01, 0, -0.01, -0.02, -0.01, 0.01];
+
+const linear = (length, start = 1.8, slope = 0.002) => Array.from({ length }, (_, t) => start + slope * t);
+const weekly = (weeks, base = 1.8) => Array.from({ length: weeks * 7 }, (_, t) => base + WEEK[t % 7]);
+
+test('Holt fits a straight line exactly and extends it', () => {
+    const y = linear(30);
+    const model = fitModel(y, { alpha: 0.5, beta: 0.1, phi: 1, gamma: null });
+    assert.ok(model.sse < 1e-20);
+
+    const forecast = forecastFrom(model, 5);
+    forecast.forEach(({ step, value, lower, upper }) => {
+        assert.ok(Math.abs(value - (1.8 + 0.002 * (29 + step))) < 1e-9);
+        assert.ok(Math.abs(upper - lower) < 1e-9);
+    });
+});
+
+test('a damped trend flattens out', () => {
+    const model = fitModel(linear(30), { alpha: 0.5, beta: 0.1, phi: 0.8, gamma: null });
+    const steps = forecastFrom(model, 30).map(point => point.value);
+    const first = steps[1] - steps[0];
+    const last = steps[29] - steps[28];
+    assert.ok(first > 0);
+    assert.ok(last < first / 100);
+});
+
+test('the seasonal variant repeats the weekly pattern', () => {
+    const y = weekly(6);
+    const model = fitModel(y, { alpha: 0.3, beta: 0.05, phi: 0.98, gamma: 0.1 });
+    assert.ok(model.sse < 1e-20);
+
+    forecastFrom(model, 14).forEach(({ step, value }) => {
+        assert.ok(Math.abs(value - (1.8 + WEEK[(y.length + step - 1) % 7])) < 1e-9);
+    });
+});
+
+test('prediction intervals widen with the horizon', () => {
+    // Deterministic noise on a gentle trend
+    const y = linear(60).map((value, t) => value + 0.01 * Math.sin(t * 2.3));
+    const forecast = forecastFrom(selectModel(y), 14);
+    const widths = forecast.map(({ lower, upper }) => upper - lower);
+    assert.ok(widths[0] > 0);
+    widths.slice(1).forEach((width, i) => assert.ok(width >= widths[i]));
+    forecast.forEach(({ value, lower, upper }) => assert.ok(lower < value && value < upper));
+});
+
+test('selectModel only uses weekly seasonality when the data has it', () => {
+    assert.notEqual(selectModel(weekly(6)).params.gamma, null);
+    assert.equal(selectModel(linear(42)).params.gamma, null);
+    // Too short for the seasonal variant to be considered
+    assert.equal(selectModel(weekly(2)).params.gamma, null);
+});
+
+test('backtests only score recorded days and skip folds without any', () => {
+    // A gentle trend where every other week was interpolated
+    const series = linear(70).map((value, t) => ({ value, observed: Math.floor(t / 7) % 2 === 0 || t < 42 }));
+    const result = scoreBacktest(series, { horizon: 7, folds: 4 });
+
+    // Folds cover days 42-48, 49-55, 56-62 and 63-69: only the first and third
+    // were recorded
+    assert.equal(result.points, 70);
+    assert.equal(result.folds, 2);
+    assert.equal(result.scored, 14);
+    assert.ok(result.mae < 0.001);
+    assert.ok(result.naiveMae > result.mae);
+    assert.deepEqual(result.maeByStep.map(step => step.scored), [2, 2, 2, 2, 2, 2, 2]);
+
+    const partial = scoreBacktest(series.map((point, t) => ({ ...point, observed: t < 56 || t === 60 })), { horizon: 7, folds: 2 });
+    assert.equal(partial.folds, 1);
+    assert.equal(partial.scored, 1);
+    assert.deepEqual(partial.maeByStep.map(step => step.scored), [0, 0, 0, 0, 1, 0, 0]);
+    assert.equal(partial.maeByStep[0].mae, null);
+
+    const unrecorded = scoreBacktest(series.map((point, t) => ({ ...point, observed: t < 42 })), { horizon: 7, folds: 4 });
+    assert.deepEqual(unrecorded, { points: 70, folds: 0, scored: 0, mae: null, rmse: null, mape: null, naiveMae: null, maeByStep: [] });
+});
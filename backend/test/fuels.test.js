@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VEHICLE_TYPES, FUEL_CATALOG, FUELS, findFuel, toFuel } = require('../src/fuels');
+const { SERVICE_IDS } = require('../src/amenities');
+
+test('catalog entries only refer to known vehicles and services', () => {
+    const vehicles = VEHICLE_TYPES.map(vehicle => vehicle.id);
+    FUEL_CATALOG.forEach(fuel => {
+        assert.ok(fuel.vehicles.length > 0, fuel.code);
+        fuel.vehicles.forEach(vehicle => assert.ok(vehicles.includes(vehicle), `${fuel.code}: ${vehicle}`));
+        fuel.services.forEach(service => assert.ok(SERVICE_IDS.includes(service), `${fuel.code}: ${service}`));
+        assert.match(fuel.color, /^#[0-9a-f]{6}$/i);
+    });
+    // Every vehicle can fill up somewhere
+    vehicles.forEach(vehicle => assert.ok(FUEL_CATALOG.some(fuel => fuel.vehicles.includes(vehicle)), vehicle));
+    assert.deepEqual(FUELS, ['Gazole', 'SP95', 'SP98', 'E10', 'E85', 'GPLc']);
+});
+
+test('fuels are looked up case-insensitively and served with their feed fields', () => {
+    assert.equal(findFuel('e85'), 'E85');
+    assert.equal(findFuel('GPLC'), 'GPLc');
+    assert.equal(findFuel('Fioul'), null);
+    assert.equal(findFuel(''), null);
+
+    const e85 = toFuel(FUEL_CATALOG.find(fuel => fuel.code === 'E85'));
+    assert.equal(e85.euroLabel, 'E85');
+    assert.deepEqual(e85.vehicles, ['flexfuel']);
+    assert.deepEqual(e85.fields, {
+        price: 'e85_prix',
+        updatedAt: 'e85_maj',
+        shortageType: 'e85_rupture_type',
+        shortageStart: 'e85_rupture_debut'
+    });
+});
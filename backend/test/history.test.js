@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDb } = require('../src/db');
+const { roundPrice, departementFromCp, stationFromFields, recordPrice, recordSnapshot } = require('../src/history');
+
+const history = (db) => db.prepare('SELECT station_id, fuel, price, updated_at, source FROM price_history ORDER BY updated_at')
+    .all().map(row => ({ ...row }));
+
+test('feed records are mapped onto station rows', () => {
+    assert.equal(roundPrice('1.8450000001'), 1.845);
+    assert.equal(roundPrice(0), null);
+    assert.equal(roundPrice('n/a'), null);
+    assert.equal(departementFromCp('01000'), '01');
+    assert.equal(departementFromCp('20090'), '2A');
+    assert.equal(departementFromCp('20600'), '2B');
+    assert.equal(departementFromCp('97400'), '974');
+
+    const station = stationFromFields({ id: 1000001, cp: '01000', latitude: '4620114', longitude: '519791' });
+    assert.equal(station.id, '1000001');
+    assert.equal(station.code_departement, '01');
+    assert.equal(station.latitude, 46.20114);
+    assert.equal(station.longitude, 5.19791);
+    assert.deepEqual([stationFromFields({ id: 2, geom: [48.85, 2.35] }).latitude, stationFromFields({ id: 3 }).longitude], [48.85, null]);
+});
+
+test('snapshots only store prices that moved', () => {
+    const db = openDb(':memory:');
+    const snapshot = (price, maj, recordedAt) => recordSnapshot(db, [
+        { id: 1, cp: '75001', gazole_prix: price, gazole_maj: maj, e10_prix: 1.9, e10_maj: '2024-07-01T08:00:00+02:00' }
+    ], { recordedAt });
+
+    assert.equal(snapshot(1.8, '2024-07-01T08:00:00+02:00', '2024-07-01T07:00:00.000Z').changes, 2);
+    // Same update time, or a new time with the same price
+    assert.equal(snapshot(1.8, '2024-07-01T08:00:00+02:00', '2024-07-01T08:00:00.000Z').changes, 0);
+    assert.equal(snapshot(1.8, '2024-07-02T08:00:00+02:00', '2024-07-02T07:00:00.000Z').changes, 0);
+    assert.equal(snapshot(1.75, '2024-07-03T08:00:00+02:00', '2024-07-03T07:00:00.000Z').changes, 1);
+
+    assert.deepEqual(history(db).filter(row => row.fuel === 'Gazole').map(row => [row.price, row.updated_at, row.source]), [
+        [1.8, '2024-07-01T06:00:00.000Z', 'flux'],
+        [1.75, '2024-07-03T06:00:00.000Z', 'flux']
+    ]);
+    const current = db.prepare('SELECT price, updated_at FROM current_prices WHERE fuel = ?').get('Gazole');
+    assert.deepEqual({ ...current }, { price: 1.75, updated_at: '2024-07-03T06:00:00.000Z' });
+    assert.deepEqual(db.prepare('SELECT changes FROM snapshots ORDER BY id').all().map(row => row.changes), [2, 0, 0, 1]);
+});
+
+test('older observations are backfilled without touching the current price', () => {
+    const db = openDb(':memory:');
+    const observe = (price, updatedAt) => recordPrice(db, { stationId: '1', fuel: 'Gazole', price, updatedAt, source: 'archive' });
+
+    assert.equal(observe(1.8, '2024-07-10T06:00:00.000Z'), true);
+    assert.equal(observe(1.7, '2024-07-01T06:00:00.000Z'), true);
+    // Already known
+    assert.equal(observe(1.7, '2024-07-01T06:00:00.000Z'), false);
+    assert.equal(observe(1.8, '2024-07-10T06:00:00.000Z'), false);
+
+    assert.deepEqual(history(db).map(row => row.price), [1.7, 1.8]);
+    assert.equal(db.prepare('SELECT price FROM current_prices').get().price, 1.8);
+});
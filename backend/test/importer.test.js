@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { openDb } = require('../src/db');
+const { importArchive, archivePrice, parisLocalToIso } = require('../src/importer');
+
+// Two stations of a daily archive, ISO-8859-1 encoded, mixing the old
+// thousandths prices with decimal ones
+const FIXTURE = path.join(__dirname, 'fixtures', 'PrixCarburants_quotidien_20240716.zip');
+
+const importFixture = (db) => importArchive(fs.readFileSync(FIXTURE), { name: path.basename(FIXTURE), db });
+
+const history = (db) => db.prepare(`
+    SELECT station_id, fuel, price, updated_at FROM price_history ORDER BY station_id, fuel, updated_at
+`).all();
+
+test('archive timestamps are French local time', () => {
+    // Winter (UTC+1), summer (UTC+2) and the old space-separated layout
+    assert.equal(parisLocalToIso('2024-01-15T07:53:00'), '2024-01-15T06:53:00.000Z');
+    assert.equal(parisLocalToIso('2024-07-15T07:53:00'), '2024-07-15T05:53:00.000Z');
+    assert.equal(parisLocalToIso('2007-01-02 07:53'), '2007-01-02T06:53:00.000Z');
+    assert.equal(parisLocalToIso('15/01/2024 07:53'), null);
+    assert.equal(parisLocalToIso(undefined), null);
+});
+
+test('archive prices in thousandths of a euro are converted', () => {
+    assert.equal(archivePrice('1130'), 1.13);
+    assert.equal(archivePrice('1.845'), 1.845);
+    assert.equal(archivePrice('1.8449999'), 1.845);
+    assert.equal(archivePrice(''), null);
+    assert.equal(archivePrice('0'), null);
+});
+
+test('importArchive stores stations and price changes from a zipped archive', async () => {
+    const db = openDb(':memory:');
+    const result = await importFixture(db);
+
+    assert.equal(result.stations, 2);
+    assert.equal(result.changes, 4);
+    assert.deepEqual(result.files.map(file => file.name), ['PrixCarburants_quotidien_20240716.xml']);
+
+    assert.deepEqual(history(db), [
+        { station_id: '1000001', fuel: 'Gazole', price: 1.789, updated_at: '2024-01-15T06:53:00.000Z' },
+        { station_id: '1000001', fuel: 'Gazole', price: 1.845, updated_at: '2024-07-15T05:53:00.000Z' },
+        { station_id: '1000001', fuel: 'SP98', price: 1.912, updated_at: '2024-07-16T07:10:00.000Z' },
+        { station_id: '20000002', fuel: 'E10', price: 1.959, updated_at: '2024-07-16T21:30:00.000Z' }
+    ]);
+
+    const station = db.prepare('SELECT * FROM stations WHERE id = ?').get('1000001');
+    assert.equal(station.ville, 'SAINT-DENIS-LèS-BOURG');
+    assert.equal(station.code_departement, '01');
+    assert.equal(station.latitude, 46.20114);
+    assert.equal(station.longitude, 5.19791);
+    assert.equal(db.prepare('SELECT code_departement FROM stations WHERE id = ?').get('20000002').code_departement, '2A');
+
+    const current = db.prepare('SELECT price, updated_at FROM current_prices WHERE station_id = ? AND fuel = ?').get('1000001', 'Gazole');
+    assert.deepEqual({ ...current }, { price: 1.845, updated_at: '2024-07-15T05:53:00.000Z' });
+});
+
+test('importing the same archive twice adds nothing', async () => {
+    const db = openDb(':memory:');
+    await importFixture(db);
+    const before = history(db);
+
+    const again = await importFixture(db);
+    assert.equal(again.stations, 2);
+    assert.equal(again.changes, 0);
+    assert.deepEqual(history(db), before);
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM stations').get().count, 2);
+    // Only the first import counts as a snapshot
+    assert.deepEqual(db.prepare('SELECT source, stations, changes FROM snapshots').all().map(row => ({ ...row })), [
+        { source: 'archive:PrixCarburants_quotidien_20240716.zip', stations: 2, changes: 4 }
+    ]);
+});
+
+test('large archives are imported in batches', async () => {
+    const pdv = (i) => `<pdv id="${i}" latitude="4620114" longitude="519791" cp="01000" pop="R">` +
+        '<adresse>596 AVENUE DE TREVOUX</adresse><ville>Bourg-en-Bresse</ville>' +
+        `<prix nom="Gazole" id="1" maj="2024-07-15T07:53:00" valeur="${1000 + (i % 900)}"/></pdv>`;
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<pdv_liste>' +
+        Array.from({ length: 1200 }, (_, i) => pdv(i + 1)).join('\n') + '</pdv_liste>';
+    const zip = new AdmZip();
+    zip.addFile('big.xml', Buffer.from(xml));
+
+    const db = openDb(':memory:');
+    const result = await importArchive(zip.toBuffer(), { name: 'big.zip', db });
+    assert.equal(result.stations, 1200);
+    assert.equal(result.changes, 1200);
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM price_history').get().count, 1200);
+    assert.equal(db.prepare('SELECT price FROM price_history WHERE station_id = ?').get('1200').price, 1.3);
+
+    // A bare XML upload goes through the same parser
+    const bare = await importArchive(Buffer.from(xml), { name: 'big.xml', db: openDb(':memory:') });
+    assert.equal(bare.changes, 1200);
+});
+
+test('importArchive rejects malformed XML', async () => {
+    await assert.rejects(importArchive(Buffer.from('<pdv_liste><pdv id="1"></pdv_liste>'), { name: 'broken.xml', db: openDb(':memory:') }));
+});
+
+test('importArchive rejects a zip without XML', async () => {
+    const zip = new AdmZip();
+    zip.addFile('readme.txt', Buffer.from('nothing here'));
+    await assert.rejects(importArchive(zip.toBuffer(), { name: 'empty.zip', db: openDb(':memory:') }), /No XML file found/);
+});
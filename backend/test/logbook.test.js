@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDb } = require('../src/db');
+const { recordSnapshot } = require('../src/history');
+const { parseFilledAt, parseEntry, addEntries, logbookReport, toCsv, parseCsv } = require('../src/logbook');
+
+const fillUp = (input) => {
+    const { value, error } = parseEntry({ stationId: '1', fuel: 'Gazole', ...input });
+    assert.equal(error, undefined);
+    return value;
+};
+
+test('fill-up dates are French local time unless they carry an offset', () => {
+    assert.equal(parseFilledAt('2024-07-16'), '2024-07-15T22:00:00.000Z');
+    assert.equal(parseFilledAt('2024-01-16 08:30'), '2024-01-16T07:30:00.000Z');
+    assert.equal(parseFilledAt('2024-07-16T08:30:15'), '2024-07-16T06:30:15.000Z');
+    assert.equal(parseFilledAt('16/07/2024'), '2024-07-15T22:00:00.000Z');
+    assert.equal(parseFilledAt('6/1/2024 8:05'), '2024-01-06T07:05:00.000Z');
+    assert.equal(parseFilledAt('2024-07-16T08:30:00Z'), '2024-07-16T08:30:00.000Z');
+    assert.equal(parseFilledAt('2024-07-16T08:30:00.000+02:00'), '2024-07-16T06:30:00.000Z');
+});
+
+test('ambiguous or impossible fill-up dates are rejected', () => {
+    ['07/16/2024', '31/02/2024', '2024-02-30', '2024-07-16 24:00', '16-07-2024', 'July 16, 2024', '1721110000000', '', null]
+        .forEach(value => assert.equal(parseFilledAt(value), null, String(value)));
+});
+
+test('parseEntry validates a fill-up and derives the price from the total', () => {
+    assert.deepEqual(parseEntry({
+        vehicle: ' Clio ',
+        stationId: '75001001',
+        fuel: 'gazole',
+        liters: '40.004',
+        total: '72.8',
+        odometer: '12345',
+        filledAt: '16/07/2024 08:30'
+    }).value, {
+        vehicle: 'Clio',
+        stationId: '75001001',
+        fuel: 'Gazole',
+        liters: 40,
+        price: 1.82,
+        odometer: 12345,
+        filledAt: '2024-07-16T06:30:00.000Z'
+    });
+
+    const valid = { stationId: '1', fuel: 'Gazole', liters: 40, price: 1.8, odometer: 1000, filledAt: '2024-07-16' };
+    assert.match(parseEntry({ ...valid, stationId: 'abc' }).error, /station id/);
+    assert.match(parseEntry({ ...valid, fuel: 'Fioul' }).error, /Unknown fuel/);
+    assert.match(parseEntry({ ...valid, liters: 0 }).error, /liters/);
+    assert.match(parseEntry({ ...valid, price: 18 }).error, /price/);
+    assert.match(parseEntry({ ...valid, odometer: 10.5 }).error, /odometer/);
+    assert.match(parseEntry({ ...valid, filledAt: '07/16/2024' }).error, /YYYY-MM-DD or DD\/MM\/YYYY/);
+    assert.match(parseEntry({ ...valid, filledAt: '2999-01-01' }).error, /date/);
+});
+
+test('CSV exports escape formulas and import back unchanged', () => {
+    const entries = [
+        { filledAt: '2024-07-16T06:30:00.000Z', vehicle: '=HYPERLINK("x")', stationId: '1', fuel: 'Gazole', liters: 40, price: 1.82, total: 72.8, odometer: 12345 },
+        { filledAt: '2024-07-20T06:30:00.000Z', vehicle: '-van, red', stationId: '2', fuel: 'E85', liters: 30, price: 0.89, total: 26.7, odometer: 12900 }
+    ];
+    const csv = toCsv(entries);
+    const lines = csv.split('\r\n');
+    assert.equal(lines[0], 'date,vehicle,station_id,fuel,liters,price_per_liter,total,odometer_km');
+    assert.equal(lines[1], `2024-07-16T06:30:00.000Z,"'=HYPERLINK(""x"")",1,Gazole,40,1.82,72.8,12345`);
+    assert.equal(lines[2], `2024-07-20T06:30:00.000Z,"'-van, red",2,E85,30,0.89,26.7,12900`);
+
+    assert.deepEqual(parseCsv(csv).value.map(entry => [entry.vehicle, entry.filledAt, entry.price]), [
+        ['=HYPERLINK("x")', '2024-07-16T06:30:00.000Z', 1.82],
+        ['-van, red', '2024-07-20T06:30:00.000Z', 0.89]
+    ]);
+});
+
+test('CSV imports accept spreadsheet layouts and report every bad row', () => {
+    const semicolons = '\uFEFFdate;station_id;fuel;liters;total;odometer_km\r\n16/07/2024;1;Gazole;40,5;72,9;12345\r\n';
+    assert.deepEqual(parseCsv(semicolons).value[0], {
+        vehicle: '',
+        stationId: '1',
+        fuel: 'Gazole',
+        liters: 40.5,
+        price: 1.8,
+        odometer: 12345,
+        filledAt: '2024-07-15T22:00:00.000Z'
+    });
+
+    const invalid = parseCsv('date,station_id,fuel,liters,total,odometer_km\n07/16/2024,1,Gazole,40,72,1\n2024-07-16,1,Fioul,40,72,1\n');
+    assert.equal(invalid.value, undefined);
+    assert.deepEqual(invalid.errors.map(error => error.path), ['line 2', 'line 3']);
+
+    assert.match(parseCsv('date,fuel\n').error, /Missing CSV columns: station_id, liters, odometer_km/);
+    assert.match(parseCsv('').error, /empty/);
+});
+
+test('the logbook report computes consumption, monthly spend and missed savings', () => {
+    const db = openDb(':memory:');
+    const snapshot = (prices, recordedAt) => recordSnapshot(db, [
+        { id: 1, cp: '75001', geom: [48.8566, 2.3522], gazole_prix: 1.9, gazole_maj: '2024-07-10T08:00:00+02:00' },
+        { id: 2, cp: '75001', geom: [48.8656, 2.3522], ...prices }
+    ], { recordedAt });
+    snapshot({ gazole_prix: 1.8, gazole_maj: '2024-07-10T08:00:00+02:00' }, '2024-07-10T06:05:00.000Z');
+    snapshot({ gazole_prix: 1.7, gazole_maj: '2024-07-16T10:00:00+02:00' }, '2024-07-16T08:05:00.000Z');
+
+    addEntries('owner', [
+        // Before any recorded price: nothing to compare with
+        fillUp({ vehicle: 'Car', liters: 40, price: 1.95, odometer: 10000, filledAt: '2024-07-01' }),
+        fillUp({ vehicle: 'Car', liters: 36, price: 1.9, odometer: 10600, filledAt: '2024-07-16 08:00' }),
+        fillUp({ vehicle: 'Car', stationId: '2', liters: 30, price: 1.8, odometer: 11200, filledAt: '2024-08-02' }),
+        // Still July in UTC, August in France
+        fillUp({ vehicle: 'Van', liters: 20, price: 1.85, odometer: 5000, filledAt: '2024-08-01 00:30' })
+    ], db);
+
+    const report = logbookReport('owner', {}, db);
+    const byOdometer = new Map(report.entries.map(entry => [entry.odometer, entry]));
+
+    assert.equal(byOdometer.get(10000).cheapest, null);
+    assert.equal(byOdometer.get(10000).consumption, null);
+    // The lowest price station 2 charged that day, after its morning drop
+    assert.deepEqual(byOdometer.get(10600).cheapest, { stationId: '2', price: 1.7, distance: 1, missedSavings: 7.2 });
+    assert.equal(byOdometer.get(10600).consumption, 6);
+    assert.equal(byOdometer.get(10600).costPerKm, 0.114);
+    // Prices carried from earlier days count
+    assert.deepEqual(byOdometer.get(11200).cheapest, { stationId: '2', price: 1.7, distance: 0, missedSavings: 3 });
+    assert.equal(byOdometer.get(5000).cheapest.missedSavings, 3);
+
+    assert.deepEqual(report.vehicles, [
+        { vehicle: 'Car', fillUps: 3, odometer: 11200, distance: 1200, consumption: 5.5, costPerKm: 0.102 },
+        { vehicle: 'Van', fillUps: 1, odometer: 5000, distance: 0, consumption: null, costPerKm: null }
+    ]);
+    assert.deepEqual(report.monthly, [
+        { month: '2024-07', fillUps: 2, liters: 76, spent: 146.4, missedSavings: 7.2 },
+        { month: '2024-08', fillUps: 2, liters: 50, spent: 91, missedSavings: 6 }
+    ]);
+    assert.deepEqual(report.totals, {
+        fillUps: 4,
+        liters: 126,
+        spent: 237.4,
+        missedSavings: 13.2,
+        distance: 1200,
+        consumption: 5.5,
+        costPerKm: 0.102
+    });
+
+    // Re-adding the same fill-ups is a no-op
+    assert.equal(addEntries('owner', [fillUp({ vehicle: 'Van', liters: 20, price: 1.85, odometer: 5000, filledAt: '2024-08-01 00:30' })], db), 0);
+});
@@ -0,0 +1,63 @@
+process.env.WEBHOOKS_ENABLED = 'true';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const axios = require('axios');
+const { getChannel, isPublicAddress, PermanentDeliveryError } = require('../src/notifiers');
+
+const webhook = getChannel('webhook');
+
+test('only public addresses are public', () => {
+    ['8.8.8.8', '93.184.216.34', '2606:4700::1111', '::ffff:8.8.8.8']
+        .forEach(address => assert.equal(isPublicAddress(address), true, address));
+    [
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:169.254.169.254', '::127.0.0.1', '::a9fe:a9fe',
+        'example.com', ''
+    ].forEach(address => assert.equal(isPublicAddress(address), false, address));
+});
+
+test('webhook targets must be http(s) urls on public hosts', () => {
+    ['https://hooks.example.com/alerts', 'http://93.184.216.34:8080/', 'https://[2606:4700::1111]/']
+        .forEach(url => assert.equal(webhook.validateTarget({ url }), null, url));
+    [
+        'http://127.0.0.1/', 'http://localhost:3000/', 'http://api.localhost/', 'http://10.0.0.1/',
+        'http://169.254.169.254/latest/meta-data/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/',
+        'http://[::127.0.0.1]/', 'http://[fe80::1]/', 'http://2130706433/', 'ftp://hooks.example.com/', 'not a url'
+    ].forEach(url => assert.match(webhook.validateTarget({ url }), /public host/, url));
+    assert.match(webhook.validateTarget(null), /public host/);
+});
+
+test('webhook hosts resolving to internal addresses are refused at delivery', async (t) => {
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+        callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    });
+    await assert.rejects(
+        webhook.send({ url: 'http://rebound.example.com/' }, { payload: {} }),
+        error => error instanceof PermanentDeliveryError && /not public/.test(error.message)
+    );
+    assert.ok(dns.lookup.mock.callCount() > 0);
+});
+
+test('webhook redirects are not followed', async (t) => {
+    const requests = [];
+    const { adapter } = axios.defaults;
+    t.after(() => {
+        axios.defaults.adapter = adapter;
+    });
+    // Answer every request with a redirect to the metadata endpoint
+    axios.defaults.adapter = async (config) => {
+        requests.push(config);
+        const response = { status: 302, statusText: 'Found', headers: { location: 'http://169.254.169.254/' }, config, data: '' };
+        const error = new axios.AxiosError('Request failed with status code 302', 'ERR_BAD_RESPONSE', config, null, response);
+        error.response = response;
+        throw error;
+    };
+    await assert.rejects(webhook.send({ url: 'https://hooks.example.com/alerts' }, { payload: { fuel: 'Gazole' } }));
+    assert.ok(requests.length > 0);
+    requests.forEach(config => {
+        assert.equal(config.url, 'https://hooks.example.com/alerts');
+        assert.equal(config.maxRedirects, 0);
+    });
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const spec = require('../src/openapi');
+const v1Router = require('../src/v1');
+
+// Every { $ref } in the spec, with where it was found
+function refs(node, path = '#', found = []) {
+    if (Array.isArray(node)) {
+        node.forEach((child, i) => refs(child, `${path}/${i}`, found));
+    } else if (node && typeof node === 'object') {
+        if (typeof node.$ref === 'string') found.push({ ref: node.$ref, path });
+        Object.entries(node).forEach(([key, child]) => refs(child, `${path}/${key}`, found));
+    }
+    return found;
+}
+
+const resolve = (ref) => ref.slice(2).split('/').reduce((node, key) => node && node[key], spec);
+
+test('every reference in the spec resolves', () => {
+    const found = refs(spec);
+    assert.ok(found.length > 0);
+    found.forEach(({ ref, path }) => assert.ok(resolve(ref), `${ref} at ${path}`));
+});
+
+test('every v1 route is documented with its responses', () => {
+    const routes = v1Router.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+            method,
+            path: `/api/v1${layer.route.path.replace(/:(\w+)/g, '{$1}')}`
+        })));
+    assert.ok(routes.length > 0);
+    routes.forEach(({ method, path }) => {
+        const operation = spec.paths[path]?.[method];
+        assert.ok(operation, `${method.toUpperCase()} ${path}`);
+        assert.ok(operation.responses[200] || operation.responses[201], `${method.toUpperCase()} ${path}`);
+    });
+});
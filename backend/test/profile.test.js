@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDb } = require('../src/db');
+const { MAX_FAVORITES, parseFavorites, listFavorites, setFavorites } = require('../src/profile');
+
+test('favorites are station ids, optionally with when they were added', () => {
+    const { value } = parseFavorites(['75001001', { stationId: 13001002, addedAt: '2024-07-16T08:00:00+02:00' }, '75001001']);
+    assert.equal(value.length, 2);
+    assert.equal(value[0].stationId, '75001001');
+    assert.ok(!Number.isNaN(Date.parse(value[0].addedAt)));
+    assert.deepEqual(value[1], { stationId: '13001002', addedAt: '2024-07-16T06:00:00.000Z' });
+
+    assert.match(parseFavorites('75001001').error, /must be an array/);
+    assert.match(parseFavorites(['75001001', 'abc']).error, /Invalid station id: abc/);
+    assert.match(parseFavorites([{}]).error, /Invalid station id/);
+    assert.match(parseFavorites(Array.from({ length: MAX_FAVORITES + 1 }, (_, i) => String(i))).error, /At most/);
+});
+
+test('setting favorites replaces the whole list of that owner only', () => {
+    const db = openDb(':memory:');
+    const favorites = (...entries) => parseFavorites(entries).value;
+
+    setFavorites('other', favorites('1'), db);
+    setFavorites('owner', favorites(
+        { stationId: '2', addedAt: '2024-07-01T00:00:00.000Z' },
+        { stationId: '3', addedAt: '2024-07-02T00:00:00.000Z' }
+    ), db);
+    assert.deepEqual(listFavorites('owner', db).map(favorite => favorite.stationId), ['2', '3']);
+
+    const replaced = setFavorites('owner', favorites(
+        { stationId: '4', addedAt: '2024-07-03T00:00:00.000Z' },
+        { stationId: '3', addedAt: '2024-07-02T00:00:00.000Z' }
+    ), db);
+    assert.deepEqual(replaced, [
+        { stationId: '3', addedAt: '2024-07-02T00:00:00.000Z' },
+        { stationId: '4', addedAt: '2024-07-03T00:00:00.000Z' }
+    ]);
+
+    assert.deepEqual(setFavorites('owner', [], db), []);
+    assert.deepEqual(listFavorites('other', db).map(favorite => favorite.stationId), ['1']);
+});
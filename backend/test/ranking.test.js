@@ -0,0 +1,80 @@
+// nearbyStations reads the shared connection: keep it in memory
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getDb } = require('../src/db');
+const { recordSnapshot } = require('../src/history');
+const { DEFAULT_VEHICLE, trueCosts, nearbyStations } = require('../src/stations');
+
+const VEHICLE = { consumption: 5, fillLiters: 40 };
+
+const entry = (id, price, distance, extra = {}) => ({ station: { id, gazole_prix: price, shortages: [], ...extra }, distance });
+
+test('the true cost adds the fuel burnt driving there and back', () => {
+    const costs = trueCosts([entry('near', 1.9, 1), entry('far', 1.8, 10)], { fuel: 'Gazole', vehicle: VEHICLE });
+
+    // 40 L at 1.80 plus 2 x 10 km at 5 L/100km
+    assert.deepEqual(costs.get('far'), {
+        fill: 72,
+        detour: 1.8,
+        detourLiters: 1,
+        total: 73.8,
+        nearestId: 'near',
+        priceSavings: 4,
+        extraDetour: 1.61,
+        savings: 2.39
+    });
+    assert.equal(costs.get('near').total, 76.19);
+    assert.equal(costs.get('near').savings, 0);
+});
+
+test('savings are against the nearest station that has the fuel', () => {
+    const costs = trueCosts([
+        entry('empty', 1.5, 0.5, { shortages: [{ fuel: 'Gazole', type: 'temporary', since: null }] }),
+        entry('near', 1.9, 1),
+        entry('far', 1.8, 30)
+    ], { fuel: 'Gazole', vehicle: VEHICLE });
+
+    assert.equal(costs.get('far').nearestId, 'near');
+    // Too far for its cheaper litres to pay off
+    assert.equal(costs.get('far').total, 77.4);
+    assert.equal(costs.get('far').savings, -1.21);
+    assert.equal(trueCosts([entry('empty', 1.5, 0.5, { shortages: [{ fuel: 'Gazole' }] })], { fuel: 'Gazole', vehicle: VEHICLE })
+        .get('empty').savings, null);
+});
+
+test('nearbyStations ranks by distance, price or true cost', () => {
+    const now = new Date().toISOString();
+    // About 1, 5 and 30 km north of the search point
+    const station = (id, price, kmNorth) => ({
+        id,
+        cp: '75001',
+        geom: [48.8566 + kmNorth / 111.2, 2.3522],
+        gazole_prix: price,
+        gazole_maj: now
+    });
+    recordSnapshot(getDb(), [
+        station(1, 1.9, 1),
+        station(2, 1.8, 5),
+        station(3, 1.7, 30),
+        { ...station(4, 1.5, 0.5), gazole_rupture_type: 'temporaire' }
+    ]);
+
+    const ids = (options) => nearbyStations({ lat: 48.8566, lon: 2.3522, radius: 50, fuel: 'Gazole', ...options })
+        .stations.map(found => found.id);
+
+    assert.deepEqual(ids({ sort: 'distance' }), ['1', '2', '3']);
+    assert.deepEqual(ids({ sort: 'price' }), ['3', '2', '1']);
+    // 30 km there and back outweighs 10 cents a litre, 5 km does not
+    assert.deepEqual(ids({ sort: 'cost', vehicle: DEFAULT_VEHICLE }), ['2', '3', '1']);
+    // A thirsty vehicle buying little is better off at the nearest
+    assert.deepEqual(ids({ sort: 'cost', vehicle: { consumption: 15, fillLiters: 20 } }), ['1', '2', '3']);
+
+    // Stations out of the fuel only show up when asked for, last
+    assert.deepEqual(ids({ sort: 'price', includeShortages: true }), ['3', '2', '1', '4']);
+
+    const [best] = nearbyStations({ lat: 48.8566, lon: 2.3522, fuel: 'Gazole', sort: 'cost' }).stations;
+    assert.equal(best.cost.nearestId, '1');
+    assert.ok(best.cost.savings > 0);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDb } = require('../src/db');
+const { shortagesFromFields, recordSnapshot } = require('../src/history');
+const { inShortage, sells } = require('../src/stations');
+
+test('per-fuel rupture fields give the type and start', () => {
+    assert.deepEqual(shortagesFromFields({
+        gazole_prix: 1.8,
+        gazole_rupture_type: 'temporaire',
+        gazole_rupture_debut: '2024-07-16T09:00:00+02:00',
+        e85_rupture_type: 'Definitive'
+    }), [
+        { fuel: 'Gazole', type: 'temporary', since: '2024-07-16T07:00:00.000Z' },
+        { fuel: 'E85', type: 'permanent', since: null }
+    ]);
+});
+
+test('rupture lists come as arrays or separated strings', () => {
+    assert.deepEqual(shortagesFromFields({
+        carburants_rupture_definitive: ['GPLc'],
+        carburants_rupture_temporaire: 'SP95; sp98,Fioul'
+    }), [
+        { fuel: 'GPLc', type: 'permanent', since: null },
+        { fuel: 'SP95', type: 'temporary', since: null },
+        { fuel: 'SP98', type: 'temporary', since: null }
+    ]);
+});
+
+test('the per-fuel fields win over the lists', () => {
+    assert.deepEqual(shortagesFromFields({
+        gazole_rupture_type: 'temporaire',
+        carburants_rupture_definitive: 'Gazole'
+    }), [{ fuel: 'Gazole', type: 'temporary', since: null }]);
+});
+
+test('unavailable fuels only count when the station sells them', () => {
+    const fields = { gazole_prix: 1.8, carburants_indisponibles: 'Gazole;E85' };
+    assert.deepEqual(shortagesFromFields(fields), [{ fuel: 'Gazole', type: 'temporary', since: null }]);
+    assert.deepEqual(shortagesFromFields(fields, fuel => fuel === 'E85'), [{ fuel: 'E85', type: 'temporary', since: null }]);
+    assert.deepEqual(shortagesFromFields({}), []);
+});
+
+test('snapshots keep the start of an ongoing shortage', () => {
+    const db = openDb(':memory:');
+    const shortages = () => db.prepare('SELECT fuel, type, since, recorded_at FROM station_shortages').all().map(row => ({ ...row }));
+    const station = { id: 1, cp: '75001', gazole_prix: 1.8, gazole_maj: '2024-07-15T08:00:00+02:00' };
+
+    recordSnapshot(db, [{ ...station, carburants_indisponibles: 'Gazole' }], { recordedAt: '2024-07-16T08:00:00.000Z' });
+    recordSnapshot(db, [{ ...station, carburants_indisponibles: 'Gazole' }], { recordedAt: '2024-07-16T09:00:00.000Z' });
+    assert.deepEqual(shortages(), [
+        { fuel: 'Gazole', type: 'temporary', since: '2024-07-16T08:00:00.000Z', recorded_at: '2024-07-16T09:00:00.000Z' }
+    ]);
+
+    // The price has dropped out of the feed, but the station still sold it
+    // before, so the shortage stays
+    recordSnapshot(db, [{ id: 1, carburants_indisponibles: 'Gazole' }], { recordedAt: '2024-07-16T10:00:00.000Z' });
+    assert.equal(shortages()[0].since, '2024-07-16T08:00:00.000Z');
+
+    // Turning permanent starts a new shortage; back in stock clears it
+    recordSnapshot(db, [{ ...station, gazole_rupture_type: 'definitive' }], { recordedAt: '2024-07-16T11:00:00.000Z' });
+    assert.equal(shortages()[0].since, '2024-07-16T11:00:00.000Z');
+    recordSnapshot(db, [station], { recordedAt: '2024-07-16T12:00:00.000Z' });
+    assert.deepEqual(shortages(), []);
+});
+
+test('a station out of a fuel does not sell it', () => {
+    const station = { gazole_prix: 1.8, sp98_prix: 1.9, shortages: [{ fuel: 'SP98', type: 'temporary', since: null }] };
+    assert.equal(inShortage(station, 'SP98'), true);
+    assert.equal(sells(station, 'Gazole'), true);
+    assert.equal(sells(station, 'SP98'), false);
+    assert.equal(sells(station, 'E85'), false);
+});
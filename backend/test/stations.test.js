@@ -0,0 +1,104 @@
+// The station index reads the shared connection: keep it in memory
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getDb } = require('../src/db');
+const { recordSnapshot } = require('../src/history');
+const { createSpatialIndex, distanceKm } = require('../src/spatial');
+const { nearbyStations, stationsInBbox } = require('../src/stations');
+
+// Degrees of latitude per km
+const KM = 1 / 111.2;
+const PARIS = [48.8566, 2.3522];
+
+test('the spatial index finds items by radius and bounding box', () => {
+    const index = createSpatialIndex();
+    index.insert('here', PARIS[0], PARIS[1]);
+    index.insert('3 km', PARIS[0] + 3 * KM, PARIS[1]);
+    index.insert('12 km', PARIS[0] - 12 * KM, PARIS[1]);
+    index.insert('lyon', 45.764, 4.8357);
+    index.insert('nowhere', null, 2);
+    assert.equal(index.size, 4);
+
+    assert.deepEqual(index.nearby(PARIS[0], PARIS[1], 10).map(entry => entry.item), ['here', '3 km']);
+    const [, second, third] = index.nearby(PARIS[0], PARIS[1], 20);
+    assert.ok(Math.abs(second.distance - 3) < 0.01);
+    assert.equal(third.item, '12 km');
+    assert.ok(Math.abs(distanceKm(PARIS[0], PARIS[1], 45.764, 4.8357) - 392) < 1);
+
+    const ids = (bbox) => index.inBbox(...bbox).map(entry => entry.item).sort();
+    assert.deepEqual(ids([2.3, 48.8, 2.4, 48.9]), ['3 km', 'here']);
+    // Wider than the occupied cells: every cell is scanned instead
+    assert.deepEqual(ids([-180, -90, 180, 90]), ['12 km', '3 km', 'here', 'lyon']);
+});
+
+test('nearby searches widen the radius once when too few stations are found', () => {
+    const now = new Date().toISOString();
+    const station = (id, kmNorth) => ({ id, cp: '75001', geom: [PARIS[0] + kmNorth * KM, PARIS[1]], gazole_prix: 1.8, gazole_maj: now });
+    recordSnapshot(getDb(), [station(1, 3), station(2, 8), station(3, 30), station(4, 150)]);
+    const search = (options) => nearbyStations({ lat: PARIS[0], lon: PARIS[1], ...options });
+    const ids = (result) => result.stations.map(found => found.id);
+
+    const widened = search({ radius: 5 });
+    assert.equal(widened.radius, 10);
+    assert.equal(widened.total, 2);
+    assert.deepEqual(ids(widened), ['1', '2']);
+    assert.ok(Math.abs(widened.stations[0].distance - 3) < 0.01);
+
+    // Enough stations within the radius
+    const enough = search({ radius: 5, minResults: 1 });
+    assert.equal(enough.radius, 5);
+    assert.deepEqual(ids(enough), ['1']);
+    // Never beyond the maximum
+    assert.equal(search({ radius: 80 }).radius, 100);
+    assert.deepEqual(ids(search({ radius: 100 })), ['1', '2', '3']);
+    assert.deepEqual(ids(search({ radius: 100, limit: 2 })), ['1', '2']);
+});
+
+test('viewports holding many stations are clustered at low zoom', () => {
+    const now = new Date().toISOString();
+    // A 30 x 20 grid of stations 0.01 degree apart, one cheaper, one out of
+    // gazole and ten without it
+    const stations = [];
+    for (let i = 0; i < 30; i++) {
+        for (let j = 0; j < 20; j++) {
+            const id = 1000 + i * 20 + j;
+            const station = { id, cp: '43000', geom: [45 + i * 0.01, 3 + j * 0.01], e10_prix: 1.9, e10_maj: now };
+            if (id < 1590) Object.assign(station, { gazole_prix: 1.8, gazole_maj: now });
+            stations.push(station);
+        }
+    }
+    stations[0].gazole_prix = 1.6;
+    stations[1].gazole_prix = 1.5;
+    stations[1].gazole_rupture_type = 'temporaire';
+    recordSnapshot(getDb(), stations);
+    const bbox = { minLon: 2.9, minLat: 44.9, maxLon: 3.3, maxLat: 45.4 };
+
+    const country = stationsInBbox({ ...bbox, zoom: 4, fuel: 'Gazole' });
+    assert.equal(country.clustered, true);
+    assert.equal(country.total, 590);
+    assert.deepEqual(country.stations, []);
+    assert.equal(country.clusters.length, 1);
+    const [cluster] = country.clusters;
+    assert.equal(cluster.count, 590);
+    // The station out of gazole doesn't count towards the prices
+    assert.equal(cluster.minPrice, 1.6);
+    assert.equal(cluster.avgPrice, 1.8);
+    assert.ok(Math.abs(cluster.lat - 45.1425) < 0.0001);
+
+    const region = stationsInBbox({ ...bbox, zoom: 8 });
+    assert.equal(region.total, 600);
+    assert.ok(region.clusters.length > 1);
+    assert.equal(region.clusters.reduce((sum, c) => sum + c.count, 0), 600);
+    assert.ok(region.clusters.every(c => c.minPrice === null && c.avgPrice === null));
+
+    // Street level, or few enough stations: every station
+    const street = stationsInBbox({ ...bbox, zoom: 12, fuel: 'Gazole' });
+    assert.equal(street.clustered, false);
+    assert.equal(street.stations.length, 590);
+    assert.ok(street.stations.some(station => station.shortages.length > 0));
+    const corner = stationsInBbox({ minLon: 2.9, minLat: 44.9, maxLon: 3.045, maxLat: 45.095, zoom: 4 });
+    assert.equal(corner.clustered, false);
+    assert.equal(corner.total, 50);
+});
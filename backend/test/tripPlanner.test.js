@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { optimiseStops, parseTripRequest } = require('../src/tripPlanner');
+
+// 400 km at 6 L/100km: 24 L for the whole trip
+const TRIP = { routeKm: 400, tankLiters: 40, startLiters: 10, consumption: 6, reserveLiters: 4 };
+
+const station = (positionKm, price, offRouteKm = 0) => ({ positionKm, price, offRouteKm });
+
+test('no stop is planned when the tank covers the trip', () => {
+    const plan = optimiseStops([station(100, 1.5)], { ...TRIP, startLiters: 30 });
+    assert.equal(plan.best.cost, 0);
+    assert.equal(plan.best.liters, 6);
+});
+
+test('fuel is bought where it is cheapest, just enough to arrive', () => {
+    const plan = optimiseStops([station(50, 2), station(100, 1.5)], TRIP);
+    // Reach the 1.5 station with 4 L left and buy the 18 L the last 300 km
+    // take, arriving with the 4 L reserve
+    assert.equal(plan.best.cost, 18 * 1.5);
+    assert.equal(plan.best.liters, 4);
+    assert.deepEqual(plan.best.from, { node: 2, liters: 22 });
+    assert.equal(plan.parent[2][22].arrivedWith, 4);
+});
+
+test('a cheaper station is skipped when its detour costs more than it saves', () => {
+    const candidates = [station(90, 1.4, 20), station(100, 1.5)];
+    assert.equal(optimiseStops(candidates, TRIP).best.from.node, 2);
+    // Next to the road it wins
+    assert.equal(optimiseStops([station(90, 1.4), station(100, 1.5)], TRIP).best.from.node, 1);
+});
+
+test('the reserve is kept on every leg after the first', () => {
+    // Leaving the only station with 18 L is not enough: 24 L are needed past it
+    // with a 4 L reserve, and the tank holds 20 L
+    assert.equal(optimiseStops([station(100, 1.5)], { ...TRIP, tankLiters: 20 }), null);
+    assert.notEqual(optimiseStops([station(100, 1.5)], { ...TRIP, tankLiters: 20, reserveLiters: 0 }), null);
+});
+
+test('no plan is returned when no station is in reach', () => {
+    assert.equal(optimiseStops([station(300, 1.5)], TRIP), null);
+    assert.equal(optimiseStops([], TRIP), null);
+});
+
+test('parseTripRequest validates the request body', () => {
+    const body = {
+        origin: { lat: 48.85, lon: 2.35 },
+        destination: { lat: 45.76, lon: 4.83 },
+        tankLiters: 50,
+        fuelLevel: 25,
+        consumption: 6.5
+    };
+    assert.deepEqual(parseTripRequest(body).value, {
+        origin: { lat: 48.85, lon: 2.35 },
+        destination: { lat: 45.76, lon: 4.83 },
+        fuel: 'Gazole',
+        tankLiters: 50,
+        fuelLevel: 25,
+        consumption: 6.5,
+        corridorKm: 5
+    });
+    assert.equal(parseTripRequest({ ...body, corridorKm: 100 }).value.corridorKm, 20);
+    assert.match(parseTripRequest({ ...body, origin: { lat: 95, lon: 2 } }).error, /origin and destination/);
+    assert.match(parseTripRequest({ ...body, fuel: 'Fioul' }).error, /Unknown fuel/);
+    assert.match(parseTripRequest({ ...body, tankLiters: 5 }).error, /tankLiters/);
+    assert.match(parseTripRequest({ ...body, fuelLevel: 120 }).error, /fuelLevel/);
+    assert.match(parseTripRequest({ ...body, consumption: 0 }).error, /consumption/);
+});
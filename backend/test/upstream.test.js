@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { UpstreamError, createUpstreamClient, sendUpstreamError } = require('../src/upstream');
+
+// Local server answering each request with the next queued status (200 once
+// the queue is empty), counting the requests it received
+async function startServer(t) {
+    const server = http.createServer((req, res) => {
+        server.hits++;
+        const status = server.statuses.shift() || 200;
+        if (status === 429) res.setHeader('Retry-After', '0');
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status }));
+    });
+    server.hits = 0;
+    server.statuses = [];
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    server.url = `http://127.0.0.1:${server.address().port}/`;
+    return server;
+}
+
+const client = (options = {}) => createUpstreamClient({
+    name: 'Test',
+    retries: 0,
+    baseDelayMs: 1,
+    failureThreshold: 2,
+    resetMs: 50,
+    ...options
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('server errors are retried and categorized', async (t) => {
+    const server = await startServer(t);
+    const upstream = client({ retries: 2 });
+
+    server.statuses = [500, 503];
+    assert.deepEqual((await upstream.get(server.url)).data, { status: 200 });
+    assert.equal(server.hits, 3);
+
+    server.statuses = [500, 500, 500];
+    await assert.rejects(upstream.get(server.url), error => {
+        assert.ok(error instanceof UpstreamError);
+        assert.equal(error.category, 'upstream_5xx');
+        assert.equal(error.status, 502);
+        assert.equal(error.upstreamStatus, 500);
+        return true;
+    });
+    assert.equal(upstream.stats().retries, 4);
+});
+
+test('client errors are not retried and do not open the circuit', async (t) => {
+    const server = await startServer(t);
+    const upstream = client({ retries: 2 });
+
+    server.statuses = [404, 400, 404];
+    for (let i = 0; i < 3; i++) {
+        await assert.rejects(upstream.get(server.url), { category: 'upstream_4xx' });
+    }
+    assert.equal(server.hits, 3);
+    assert.equal(upstream.stats().circuit, 'closed');
+});
+
+test('rate limiting keeps the Retry-After delay', async (t) => {
+    const server = await startServer(t);
+    server.statuses = [429];
+    await assert.rejects(client().get(server.url), { category: 'rate_limited', retryAfter: 0, status: 503 });
+});
+
+test('an unreachable upstream is reported as such', async (t) => {
+    const server = await startServer(t);
+    const url = server.url;
+    await new Promise(resolve => server.close(resolve));
+    await assert.rejects(client().get(url), { category: 'upstream_unreachable' });
+});
+
+test('the circuit opens after repeated failures and fails fast', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const server = await startServer(t);
+    const upstream = client();
+
+    server.statuses = [500, 500];
+    await assert.rejects(upstream.get(server.url), { category: 'upstream_5xx' });
+    assert.equal(upstream.stats().circuit, 'closed');
+    await assert.rejects(upstream.get(server.url), { category: 'upstream_5xx' });
+    assert.equal(upstream.stats().circuit, 'open');
+
+    await assert.rejects(upstream.get(server.url), error => {
+        assert.equal(error.category, 'circuit_open');
+        assert.equal(error.status, 503);
+        assert.equal(error.retryAfter, 1);
+        return true;
+    });
+    assert.equal(server.hits, 2);
+    assert.equal(upstream.stats().rejected, 1);
+});
+
+test('a half-open circuit lets one trial through', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const server = await startServer(t);
+    const upstream = client();
+
+    server.statuses = [500, 500];
+    await assert.rejects(upstream.get(server.url));
+    await assert.rejects(upstream.get(server.url));
+    await sleep(60);
+    assert.equal(upstream.stats().circuit, 'half-open');
+
+    // A failed trial opens it again at once
+    server.statuses = [500];
+    await assert.rejects(upstream.get(server.url), { category: 'upstream_5xx' });
+    await assert.rejects(upstream.get(server.url), { category: 'circuit_open' });
+
+    // Calls made while the trial is in flight are rejected; its success closes it
+    await sleep(60);
+    const trial = upstream.get(server.url);
+    await assert.rejects(upstream.get(server.url), { category: 'circuit_open' });
+    assert.equal((await trial).status, 200);
+    assert.equal(upstream.stats().circuit, 'closed');
+    assert.equal((await upstream.get(server.url)).status, 200);
+});
+
+test('concurrency limits the requests in flight', async (t) => {
+    const server = await startServer(t);
+    const upstream = client({ concurrency: 1 });
+    const pending = [upstream.get(server.url), upstream.get(server.url), upstream.get(server.url)];
+    await sleep(0);
+    assert.equal(upstream.stats().active, 1);
+    assert.equal(upstream.stats().queued, 2);
+    await Promise.all(pending);
+    assert.equal(upstream.stats().active, 0);
+});
+
+test('sendUpstreamError answers with the category status and Retry-After', () => {
+    const response = () => {
+        const res = { headers: {} };
+        res.set = (name, value) => {
+            res.headers[name] = value;
+        };
+        res.status = (status) => {
+            res.statusCode = status;
+            return res;
+        };
+        res.json = (body) => {
+            res.body = body;
+            return res;
+        };
+        return res;
+    };
+
+    const res = response();
+    sendUpstreamError(res, new UpstreamError('circuit_open', 'Test is disabled', { retryAfter: 12 }), 'Failed to search');
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.headers['Retry-After'], '12');
+    assert.deepEqual(res.body, { error: 'Failed to search', category: 'circuit_open', details: 'Test is disabled' });
+
+    const other = response();
+    sendUpstreamError(other, new Error('boom'), 'Failed to search');
+    assert.equal(other.statusCode, 500);
+    assert.deepEqual(other.body, { error: 'Failed to search', details: 'boom' });
+});
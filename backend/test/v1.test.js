@@ -0,0 +1,125 @@
+// The router reads the shared connection: keep it in memory
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { getDb } = require('../src/db');
+const { recordSnapshot } = require('../src/history');
+
+let baseUrl;
+let server;
+test.before(async () => {
+    const app = express();
+    app.use('/api/v1', require('../src/v1'));
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+
+    const now = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    recordSnapshot(getDb(), [{
+        id: 75001001,
+        cp: '75001',
+        ville: 'Paris',
+        adresse: '1 rue de Rivoli',
+        departement: 'Paris',
+        code_departement: '75',
+        region: 'Île-de-France',
+        code_region: '11',
+        pop: 'A',
+        geom: [48.8566, 2.3522],
+        gazole_prix: 1.799,
+        gazole_maj: now,
+        e10_prix: 1.849,
+        e10_maj: now,
+        sp98_rupture_type: 'temporaire',
+        services_service: ['Station de gonflage', 'Lavage automatique'],
+        horaires_automate_24_24: 'Oui'
+    }], { recordedAt: now });
+});
+test.after(() => server.close());
+
+const get = async (path) => {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+};
+
+test('viewport searches need a valid bbox and fuel', async () => {
+    for (const bbox of ['', '1,2,3', '2.5,48,2.2,49', 'a,b,c,d']) {
+        assert.deepEqual(await get(`/stations/viewport?bbox=${bbox}`), {
+            status: 400,
+            body: { error: 'bbox must be minLon,minLat,maxLon,maxLat' }
+        });
+    }
+    assert.deepEqual(await get('/stations/viewport?bbox=2.2,48.8,2.5,48.9&fuel=Fioul'), { status: 400, body: { error: 'Unknown fuel: Fioul' } });
+
+    const { status, body } = await get('/stations/viewport?bbox=2.2,48.8,2.5,48.9&zoom=16&fuel=gazole');
+    assert.equal(status, 200);
+    assert.equal(body.fuel, 'Gazole');
+    assert.deepEqual(body.stations.map(station => station.id), ['75001001']);
+});
+
+test('nearby searches reject bad coordinates, fuels and radii', async () => {
+    const nearby = (query) => get(`/stations/nearby?lat=48.85&lon=2.35&${query}`);
+
+    assert.deepEqual(await get('/stations/nearby?lat=91&lon=2.35'), { status: 400, body: { error: 'lat and lon must be valid coordinates' } });
+    assert.deepEqual(await nearby('fuel=Fioul'), { status: 400, body: { error: 'Unknown fuel: Fioul' } });
+    for (const radius of ['0', '0.5', '101', 'far']) {
+        assert.deepEqual(await nearby(`radius=${radius}`), { status: 400, body: { error: 'radius must be between 1 and 100 km' } }, radius);
+    }
+    assert.equal((await nearby('limit=500')).status, 400);
+    assert.deepEqual(await nearby('sort=price'), { status: 400, body: { error: 'sort=price needs a fuel' } });
+
+    const { status, body } = await nearby('radius=5&fuel=Gazole&sort=price');
+    assert.equal(status, 200);
+    // Doubled, as fewer than five stations were found
+    assert.equal(body.radius, 10);
+    assert.equal(body.stations[0].id, '75001001');
+    assert.ok(body.stations[0].distance < 1);
+});
+
+test('stations are served in the normalized shape', async () => {
+    const { status, body } = await get('/stations/75001001');
+    assert.equal(status, 200);
+    const { updatedAt } = body.prices[0];
+    assert.deepEqual(body, {
+        id: '75001001',
+        brand: null,
+        brandId: null,
+        address: {
+            street: '1 rue de Rivoli',
+            postalCode: '75001',
+            city: 'Paris',
+            departement: 'Paris',
+            departementCode: '75',
+            region: 'Île-de-France',
+            regionCode: '11'
+        },
+        location: { lat: 48.8566, lon: 2.3522 },
+        roadType: 'motorway',
+        prices: [
+            { fuel: 'Gazole', price: 1.799, updatedAt },
+            { fuel: 'E10', price: 1.849, updatedAt }
+        ],
+        // Ongoing since the snapshot that first reported it
+        shortages: [{ fuel: 'SP98', type: 'temporary', since: updatedAt }],
+        services: ['Station de gonflage', 'Lavage automatique'],
+        amenities: ['carWash', 'air'],
+        hours: { automate24: true, days: [] },
+        openNow: true
+    });
+
+    assert.deepEqual(await get('/stations/404'), { status: 404, body: { error: 'Unknown station: 404' } });
+});
+
+test('histories of several stations are fetched in one request', async () => {
+    assert.deepEqual(await get('/stations/history'), { status: 400, body: { error: 'ids must list 1 to 100 station ids' } });
+
+    const { status, body } = await get('/stations/history?ids=75001001,404&fuel=Gazole&days=7');
+    assert.equal(status, 200);
+    assert.equal(body.fuel, 'Gazole');
+    assert.deepEqual(body.missing, ['404']);
+    assert.deepEqual(body.stations.map(station => station.id), ['75001001']);
+    assert.deepEqual(body.stations[0].history.map(entry => entry.price), [1.799]);
+});
@@ -14,14 +14,25 @@ import {
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
   Title,
   Tooltip,
-  Legend
+  Legend,
+  Filler
 } from 'chart.js';
 import SearchIcon from '@mui/icons-material/Search';
 import TrendingUpIcon from '@mui/icons-material/TrendingUp';
+import RouteIcon from '@mui/icons-material/Route';
+import StorefrontIcon from '@mui/icons-material/Storefront';
+import StarIcon from '@mui/icons-material/Star';
+import ReceiptLongIcon from '@mui/icons-material/ReceiptLong';
 import StationFinder from './pages/StationFinder';
 import PriceTrends from './pages/PriceTrends';
+import TripPlanner from './pages/TripPlanner';
+import BrandComparison from './pages/BrandComparison';
+import MyStations from './pages/MyStations';
+import Logbook from './pages/Logbook';
+import OfflineBanner from './components/OfflineBanner';
 import 'leaflet/dist/leaflet.css';
 
 ChartJS.register(
@@ -29,9 +40,11 @@ ChartJS.register(
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
   Title,
   Tooltip,
-  Legend
+  Legend,
+  Filler
 );
 
 function NavigationBar() {
@@ -73,6 +86,66 @@ function NavigationBar() {
         >
           Trends
         </Button>
+        <Button
+          color="inherit"
+          component={Link}
+          to="/trip"
+          startIcon={<RouteIcon sx={{ display: { xs: 'none', sm: 'inline' } }} />}
+          sx={{ 
+            borderBottom: location.pathname === '/trip' ? '2px solid white' : 'none',
+            borderRadius: 0,
+            fontSize: { xs: '0.75rem', sm: '0.875rem' },
+            minWidth: { xs: 'auto', sm: 'auto' },
+            px: { xs: 1, sm: 2 }
+          }}
+        >
+          Trip
+        </Button>
+        <Button
+          color="inherit"
+          component={Link}
+          to="/brands"
+          startIcon={<StorefrontIcon sx={{ display: { xs: 'none', sm: 'inline' } }} />}
+          sx={{ 
+            borderBottom: location.pathname === '/brands' ? '2px solid white' : 'none',
+            borderRadius: 0,
+            fontSize: { xs: '0.75rem', sm: '0.875rem' },
+            minWidth: { xs: 'auto', sm: 'auto' },
+            px: { xs: 1, sm: 2 }
+          }}
+        >
+          Brands
+        </Button>
+        <Button
+          color="inherit"
+          component={Link}
+          to="/my-stations"
+          startIcon={<StarIcon sx={{ display: { xs: 'none', sm: 'inline' } }} />}
+          sx={{ 
+            borderBottom: location.pathname === '/my-stations' ? '2px solid white' : 'none',
+            borderRadius: 0,
+            fontSize: { xs: '0.75rem', sm: '0.875rem' },
+            minWidth: { xs: 'auto', sm: 'auto' },
+            px: { xs: 1, sm: 2 }
+          }}
+        >
+          <Box component="span" sx={{ display: { xs: 'none', sm: 'inline' } }}>My </Box>Stations
+        </Button>
+        <Button
+          color="inherit"
+          component={Link}
+          to="/logbook"
+          startIcon={<ReceiptLongIcon sx={{ display: { xs: 'none', sm: 'inline' } }} />}
+          sx={{ 
+            borderBottom: location.pathname === '/logbook' ? '2px solid white' : 'none',
+            borderRadius: 0,
+            fontSize: { xs: '0.75rem', sm: '0.875rem' },
+            minWidth: { xs: 'auto', sm: 'auto' },
+            px: { xs: 1, sm: 2 }
+          }}
+        >
+          Logbook
+        </Button>
       </Toolbar>
     </AppBar>
   );
@@ -86,9 +159,14 @@ function App() {
         background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'
       }}>
         <NavigationBar />
+        <OfflineBanner />
         <Routes>
           <Route path="/" element={<StationFinder />} />
           <Route path="/trends" element={<PriceTrends />} />
+          <Route path="/trip" element={<TripPlanner />} />
+          <Route path="/brands" element={<BrandComparison />} />
+          <Route path="/my-stations" element={<MyStations />} />
+          <Route path="/logbook" element={<Logbook />} />
         </Routes>
       </Box>
     </Router>
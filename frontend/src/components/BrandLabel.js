@@ -0,0 +1,22 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { brandBadgeUrl } from '../utils/brands';
+
+/**
+ * Station brand name, preceded by its badge when the brand is a known one
+ */
+const BrandLabel = ({ station, variant = 'caption' }) => {
+  if (!station.brand) return null;
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+      {station.brandId && (
+        <img src={brandBadgeUrl(station.brandId)} alt="" width={16} height={16} />
+      )}
+      <Typography variant={variant} color="primary" sx={{ fontWeight: 'bold' }}>
+        {station.brand}
+      </Typography>
+    </Box>
+  );
+};
+
+export default BrandLabel;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { IconButton, Tooltip } from '@mui/material';
+import StarIcon from '@mui/icons-material/Star';
+import StarBorderIcon from '@mui/icons-material/StarBorder';
+import { useFavorites, toggleFavorite } from '../utils/favorites';
+
+/**
+ * Star adding a station to "My stations", or removing it
+ */
+const FavoriteButton = ({ stationId, size = 'small' }) => {
+  const favorites = useFavorites();
+  const favorite = favorites.some(entry => entry.stationId === stationId);
+
+  return (
+    <Tooltip title={favorite ? 'Remove from My stations' : 'Add to My stations'}>
+      <IconButton
+        size={size}
+        aria-label={favorite ? 'Remove from My stations' : 'Add to My stations'}
+        onClick={(event) => {
+          event.stopPropagation();
+          toggleFavorite(stationId);
+        }}
+        sx={{ color: favorite ? 'warning.main' : 'action.active' }}
+      >
+        {favorite ? <StarIcon fontSize="inherit" /> : <StarBorderIcon fontSize="inherit" />}
+      </IconButton>
+    </Tooltip>
+  );
+};
+
+export default FavoriteButton;
@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Chip,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { Line } from 'react-chartjs-2';
+import { SPREADS, fetchAverageSeries, spreadSeries } from '../utils/trends';
+import { useFuelCatalog, fuelLabel, fuelColor } from '../utils/fuels';
+
+// Litres of a typical fill-up, to put spreads in euros
+const FILL_LITERS = 40;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('fr-FR');
+
+const formatCents = (value) => `${value > 0 ? '+' : value < 0 ? '−' : ''}${Math.abs(value * 100).toFixed(1)} c€/L`;
+
+const chartOptions = (yTitle) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  spanGaps: true,
+  scales: {
+    y: { beginAtZero: false, title: { display: true, text: yTitle } },
+    x: { ticks: { maxRotation: 45, minRotation: 45 } }
+  },
+  plugins: {
+    legend: { position: 'top' },
+    tooltip: { mode: 'index', intersect: false }
+  },
+  interaction: { mode: 'nearest', axis: 'x', intersect: false }
+});
+
+// Average, latest and range of a spread over the period
+const summarize = (points) => {
+  const values = points.map(point => point.value).filter(value => value !== null);
+  if (values.length === 0) return null;
+  return {
+    average: values.reduce((a, b) => a + b, 0) / values.length,
+    latest: values[values.length - 1],
+    min: Math.min(...values),
+    max: Math.max(...values)
+  };
+};
+
+/**
+ * Average prices of several fuels on one chart, or the spread between two
+ * series (e.g. SP98 − E10, motorway − road) over the Trends page's timeframe
+ * and region
+ */
+const FuelComparisonChart = ({ timeframe, region }) => {
+  const catalog = useFuelCatalog();
+  const [mode, setMode] = useState('overlay');
+  // Every fuel of the catalog until the user picks some
+  const [pickedFuels, setPickedFuels] = useState(null);
+  const fuels = useMemo(() => pickedFuels || catalog.fuels.map(fuel => fuel.code), [pickedFuels, catalog]);
+  const [spread, setSpread] = useState(SPREADS[0].value);
+  const [chart, setChart] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const selectedSpread = SPREADS.find(item => item.value === spread);
+
+  useEffect(() => {
+    if (mode === 'overlay' && fuels.length === 0) return undefined;
+    let cancelled = false;
+    const from = new Date();
+    from.setDate(from.getDate() - timeframe);
+    const options = { from, region };
+
+    const load = async () => {
+      if (mode === 'overlay') {
+        const series = await Promise.all(fuels.map(fuel => fetchAverageSeries({ fuel }, options)));
+        const labels = (series[0] || []).map(bucket => formatDate(bucket.start));
+        return {
+          chart: {
+            labels,
+            datasets: fuels.map((fuel, i) => ({
+              label: fuelLabel(catalog, fuel),
+              data: series[i].map(bucket => (bucket.count > 0 ? bucket.mean : null)),
+              borderColor: fuelColor(catalog, fuel),
+              backgroundColor: fuelColor(catalog, fuel),
+              borderWidth: 2,
+              pointRadius: 0,
+              tension: 0.1
+            }))
+          },
+          summary: null,
+          empty: series.every(buckets => buckets.every(bucket => bucket.count === 0))
+        };
+      }
+
+      const [a, b] = await Promise.all([
+        fetchAverageSeries(selectedSpread.a, options),
+        fetchAverageSeries(selectedSpread.b, options)
+      ]);
+      const points = spreadSeries(a, b);
+      return {
+        chart: {
+          labels: points.map(point => formatDate(point.start)),
+          datasets: [{
+            label: `${selectedSpread.label} (€/L)`,
+            data: points.map(point => point.value),
+            borderColor: 'rgb(118, 75, 162)',
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.1,
+            fill: { target: 'origin', above: 'rgba(244, 67, 54, 0.15)', below: 'rgba(76, 175, 80, 0.15)' }
+          }]
+        },
+        summary: summarize(points),
+        empty: points.every(point => point.value === null)
+      };
+    };
+
+    setLoading(true);
+    setError(null);
+    load()
+      .then(result => {
+        if (cancelled) return;
+        setChart(result.empty ? null : result.chart);
+        setSummary(result.summary);
+        if (result.empty) setError('No price history recorded for this comparison yet');
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setError(err.message);
+        console.error('Error loading fuel comparison:', err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [mode, fuels, catalog, selectedSpread, timeframe, region]);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap', justifyContent: 'center', alignItems: 'center', flexDirection: { xs: 'column', sm: 'row' } }}>
+        <ToggleButtonGroup
+          value={mode}
+          exclusive
+          size="small"
+          onChange={(event, value) => value && setMode(value)}
+        >
+          <ToggleButton value="overlay">Compare fuels</ToggleButton>
+          <ToggleButton value="spread">Spread</ToggleButton>
+        </ToggleButtonGroup>
+
+        {mode === 'overlay' ? (
+          <FormControl sx={{ minWidth: { xs: '100%', sm: 320 } }}>
+            <InputLabel>Fuels</InputLabel>
+            <Select
+              multiple
+              value={fuels}
+              label="Fuels"
+              onChange={(e) => e.target.value.length > 0 && setPickedFuels(e.target.value)}
+              renderValue={(selected) => (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                  {selected.map(fuel => (
+                    <Chip key={fuel} label={fuelLabel(catalog, fuel)} size="small" sx={{ bgcolor: fuelColor(catalog, fuel), color: 'white' }} />
+                  ))}
+                </Box>
+              )}
+            >
+              {catalog.fuels.map(fuel => (
+                <MenuItem key={fuel.code} value={fuel.code}>
+                  {fuel.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        ) : (
+          <FormControl sx={{ minWidth: { xs: '100%', sm: 260 } }}>
+            <InputLabel>Spread</InputLabel>
+            <Select value={spread} label="Spread" onChange={(e) => setSpread(e.target.value)}>
+              {SPREADS.map(item => (
+                <MenuItem key={item.value} value={item.value}>
+                  {item.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+      </Box>
+
+      {error && (
+        <Alert severity={chart ? 'error' : 'info'} sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          <CircularProgress />
+        </Box>
+      ) : chart && (
+        <>
+          <Box sx={{ height: { xs: 300, sm: 400 } }}>
+            <Line data={chart} options={chartOptions(mode === 'overlay' ? 'Price (€/L)' : 'Difference (€/L)')} />
+          </Box>
+          {mode === 'spread' && summary && (
+            <Typography variant="body2" color="text.secondary" align="center" sx={{ mt: 2 }}>
+              {selectedSpread.description}: {formatCents(summary.latest)} now,
+              {' '}{formatCents(summary.average)} on average
+              (from {formatCents(summary.min)} to {formatCents(summary.max)}).
+              {' '}On a {FILL_LITERS} L fill-up that is €{Math.abs(summary.latest * FILL_LITERS).toFixed(2)} today.
+            </Typography>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default FuelComparisonChart;
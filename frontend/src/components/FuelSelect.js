@@ -0,0 +1,43 @@
+import React from 'react';
+import { FormControl, InputLabel, Select, MenuItem, ListItemText } from '@mui/material';
+import { useFuelCatalog } from '../utils/fuels';
+
+/**
+ * Fuel selector listing the backend's fuel catalog, with what each fuel suits.
+ * `only` restricts it to some fuel codes (e.g. those a station sells).
+ */
+const FuelSelect = ({
+  value,
+  onChange,
+  label = 'Fuel Type',
+  only = null,
+  formControlSx,
+  labelSx,
+  selectSx,
+  ...props
+}) => {
+  const catalog = useFuelCatalog();
+  const fuels = catalog.fuels.filter(fuel => !only || only.length === 0 || only.includes(fuel.code));
+  const known = fuels.some(fuel => fuel.code === value);
+
+  return (
+    <FormControl sx={formControlSx} {...props}>
+      <InputLabel sx={labelSx}>{label}</InputLabel>
+      <Select
+        value={known ? value : ''}
+        label={label}
+        onChange={(event) => onChange(event.target.value)}
+        renderValue={(code) => fuels.find(fuel => fuel.code === code)?.label || code}
+        sx={selectSx}
+      >
+        {fuels.map(fuel => (
+          <MenuItem key={fuel.code} value={fuel.code}>
+            <ListItemText primary={fuel.label} secondary={`${fuel.euroLabel} · ${fuel.compatibility}`} />
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+};
+
+export default FuelSelect;
@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from 'react';
+import { Alert, Button } from '@mui/material';
+import CloudOffIcon from '@mui/icons-material/CloudOff';
+
+// HH:MM, preceded by the day when it isn't today
+const formatTime = (date) => {
+  const time = date.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+  if (date.toDateString() === new Date().toDateString()) return time;
+  return `${date.toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit' })} ${time}`;
+};
+
+/**
+ * "Offline — prices as of HH:MM" while the browser is offline or prices come
+ * from the service worker's cache, and a reload prompt once the background
+ * sync has fetched fresh ones (see src/service-worker.js)
+ */
+const OfflineBanner = () => {
+  const [online, setOnline] = useState(navigator.onLine);
+  const [pricesAsOf, setPricesAsOf] = useState(null);
+  const [refreshed, setRefreshed] = useState(false);
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    const handleMessage = (event) => {
+      const message = event.data || {};
+      if (message.type === 'PRICES_FROM_CACHE') {
+        setPricesAsOf(message.date ? new Date(message.date) : null);
+        setOnline(false);
+      } else if (message.type === 'PRICES_FRESH') {
+        setPricesAsOf(null);
+        setOnline(navigator.onLine);
+      } else if (message.type === 'PRICES_REFRESHED') {
+        setRefreshed(true);
+      }
+    };
+    const serviceWorker = navigator.serviceWorker;
+    if (serviceWorker) serviceWorker.addEventListener('message', handleMessage);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      if (serviceWorker) serviceWorker.removeEventListener('message', handleMessage);
+    };
+  }, []);
+
+  if (refreshed) {
+    return (
+      <Alert
+        severity="success"
+        sx={{ borderRadius: 0 }}
+        action={<Button color="inherit" size="small" onClick={() => window.location.reload()}>Reload</Button>}
+      >
+        Back online: fresh prices are available.
+      </Alert>
+    );
+  }
+
+  if (online) return null;
+
+  return (
+    <Alert severity="warning" icon={<CloudOffIcon />} sx={{ borderRadius: 0 }}>
+      {pricesAsOf && !Number.isNaN(pricesAsOf.getTime())
+        ? `Offline — prices as of ${formatTime(pricesAsOf)}`
+        : 'Offline — showing the last saved prices'}
+    </Alert>
+  );
+};
+
+export default OfflineBanner;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Box,
   TextField,
@@ -12,21 +12,67 @@ import {
   Chip,
   ListItemButton,
   IconButton,
-  Tooltip
+  Tooltip,
+  MenuItem
 } from '@mui/material';
 import SearchIcon from '@mui/icons-material/Search';
 import MyLocationIcon from '@mui/icons-material/MyLocation';
 import LocationOnIcon from '@mui/icons-material/LocationOn';
 import DirectionsIcon from '@mui/icons-material/Directions';
-import { sortByDistance, parseCoordinates } from '../utils/distance';
-import { enrichStationsWithBrands } from '../utils/overpass';
+import { parseCoordinates } from '../utils/distance';
+import { fetchNearbyStations } from '../utils/nearby';
 import { navigateToStation, getStationAddress } from '../utils/navigation';
+import PriceSparkline from './PriceSparkline';
+import BrandLabel from './BrandLabel';
+import StationAmenities from './StationAmenities';
+import FavoriteButton from './FavoriteButton';
+import { getFuelPrice, getStationTitle, formatShortage, ROAD_TYPE_LABELS } from '../utils/stations';
+import { useFuelCatalog, fuelServices } from '../utils/fuels';
+import { loadVehicle, saveVehicle, formatSavings, savingsBreakdown, RANKINGS } from '../utils/vehicle';
 
-const PostalCodeSearch = ({ allStations, selectedFuelType, onLocationFound, onUseMyLocation, onStationClick }) => {
+const PostalCodeSearch = ({ selectedFuelType, stationFilter, onLocationFound, onUseMyLocation, onStationClick }) => {
+  const catalog = useFuelCatalog();
   const [postalCode, setPostalCode] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [error, setError] = useState('');
-  const [loadingBrands, setLoadingBrands] = useState(false);
+  const [ranking, setRanking] = useState('cost');
+  const [vehicle, setVehicle] = useState(loadVehicle);
+  const [vehicleDraft, setVehicleDraft] = useState(vehicle);
+  const lastOrigin = useRef(null);
+
+  // Show the best-ranked stations around a point. `notify` receives the
+  // location and stations.
+  const showStationsAround = async (lat, lon, notify, extra = {}) => {
+    lastOrigin.current = { lat, lon };
+    const nearest = await fetchNearbyStations(lat, lon, { fuelType: selectedFuelType, sort: ranking, stationFilter, vehicle });
+    setSearchResults(nearest);
+    if (notify) {
+      notify({ lat, lon, ...extra, stations: nearest });
+    }
+  };
+
+  // Search the last location again when the fuel, filters, ranking or vehicle change
+  useEffect(() => {
+    if (!lastOrigin.current) return;
+    const { lat, lon } = lastOrigin.current;
+    fetchNearbyStations(lat, lon, { fuelType: selectedFuelType, sort: ranking, stationFilter, vehicle })
+      .then(setSearchResults)
+      .catch(err => setError(`Error: ${err.message}`));
+  }, [selectedFuelType, stationFilter, ranking, vehicle]);
+
+  // Vehicle fields apply when they lose focus, if valid
+  const applyVehicle = () => {
+    const consumption = Number(vehicleDraft.consumption);
+    const fillLiters = Number(vehicleDraft.fillLiters);
+    if (!(consumption > 0 && consumption <= 50) || !(fillLiters >= 1 && fillLiters <= 200)) {
+      setVehicleDraft(vehicle);
+      return;
+    }
+    if (consumption === vehicle.consumption && fillLiters === vehicle.fillLiters) return;
+    const next = { consumption, fillLiters };
+    saveVehicle(next);
+    setVehicle(next);
+  };
 
   const handleSearch = async () => {
     setError('Searching...');
@@ -37,115 +83,29 @@ const PostalCodeSearch = ({ allStations, selectedFuelType, onLocationFound, onUs
     }
 
     try {
-      // First, try to find stations in this postal code
-      const matchingStations = allStations.filter(
-        station => station.cp === postalCode
+      // Geocode the postal code using French government API
+      const response = await fetch(
+        `https://geo.api.gouv.fr/communes?codePostal=${postalCode}&fields=centre&format=json&geometry=centre`
       );
-
-      let centerLat, centerLon;
-
-      if (matchingStations.length > 0) {
-        // Use first station's coordinates as center
-        const stationsWithCoords = matchingStations.filter(s => parseCoordinates(s));
-        if (stationsWithCoords.length > 0) {
-          const coords = parseCoordinates(stationsWithCoords[0]);
-          centerLat = coords.lat;
-          centerLon = coords.lon;
-        }
-      }
-
-      // If no stations in this postal code, geocode it using French government API
-      if (!centerLat) {
-        const response = await fetch(
-          `https://geo.api.gouv.fr/communes?codePostal=${postalCode}&fields=centre&format=json&geometry=centre`
-        );
-        
-        if (!response.ok) {
-          throw new Error('Failed to geocode postal code');
-        }
-
-        const communes = await response.json();
-        
-        if (!communes || communes.length === 0) {
-          setError(`Postal code ${postalCode} not found`);
-          setSearchResults([]);
-          return;
-        }
-
-        // Use first commune's center coordinates
-        centerLat = communes[0].centre.coordinates[1];
-        centerLon = communes[0].centre.coordinates[0];
-      }
-
-      setError('');
-      
-      // Sort all stations by distance from postal code center
-      let sorted = sortByDistance(allStations, centerLat, centerLon);
       
-      // Filter by fuel type and distance (max 50km)
-      const fuelPriceField = `${selectedFuelType?.toLowerCase()}_prix`;
-      const MAX_DISTANCE_KM = 50;
-      
-      sorted = sorted.filter(s => 
-        s[fuelPriceField] != null && 
-        s[fuelPriceField] !== '' && 
-        s.distance <= MAX_DISTANCE_KM
-      );
-
-      // If not enough stations within 50km, try 100km
-      if (sorted.length < 5) {
-        sorted = sortByDistance(allStations, centerLat, centerLon)
-          .filter(s => 
-            s[fuelPriceField] != null && 
-            s[fuelPriceField] !== '' && 
-            s.distance <= 100
-          );
+      if (!response.ok) {
+        throw new Error('Failed to geocode postal code');
       }
 
-      // Sort by distance first (closest stations), then by price
-      sorted = sorted.sort((a, b) => {
-        // First by distance (keep it reasonable)
-        const distDiff = a.distance - b.distance;
-        if (Math.abs(distDiff) > 5) return distDiff; // Significant distance difference
-        // Then by price if stations are close to each other
-        return (a[fuelPriceField] || 999) - (b[fuelPriceField] || 999);
-      });
+      const communes = await response.json();
       
-      // Take closest 10 stations
-      const nearest = sorted.slice(0, 10);
-      setSearchResults(nearest);
+      if (!communes || communes.length === 0) {
+        setError(`Postal code ${postalCode} not found`);
+        setSearchResults([]);
+        return;
+      }
 
-      // Enrich with brand names from OSM (in background)
-      setLoadingBrands(true);
-      enrichStationsWithBrands(nearest, centerLat, centerLon)
-        .then(enriched => {
-          setSearchResults(enriched);
-          setLoadingBrands(false);
-          
-          // Update parent with enriched data
-          if (onLocationFound) {
-            onLocationFound({
-              lat: centerLat,
-              lon: centerLon,
-              postalCode,
-              stations: enriched
-            });
-          }
-        })
-        .catch(err => {
-          console.error('Failed to enrich with brands:', err);
-          setLoadingBrands(false);
-        });
+      // Use first commune's center coordinates
+      const centerLat = communes[0].centre.coordinates[1];
+      const centerLon = communes[0].centre.coordinates[0];
 
-      // Notify parent component about the location (with initial data)
-      if (onLocationFound) {
-        onLocationFound({
-          lat: centerLat,
-          lon: centerLon,
-          postalCode,
-          stations: nearest
-        });
-      }
+      setError('');
+      await showStationsAround(centerLat, centerLon, onLocationFound, { postalCode });
     } catch (err) {
       setError(`Error: ${err.message}`);
       setSearchResults([]);
@@ -164,71 +124,11 @@ const PostalCodeSearch = ({ allStations, selectedFuelType, onLocationFound, onUs
       (position) => {
         const { latitude, longitude } = position.coords;
         setError('');
-        
-        // Sort stations by distance from user location
-        let sorted = sortByDistance(allStations, latitude, longitude);
-        
-        // Filter by fuel type and distance (max 50km)
-        const fuelPriceField = `${selectedFuelType?.toLowerCase()}_prix`;
-        const MAX_DISTANCE_KM = 50;
-        
-        sorted = sorted.filter(s => 
-          s[fuelPriceField] != null && 
-          s[fuelPriceField] !== '' && 
-          s.distance <= MAX_DISTANCE_KM
-        );
-
-        // If not enough stations within 50km, try 100km
-        if (sorted.length < 5) {
-          sorted = sortByDistance(allStations, latitude, longitude)
-            .filter(s => 
-              s[fuelPriceField] != null && 
-              s[fuelPriceField] !== '' && 
-              s.distance <= 100
-            );
-        }
-
-        // Sort by distance first, then by price
-        sorted = sorted.sort((a, b) => {
-          // First by distance (keep it reasonable)
-          const distDiff = a.distance - b.distance;
-          if (Math.abs(distDiff) > 5) return distDiff; // Significant distance difference
-          // Then by price if stations are close to each other
-          return (a[fuelPriceField] || 999) - (b[fuelPriceField] || 999);
-        });
-        
-        const nearest = sorted.slice(0, 10);
-        setSearchResults(nearest);
-
-        // Enrich with brand names from OSM (in background)
-        setLoadingBrands(true);
-        enrichStationsWithBrands(nearest, latitude, longitude)
-          .then(enriched => {
-            setSearchResults(enriched);
-            setLoadingBrands(false);
-            
-            // Update parent with enriched data
-            if (onUseMyLocation) {
-              onUseMyLocation({
-                lat: latitude,
-                lon: longitude,
-                stations: enriched
-              });
-            }
-          })
+        showStationsAround(latitude, longitude, onUseMyLocation)
           .catch(err => {
-            console.error('Failed to enrich with brands:', err);
-            setLoadingBrands(false);
-          });
-
-        // Notify parent component (with initial data)
-        if (onUseMyLocation) {
-          onUseMyLocation({
-            lat: latitude,
-            lon: longitude,
-            stations: nearest
+            setError(`Error: ${err.message}`);
+            setSearchResults([]);
           });
-        }
       },
       (error) => {
         setError(`Error getting location: ${error.message}`);
@@ -236,8 +136,6 @@ const PostalCodeSearch = ({ allStations, selectedFuelType, onLocationFound, onUs
     );
   };
 
-  const fuelPriceField = `${selectedFuelType?.toLowerCase()}_prix`;
-
   const handleStationClick = (station) => {
     const coords = parseCoordinates(station);
     if (coords && onStationClick) {
@@ -292,6 +190,42 @@ const PostalCodeSearch = ({ allStations, selectedFuelType, onLocationFound, onUs
         >
           Use My Location
         </Button>
+        <Box sx={{ display: 'flex', gap: 1, mt: 2, flexWrap: 'wrap' }}>
+          <TextField
+            select
+            size="small"
+            label="Rank by"
+            value={ranking}
+            onChange={(e) => setRanking(e.target.value)}
+            sx={{ flex: '1 1 180px' }}
+          >
+            {RANKINGS.map(option => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            type="number"
+            label="L/100km"
+            value={vehicleDraft.consumption}
+            onChange={(e) => setVehicleDraft({ ...vehicleDraft, consumption: e.target.value })}
+            onBlur={applyVehicle}
+            inputProps={{ min: 1, max: 50, step: 0.1 }}
+            sx={{ width: 100 }}
+          />
+          <TextField
+            size="small"
+            type="number"
+            label="Fill (L)"
+            value={vehicleDraft.fillLiters}
+            onChange={(e) => setVehicleDraft({ ...vehicleDraft, fillLiters: e.target.value })}
+            onBlur={applyVehicle}
+            inputProps={{ min: 1, max: 200, step: 1 }}
+            sx={{ width: 90 }}
+          />
+        </Box>
       </Box>
 
       {error && (
@@ -302,21 +236,15 @@ const PostalCodeSearch = ({ allStations, selectedFuelType, onLocationFound, onUs
 
       {searchResults.length > 0 && (
         <>
-          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2, mb: 1 }}>
-            <Typography variant="h6">
-              {searchResults.length} Nearest Stations
-            </Typography>
-            {loadingBrands && (
-              <Typography variant="caption" color="text.secondary">
-                Loading brands...
-              </Typography>
-            )}
-          </Box>
+          <Typography variant="h6" sx={{ mt: 2, mb: 1 }}>
+            {searchResults.length} Nearest Stations
+          </Typography>
           <List sx={{ maxHeight: 400, overflow: 'auto' }}>
             {searchResults.map((station, index) => {
-              const fuelPrice = station[fuelPriceField];
+              const fuelPrice = getFuelPrice(station, selectedFuelType);
+              const savings = formatSavings(station);
               return (
-                <React.Fragment key={index}>
+                <React.Fragment key={station.id}>
                   <ListItemButton 
                     alignItems="flex-start"
                     onClick={() => handleStationClick(station)}
@@ -334,35 +262,61 @@ const PostalCodeSearch = ({ allStations, selectedFuelType, onLocationFound, onUs
                     <Box sx={{ flex: 1, minWidth: 0 }}>
                       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1, mb: 0.5 }}>
                         <Box sx={{ flex: 1, minWidth: 0 }}>
-                          {station.brand && (
-                            <Typography variant="caption" color="primary" sx={{ fontWeight: 'bold', display: 'block' }}>
-                              {station.brand}
-                            </Typography>
-                          )}
+                          <BrandLabel station={station} />
                           <Typography variant="subtitle1" sx={{ fontWeight: 500 }}>
-                            {station.ville} - {station.adresse}
+                            {getStationTitle(station)}
                           </Typography>
                         </Box>
-                        {fuelPrice && (
-                          <Chip
-                            label={`${fuelPrice}€`}
-                            color="primary"
-                            size="small"
-                          />
-                        )}
+                        <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: 0.5 }}>
+                          {fuelPrice && (
+                            <Chip
+                              label={`${fuelPrice}€`}
+                              color="primary"
+                              size="small"
+                            />
+                          )}
+                          {fuelServices(catalog, selectedFuelType, station).map(service => (
+                            <Chip key={service.id} label={service.label} variant="outlined" size="small" />
+                          ))}
+                          {savings && (
+                            <Tooltip
+                              title={savingsBreakdown(station, vehicle).join('\n')}
+                              componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line' } } }}
+                            >
+                              <Chip
+                                label={savings}
+                                size="small"
+                                variant="outlined"
+                                color={station.cost.savings > 0.005 ? 'success' : station.cost.savings < -0.005 ? 'error' : 'default'}
+                              />
+                            </Tooltip>
+                          )}
+                        </Box>
                       </Box>
                       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-end' }}>
                         <Box>
                           <Typography variant="body2" color="text.secondary">
-                            {station.cp} {station.ville}
-                            {station.pop && ` • ${station.pop === 'R' ? 'Route' : 'Autoroute'}`}
+                            {station.address.postalCode} {station.address.city}
+                            {station.roadType && ` • ${ROAD_TYPE_LABELS[station.roadType]}`}
                           </Typography>
                           {station.distance !== undefined && (
                             <Typography variant="caption" color="primary" fontWeight="bold">
                               {station.distance.toFixed(2)} km away
                             </Typography>
                           )}
+                          <StationAmenities station={station} compact />
+                          {station.id && fuelPrice && (
+                            <PriceSparkline stationId={station.id} fuelType={selectedFuelType} compact />
+                          )}
+                          {station.shortages.length > 0 && (
+                            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+                              {station.shortages.map(shortage => (
+                                <Chip key={shortage.fuel} label={formatShortage(shortage)} color="warning" variant="outlined" size="small" />
+                              ))}
+                            </Box>
+                          )}
                         </Box>
+                        <FavoriteButton stationId={station.id} />
                         <Tooltip title="Navigate">
                           <IconButton
                             size="small"
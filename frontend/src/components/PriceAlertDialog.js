@@ -0,0 +1,240 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  RadioGroup,
+  FormControlLabel,
+  Radio,
+  Slider,
+  Typography,
+  Alert,
+  Box,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  InputAdornment
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  fetchAlertChannels,
+  listAlerts,
+  createAlert,
+  deleteAlert,
+  isPushSupported,
+  subscribeToPush
+} from '../utils/alerts';
+import { getFuelPrice, getStationTitle } from '../utils/stations';
+
+const CHANNEL_LABELS = {
+  webpush: 'Browser notification',
+  email: 'Email',
+  webhook: 'Webhook'
+};
+
+const describeAlert = (alert) => {
+  const condition = alert.condition === 'below'
+    ? `under ${alert.threshold.toFixed(3)}€`
+    : `drops by ${alert.threshold} cents`;
+  const where = alert.area ? ` within ${alert.area.radiusKm} km` : '';
+  return `${alert.fuel} ${condition}${where}`;
+};
+
+/**
+ * Create a price alert for a station or the area around it, and list the
+ * alerts already watching that station
+ */
+const PriceAlertDialog = ({ open, station, fuelType, onClose }) => {
+  const [scope, setScope] = useState('station');
+  const [radiusKm, setRadiusKm] = useState(5);
+  const [condition, setCondition] = useState('drop');
+  const [threshold, setThreshold] = useState('5');
+  const [channels, setChannels] = useState([]);
+  const [vapidPublicKey, setVapidPublicKey] = useState(null);
+  const [channel, setChannel] = useState('');
+  const [target, setTarget] = useState('');
+  const [alerts, setAlerts] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const currentPrice = getFuelPrice(station, fuelType);
+
+  useEffect(() => {
+    if (!open) return;
+    setError(null);
+    setSuccess(null);
+
+    fetchAlertChannels()
+      .then(data => {
+        const usable = data.channels.filter(name => name !== 'webpush' || isPushSupported());
+        setChannels(usable);
+        setVapidPublicKey(data.vapidPublicKey);
+        setChannel(current => (usable.includes(current) ? current : usable[0] || ''));
+      })
+      .catch(err => setError(err.message));
+
+    listAlerts()
+      .then(setAlerts)
+      .catch(err => console.error('Error loading alerts:', err));
+  }, [open]);
+
+  const handleConditionChange = (value) => {
+    setCondition(value);
+    if (value === 'below') {
+      setThreshold(currentPrice ? (currentPrice - 0.05).toFixed(3) : '1.700');
+    } else {
+      setThreshold('5');
+    }
+  };
+
+  const handleSave = async () => {
+    setError(null);
+    setSuccess(null);
+    setSaving(true);
+    try {
+      let alertTarget;
+      if (channel === 'webpush') {
+        alertTarget = await subscribeToPush(vapidPublicKey);
+      } else if (channel === 'email') {
+        alertTarget = { email: target.trim() };
+      } else {
+        alertTarget = { url: target.trim() };
+      }
+
+      const created = await createAlert({
+        fuel: fuelType,
+        condition,
+        threshold: Number(threshold),
+        ...(scope === 'station'
+          ? { stationIds: [station.id] }
+          : { area: { lat: station.location.lat, lon: station.location.lon, radiusKm } }),
+        channel,
+        target: alertTarget
+      });
+      setAlerts(current => [...current, created]);
+      setSuccess('Alert saved. You will be notified after the next price refresh that matches it.');
+    } catch (err) {
+      setError(err.message);
+      console.error('Error creating alert:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteAlert(id);
+      setAlerts(current => current.filter(alert => alert.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!station) return null;
+
+  const stationAlerts = alerts.filter(alert => alert.stationIds?.includes(station.id));
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>
+        Price alert
+        <Typography variant="body2" color="text.secondary">
+          {getStationTitle(station)}
+        </Typography>
+      </DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+          <RadioGroup value={scope} onChange={(e) => setScope(e.target.value)}>
+            <FormControlLabel value="station" control={<Radio size="small" />} label="This station" />
+            <FormControlLabel value="area" control={<Radio size="small" />} label={`Any station within ${radiusKm} km`} />
+          </RadioGroup>
+          {scope === 'area' && (
+            <Slider value={radiusKm} onChange={(e, value) => setRadiusKm(value)} min={1} max={30} valueLabelDisplay="auto" />
+          )}
+
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <FormControl fullWidth>
+              <InputLabel>Notify when {fuelType}</InputLabel>
+              <Select value={condition} label={`Notify when ${fuelType}`} onChange={(e) => handleConditionChange(e.target.value)}>
+                <MenuItem value="drop">drops by</MenuItem>
+                <MenuItem value="below">is under</MenuItem>
+              </Select>
+            </FormControl>
+            <TextField
+              label="Threshold"
+              type="number"
+              value={threshold}
+              onChange={(e) => setThreshold(e.target.value)}
+              inputProps={{ step: condition === 'below' ? 0.01 : 1 }}
+              InputProps={{
+                endAdornment: <InputAdornment position="end">{condition === 'below' ? '€' : 'cts'}</InputAdornment>
+              }}
+              fullWidth
+            />
+          </Box>
+
+          <FormControl fullWidth disabled={channels.length === 0}>
+            <InputLabel>Send via</InputLabel>
+            <Select value={channel} label="Send via" onChange={(e) => setChannel(e.target.value)}>
+              {channels.map(name => (
+                <MenuItem key={name} value={name}>
+                  {CHANNEL_LABELS[name] || name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {channel === 'email' && (
+            <TextField label="Email" type="email" value={target} onChange={(e) => setTarget(e.target.value)} />
+          )}
+          {channel === 'webhook' && (
+            <TextField label="Webhook URL" value={target} onChange={(e) => setTarget(e.target.value)} placeholder="https://" />
+          )}
+
+          {error && <Alert severity="error">{error}</Alert>}
+          {success && <Alert severity="success">{success}</Alert>}
+
+          {stationAlerts.length > 0 && (
+            <Box>
+              <Typography variant="subtitle2">Alerts on this station</Typography>
+              <List dense>
+                {stationAlerts.map(alert => (
+                  <ListItem
+                    key={alert.id}
+                    disableGutters
+                    secondaryAction={
+                      <IconButton edge="end" aria-label="Delete alert" onClick={() => handleDelete(alert.id)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    }
+                  >
+                    <ListItemText
+                      primary={describeAlert(alert)}
+                      secondary={`${CHANNEL_LABELS[alert.channel] || alert.channel}${alert.active ? '' : ' • inactive'}`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            </Box>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !channel || !threshold}>
+          Save alert
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PriceAlertDialog;
@@ -0,0 +1,184 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Box, Typography, ToggleButton, ToggleButtonGroup } from '@mui/material';
+import { Line } from 'react-chartjs-2';
+
+const HISTORY_URL = '/fuelprice/api/v1/stations/history';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cache station histories for the session to avoid refetching on re-render
+const historyCache = new Map();
+const CACHE_DURATION = 10 * 60 * 1000; // 10 minutes
+
+// The sparklines of a result list mount together: their requests are queued
+// for a moment and sent as one request per fuel and window
+const BATCH_DELAY_MS = 20;
+const MAX_BATCH_SIZE = 100;
+const queue = new Map();
+let flushTimer = null;
+
+const fetchBatch = async (fuelType, days, ids) => {
+  const response = await fetch(
+    `${HISTORY_URL}?ids=${ids.map(encodeURIComponent).join(',')}&fuel=${encodeURIComponent(fuelType)}&days=${days}`
+  );
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  // Stations the collector has not seen yet simply have no history
+  const { stations } = await response.json();
+  return new Map(stations.map(station => [station.id, station.history]));
+};
+
+const flushQueue = () => {
+  flushTimer = null;
+  const batches = [...queue.values()];
+  queue.clear();
+  batches.forEach(({ fuelType, days, waiting }) => {
+    const ids = [...waiting.keys()];
+    for (let i = 0; i < ids.length; i += MAX_BATCH_SIZE) {
+      const chunk = ids.slice(i, i + MAX_BATCH_SIZE);
+      fetchBatch(fuelType, days, chunk)
+        .then(histories => chunk.forEach(id => waiting.get(id).resolve(histories.get(id) || [])))
+        .catch(err => chunk.forEach(id => waiting.get(id).reject(err)));
+    }
+  });
+};
+
+const fetchStationHistory = (stationId, fuelType, days) => {
+  const cacheKey = `${stationId}-${fuelType}-${days}`;
+  const cached = historyCache.get(cacheKey);
+  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+    return cached.promise;
+  }
+
+  const promise = new Promise((resolve, reject) => {
+    const batchKey = `${fuelType}-${days}`;
+    if (!queue.has(batchKey)) {
+      queue.set(batchKey, { fuelType, days, waiting: new Map() });
+    }
+    queue.get(batchKey).waiting.set(stationId, { resolve, reject });
+    if (!flushTimer) {
+      flushTimer = setTimeout(flushQueue, BATCH_DELAY_MS);
+    }
+  });
+  historyCache.set(cacheKey, { promise, timestamp: Date.now() });
+  promise.catch(() => historyCache.delete(cacheKey));
+  return promise;
+};
+
+// Price displayed at the end of each day of the window (changes are step-wise)
+const buildDailySeries = (history, days) => {
+  const start = Date.now() - days * DAY_MS;
+  const series = [];
+  let index = 0;
+  let price = null;
+
+  for (let day = 1; day <= days; day++) {
+    const dayEnd = start + day * DAY_MS;
+    while (index < history.length && Date.parse(history[index].updatedAt) <= dayEnd) {
+      price = history[index++].price;
+    }
+    series.push({ date: new Date(dayEnd).toLocaleDateString('fr-FR'), price });
+  }
+  return series.filter(point => point.price != null);
+};
+
+/**
+ * Small step chart of a station's recorded prices for one fuel
+ * @param {string} stationId - Station id from the dataset
+ * @param {string} fuelType - Fuel code (e.g. "Gazole")
+ * @param {number[]} ranges - Selectable windows in days; the first is the default
+ * @param {boolean} compact - Hide the range toggle and shrink the chart (list items)
+ */
+const PriceSparkline = ({ stationId, fuelType, ranges = [30, 90], compact = false }) => {
+  const [days, setDays] = useState(ranges[0]);
+  const [history, setHistory] = useState(null);
+
+  useEffect(() => {
+    if (!stationId || !fuelType) return undefined;
+    let cancelled = false;
+    fetchStationHistory(stationId, fuelType, days)
+      .then(data => {
+        if (!cancelled) setHistory(data);
+      })
+      .catch(err => {
+        console.error('Error fetching station history:', err);
+        if (!cancelled) setHistory([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [stationId, fuelType, days]);
+
+  const series = useMemo(() => buildDailySeries(history || [], days), [history, days]);
+
+  if (!history || series.length < 2) {
+    return null;
+  }
+
+  const prices = series.map(point => point.price);
+  const average = prices.reduce((a, b) => a + b, 0) / prices.length;
+  const current = prices[prices.length - 1];
+  const diffCents = (current - average) * 100;
+  const trendColor = diffCents <= 0 ? 'success.main' : 'error.main';
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      {!compact && (
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={days}
+          onChange={(event, value) => value && setDays(value)}
+          sx={{ mb: 0.5 }}
+        >
+          {ranges.map(range => (
+            <ToggleButton key={range} value={range} sx={{ py: 0, px: 1, fontSize: '0.7rem' }}>
+              {range} d
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      )}
+      <Box sx={{ height: compact ? 28 : 60, width: compact ? 120 : '100%' }}>
+        <Line
+          data={{
+            labels: series.map(point => point.date),
+            datasets: [
+              {
+                data: prices,
+                borderColor: 'rgb(102, 126, 234)',
+                borderWidth: 1.5,
+                pointRadius: 0,
+                stepped: true,
+                fill: false
+              }
+            ]
+          }}
+          options={{
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            scales: {
+              x: { display: false },
+              y: { display: false }
+            },
+            plugins: {
+              legend: { display: false },
+              tooltip: {
+                enabled: !compact,
+                intersect: false,
+                callbacks: {
+                  label: (item) => `${item.parsed.y.toFixed(3)}€`
+                }
+              }
+            }
+          }}
+        />
+      </Box>
+      <Typography variant="caption" sx={{ color: trendColor, display: 'block' }}>
+        {diffCents <= 0 ? '▼' : '▲'} {Math.abs(diffCents).toFixed(1)}¢ vs {days}-day avg ({average.toFixed(3)}€)
+      </Typography>
+    </Box>
+  );
+};
+
+export default PriceSparkline;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { Box, Typography, Chip, Tooltip } from '@mui/material';
+import { formatTodayHours, formatWeekHours } from '../utils/amenities';
+
+/**
+ * Whether a station is open now with today's hours (the whole week on hover),
+ * and the services it offers. `compact` leaves the services out.
+ */
+const StationAmenities = ({ station, compact = false }) => {
+  const today = formatTodayHours(station.hours);
+  const week = formatWeekHours(station.hours);
+
+  return (
+    <Box sx={{ mt: 0.5 }}>
+      {(station.openNow !== null || today) && (
+        <Tooltip
+          title={week.length > 0 ? week.map(day => `${day.name}: ${day.text}`).join('\n') : ''}
+          componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line' } } }}
+        >
+          <Box sx={{ display: 'inline-flex', alignItems: 'center', gap: 0.5 }}>
+            {station.openNow !== null && (
+              <Chip
+                label={station.openNow ? 'Open' : 'Closed'}
+                color={station.openNow ? 'success' : 'default'}
+                size="small"
+                variant="outlined"
+              />
+            )}
+            {today && (
+              <Typography variant="caption" color="text.secondary">
+                {today}
+              </Typography>
+            )}
+          </Box>
+        </Tooltip>
+      )}
+      {!compact && station.services.length > 0 && (
+        <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+          Services: {station.services.join(', ')}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default StationAmenities;
@@ -1,12 +1,21 @@
-import React, { useEffect, useState, useMemo } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import React, { useEffect, useState, useMemo, useCallback, useRef } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, GeoJSON, useMap, useMapEvents } from 'react-leaflet';
 import MarkerClusterGroup from 'react-leaflet-cluster';
-import { Box, Typography, Chip, Button } from '@mui/material';
+import { Box, Typography, Chip, Button, FormControlLabel, Switch } from '@mui/material';
 import DirectionsIcon from '@mui/icons-material/Directions';
+import NotificationsActiveIcon from '@mui/icons-material/NotificationsActive';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 import { parseCoordinates } from '../utils/distance';
 import { navigateToStation, getStationAddress } from '../utils/navigation';
+import PriceSparkline from './PriceSparkline';
+import PriceAlertDialog from './PriceAlertDialog';
+import BrandLabel from './BrandLabel';
+import StationAmenities from './StationAmenities';
+import FavoriteButton from './FavoriteButton';
+import { getPriceRange, getPriceColor } from '../utils/priceColors';
+import { getFuelPrice, getStationTitle, getAvailableFuels, getShortage, formatShortage, ROAD_TYPE_LABELS } from '../utils/stations';
+import { useFuelCatalog, fuelLabel, fuelServices } from '../utils/fuels';
 
 // Fix Leaflet default marker icon issue with webpack
 delete L.Icon.Default.prototype._getIconUrl;
@@ -36,6 +45,171 @@ const userLocationIcon = new L.Icon({
   shadowSize: [41, 41]
 });
 
+const STATIONS_URL = '/fuelprice/api/v1/stations/viewport';
+const DEPARTEMENT_PRICES_URL = '/fuelprice/api/prices/by-departement';
+const SHORTAGES_URL = '/fuelprice/api/shortages';
+// Simplified departement boundaries shipped with the app (Natural Earth admin-1,
+// public domain), with their INSEE `code` and `nom`
+const DEPARTEMENTS_GEOJSON_URL = `${process.env.PUBLIC_URL}/departements.geojson`;
+
+// Price markers are reused across renders, keyed by what they display.
+// Stations out of the fuel keep their last price, greyed and struck through.
+const priceIconCache = new Map();
+
+const priceIcon = (price, color, isSelected, outOfStock = false) => {
+  const key = `${price}-${color}-${isSelected}-${outOfStock}`;
+  if (!priceIconCache.has(key)) {
+    const border = isSelected ? '3px solid #d32f2f' : '2px solid white';
+    const background = outOfStock ? '#9e9e9e' : color;
+    const decoration = outOfStock ? 'text-decoration:line-through;' : '';
+    priceIconCache.set(key, L.divIcon({
+      html: `<div style="background:${background};color:white;font-size:11px;font-weight:bold;padding:2px 5px;border-radius:10px;border:${border};white-space:nowrap;box-shadow:0 1px 3px rgba(0,0,0,0.4);transform:translate(-50%,-100%);display:inline-block;${decoration}">${Number(price).toFixed(3)}€</div>`,
+      className: '',
+      iconSize: [0, 0],
+      iconAnchor: [0, 0],
+      popupAnchor: [0, -22]
+    }));
+  }
+  return priceIconCache.get(key);
+};
+
+// Server-side cluster bubble, sized by the number of stations it holds
+const clusterIcon = (count, color = 'rgba(102,126,234,0.85)') => {
+  const size = count < 100 ? 34 : count < 1000 ? 42 : 50;
+  return L.divIcon({
+    html: `<div style="width:${size}px;height:${size}px;line-height:${size}px;border-radius:50%;background:${color};color:white;font-weight:bold;text-align:center;border:2px solid white;">${count}</div>`,
+    className: '',
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  });
+};
+
+// Report the visible bounds and zoom once the map stops moving
+function ViewportWatcher({ onChange }) {
+  const map = useMapEvents({
+    moveend: () => onChange(map.getBounds(), map.getZoom())
+  });
+
+  useEffect(() => {
+    onChange(map.getBounds(), map.getZoom());
+  }, [map, onChange]);
+
+  return null;
+}
+
+// Clicking a cluster zooms in on it
+function ClusterMarker({ cluster, color }) {
+  const map = useMap();
+  return (
+    <Marker
+      position={[cluster.lat, cluster.lon]}
+      icon={clusterIcon(cluster.count, color)}
+      eventHandlers={{
+        click: () => map.setView([cluster.lat, cluster.lon], Math.min(map.getZoom() + 2, 18)),
+      }}
+    />
+  );
+}
+
+// Departement boundaries only need downloading once per session
+let departementShapes = null;
+
+const useDepartementShapes = () => {
+  const [shapes, setShapes] = useState(departementShapes);
+
+  useEffect(() => {
+    if (shapes) return;
+    fetch(DEPARTEMENTS_GEOJSON_URL)
+      .then(response => response.json())
+      .then(geojson => {
+        departementShapes = geojson;
+        setShapes(geojson);
+      })
+      .catch(err => console.error('Error fetching departement shapes:', err));
+  }, [shapes]);
+
+  return shapes;
+};
+
+// Choropleth of the average price of a fuel per departement
+function DepartementLayer({ fuelType }) {
+  const shapes = useDepartementShapes();
+  const [averages, setAverages] = useState(null);
+
+  useEffect(() => {
+    fetch(`${DEPARTEMENT_PRICES_URL}?fuel=${encodeURIComponent(fuelType)}`)
+      .then(response => response.json())
+      .then(data => setAverages(new Map(data.departements.map(d => [d.code, d]))))
+      .catch(err => console.error('Error fetching departement averages:', err));
+  }, [fuelType]);
+
+  if (!shapes || !averages) return null;
+
+  const range = getPriceRange([...averages.values()].map(d => d.average));
+
+  return (
+    <GeoJSON
+      key={`${fuelType}-${averages.size}`}
+      data={shapes}
+      style={(feature) => {
+        const departement = averages.get(feature.properties.code);
+        return {
+          color: 'white',
+          weight: 1,
+          fillColor: departement ? getPriceColor(departement.average, range) : '#bdbdbd',
+          fillOpacity: 0.55
+        };
+      }}
+      onEachFeature={(feature, layer) => {
+        const departement = averages.get(feature.properties.code);
+        layer.bindTooltip(departement
+          ? `${feature.properties.nom} (${feature.properties.code}): ${departement.average.toFixed(3)}€ avg, ${departement.count} stations`
+          : `${feature.properties.nom} (${feature.properties.code}): no data`);
+      }}
+    />
+  );
+}
+
+// Choropleth of the share of stations out of a fuel per departement:
+// green when none are, red when the hardest hit departement's share is reached
+function ShortageLayer({ fuelType }) {
+  const shapes = useDepartementShapes();
+  const [shortages, setShortages] = useState(null);
+
+  useEffect(() => {
+    fetch(`${SHORTAGES_URL}?fuel=${encodeURIComponent(fuelType)}`)
+      .then(response => response.json())
+      .then(data => setShortages(new Map(data.departements.map(d => [d.code, d]))))
+      .catch(err => console.error('Error fetching shortages:', err));
+  }, [fuelType]);
+
+  if (!shapes || !shortages) return null;
+
+  const range = { min: 0, max: Math.max(0.01, ...[...shortages.values()].map(d => d.share)) };
+
+  return (
+    <GeoJSON
+      key={`shortages-${fuelType}-${shortages.size}`}
+      data={shapes}
+      style={(feature) => {
+        const departement = shortages.get(feature.properties.code);
+        return {
+          color: 'white',
+          weight: 1,
+          fillColor: departement ? getPriceColor(departement.share, range) : '#bdbdbd',
+          fillOpacity: 0.55
+        };
+      }}
+      onEachFeature={(feature, layer) => {
+        const departement = shortages.get(feature.properties.code);
+        layer.bindTooltip(departement
+          ? `${feature.properties.nom} (${feature.properties.code}): ${departement.affected}/${departement.stations} stations out of ${fuelType} (${Math.round(departement.share * 100)}%)`
+          : `${feature.properties.nom} (${feature.properties.code}): no data`);
+      }}
+    />
+  );
+}
+
 // Component to handle map centering
 function MapUpdater({ center, zoom }) {
   const map = useMap();
@@ -49,26 +223,70 @@ function MapUpdater({ center, zoom }) {
   return null;
 }
 
-const StationMap = ({ stations, selectedFuelType, onStationClick, mapCenter, userLocation, selectedStation }) => {
+const StationMap = ({ stations, selectedFuelType, stationFilter, onStationClick, mapCenter, userLocation, selectedStation }) => {
+  const catalog = useFuelCatalog();
   const [center, setCenter] = useState([46.603354, 1.888334]); // Center of France
   const [zoom, setZoom] = useState(6);
+  const [showDepartements, setShowDepartements] = useState(false);
+  const [showShortages, setShowShortages] = useState(false);
+  const [alertStation, setAlertStation] = useState(null);
+
+  const [viewport, setViewport] = useState(null);
+  const [viewportData, setViewportData] = useState({ stations: [], clusters: [] });
+  const latestRequest = useRef(0);
+
+  const handleViewportChange = useCallback((bounds, mapZoom) => {
+    setViewport({
+      bbox: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()],
+      zoom: mapZoom
+    });
+  }, []);
+
+  // Load the stations (or clusters, when zoomed out) for the visible area
+  useEffect(() => {
+    if (!viewport) return;
+    const requestId = ++latestRequest.current;
+    const params = new URLSearchParams({
+      bbox: viewport.bbox.map(value => value.toFixed(4)).join(','),
+      zoom: String(viewport.zoom),
+      ...stationFilter
+    });
+    if (selectedFuelType) params.append('fuel', selectedFuelType);
+
+    fetch(`${STATIONS_URL}?${params.toString()}`)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(data => {
+        // Ignore responses for viewports the user already moved away from
+        if (requestId === latestRequest.current) {
+          setViewportData(data);
+        }
+      })
+      .catch(err => console.error('Error fetching viewport stations:', err));
+  }, [viewport, selectedFuelType, stationFilter]);
 
-  // Limit stations to show on map (performance optimization)
+  // Viewport stations, with search results taking precedence
   const displayStations = useMemo(() => {
-    // If user searched, show those results
-    if (mapCenter && stations.length <= 100) {
-      return stations;
-    }
-    
-    // If no search, limit to 200 closest to current center or random sample
-    if (stations.length > 200) {
-      // Take a sample when viewing all of France
-      const step = Math.ceil(stations.length / 200);
-      return stations.filter((_, index) => index % step === 0);
-    }
-    
-    return stations;
-  }, [stations, mapCenter]);
+    const byId = new Map();
+    viewportData.stations.forEach(station => byId.set(station.id, station));
+    stations.forEach(station => byId.set(station.id, station));
+    return [...byId.values()];
+  }, [viewportData, stations]);
+
+  // Marker colors are relative to the stations currently in view that have the fuel
+  const priceRange = useMemo(
+    () => getPriceRange(displayStations
+      .filter(station => !getShortage(station, selectedFuelType))
+      .map(station => getFuelPrice(station, selectedFuelType))),
+    [displayStations, selectedFuelType]
+  );
+
+  const clusterPriceRange = useMemo(
+    () => getPriceRange(viewportData.clusters.map(cluster => cluster.avgPrice)),
+    [viewportData]
+  );
 
   useEffect(() => {
     if (mapCenter) {
@@ -103,125 +321,205 @@ const StationMap = ({ stations, selectedFuelType, onStationClick, mapCenter, use
   };
 
   return (
-    <Box sx={{ height: { xs: '400px', sm: '500px', md: '600px' }, width: '100%', position: 'relative' }}>
-      <MapContainer
-        center={center}
-        zoom={zoom}
-        style={{ height: '100%', width: '100%' }}
-        scrollWheelZoom={true}
-      >
-        <MapUpdater center={center} zoom={zoom} />
-        <TileLayer
-          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+        <FormControlLabel
+          control={
+            <Switch
+              size="small"
+              checked={showDepartements}
+              onChange={(event) => setShowDepartements(event.target.checked)}
+            />
+          }
+          label={<Typography variant="body2">Average by département</Typography>}
         />
-        
-        <MarkerClusterGroup
-          chunkedLoading
-          maxClusterRadius={50}
-          spiderfyOnMaxZoom={true}
-          showCoverageOnHover={false}
-          zoomToBoundsOnClick={true}
+        <FormControlLabel
+          control={
+            <Switch
+              size="small"
+              checked={showShortages}
+              onChange={(event) => setShowShortages(event.target.checked)}
+            />
+          }
+          label={<Typography variant="body2">Shortages</Typography>}
+        />
+        {priceRange && (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Typography variant="caption">{priceRange.min.toFixed(3)}€</Typography>
+            <Box sx={{ width: 80, height: 8, borderRadius: 4, background: 'linear-gradient(90deg, hsl(120, 75%, 42%), hsl(60, 75%, 42%), hsl(0, 75%, 42%))' }} />
+            <Typography variant="caption">{priceRange.max.toFixed(3)}€</Typography>
+          </Box>
+        )}
+      </Box>
+      <Box sx={{ height: { xs: '400px', sm: '500px', md: '600px' }, width: '100%', position: 'relative' }}>
+        <MapContainer
+          center={center}
+          zoom={zoom}
+          style={{ height: '100%', width: '100%' }}
+          scrollWheelZoom={true}
         >
-        {displayStations.map((station, index) => {
-          const coords = parseCoordinates(station);
-          if (!coords) return null;
-
-          const fuelPrice = station[`${selectedFuelType?.toLowerCase()}_prix`];
-          const isSelected = selectedStation && 
-            station.adresse === selectedStation.adresse && 
-            station.cp === selectedStation.cp;
-          
-          // Use pre-created icon instances
-          const markerIcon = isSelected ? selectedIcon : defaultIcon;
+          <MapUpdater center={center} zoom={zoom} />
+          <ViewportWatcher onChange={handleViewportChange} />
+          <TileLayer
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          />
+
+          {showDepartements && selectedFuelType && (
+            <DepartementLayer fuelType={selectedFuelType} />
+          )}
+
+          {showShortages && selectedFuelType && (
+            <ShortageLayer fuelType={selectedFuelType} />
+          )}
+        
+          <MarkerClusterGroup
+            chunkedLoading
+            maxClusterRadius={50}
+            spiderfyOnMaxZoom={true}
+            showCoverageOnHover={false}
+            zoomToBoundsOnClick={true}
+            disableClusteringAtZoom={15}
+          >
+          {displayStations.map((station) => {
+            const coords = parseCoordinates(station);
+            if (!coords) return null;
+
+            const fuelPrice = getFuelPrice(station, selectedFuelType);
+            const outOfStock = Boolean(getShortage(station, selectedFuelType));
+            const isSelected = selectedStation?.id === station.id;
           
-          // Create unique key using station info
-          const markerKey = `${station.cp}-${station.adresse}-${index}`;
+            // Price-colored marker when the station sells the selected fuel
+            const fallbackIcon = isSelected ? selectedIcon : defaultIcon;
+            const markerIcon = fuelPrice
+              ? priceIcon(fuelPrice, getPriceColor(fuelPrice, priceRange), isSelected, outOfStock)
+              : fallbackIcon;
           
-          return (
-            <Marker
-              key={markerKey}
-              position={[coords.lat, coords.lon]}
-              icon={markerIcon}
-              eventHandlers={{
-                click: () => handleMarkerClick(station),
-              }}
-            >
-              <Popup>
-                <Box sx={{ minWidth: 200 }}>
-                  {station.brand && (
-                    <Typography variant="subtitle2" color="primary" fontWeight="bold">
-                      {station.brand}
+            return (
+              <Marker
+                key={`station-${station.id}`}
+                position={[coords.lat, coords.lon]}
+                icon={markerIcon}
+                eventHandlers={{
+                  click: () => handleMarkerClick(station),
+                }}
+              >
+                <Popup>
+                  <Box sx={{ minWidth: 200 }}>
+                    <Box sx={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between' }}>
+                      <Box>
+                        <BrandLabel station={station} variant="subtitle2" />
+                        <Typography variant="subtitle1" fontWeight="bold">
+                          {getStationTitle(station)}
+                        </Typography>
+                      </Box>
+                      <FavoriteButton stationId={station.id} />
+                    </Box>
+                    <Typography variant="body2" color="text.secondary">
+                      {station.address.postalCode} {station.address.city}
+                      {station.roadType && ` • ${ROAD_TYPE_LABELS[station.roadType]}`}
                     </Typography>
-                  )}
-                  <Typography variant="subtitle1" fontWeight="bold">
-                    {station.ville} - {station.adresse}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    {station.cp} {station.ville}
-                    {station.pop && ` • ${station.pop === 'R' ? 'Route' : 'Autoroute'}`}
-                  </Typography>
-                  {station.id && (
                     <Typography variant="caption" color="text.secondary" display="block">
                       Station ID: {station.id}
                     </Typography>
-                  )}
-                  
-                  {fuelPrice && (
-                    <Box sx={{ mt: 1 }}>
-                      <Chip 
-                        label={`${selectedFuelType}: ${fuelPrice}€`} 
-                        color="primary" 
-                        size="small"
-                      />
-                    </Box>
-                  )}
+                    <StationAmenities station={station} />
                   
-                  {station.distance !== undefined && (
-                    <Typography variant="caption" display="block" sx={{ mt: 1 }}>
-                      Distance: {station.distance.toFixed(2)} km
-                    </Typography>
-                  )}
+                    {fuelPrice && (
+                      <Box sx={{ mt: 1 }}>
+                        <Chip 
+                          label={`${fuelLabel(catalog, selectedFuelType)}: ${fuelPrice}€`} 
+                          color={outOfStock ? 'default' : 'primary'}
+                          size="small"
+                        />
+                        {fuelServices(catalog, selectedFuelType, station).map(service => (
+                          <Chip key={service.id} label={service.label} variant="outlined" size="small" sx={{ ml: 0.5 }} />
+                        ))}
+                        <PriceSparkline stationId={station.id} fuelType={selectedFuelType} />
+                      </Box>
+                    )}
+
+                    {station.shortages.length > 0 && (
+                      <Box sx={{ mt: 1, display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                        {station.shortages.map(shortage => (
+                          <Chip
+                            key={shortage.fuel}
+                            label={formatShortage(shortage)}
+                            color={shortage.type === 'permanent' ? 'default' : 'warning'}
+                            variant="outlined"
+                            size="small"
+                          />
+                        ))}
+                      </Box>
+                    )}
                   
-                  {station.carburants_disponibles && (
-                    <Box sx={{ mt: 1 }}>
-                      <Typography variant="caption" color="text.secondary">
-                        Available: {Array.isArray(station.carburants_disponibles) 
-                          ? station.carburants_disponibles.join(', ')
-                          : station.carburants_disponibles}
+                    {station.distance !== undefined && (
+                      <Typography variant="caption" display="block" sx={{ mt: 1 }}>
+                        Distance: {station.distance.toFixed(2)} km
                       </Typography>
-                    </Box>
-                  )}
+                    )}
+                  
+                    {station.prices.length > 0 && (
+                      <Box sx={{ mt: 1 }}>
+                        <Typography variant="caption" color="text.secondary">
+                          Available: {getAvailableFuels(station).map(fuel => fuelLabel(catalog, fuel)).join(', ')}
+                        </Typography>
+                      </Box>
+                    )}
                   
-                  <Button
-                    variant="contained"
-                    size="small"
-                    startIcon={<DirectionsIcon />}
-                    onClick={() => handleNavigate(station)}
-                    fullWidth
-                    sx={{ mt: 1 }}
-                  >
-                    Navigate
-                  </Button>
-                </Box>
+                    <Button
+                      variant="contained"
+                      size="small"
+                      startIcon={<DirectionsIcon />}
+                      onClick={() => handleNavigate(station)}
+                      fullWidth
+                      sx={{ mt: 1 }}
+                    >
+                      Navigate
+                    </Button>
+                    <Button
+                      variant="outlined"
+                      size="small"
+                      startIcon={<NotificationsActiveIcon />}
+                      onClick={() => setAlertStation(station)}
+                      fullWidth
+                      sx={{ mt: 1 }}
+                    >
+                      Price alert
+                    </Button>
+                  </Box>
+                </Popup>
+              </Marker>
+            );
+          })}
+          </MarkerClusterGroup>
+
+          {viewportData.clusters.map(cluster => (
+            <ClusterMarker
+              key={`${cluster.lat}-${cluster.lon}`}
+              cluster={cluster}
+              color={cluster.avgPrice != null ? getPriceColor(cluster.avgPrice, clusterPriceRange) : undefined}
+            />
+          ))}
+        
+          {userLocation && (
+            <Marker 
+              key="user-location"
+              position={userLocation}
+              icon={userLocationIcon}
+            >
+              <Popup>
+                <Typography variant="body2">Your Location</Typography>
               </Popup>
             </Marker>
-          );
-        })}
-        </MarkerClusterGroup>
-        
-        {userLocation && (
-          <Marker 
-            key="user-location"
-            position={userLocation}
-            icon={userLocationIcon}
-          >
-            <Popup>
-              <Typography variant="body2">Your Location</Typography>
-            </Popup>
-          </Marker>
-        )}
-      </MapContainer>
+          )}
+        </MapContainer>
+      </Box>
+      <PriceAlertDialog
+        open={Boolean(alertStation)}
+        station={alertStation}
+        fuelType={selectedFuelType}
+        onClose={() => setAlertStation(null)}
+      />
     </Box>
   );
 };
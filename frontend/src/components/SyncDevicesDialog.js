@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Typography,
+  Alert,
+  Box
+} from '@mui/material';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import { getOwnerToken, setOwnerToken } from '../utils/alerts';
+import { setSyncEnabled } from '../utils/favorites';
+
+/**
+ * Show this browser's sync code, or enter the one of another device so both
+ * share the same favorites (and alerts and logbook)
+ */
+const SyncDevicesDialog = ({ open, onClose, onLinked }) => {
+  const [code, setCode] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+  const [linking, setLinking] = useState(false);
+
+  const ownCode = getOwnerToken();
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(ownCode);
+      setCopied(true);
+    } catch (err) {
+      setError('Could not copy the code, select it and copy it by hand');
+    }
+  };
+
+  const handleLink = async () => {
+    setError(null);
+    if (!setOwnerToken(code)) {
+      setError('This is not a sync code');
+      return;
+    }
+    setLinking(true);
+    try {
+      await setSyncEnabled(true);
+      setCode('');
+      onLinked();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      console.error('Error linking device:', err);
+    } finally {
+      setLinking(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Sync across devices</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" gutterBottom>
+          Enter this code on your other devices to share your favorites with them.
+          Keep it private: anyone with it can see and change your favorites, alerts and logbook.
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, my: 2 }}>
+          <TextField
+            fullWidth
+            size="small"
+            value={ownCode}
+            InputProps={{ readOnly: true, sx: { fontFamily: 'monospace' } }}
+            onFocus={(e) => e.target.select()}
+          />
+          <Button startIcon={<ContentCopyIcon />} onClick={handleCopy}>
+            {copied ? 'Copied' : 'Copy'}
+          </Button>
+        </Box>
+
+        <Typography variant="subtitle2" sx={{ mt: 3 }}>
+          Use the code of another device
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          This browser then shares that device's favorites, alerts and logbook instead of its own.
+          Its current favorites are added to the shared list.
+        </Typography>
+        <TextField
+          fullWidth
+          size="small"
+          label="Sync code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          sx={{ mt: 1 }}
+        />
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button variant="contained" onClick={handleLink} disabled={!code.trim() || linking}>
+          Link this device
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SyncDevicesDialog;
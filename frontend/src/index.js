@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const theme = createTheme({
   palette: {
@@ -24,4 +25,7 @@ root.render(
       <App />
     </ThemeProvider>
   </React.StrictMode>
-); 
\ No newline at end of file
+);
+
+// Offline support and price alert notifications
+serviceWorkerRegistration.register();
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Paper,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  CircularProgress,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip
+} from '@mui/material';
+import { Bar } from 'react-chartjs-2';
+import { fetchBrandComparison, brandBadgeUrl, CATEGORY_LABELS } from '../utils/brands';
+import { DEFAULT_FUEL, useFuelCatalog, fuelLabel } from '../utils/fuels';
+import FuelSelect from '../components/FuelSelect';
+
+// Differences under half a cent are shown as level with the average
+const formatDifference = (difference) => {
+  if (Math.abs(difference) < 0.0005) return '±0.000€';
+  return `${difference > 0 ? '+' : '−'}${Math.abs(difference).toFixed(3)}€`;
+};
+
+/**
+ * Average current price per station brand, nationally or in one region
+ */
+const BrandComparison = () => {
+  const [fuelType, setFuelType] = useState(DEFAULT_FUEL);
+  const catalog = useFuelCatalog();
+  const [region, setRegion] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [regions, setRegions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    fetchBrandComparison(fuelType, region)
+      .then(data => {
+        setComparison(data);
+        setRegions(data.regions);
+      })
+      .catch(err => {
+        setError(err.message);
+        console.error('Error loading brand comparison:', err);
+      })
+      .finally(() => setLoading(false));
+  }, [fuelType, region]);
+
+  const chartData = comparison && {
+    labels: comparison.brands.map(entry => entry.brand.name),
+    datasets: [{
+      label: `Average ${fuelLabel(catalog, fuelType)} price (€/L)`,
+      data: comparison.brands.map(entry => entry.average),
+      backgroundColor: comparison.brands.map(entry =>
+        entry.difference <= 0 ? 'rgba(76, 175, 80, 0.7)' : 'rgba(244, 67, 54, 0.7)')
+    }]
+  };
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ my: { xs: 2, md: 4 } }}>
+        <Typography variant="h4" component="h1" gutterBottom align="center" sx={{ fontSize: { xs: '1.5rem', md: '2.125rem' } }}>
+          Prices by Brand
+        </Typography>
+
+        <Paper sx={{ p: { xs: 2, sm: 3 } }}>
+          <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap', justifyContent: 'center', flexDirection: { xs: 'column', sm: 'row' } }}>
+            <FuelSelect value={fuelType} onChange={setFuelType} formControlSx={{ minWidth: { xs: '100%', sm: 200 } }} />
+
+            <FormControl sx={{ minWidth: { xs: '100%', sm: 200 } }}>
+              <InputLabel>Region</InputLabel>
+              <Select value={region} label="Region" onChange={(e) => setRegion(e.target.value)}>
+                <MenuItem value="">All of France</MenuItem>
+                {regions.map(name => (
+                  <MenuItem key={name} value={name}>
+                    {name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+              <CircularProgress />
+            </Box>
+          ) : comparison && comparison.brands.length === 0 ? (
+            <Alert severity="info">No branded stations sell {fuelLabel(catalog, fuelType)} in this area yet.</Alert>
+          ) : comparison && (
+            <>
+              <Typography variant="body2" color="text.secondary" align="center" sx={{ mb: 2 }}>
+                Average over all {comparison.overall.count} stations: {comparison.overall.average?.toFixed(3)}€/L
+              </Typography>
+              <Box sx={{ height: Math.max(200, comparison.brands.length * 32) }}>
+                <Bar
+                  data={chartData}
+                  options={{
+                    indexAxis: 'y',
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: { legend: { display: false } },
+                    scales: {
+                      x: { title: { display: true, text: '€/L' } }
+                    }
+                  }}
+                />
+              </Box>
+
+              <Table size="small" sx={{ mt: 3 }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Brand</TableCell>
+                    <TableCell align="right">Average</TableCell>
+                    <TableCell align="right">vs. average</TableCell>
+                    <TableCell align="right" sx={{ display: { xs: 'none', sm: 'table-cell' } }}>Range</TableCell>
+                    <TableCell align="right">Stations</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {comparison.brands.map(entry => (
+                    <TableRow key={entry.brand.id}>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <img src={brandBadgeUrl(entry.brand.id)} alt="" width={20} height={20} />
+                          {entry.brand.name}
+                          <Chip label={CATEGORY_LABELS[entry.brand.category]} size="small" variant="outlined" sx={{ display: { xs: 'none', sm: 'inline-flex' } }} />
+                        </Box>
+                      </TableCell>
+                      <TableCell align="right">{entry.average.toFixed(3)}€</TableCell>
+                      <TableCell align="right" sx={{ color: entry.difference <= 0 ? 'success.main' : 'error.main' }}>
+                        {formatDifference(entry.difference)}
+                      </TableCell>
+                      <TableCell align="right" sx={{ display: { xs: 'none', sm: 'table-cell' } }}>
+                        {entry.min.toFixed(3)} – {entry.max.toFixed(3)}€
+                      </TableCell>
+                      <TableCell align="right">{entry.count}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default BrandComparison;
@@ -0,0 +1,484 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Grid,
+  Paper,
+  TextField,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Autocomplete,
+  CircularProgress,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  IconButton,
+  Tooltip,
+  Chip
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import FileUploadIcon from '@mui/icons-material/FileUpload';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import { Bar } from 'react-chartjs-2';
+import { getStationTitle, getAvailableFuels, getFuelPrice } from '../utils/stations';
+import {
+  fetchLogbook,
+  addFillUp,
+  deleteFillUp,
+  importLogbook,
+  exportLogbook,
+  searchStations
+} from '../utils/logbook';
+import { DEFAULT_FUEL, useFuelCatalog, fuelLabel } from '../utils/fuels';
+import FuelSelect from '../components/FuelSelect';
+
+const RADII = [2, 5, 10, 20, 30];
+
+// Value for a datetime-local input, in local time
+const toLocalInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const emptyForm = (vehicle = '') => ({
+  vehicle,
+  station: null,
+  fuel: DEFAULT_FUEL,
+  liters: '',
+  price: '',
+  total: '',
+  odometer: '',
+  filledAt: toLocalInput(new Date())
+});
+
+const euros = (value) => `${value.toFixed(2)}€`;
+
+const formatMonth = (month) =>
+  new Date(`${month}-01T00:00:00`).toLocaleDateString('fr-FR', { month: 'short', year: 'numeric' });
+
+const StatCard = ({ label, value }) => (
+  <Paper variant="outlined" sx={{ p: 2, textAlign: 'center', height: '100%' }}>
+    <Typography variant="caption" color="text.secondary">
+      {label}
+    </Typography>
+    <Typography variant="h6">{value}</Typography>
+  </Paper>
+);
+
+/**
+ * Station picker searching the station data as the user types
+ */
+const StationPicker = ({ value, onChange }) => {
+  const [input, setInput] = useState('');
+  const [options, setOptions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (input.trim().length < 3) {
+      setOptions([]);
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      setLoading(true);
+      searchStations(input, controller.signal)
+        .then(setOptions)
+        .catch(err => {
+          if (err.name !== 'AbortError') console.error('Error searching stations:', err);
+        })
+        .finally(() => setLoading(false));
+    }, 300);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [input]);
+
+  return (
+    <Autocomplete
+      value={value}
+      options={value && !options.some(option => option.id === value.id) ? [value, ...options] : options}
+      filterOptions={(x) => x}
+      getOptionLabel={(station) => `${getStationTitle(station)} (${station.address.postalCode})`}
+      isOptionEqualToValue={(option, selected) => option.id === selected.id}
+      loading={loading}
+      onChange={(event, station) => onChange(station)}
+      onInputChange={(event, text, reason) => {
+        // Only search what the user typed, not the label of the picked station
+        if (reason === 'input') setInput(text);
+      }}
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          label="Station"
+          placeholder="Brand, street, city or postal code"
+          required
+          InputProps={{
+            ...params.InputProps,
+            endAdornment: (
+              <>
+                {loading && <CircularProgress color="inherit" size={18} />}
+                {params.InputProps.endAdornment}
+              </>
+            )
+          }}
+        />
+      )}
+    />
+  );
+};
+
+/**
+ * Fill-up logbook with consumption and spend statistics, and what the
+ * cheapest station nearby charged each day
+ */
+const Logbook = () => {
+  const catalog = useFuelCatalog();
+  const [radiusKm, setRadiusKm] = useState(5);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const fileInput = useRef(null);
+
+  const loadReport = useCallback(() => {
+    setLoading(true);
+    setError(null);
+    return fetchLogbook(radiusKm)
+      .then(setReport)
+      .catch(err => {
+        setError(err.message);
+        console.error('Error loading logbook:', err);
+      })
+      .finally(() => setLoading(false));
+  }, [radiusKm]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const setField = (field) => (event) => setForm({ ...form, [field]: event.target.value });
+
+  const handleStationChange = (station) => {
+    const fuels = station ? getAvailableFuels(station) : [];
+    const fuel = fuels.includes(form.fuel) || fuels.length === 0 ? form.fuel : fuels[0];
+    const price = station ? getFuelPrice(station, fuel) : null;
+    setForm({ ...form, station, fuel, price: price ? String(price) : form.price });
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setFormError(null);
+    try {
+      await addFillUp({
+        vehicle: form.vehicle,
+        stationId: form.station.id,
+        fuel: form.fuel,
+        liters: Number(form.liters),
+        ...(form.price !== '' ? { price: Number(form.price) } : { total: Number(form.total) }),
+        odometer: Number(form.odometer),
+        filledAt: new Date(form.filledAt).toISOString()
+      });
+      setForm(emptyForm(form.vehicle));
+      await loadReport();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteFillUp(id);
+      await loadReport();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    setImportResult(null);
+    try {
+      const result = await importLogbook(file);
+      setImportResult({ severity: 'success', message: `Imported ${result.imported} fill-up(s), ${result.skipped} already logged.` });
+      await loadReport();
+    } catch (err) {
+      const lines = (err.details || []).slice(0, 5).map(detail => `${detail.path}: ${detail.message}`);
+      setImportResult({ severity: 'error', message: [err.message, ...lines].join('\n') });
+    }
+  };
+
+  const handleExport = () => {
+    exportLogbook().catch(err => setError(err.message));
+  };
+
+  const stationFuels = form.station ? getAvailableFuels(form.station) : [];
+  const totals = report?.totals;
+
+  const monthlyData = report && {
+    labels: report.monthly.map(entry => formatMonth(entry.month)),
+    datasets: [
+      {
+        label: 'Spent (€)',
+        data: report.monthly.map(entry => entry.spent),
+        backgroundColor: 'rgba(118, 75, 162, 0.7)'
+      },
+      {
+        label: `Missed savings within ${report.radiusKm} km (€)`,
+        data: report.monthly.map(entry => entry.missedSavings),
+        backgroundColor: 'rgba(244, 67, 54, 0.7)'
+      }
+    ]
+  };
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ my: { xs: 2, md: 4 } }}>
+        <Typography variant="h4" component="h1" gutterBottom align="center" sx={{ fontSize: { xs: '1.5rem', md: '2.125rem' } }}>
+          Fuel Logbook
+        </Typography>
+
+        <Grid container spacing={{ xs: 2, md: 3 }}>
+          <Grid item xs={12}>
+            <Paper component="form" onSubmit={handleSubmit} sx={{ p: { xs: 2, sm: 3 } }}>
+              <Typography variant="h6" gutterBottom>
+                Log a fill-up
+              </Typography>
+              <Grid container spacing={2}>
+                <Grid item xs={12} md={6}>
+                  <StationPicker value={form.station} onChange={handleStationChange} />
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <FuelSelect
+                    fullWidth
+                    label="Fuel"
+                    value={form.fuel}
+                    only={stationFuels}
+                    onChange={(fuel) => setForm({ ...form, fuel })}
+                  />
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <TextField fullWidth label="Vehicle" value={form.vehicle} onChange={setField('vehicle')} inputProps={{ maxLength: 40 }} />
+                </Grid>
+                <Grid item xs={6} md={2}>
+                  <TextField fullWidth required type="number" label="Liters" value={form.liters} onChange={setField('liters')} inputProps={{ min: 0.01, max: 500, step: 0.01 }} />
+                </Grid>
+                <Grid item xs={6} md={2}>
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label="Price (€/L)"
+                    value={form.price}
+                    onChange={setField('price')}
+                    required={form.total === ''}
+                    inputProps={{ min: 0.5, max: 5, step: 0.001 }}
+                  />
+                </Grid>
+                <Grid item xs={6} md={2}>
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label="or Total (€)"
+                    value={form.total}
+                    onChange={setField('total')}
+                    disabled={form.price !== ''}
+                    inputProps={{ min: 0.01, step: 0.01 }}
+                  />
+                </Grid>
+                <Grid item xs={6} md={2}>
+                  <TextField fullWidth required type="number" label="Odometer (km)" value={form.odometer} onChange={setField('odometer')} inputProps={{ min: 0, step: 1 }} />
+                </Grid>
+                <Grid item xs={12} md={3}>
+                  <TextField
+                    fullWidth
+                    required
+                    type="datetime-local"
+                    label="Date"
+                    value={form.filledAt}
+                    onChange={setField('filledAt')}
+                    InputLabelProps={{ shrink: true }}
+                  />
+                </Grid>
+                <Grid item xs={12} md={1} sx={{ display: 'flex', alignItems: 'center' }}>
+                  <Button type="submit" variant="contained" fullWidth disabled={saving || !form.station}>
+                    Add
+                  </Button>
+                </Grid>
+              </Grid>
+              {formError && (
+                <Alert severity="error" sx={{ mt: 2 }}>
+                  {formError}
+                </Alert>
+              )}
+            </Paper>
+          </Grid>
+
+          <Grid item xs={12}>
+            <Paper sx={{ p: { xs: 2, sm: 3 } }}>
+              <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+                <FormControl size="small" sx={{ minWidth: 220 }}>
+                  <InputLabel>Compare with stations within</InputLabel>
+                  <Select value={radiusKm} label="Compare with stations within" onChange={(e) => setRadiusKm(e.target.value)}>
+                    {RADII.map(radius => (
+                      <MenuItem key={radius} value={radius}>
+                        {radius} km
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <Box sx={{ flexGrow: 1 }} />
+                <input ref={fileInput} type="file" accept=".csv,text/csv" hidden onChange={handleImport} />
+                <Button variant="outlined" startIcon={<FileUploadIcon />} onClick={() => fileInput.current.click()}>
+                  Import CSV
+                </Button>
+                <Button variant="outlined" startIcon={<FileDownloadIcon />} onClick={handleExport} disabled={!totals?.fillUps}>
+                  Export CSV
+                </Button>
+              </Box>
+
+              {importResult && (
+                <Alert severity={importResult.severity} sx={{ mb: 2, whiteSpace: 'pre-line' }} onClose={() => setImportResult(null)}>
+                  {importResult.message}
+                </Alert>
+              )}
+              {error && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {error}
+                </Alert>
+              )}
+
+              {loading && !report ? (
+                <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+                  <CircularProgress />
+                </Box>
+              ) : report && report.entries.length === 0 ? (
+                <Alert severity="info">
+                  No fill-ups yet. Log one above or import a CSV with the columns
+                  date, vehicle, station_id, fuel, liters, price_per_liter, total, odometer_km
+                  (dates as YYYY-MM-DD or DD/MM/YYYY, optionally followed by HH:MM).
+                </Alert>
+              ) : report && (
+                <>
+                  <Grid container spacing={2} sx={{ mb: 3 }}>
+                    <Grid item xs={6} md={3}>
+                      <StatCard label="Consumption" value={totals.consumption !== null ? `${totals.consumption} L/100km` : '—'} />
+                    </Grid>
+                    <Grid item xs={6} md={3}>
+                      <StatCard label="Cost per km" value={totals.costPerKm !== null ? `${totals.costPerKm.toFixed(3)}€` : '—'} />
+                    </Grid>
+                    <Grid item xs={6} md={3}>
+                      <StatCard label={`Spent (${totals.fillUps} fill-ups)`} value={euros(totals.spent)} />
+                    </Grid>
+                    <Grid item xs={6} md={3}>
+                      <StatCard label={`Missed savings within ${report.radiusKm} km`} value={euros(totals.missedSavings)} />
+                    </Grid>
+                  </Grid>
+
+                  {report.vehicles.length > 1 && (
+                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 3 }}>
+                      {report.vehicles.map(vehicle => (
+                        <Chip
+                          key={vehicle.vehicle}
+                          variant="outlined"
+                          label={`${vehicle.vehicle || 'No vehicle'}: ${vehicle.consumption !== null ? `${vehicle.consumption} L/100km` : '—'}, ${vehicle.distance} km`}
+                        />
+                      ))}
+                    </Box>
+                  )}
+
+                  <Box sx={{ height: 260, mb: 3 }}>
+                    <Bar
+                      data={monthlyData}
+                      options={{
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        plugins: { title: { display: true, text: 'Monthly spend' } }
+                      }}
+                    />
+                  </Box>
+
+                  <TableContainer>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Date</TableCell>
+                          <TableCell>Vehicle</TableCell>
+                          <TableCell>Fuel</TableCell>
+                          <TableCell align="right">Liters</TableCell>
+                          <TableCell align="right">Paid</TableCell>
+                          <TableCell align="right">Odometer</TableCell>
+                          <TableCell align="right">L/100km</TableCell>
+                          <TableCell align="right">€/km</TableCell>
+                          <TableCell>Cheapest that day</TableCell>
+                          <TableCell />
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {report.entries.map(entry => (
+                          <TableRow key={entry.id}>
+                            <TableCell>{new Date(entry.filledAt).toLocaleDateString('fr-FR')}</TableCell>
+                            <TableCell>{entry.vehicle}</TableCell>
+                            <TableCell>{fuelLabel(catalog, entry.fuel)}</TableCell>
+                            <TableCell align="right">{entry.liters.toFixed(2)}</TableCell>
+                            <TableCell align="right">
+                              {euros(entry.total)}
+                              <Typography variant="caption" color="text.secondary" display="block">
+                                {entry.price.toFixed(3)}€/L
+                              </Typography>
+                            </TableCell>
+                            <TableCell align="right">{entry.odometer}</TableCell>
+                            <TableCell align="right">{entry.consumption ?? '—'}</TableCell>
+                            <TableCell align="right">{entry.costPerKm !== null ? entry.costPerKm.toFixed(3) : '—'}</TableCell>
+                            <TableCell>
+                              {!entry.cheapest ? (
+                                <Typography variant="caption" color="text.secondary">No prices recorded</Typography>
+                              ) : entry.cheapest.missedSavings > 0 ? (
+                                <Tooltip title={`Station ${entry.cheapest.stationId}, ${entry.cheapest.distance} km away`}>
+                                  <Chip
+                                    size="small"
+                                    color="error"
+                                    variant="outlined"
+                                    label={`${entry.cheapest.price.toFixed(3)}€/L · ${euros(entry.cheapest.missedSavings)} more`}
+                                  />
+                                </Tooltip>
+                              ) : (
+                                <Chip size="small" color="success" variant="outlined" label="Cheapest" />
+                              )}
+                            </TableCell>
+                            <TableCell padding="none">
+                              <IconButton size="small" aria-label="Delete fill-up" onClick={() => handleDelete(entry.id)}>
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                </>
+              )}
+            </Paper>
+          </Grid>
+        </Grid>
+      </Box>
+    </Container>
+  );
+};
+
+export default Logbook;
@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Paper,
+  Grid,
+  Card,
+  CardContent,
+  CardActions,
+  Button,
+  Chip,
+  Switch,
+  FormControlLabel,
+  CircularProgress,
+  Alert,
+  Table,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import DirectionsIcon from '@mui/icons-material/Directions';
+import DevicesIcon from '@mui/icons-material/Devices';
+import BrandLabel from '../components/BrandLabel';
+import StationAmenities from '../components/StationAmenities';
+import FavoriteButton from '../components/FavoriteButton';
+import SyncDevicesDialog from '../components/SyncDevicesDialog';
+import { parseCoordinates } from '../utils/distance';
+import { navigateToStation, getStationAddress } from '../utils/navigation';
+import { getStationTitle, formatShortage, ROAD_TYPE_LABELS } from '../utils/stations';
+import {
+  useFavorites,
+  toggleFavorite,
+  fetchStationSummaries,
+  isSyncEnabled,
+  setSyncEnabled,
+  syncFavorites
+} from '../utils/favorites';
+import { useFuelCatalog, fuelLabel } from '../utils/fuels';
+
+const CHANGE_DAYS = 7;
+
+// Differences under half a cent are shown as level with the average
+const formatDifference = (difference) => {
+  if (Math.abs(difference) < 0.0005) return '±0.000€';
+  return `${difference > 0 ? '+' : '−'}${Math.abs(difference).toFixed(3)}€`;
+};
+
+const formatChangeDate = (date) =>
+  new Date(date).toLocaleString('fr-FR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+
+const handleNavigate = (station) => {
+  const coords = parseCoordinates(station);
+  if (coords) navigateToStation(coords.lat, coords.lon, getStationAddress(station));
+};
+
+const FavoriteCard = ({ station, catalog }) => (
+  <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+    <CardContent sx={{ flex: 1 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+        <Box sx={{ minWidth: 0 }}>
+          <BrandLabel station={station} />
+          <Typography variant="subtitle1" fontWeight="bold">
+            {getStationTitle(station)}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {station.address.postalCode} {station.address.city}
+            {station.roadType && ` • ${ROAD_TYPE_LABELS[station.roadType]}`}
+          </Typography>
+        </Box>
+        <FavoriteButton stationId={station.id} />
+      </Box>
+      <StationAmenities station={station} compact />
+
+      {station.shortages.length > 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+          {station.shortages.map(shortage => (
+            <Chip key={shortage.fuel} label={formatShortage(shortage)} color="warning" variant="outlined" size="small" />
+          ))}
+        </Box>
+      )}
+
+      {station.comparison.length > 0 ? (
+        <Table size="small" sx={{ mt: 1 }}>
+          <TableBody>
+            {station.comparison.map(entry => (
+              <TableRow key={entry.fuel}>
+                <TableCell sx={{ pl: 0 }}>{fuelLabel(catalog, entry.fuel)}</TableCell>
+                <TableCell align="right">
+                  <strong>{entry.price.toFixed(3)}€</strong>
+                </TableCell>
+                <TableCell align="right" sx={{ pr: 0 }}>
+                  {entry.difference !== null && (
+                    <Chip
+                      label={`${formatDifference(entry.difference)} vs dept.`}
+                      size="small"
+                      color={entry.difference <= 0 ? 'success' : 'error'}
+                      variant="outlined"
+                    />
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      ) : (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          No current prices.
+        </Typography>
+      )}
+
+      <Typography variant="subtitle2" sx={{ mt: 2 }}>
+        Last {CHANGE_DAYS} days
+      </Typography>
+      {station.changes.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No price changes.
+        </Typography>
+      ) : (
+        station.changes.slice(0, 5).map(change => (
+          <Typography key={`${change.fuel}-${change.updatedAt}`} variant="body2">
+            {formatChangeDate(change.updatedAt)} · {fuelLabel(catalog, change.fuel)}{' '}
+            <Box component="span" sx={{ color: change.price > change.previousPrice ? 'error.main' : 'success.main' }}>
+              {change.previousPrice.toFixed(3)}€ → {change.price.toFixed(3)}€
+            </Box>
+          </Typography>
+        ))
+      )}
+    </CardContent>
+    <CardActions>
+      <Button size="small" startIcon={<DirectionsIcon />} onClick={() => handleNavigate(station)}>
+        Navigate
+      </Button>
+    </CardActions>
+  </Card>
+);
+
+/**
+ * Dashboard of the stations starred on the map or in search results
+ */
+const MyStations = () => {
+  const favorites = useFavorites();
+  const catalog = useFuelCatalog();
+  const [summaries, setSummaries] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [sync, setSync] = useState(isSyncEnabled);
+  const [syncError, setSyncError] = useState(null);
+  const [devicesOpen, setDevicesOpen] = useState(false);
+
+  const favoriteIds = favorites.map(favorite => favorite.stationId).join(',');
+
+  // Pick up favorites starred on other devices
+  useEffect(() => {
+    if (!isSyncEnabled()) return;
+    syncFavorites().catch(err => {
+      setSyncError(err.message);
+      console.error('Error syncing favorites:', err);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!favoriteIds) {
+      setSummaries(null);
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    fetchStationSummaries(favoriteIds.split(','), CHANGE_DAYS)
+      .then(setSummaries)
+      .catch(err => {
+        setError(err.message);
+        console.error('Error loading favorite stations:', err);
+      })
+      .finally(() => setLoading(false));
+  }, [favoriteIds]);
+
+  const handleSyncChange = async (event) => {
+    const enabled = event.target.checked;
+    setSync(enabled);
+    setSyncError(null);
+    try {
+      await setSyncEnabled(enabled);
+    } catch (err) {
+      setSyncError(err.message);
+      console.error('Error syncing favorites:', err);
+    }
+  };
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ my: { xs: 2, md: 4 } }}>
+        <Typography variant="h4" component="h1" gutterBottom align="center" sx={{ fontSize: { xs: '1.5rem', md: '2.125rem' } }}>
+          My Stations
+        </Typography>
+
+        <Paper sx={{ p: { xs: 2, sm: 3 } }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+            <Typography variant="body2" color="text.secondary">
+              Star stations on the map or in search results to follow their prices here.
+            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <FormControlLabel
+                control={<Switch checked={sync} onChange={handleSyncChange} />}
+                label="Sync across devices"
+              />
+              {sync && (
+                <Button size="small" startIcon={<DevicesIcon />} onClick={() => setDevicesOpen(true)}>
+                  Link devices
+                </Button>
+              )}
+            </Box>
+          </Box>
+
+          {syncError && (
+            <Alert severity="warning" sx={{ mb: 2 }} onClose={() => setSyncError(null)}>
+              Could not sync favorites: {syncError}
+            </Alert>
+          )}
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {favorites.length === 0 ? (
+            <Alert severity="info">No favorite stations yet.</Alert>
+          ) : loading && !summaries ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+              <CircularProgress />
+            </Box>
+          ) : summaries && (
+            <>
+              {summaries.missing.length > 0 && (
+                <Alert
+                  severity="info"
+                  sx={{ mb: 2 }}
+                  action={
+                    <Button color="inherit" size="small" onClick={() => summaries.missing.forEach(toggleFavorite)}>
+                      Remove
+                    </Button>
+                  }
+                >
+                  {summaries.missing.length} favorite station(s) no longer report prices.
+                </Alert>
+              )}
+              <Grid container spacing={2}>
+                {summaries.stations.map(station => (
+                  <Grid item xs={12} sm={6} md={4} key={station.id}>
+                    <FavoriteCard station={station} catalog={catalog} />
+                  </Grid>
+                ))}
+              </Grid>
+            </>
+          )}
+        </Paper>
+      </Box>
+
+      <SyncDevicesDialog
+        open={devicesOpen}
+        onClose={() => setDevicesOpen(false)}
+        onLinked={() => setSync(true)}
+      />
+    </Container>
+  );
+};
+
+export default MyStations;
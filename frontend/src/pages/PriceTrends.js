@@ -14,47 +14,38 @@ import {
 } from '@mui/material';
 import { Line } from 'react-chartjs-2';
 import TradingViewWidget from '../components/TradingViewWidget';
+import FuelComparisonChart from '../components/FuelComparisonChart';
+import FuelSelect from '../components/FuelSelect';
+import { DEFAULT_FUEL, useFuelCatalog, fuelLabel, fuelColor } from '../utils/fuels';
+import { apiErrorMessage, staleDataNotice } from '../utils/apiErrors';
 
-const API_URL = '/fuelprice/api/fuel-prices';
-
-const calculateTrendLine = (dates, prices) => {
-  const xValues = dates.map((_, index) => index);
-  const n = dates.length;
-  
-  const meanX = xValues.reduce((a, b) => a + b, 0) / n;
-  const meanY = prices.reduce((a, b) => a + parseFloat(b), 0) / n;
-  
-  let numerator = 0;
-  let denominator = 0;
-  
-  for (let i = 0; i < n; i++) {
-    numerator += (xValues[i] - meanX) * (parseFloat(prices[i]) - meanY);
-    denominator += Math.pow(xValues[i] - meanX, 2);
-  }
-  
-  const slope = numerator / denominator;
-  const intercept = meanY - slope * meanX;
-  
-  const trendLine = xValues.map(x => (slope * x + intercept).toFixed(3));
-  
-  return { currentTrend: trendLine };
+const HISTORY_URL = '/fuelprice/api/history/average';
+const REGIONS_URL = '/fuelprice/api/regions';
+
+const FORECAST_URL = '/fuelprice/api/forecast';
+const BACKTEST_URL = '/fuelprice/api/forecast/backtest';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('fr-FR');
+
+// Fetch JSON, resolving to null when the API has nothing to say (e.g. 422 for
+// a forecast without enough history)
+const fetchOptional = async (url) => {
+  const response = await fetch(url);
+  return response.ok ? response.json() : null;
 };
 
 const PriceTrends = () => {
-  const [fuelType, setFuelType] = useState('Gazole');
+  const [fuelType, setFuelType] = useState(DEFAULT_FUEL);
+  const catalog = useFuelCatalog();
   const [timeframe, setTimeframe] = useState(90);
+  const [horizon, setHorizon] = useState(14);
+  const [backtestResult, setBacktestResult] = useState(null);
+  const [region, setRegion] = useState('');
+  const [regions, setRegions] = useState([]);
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [rawData, setRawData] = useState(null);
-
-  const fuelTypes = useMemo(() => [
-    { value: 'Gazole', label: 'Diesel (Gazole)' },
-    { value: 'SP95', label: 'SP95' },
-    { value: 'SP98', label: 'SP98' },
-    { value: 'E10', label: 'SP95-E10' },
-    { value: 'GPLc', label: 'GPL' }
-  ], []);
+  const [regionsNotice, setRegionsNotice] = useState(null);
 
   const timeframes = useMemo(() => [
     { value: 7, label: 'Last 7 days' },
@@ -64,137 +55,170 @@ const PriceTrends = () => {
     { value: 365, label: 'Last 365 days' }
   ], []);
 
-  const processData = useCallback((rawApiData) => {
-    if (!rawApiData?.records) {
-      setError('No data available from API');
-      return;
-    }
-
-    const stations = rawApiData.records.map(record => {
-      const fields = record.fields;
-      if (fields.carburants_disponibles && typeof fields.carburants_disponibles === 'string') {
-        fields.carburants_disponibles = fields.carburants_disponibles.split(',').map(f => f.trim());
-      }
-      return fields;
-    });
-
-    const fuelPriceField = `${fuelType.toLowerCase()}_prix`;
-    const fuelDateField = `${fuelType.toLowerCase()}_maj`;
-    
-    const filteredStations = stations.filter(station => {
-      return station[fuelPriceField] != null && station[fuelPriceField] !== '';
-    });
-
-    if (filteredStations.length === 0) {
-      setError(`No stations found with ${fuelType}`);
-      setData(null);
-      return;
-    }
-
-    const pricesByDate = {};
-    const today = new Date();
-    const startDate = new Date(today);
-    startDate.setDate(today.getDate() - timeframe);
-
-    filteredStations.forEach(station => {
-      const fuelPrice = station[fuelPriceField];
-      const lastUpdate = station[fuelDateField];
-      
-      if (fuelPrice) {
-        const date = lastUpdate ? new Date(lastUpdate) : new Date();
-        if (date >= startDate) {
-          const dateStr = date.toLocaleDateString('fr-FR');
-          if (!pricesByDate[dateStr]) {
-            pricesByDate[dateStr] = [];
-          }
-          pricesByDate[dateStr].push(parseFloat(fuelPrice));
-        }
-      }
-    });
+  const horizons = useMemo(() => [
+    { value: 7, label: 'Next 7 days' },
+    { value: 14, label: 'Next 14 days' },
+    { value: 30, label: 'Next 30 days' }
+  ], []);
 
-    const sortedDates = Object.keys(pricesByDate).sort((a, b) => {
-      const [dayA, monthA, yearA] = a.split('/').map(Number);
-      const [dayB, monthB, yearB] = b.split('/').map(Number);
-      return new Date(yearA, monthA - 1, dayA) - new Date(yearB, monthB - 1, dayB);
-    });
+  const processData = useCallback((history, forecast) => {
+    // Days without any recorded station price are left out of the chart
+    const buckets = (history?.buckets || []).filter(bucket => bucket.count > 0);
 
-    if (sortedDates.length === 0) {
-      setError(`No recent prices found for ${fuelType}`);
+    if (buckets.length === 0) {
+      setError(`No price history recorded for ${fuelType} yet`);
       setData(null);
       return;
     }
 
-    const prices = sortedDates.map(date => {
-      const datePrices = pricesByDate[date];
-      const avgPrice = datePrices.reduce((a, b) => a + b, 0) / datePrices.length;
-      return avgPrice.toFixed(3);
-    });
-
-    const { currentTrend } = calculateTrendLine(sortedDates, prices);
+    const labels = buckets.map(bucket => formatDate(bucket.start));
+    const prices = buckets.map(bucket => bucket.mean.toFixed(3));
+    const predicted = forecast?.forecast || [];
+    const padding = predicted.map(() => null);
+    // The forecast line starts at the last observed point so both lines connect
+    const lastPrice = prices[prices.length - 1];
+    const historyGap = prices.slice(1).map(() => null);
 
     setData({
-      labels: sortedDates,
+      labels: [...labels, ...predicted.map(point => formatDate(point.date))],
+      counts: buckets.map(bucket => bucket.count),
       datasets: [
         {
-          label: `${fuelType} Price (€/L)`,
-          data: prices,
-          borderColor: 'rgb(75, 192, 192)',
-          backgroundColor: 'rgba(75, 192, 192, 0.2)',
+          // Label and colors come from the fuel catalog (see chartData)
+          data: [...prices, ...padding],
           tension: 0.1,
           fill: true
         },
         {
-          label: 'Trend Line',
-          data: currentTrend,
-          borderColor: 'rgba(255, 99, 132, 0.8)',
-          borderDash: [5, 5],
-          borderWidth: 2,
+          label: 'Median',
+          data: [...buckets.map(bucket => bucket.median.toFixed(3)), ...padding],
+          borderColor: 'rgba(102, 126, 234, 0.8)',
+          borderWidth: 1,
           pointRadius: 0,
           fill: false,
-          tension: 0
-        }
+          tension: 0.1
+        },
+        ...(predicted.length ? [
+          {
+            label: 'Forecast',
+            data: [...historyGap, lastPrice, ...predicted.map(point => point.value)],
+            borderColor: 'rgba(255, 99, 132, 0.8)',
+            borderDash: [5, 5],
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: false,
+            tension: 0
+          },
+          {
+            label: '95% lower bound',
+            data: [...historyGap, lastPrice, ...predicted.map(point => point.lower)],
+            borderColor: 'rgba(255, 99, 132, 0.2)',
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false,
+            tension: 0
+          },
+          {
+            label: '95% upper bound',
+            data: [...historyGap, lastPrice, ...predicted.map(point => point.upper)],
+            borderColor: 'rgba(255, 99, 132, 0.2)',
+            backgroundColor: 'rgba(255, 99, 132, 0.1)',
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: '-1',
+            tension: 0
+          }
+        ] : [])
       ]
     });
     setError(null);
-  }, [fuelType, timeframe]);
+  }, [fuelType]);
+
+  const chartData = useMemo(() => {
+    if (!data) return null;
+    const [average, ...others] = data.datasets;
+    const color = fuelColor(catalog, fuelType);
+    return {
+      ...data,
+      datasets: [
+        { ...average, label: `${fuelLabel(catalog, fuelType)} Average Price (€/L)`, borderColor: color, backgroundColor: `${color}33` },
+        ...others
+      ]
+    };
+  }, [data, catalog, fuelType]);
 
   const fetchData = useCallback(async () => {
     setLoading(true);
     setError(null);
     try {
-      const response = await fetch(API_URL);
+      const from = new Date();
+      from.setDate(from.getDate() - timeframe);
+      const params = new URLSearchParams({
+        fuel: fuelType,
+        from: from.toISOString().slice(0, 10),
+        interval: 'day'
+      });
+      if (region) params.append('region', region);
+
+      const forecastParams = new URLSearchParams({
+        fuel: fuelType,
+        horizon: String(horizon),
+        history: String(Math.max(timeframe, 90))
+      });
+      if (region) forecastParams.append('region', region);
+      // Backtests are capped server-side to keep them quick
+      const backtestParams = new URLSearchParams(forecastParams);
+      backtestParams.set('history', String(Math.min(Math.max(timeframe, 90), 180)));
+
+      const [response, forecast, backtest] = await Promise.all([
+        fetch(`${HISTORY_URL}?${params.toString()}`),
+        fetchOptional(`${FORECAST_URL}?${forecastParams.toString()}`),
+        fetchOptional(`${BACKTEST_URL}?${backtestParams.toString()}`)
+      ]);
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
-      const newData = await response.json();
-      setRawData(newData);
-      processData(newData);
+      processData(await response.json(), forecast);
+      setBacktestResult(backtest?.folds ? backtest : null);
     } catch (err) {
       setError(err.message);
       console.error('Error fetching data:', err);
     } finally {
       setLoading(false);
     }
-  }, [processData]);
+  }, [fuelType, timeframe, horizon, region, processData]);
 
   useEffect(() => {
     fetchData();
   }, [fetchData]);
 
   useEffect(() => {
-    if (rawData) {
-      processData(rawData);
-    }
-  }, [fuelType, timeframe, rawData, processData]);
-
-  const handleFuelTypeChange = (event) => {
-    setFuelType(event.target.value);
-  };
+    fetch(REGIONS_URL)
+      .then(async response => {
+        const data = await response.json().catch(() => null);
+        if (!response.ok) {
+          setRegionsNotice(`Regions unavailable: ${apiErrorMessage(data, response.status)}`);
+          return [];
+        }
+        setRegionsNotice(staleDataNotice(response));
+        return data;
+      })
+      .then(setRegions)
+      .catch(err => console.error('Error fetching regions:', err));
+  }, []);
 
   const handleTimeframeChange = (event) => {
     setTimeframe(event.target.value);
   };
 
+  const handleHorizonChange = (event) => {
+    setHorizon(event.target.value);
+  };
+
+  const handleRegionChange = (event) => {
+    setRegion(event.target.value);
+  };
+
   return (
     <Container maxWidth="xl">
       <Box sx={{ my: { xs: 2, md: 4 } }}>
@@ -225,23 +249,10 @@ const PriceTrends = () => {
           <Grid item xs={12}>
             <Paper sx={{ p: { xs: 2, sm: 3 } }}>
               <Typography variant="h5" component="h2" gutterBottom align="center" sx={{ fontSize: { xs: '1.25rem', sm: '1.5rem' } }}>
-                French Fuel Prices with Trend Prediction
+                French Average Fuel Prices with Forecast
               </Typography>
               <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap', justifyContent: 'center', flexDirection: { xs: 'column', sm: 'row' } }}>
-                <FormControl sx={{ minWidth: { xs: '100%', sm: 200 } }}>
-                  <InputLabel>Fuel Type</InputLabel>
-                  <Select
-                    value={fuelType}
-                    label="Fuel Type"
-                    onChange={handleFuelTypeChange}
-                  >
-                    {fuelTypes.map(type => (
-                      <MenuItem key={type.value} value={type.value}>
-                        {type.label}
-                      </MenuItem>
-                    ))}
-                  </Select>
-                </FormControl>
+                <FuelSelect value={fuelType} onChange={setFuelType} formControlSx={{ minWidth: { xs: '100%', sm: 200 } }} />
 
                 <FormControl sx={{ minWidth: { xs: '100%', sm: 200 } }}>
                   <InputLabel>Timeframe</InputLabel>
@@ -257,6 +268,37 @@ const PriceTrends = () => {
                     ))}
                   </Select>
                 </FormControl>
+
+                <FormControl sx={{ minWidth: { xs: '100%', sm: 200 } }}>
+                  <InputLabel>Forecast</InputLabel>
+                  <Select
+                    value={horizon}
+                    label="Forecast"
+                    onChange={handleHorizonChange}
+                  >
+                    {horizons.map(item => (
+                      <MenuItem key={item.value} value={item.value}>
+                        {item.label}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+
+                <FormControl sx={{ minWidth: { xs: '100%', sm: 200 } }}>
+                  <InputLabel>Region</InputLabel>
+                  <Select
+                    value={region}
+                    label="Region"
+                    onChange={handleRegionChange}
+                  >
+                    <MenuItem value="">All of France</MenuItem>
+                    {regions.map(name => (
+                      <MenuItem key={name} value={name}>
+                        {name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
               </Box>
 
               {error && (
@@ -265,6 +307,12 @@ const PriceTrends = () => {
                 </Alert>
               )}
 
+              {regionsNotice && (
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                  {regionsNotice}
+                </Alert>
+              )}
+
               {loading ? (
                 <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
                   <CircularProgress />
@@ -272,7 +320,7 @@ const PriceTrends = () => {
               ) : data ? (
                 <Box sx={{ height: { xs: 300, sm: 400, md: 500 } }}>
                   <Line
-                    data={data}
+                    data={chartData}
                     options={{
                       responsive: true,
                       maintainAspectRatio: false,
@@ -303,6 +351,11 @@ const PriceTrends = () => {
                         tooltip: {
                           mode: 'index',
                           intersect: false,
+                          callbacks: {
+                            footer: (items) => items.length && data.counts[items[0].dataIndex]
+                              ? `${data.counts[items[0].dataIndex]} stations`
+                              : ''
+                          }
                         }
                       },
                       interaction: {
@@ -314,6 +367,27 @@ const PriceTrends = () => {
                   />
                 </Box>
               ) : null}
+
+              {!loading && data && backtestResult && (
+                <Typography variant="body2" color="text.secondary" align="center" sx={{ mt: 2 }}>
+                  Backtest over {backtestResult.scored} recorded days in {backtestResult.folds} × {backtestResult.horizon}-day forecasts:
+                  mean absolute error {backtestResult.mae.toFixed(3)} €/L
+                  (naive "no change" forecast: {backtestResult.naiveMae.toFixed(3)} €/L)
+                </Typography>
+              )}
+            </Paper>
+          </Grid>
+
+          {/* Fuels side by side and price spreads */}
+          <Grid item xs={12}>
+            <Paper sx={{ p: { xs: 2, sm: 3 } }}>
+              <Typography variant="h5" component="h2" gutterBottom align="center" sx={{ fontSize: { xs: '1.25rem', sm: '1.5rem' } }}>
+                Fuel Comparison and Spreads
+              </Typography>
+              <Typography variant="body2" color="text.secondary" align="center" sx={{ mb: 2 }}>
+                Same timeframe and region as above
+              </Typography>
+              <FuelComparisonChart timeframe={timeframe} region={region} />
             </Paper>
           </Grid>
         </Grid>
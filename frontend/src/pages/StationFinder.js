@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import {
   Container,
   Typography,
@@ -9,67 +9,72 @@ import {
   InputLabel,
   Select,
   MenuItem,
-  CircularProgress,
-  Alert
+  ListSubheader,
+  Checkbox,
+  ListItemText
 } from '@mui/material';
 import StationMap from '../components/StationMap';
 import PostalCodeSearch from '../components/PostalCodeSearch';
+import FuelSelect from '../components/FuelSelect';
+import { DEFAULT_FUEL } from '../utils/fuels';
+import { fetchBrands, brandFilterParams, brandBadgeUrl, CATEGORY_LABELS } from '../utils/brands';
+import { fetchServices, amenityFilterParams, HOURS_FILTERS } from '../utils/amenities';
 
-const API_URL = '/fuelprice/api/fuel-prices';
+const selectSx = {
+  backgroundColor: 'rgba(255, 255, 255, 0.95)',
+  color: '#333',
+  '& .MuiOutlinedInput-notchedOutline': {
+    borderColor: 'rgba(255, 255, 255, 0.5)',
+    borderWidth: '2px'
+  },
+  '&:hover .MuiOutlinedInput-notchedOutline': {
+    borderColor: 'white'
+  },
+  '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
+    borderColor: 'white',
+    borderWidth: '2px'
+  },
+  '& .MuiSelect-icon': {
+    color: '#667eea'
+  },
+  '&:hover': {
+    backgroundColor: 'white'
+  }
+};
+
+const labelSx = { color: 'white', '&.Mui-focused': { color: 'white' } };
 
 const StationFinder = () => {
-  const [fuelType, setFuelType] = useState('Gazole');
-  const [fuelStations, setFuelStations] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [fuelType, setFuelType] = useState(DEFAULT_FUEL);
   const [mapCenter, setMapCenter] = useState(null);
   const [userLocation, setUserLocation] = useState(null);
   const [nearbyStations, setNearbyStations] = useState([]);
   const [selectedStation, setSelectedStation] = useState(null);
+  const [brands, setBrands] = useState([]);
+  const [brandFilterValue, setBrandFilterValue] = useState('');
+  const [services, setServices] = useState([]);
+  const [amenityFilterValues, setAmenityFilterValues] = useState([]);
 
-  const fuelTypes = [
-    { value: 'Gazole', label: 'Diesel (Gazole)' },
-    { value: 'SP95', label: 'SP95' },
-    { value: 'SP98', label: 'SP98' },
-    { value: 'E10', label: 'SP95-E10' },
-    { value: 'GPLc', label: 'GPL' }
-  ];
+  // Query parameters shared by the map and the nearby list
+  const stationFilter = useMemo(
+    () => ({ ...brandFilterParams(brandFilterValue), ...amenityFilterParams(amenityFilterValues) }),
+    [brandFilterValue, amenityFilterValues]
+  );
 
-  const fetchStations = useCallback(async () => {
-    setLoading(true);
-    setError(null);
-    try {
-      const response = await fetch(API_URL);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const data = await response.json();
-      
-      if (data?.records) {
-        const stations = data.records.map(record => {
-          const fields = record.fields;
-          if (fields.carburants_disponibles && typeof fields.carburants_disponibles === 'string') {
-            fields.carburants_disponibles = fields.carburants_disponibles.split(',').map(f => f.trim());
-          }
-          return fields;
-        });
-        setFuelStations(stations);
-      }
-    } catch (err) {
-      setError(err.message);
-      console.error('Error fetching stations:', err);
-    } finally {
-      setLoading(false);
-    }
+  useEffect(() => {
+    fetchBrands()
+      .then(data => setBrands(data.brands.filter(brand => brand.stations > 0)))
+      .catch(err => console.error('Error loading brands:', err));
+    fetchServices()
+      .then(setServices)
+      .catch(err => console.error('Error loading services:', err));
   }, []);
 
-  useEffect(() => {
-    fetchStations();
-  }, [fetchStations]);
+  const amenityLabels = new Map([
+    ...HOURS_FILTERS.map(filter => [filter.value, filter.label]),
+    ...services.map(service => [service.id, service.label])
+  ]);
 
-  const handleFuelTypeChange = (event) => {
-    setFuelType(event.target.value);
-  };
 
   const handleLocationFound = (location) => {
     setMapCenter([location.lat, location.lon]);
@@ -95,86 +100,101 @@ const StationFinder = () => {
           Find Fuel Stations
         </Typography>
 
-        {/* Fuel Type Selector */}
-        <Box sx={{ display: 'flex', justifyContent: 'center', mb: 3, px: { xs: 2, sm: 0 } }}>
+        {/* Fuel Type, Brand and Amenity Selectors */}
+        <Box sx={{ display: 'flex', justifyContent: 'center', gap: 2, mb: 3, px: { xs: 2, sm: 0 }, flexDirection: { xs: 'column', sm: 'row' } }}>
+          <FuelSelect
+            value={fuelType}
+            onChange={setFuelType}
+            formControlSx={{ minWidth: { xs: '100%', sm: 250 } }}
+            labelSx={labelSx}
+            selectSx={selectSx}
+          />
           <FormControl sx={{ minWidth: { xs: '100%', sm: 250 } }}>
-            <InputLabel sx={{ color: 'white', '&.Mui-focused': { color: 'white' } }}>Fuel Type</InputLabel>
+            <InputLabel sx={labelSx} shrink>Brand</InputLabel>
             <Select
-              value={fuelType}
-              label="Fuel Type"
-              onChange={handleFuelTypeChange}
-              sx={{
-                backgroundColor: 'rgba(255, 255, 255, 0.95)',
-                color: '#333',
-                '& .MuiOutlinedInput-notchedOutline': {
-                  borderColor: 'rgba(255, 255, 255, 0.5)',
-                  borderWidth: '2px'
-                },
-                '&:hover .MuiOutlinedInput-notchedOutline': {
-                  borderColor: 'white'
-                },
-                '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
-                  borderColor: 'white',
-                  borderWidth: '2px'
-                },
-                '& .MuiSelect-icon': {
-                  color: '#667eea'
-                },
-                '&:hover': {
-                  backgroundColor: 'white'
-                }
-              }}
+              value={brandFilterValue}
+              label="Brand"
+              displayEmpty
+              notched
+              onChange={(e) => setBrandFilterValue(e.target.value)}
+              sx={selectSx}
             >
-              {fuelTypes.map(type => (
-                <MenuItem key={type.value} value={type.value}>
-                  {type.label}
+              <MenuItem value="">All brands</MenuItem>
+              {Object.entries(CATEGORY_LABELS).map(([category, label]) => (
+                <MenuItem key={category} value={`category:${category}`}>
+                  {label}
+                </MenuItem>
+              ))}
+              {brands.length > 0 && <ListSubheader>Brands</ListSubheader>}
+              {brands.map(brand => (
+                <MenuItem key={brand.id} value={`brand:${brand.id}`}>
+                  <Box component="img" src={brandBadgeUrl(brand.id)} alt="" sx={{ width: 18, height: 18, mr: 1 }} />
+                  {brand.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl sx={{ minWidth: { xs: '100%', sm: 250 } }}>
+            <InputLabel sx={labelSx} shrink>Amenities</InputLabel>
+            <Select
+              multiple
+              value={amenityFilterValues}
+              label="Amenities"
+              displayEmpty
+              notched
+              onChange={(e) => setAmenityFilterValues(e.target.value)}
+              renderValue={(selected) => (selected.length === 0
+                ? 'Any'
+                : selected.map(value => amenityLabels.get(value) || value).join(', '))}
+              sx={selectSx}
+            >
+              {HOURS_FILTERS.map(filter => (
+                <MenuItem key={filter.value} value={filter.value}>
+                  <Checkbox size="small" checked={amenityFilterValues.includes(filter.value)} />
+                  <ListItemText primary={filter.label} />
+                </MenuItem>
+              ))}
+              {services.length > 0 && <ListSubheader>Services</ListSubheader>}
+              {services.map(service => (
+                <MenuItem key={service.id} value={service.id}>
+                  <Checkbox size="small" checked={amenityFilterValues.includes(service.id)} />
+                  <ListItemText primary={service.label} />
                 </MenuItem>
               ))}
             </Select>
           </FormControl>
         </Box>
 
-        {error && (
-          <Alert severity="error" sx={{ mb: 2 }}>
-            {error}
-          </Alert>
-        )}
+        <Grid container spacing={3}>
+          {/* Postal Code Search & Nearby Stations */}
+          <Grid item xs={12} md={5}>
+            <PostalCodeSearch
+              selectedFuelType={fuelType}
+              stationFilter={stationFilter}
+              onLocationFound={handleLocationFound}
+              onUseMyLocation={handleUseMyLocation}
+              onStationClick={handleStationClick}
+            />
+          </Grid>
 
-        {loading ? (
-          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
-            <CircularProgress />
-          </Box>
-        ) : (
-          <Grid container spacing={3}>
-            {/* Postal Code Search & Nearby Stations */}
-            <Grid item xs={12} md={5}>
-              <PostalCodeSearch
-                allStations={fuelStations}
+          {/* Interactive Map */}
+          <Grid item xs={12} md={7}>
+            <Paper sx={{ p: { xs: 1, sm: 2 } }}>
+              <Typography variant="h5" component="h2" gutterBottom align="center" sx={{ fontSize: { xs: '1.25rem', sm: '1.5rem' } }}>
+                Station Map
+              </Typography>
+              <StationMap
+                stations={nearbyStations}
                 selectedFuelType={fuelType}
-                onLocationFound={handleLocationFound}
-                onUseMyLocation={handleUseMyLocation}
+                stationFilter={stationFilter}
                 onStationClick={handleStationClick}
+                mapCenter={mapCenter}
+                userLocation={userLocation}
+                selectedStation={selectedStation}
               />
-            </Grid>
-
-            {/* Interactive Map */}
-            <Grid item xs={12} md={7}>
-              <Paper sx={{ p: { xs: 1, sm: 2 } }}>
-                <Typography variant="h5" component="h2" gutterBottom align="center" sx={{ fontSize: { xs: '1.25rem', sm: '1.5rem' } }}>
-                  Station Map
-                </Typography>
-                <StationMap
-                  stations={nearbyStations.length > 0 ? nearbyStations : fuelStations}
-                  selectedFuelType={fuelType}
-                  onStationClick={handleStationClick}
-                  mapCenter={mapCenter}
-                  userLocation={userLocation}
-                  selectedStation={selectedStation}
-                />
-              </Paper>
-            </Grid>
+            </Paper>
           </Grid>
-        )}
+        </Grid>
       </Box>
     </Container>
   );
@@ -0,0 +1,288 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Grid,
+  Paper,
+  TextField,
+  Button,
+  Slider,
+  CircularProgress,
+  Alert,
+  List,
+  ListItem,
+  Divider,
+  Chip,
+  InputAdornment
+} from '@mui/material';
+import LocalGasStationIcon from '@mui/icons-material/LocalGasStation';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { geocodeAddress } from '../utils/geocode';
+import { getStationAddress } from '../utils/navigation';
+import { apiErrorMessage } from '../utils/apiErrors';
+import { getStationTitle } from '../utils/stations';
+import { DEFAULT_FUEL } from '../utils/fuels';
+import FuelSelect from '../components/FuelSelect';
+
+const PLAN_URL = '/fuelprice/api/v1/trips/plan';
+
+const stopIcon = (number) => L.divIcon({
+  html: `<div style="width:26px;height:26px;line-height:26px;border-radius:50%;background:#764ba2;color:white;font-weight:bold;text-align:center;border:2px solid white;box-shadow:0 1px 3px rgba(0,0,0,0.4);">${number}</div>`,
+  className: '',
+  iconSize: [26, 26],
+  iconAnchor: [13, 13]
+});
+
+// The label is the geocoded place name: set as text, never parsed as HTML
+const endpointIcon = (label, color) => {
+  const html = document.createElement('div');
+  html.style.cssText = `padding:2px 6px;border-radius:4px;background:${color};color:white;font-size:11px;font-weight:bold;white-space:nowrap;transform:translate(-50%,-50%);display:inline-block;`;
+  html.textContent = label;
+  return L.divIcon({
+    html,
+    className: '',
+    iconSize: [0, 0],
+    iconAnchor: [0, 0]
+  });
+};
+
+// Fit the map to the planned route
+function FitRoute({ geometry }) {
+  const map = useMap();
+  useEffect(() => {
+    if (geometry?.length) {
+      map.fitBounds(L.latLngBounds(geometry), { padding: [20, 20] });
+    }
+  }, [geometry, map]);
+  return null;
+}
+
+const TripPlanner = () => {
+  const [origin, setOrigin] = useState('');
+  const [destination, setDestination] = useState('');
+  const [fuelType, setFuelType] = useState(DEFAULT_FUEL);
+  const [tankLiters, setTankLiters] = useState(50);
+  const [fuelLevel, setFuelLevel] = useState(25);
+  const [consumption, setConsumption] = useState(6.5);
+  const [plan, setPlan] = useState(null);
+  const [endpoints, setEndpoints] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handlePlan = async () => {
+    setError(null);
+    setPlan(null);
+    if (!origin || !destination) {
+      setError('Please enter an origin and a destination');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const [from, to] = await Promise.all([geocodeAddress(origin), geocodeAddress(destination)]);
+      if (!from || !to) {
+        throw new Error(`Could not find ${!from ? origin : destination}`);
+      }
+      setEndpoints({ from, to });
+
+      const response = await fetch(PLAN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          origin: { lat: from.lat, lon: from.lon },
+          destination: { lat: to.lat, lon: to.lon },
+          fuel: fuelType,
+          tankLiters: Number(tankLiters),
+          fuelLevel,
+          consumption: Number(consumption)
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(apiErrorMessage(data, response.status));
+      }
+      if (!data.feasible) {
+        throw new Error('No combination of stations along this route gets you there. Try a larger tank or corridor.');
+      }
+      setPlan(data);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error planning trip:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="xl">
+      <Box sx={{ my: { xs: 2, md: 4 } }}>
+        <Typography variant="h4" component="h1" gutterBottom align="center" sx={{ fontSize: { xs: '1.5rem', md: '2.125rem' } }}>
+          Plan a Trip
+        </Typography>
+
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={5}>
+            <Paper sx={{ p: { xs: 2, sm: 3 } }}>
+              <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                <TextField
+                  label="From"
+                  value={origin}
+                  onChange={(e) => setOrigin(e.target.value)}
+                  placeholder="Lyon"
+                />
+                <TextField
+                  label="To"
+                  value={destination}
+                  onChange={(e) => setDestination(e.target.value)}
+                  placeholder="Bordeaux"
+                />
+                <FuelSelect value={fuelType} onChange={setFuelType} />
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  <TextField
+                    label="Tank size"
+                    type="number"
+                    value={tankLiters}
+                    onChange={(e) => setTankLiters(e.target.value)}
+                    InputProps={{ endAdornment: <InputAdornment position="end">L</InputAdornment> }}
+                    fullWidth
+                  />
+                  <TextField
+                    label="Consumption"
+                    type="number"
+                    value={consumption}
+                    onChange={(e) => setConsumption(e.target.value)}
+                    inputProps={{ step: 0.1 }}
+                    InputProps={{ endAdornment: <InputAdornment position="end">L/100km</InputAdornment> }}
+                    fullWidth
+                  />
+                </Box>
+                <Box>
+                  <Typography variant="body2" gutterBottom>
+                    Current fuel level: {fuelLevel}%
+                  </Typography>
+                  <Slider
+                    value={fuelLevel}
+                    onChange={(e, value) => setFuelLevel(value)}
+                    step={5}
+                    min={0}
+                    max={100}
+                  />
+                </Box>
+                <Button variant="contained" onClick={handlePlan} disabled={loading}>
+                  Find cheapest stops
+                </Button>
+              </Box>
+
+              {error && (
+                <Alert severity="error" sx={{ mt: 2 }}>
+                  {error}
+                </Alert>
+              )}
+
+              {loading && (
+                <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+                  <CircularProgress />
+                </Box>
+              )}
+
+              {plan && (
+                <Box sx={{ mt: 3 }}>
+                  <Typography variant="h6">
+                    {plan.route.distanceKm.toFixed(0)} km • {Math.floor(plan.route.durationMin / 60)}h{String(plan.route.durationMin % 60).padStart(2, '0')}
+                  </Typography>
+                  {plan.stops.length === 0 ? (
+                    <Typography color="text.secondary">
+                      No stop needed: you have enough fuel for this trip.
+                    </Typography>
+                  ) : (
+                    <>
+                      <Typography color="text.secondary">
+                        {plan.stops.length} stop{plan.stops.length > 1 ? 's' : ''} • {plan.totalLiters} L for {plan.totalCost.toFixed(2)}€
+                        {plan.averagePriceCost != null && plan.averagePriceCost > plan.totalCost && (
+                          ` (saves ${(plan.averagePriceCost - plan.totalCost).toFixed(2)}€ vs average price on the way)`
+                        )}
+                      </Typography>
+                      <List>
+                        {plan.stops.map((stop, index) => (
+                          <React.Fragment key={stop.station.id}>
+                            <ListItem alignItems="flex-start" sx={{ px: 0 }}>
+                              <LocalGasStationIcon sx={{ mr: 1, mt: 0.5, color: 'primary.main' }} />
+                              <Box sx={{ flex: 1 }}>
+                                <Box sx={{ display: 'flex', justifyContent: 'space-between', gap: 1 }}>
+                                  <Typography variant="subtitle1" sx={{ fontWeight: 500 }}>
+                                    {index + 1}. {getStationTitle(stop.station)}
+                                  </Typography>
+                                  <Chip label={`${stop.price.toFixed(3)}€`} color="primary" size="small" />
+                                </Box>
+                                <Typography variant="body2" color="text.secondary">
+                                  At km {stop.positionKm.toFixed(0)}
+                                  {stop.detourKm >= 0.1 && ` • ${stop.detourKm.toFixed(1)} km detour`}
+                                </Typography>
+                                <Typography variant="body2" color="primary" fontWeight="bold">
+                                  Buy {stop.liters} L for {stop.cost.toFixed(2)}€
+                                </Typography>
+                              </Box>
+                            </ListItem>
+                            {index < plan.stops.length - 1 && <Divider />}
+                          </React.Fragment>
+                        ))}
+                      </List>
+                    </>
+                  )}
+                </Box>
+              )}
+            </Paper>
+          </Grid>
+
+          <Grid item xs={12} md={7}>
+            <Paper sx={{ p: { xs: 1, sm: 2 } }}>
+              <Box sx={{ height: { xs: '400px', sm: '500px', md: '600px' }, width: '100%' }}>
+                <MapContainer
+                  center={[46.603354, 1.888334]}
+                  zoom={6}
+                  style={{ height: '100%', width: '100%' }}
+                  scrollWheelZoom={true}
+                >
+                  <TileLayer
+                    attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                    url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                  />
+                  {plan && (
+                    <>
+                      <FitRoute geometry={plan.route.geometry} />
+                      <Polyline positions={plan.route.geometry} pathOptions={{ color: '#667eea', weight: 5 }} />
+                      {plan.stops.map((stop, index) => (
+                        <Marker
+                          key={stop.station.id}
+                          position={[stop.station.location.lat, stop.station.location.lon]}
+                          icon={stopIcon(index + 1)}
+                        >
+                          <Popup>
+                            <Typography variant="subtitle2">{getStationAddress(stop.station)}</Typography>
+                            <Typography variant="body2">
+                              {stop.liters} L at {stop.price.toFixed(3)}€
+                            </Typography>
+                          </Popup>
+                        </Marker>
+                      ))}
+                    </>
+                  )}
+                  {plan && endpoints && (
+                    <>
+                      <Marker position={[endpoints.from.lat, endpoints.from.lon]} icon={endpointIcon(endpoints.from.label, '#2e7d32')} />
+                      <Marker position={[endpoints.to.lat, endpoints.to.lon]} icon={endpointIcon(endpoints.to.label, '#d32f2f')} />
+                    </>
+                  )}
+                </MapContainer>
+              </Box>
+            </Paper>
+          </Grid>
+        </Grid>
+      </Box>
+    </Container>
+  );
+};
+
+export default TripPlanner;
@@ -0,0 +1,132 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker of the installed app, built by react-scripts (production
+// builds only). It precaches the app shell, keeps the last station and price
+// responses and recently viewed map tiles for offline use, refreshes prices
+// with a background sync once the connection is back, and shows the price
+// alert notifications pushed by the backend.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute, NavigationRoute } from 'workbox-routing';
+import { NetworkFirst, CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { Queue } from 'workbox-background-sync';
+
+const API_CACHE = 'api-prices';
+const TILE_CACHE = 'map-tiles';
+const ASSET_CACHE = 'map-assets';
+
+// Station and price data worth showing when offline
+const PRICE_ROUTES = /\/fuelprice\/api\/(fuel-prices|v1\/stations|v1\/brands|v1\/services|v1\/fuels|prices\/by-departement|shortages)/;
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Client-side routes all serve the app shell
+registerRoute(new NavigationRoute(createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`), {
+  denylist: [/\/api\//]
+}));
+
+const notifyClients = async (message) => {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+};
+
+// Price requests that failed offline, fetched again by the background sync.
+// Fresh responses replace the cached ones and open pages are told to reload.
+const refreshQueue = new Queue('refresh-prices', {
+  maxRetentionTime: 24 * 60,
+  onSync: async ({ queue }) => {
+    const cache = await caches.open(API_CACHE);
+    let entry;
+    while ((entry = await queue.shiftRequest())) {
+      try {
+        const response = await fetch(entry.request.clone());
+        if (response.ok) await cache.put(entry.request, response);
+      } catch (error) {
+        await queue.unshiftRequest(entry);
+        throw error;
+      }
+    }
+    notifyClients({ type: 'PRICES_REFRESHED' });
+  }
+});
+
+const offlinePricesPlugin = {
+  // Served from the cache: tell the page how old the prices are
+  cachedResponseWillBeUsed: async ({ cachedResponse }) => {
+    if (cachedResponse) {
+      notifyClients({ type: 'PRICES_FROM_CACHE', date: cachedResponse.headers.get('date') });
+    }
+    return cachedResponse;
+  },
+  fetchDidSucceed: async ({ response }) => {
+    if (response.ok) notifyClients({ type: 'PRICES_FRESH' });
+    return response;
+  },
+  fetchDidFail: async ({ request }) => {
+    const queued = await refreshQueue.getAll();
+    if (!queued.some(entry => entry.request.url === request.url)) {
+      await refreshQueue.pushRequest({ request });
+    }
+  }
+};
+
+registerRoute(
+  ({ url, request }) => request.method === 'GET' && PRICE_ROUTES.test(url.pathname),
+  new NetworkFirst({
+    cacheName: API_CACHE,
+    networkTimeoutSeconds: 8,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 200, maxAgeSeconds: 7 * 24 * 60 * 60 }),
+      offlinePricesPlugin
+    ]
+  })
+);
+
+// OpenStreetMap tiles of recently viewed areas. Tiles are opaque responses,
+// which count heavily against the storage quota, hence the small limit.
+registerRoute(
+  ({ url }) => url.hostname.endsWith('tile.openstreetmap.org'),
+  new CacheFirst({
+    cacheName: TILE_CACHE,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 300, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true })
+    ]
+  })
+);
+
+// Marker images and departement shapes
+registerRoute(
+  ({ url }) => ['raw.githubusercontent.com', 'cdnjs.cloudflare.com'].includes(url.hostname) ||
+    (url.origin === self.location.origin && url.pathname === `${process.env.PUBLIC_URL}/departements.geojson`),
+  new StaleWhileRevalidate({
+    cacheName: ASSET_CACHE,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 20, purgeOnQuotaError: true })
+    ]
+  })
+);
+
+// Price alert notifications pushed by the backend
+
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Fuel price alert', {
+      body: data.body,
+      data: { url: data.url || '/fuelprice/' }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.openWindow(event.notification.data.url));
+});
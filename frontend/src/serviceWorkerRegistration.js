@@ -0,0 +1,27 @@
+// Registers the service worker built from src/service-worker.js. Production
+// builds only: the development server doesn't build it.
+
+const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+export const isServiceWorkerSupported = () =>
+  process.env.NODE_ENV === 'production' && 'serviceWorker' in navigator;
+
+export const register = () => {
+  if (!isServiceWorkerSupported()) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(SERVICE_WORKER_URL)
+      .catch(err => console.error('Error registering service worker:', err));
+  });
+};
+
+/**
+ * The active registration, for push subscriptions
+ * @returns {Promise<ServiceWorkerRegistration>}
+ */
+export const getRegistration = async () => {
+  if (!isServiceWorkerSupported()) {
+    throw new Error('Notifications need the installed app (production build)');
+  }
+  return navigator.serviceWorker.ready;
+};
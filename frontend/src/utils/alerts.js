@@ -0,0 +1,85 @@
+// Price alert subscriptions, owned by an anonymous token kept in this browser
+
+import { getRegistration, isServiceWorkerSupported } from '../serviceWorkerRegistration';
+
+const ALERTS_URL = '/fuelprice/api/alerts';
+const OWNER_TOKEN_KEY = 'fuelprice.ownerToken';
+
+/**
+ * Anonymous token identifying this browser to the backend, created on first use
+ */
+export const getOwnerToken = () => {
+  let token = localStorage.getItem(OWNER_TOKEN_KEY);
+  if (!token) {
+    token = (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`)
+      .replace(/[^A-Za-z0-9_-]/g, '');
+    localStorage.setItem(OWNER_TOKEN_KEY, token);
+  }
+  return token;
+};
+
+/**
+ * Adopt the owner token of another device (shown there as its sync code), so
+ * both share favorites, alerts and logbook. Returns false if it is not a token.
+ */
+export const setOwnerToken = (token) => {
+  const value = String(token || '').trim();
+  if (!/^[A-Za-z0-9_-]{16,128}$/.test(value)) return false;
+  localStorage.setItem(OWNER_TOKEN_KEY, value);
+  return true;
+};
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${ALERTS_URL}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Owner-Token': getOwnerToken(),
+      ...options.headers
+    }
+  });
+  if (response.status === 204) return null;
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+  }
+  return data;
+};
+
+/**
+ * Notification channels the server can deliver through
+ * @returns {Promise<{channels: string[], vapidPublicKey: string|null}>}
+ */
+export const fetchAlertChannels = () => request('/channels');
+
+export const listAlerts = async () => (await request('')).alerts;
+
+export const createAlert = (alert) => request('', { method: 'POST', body: JSON.stringify(alert) });
+
+export const deleteAlert = (id) => request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+const urlBase64ToUint8Array = (base64) => {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+};
+
+export const isPushSupported = () => isServiceWorkerSupported() && 'PushManager' in window;
+
+/**
+ * Ask for notification permission and subscribe this browser to Web Push
+ * @param {string} vapidPublicKey - Server's application key
+ * @returns {Promise<Object>} PushSubscription JSON to use as alert target
+ */
+export const subscribeToPush = async (vapidPublicKey) => {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked for this site');
+  }
+  const registration = await getRegistration();
+  const subscription = await registration.pushManager.getSubscription() ||
+    await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(vapidPublicKey)
+    });
+  return subscription.toJSON();
+};
@@ -0,0 +1,70 @@
+// Opening hours and services of normalized stations, and the amenity filters
+// understood by the /api/v1 station routes
+
+const SERVICES_URL = '/fuelprice/api/v1/services';
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Filters that aren't services, offered next to them
+export const HOURS_FILTERS = [
+  { value: 'openNow', label: 'Open now' },
+  { value: 'automate24', label: '24/7 automate' }
+];
+
+/**
+ * Services stations can be filtered on
+ * @returns {Promise<Array<{id: string, label: string}>>}
+ */
+export const fetchServices = async () => {
+  const response = await fetch(SERVICES_URL);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  const data = await response.json();
+  return data.services;
+};
+
+/**
+ * Query parameters for selected amenity filters (HOURS_FILTERS values and
+ * service ids)
+ * @param {string[]} values
+ * @returns {Object} e.g. { openNow: 'true', services: 'carWash,adblue' }
+ */
+export const amenityFilterParams = (values) => {
+  const params = {};
+  const services = values.filter(value => !HOURS_FILTERS.some(filter => filter.value === value));
+  HOURS_FILTERS.forEach(filter => {
+    if (values.includes(filter.value)) params[filter.value] = 'true';
+  });
+  if (services.length > 0) params.services = services.join(',');
+  return params;
+};
+
+/**
+ * Today's opening hours, French local time: "07:00–12:00, 14:00–19:00",
+ * "Closed today", "Open 24/7" or null when unknown
+ */
+export const formatTodayHours = (hours) => {
+  if (!hours) return null;
+  if (hours.automate24) return 'Open 24/7';
+  const weekday = new Intl.DateTimeFormat('en-GB', { timeZone: 'Europe/Paris', weekday: 'long' }).format(new Date());
+  const today = hours.days.find(day => day.day === DAY_NAMES.indexOf(weekday) + 1);
+  if (!today) return null;
+  if (today.closed || today.ranges.length === 0) return 'Closed today';
+  return today.ranges.map(range => `${range.open}–${range.close}`).join(', ');
+};
+
+/**
+ * Opening hours for every day of the week, Monday first
+ * @returns {Array<{name: string, text: string}>}
+ */
+export const formatWeekHours = (hours) =>
+  (hours?.days || [])
+    .slice()
+    .sort((a, b) => a.day - b.day)
+    .map(day => ({
+      name: DAY_NAMES[day.day - 1] || day.name,
+      text: day.closed || day.ranges.length === 0
+        ? 'Closed'
+        : day.ranges.map(range => `${range.open}–${range.close}`).join(', ')
+    }));
@@ -0,0 +1,31 @@
+// User-facing messages for the upstream failure categories reported by the API
+
+const CATEGORY_MESSAGES = {
+  upstream_timeout: 'The data provider is taking too long to answer. Please try again in a moment.',
+  upstream_4xx: 'The data provider rejected this request.',
+  upstream_5xx: 'The data provider is having problems right now. Please try again later.',
+  upstream_unreachable: 'The data provider cannot be reached right now. Please try again later.',
+  rate_limited: 'The data provider is receiving too many requests. Please wait a few seconds and retry.',
+  circuit_open: 'The data provider has been failing repeatedly, so requests are paused for a short while.'
+};
+
+/**
+ * Message for a failed API response body ({ error, category })
+ * @param {Object} data - Parsed JSON error body, if any
+ * @param {number} status - HTTP status code
+ */
+export const apiErrorMessage = (data, status) =>
+  CATEGORY_MESSAGES[data?.category] || data?.error || `HTTP error! status: ${status}`;
+
+/**
+ * Notice for a successful response served from cache because upstream failed
+ * @param {Response} response - fetch response
+ * @returns {string|null}
+ */
+export const staleDataNotice = (response) => {
+  const category = response.headers.get('X-Upstream-Error');
+  if (!category) return null;
+  const fetched = response.headers.get('Last-Modified');
+  const since = fetched ? ` from ${new Date(fetched).toLocaleString('fr-FR')}` : '';
+  return `Showing saved data${since}. ${CATEGORY_MESSAGES[category] || ''}`.trim();
+};
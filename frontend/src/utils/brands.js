@@ -0,0 +1,53 @@
+// Canonical station brands served by /api/v1/brands
+
+const BRANDS_URL = '/fuelprice/api/v1/brands';
+
+export const CATEGORY_LABELS = {
+  supermarket: 'Supermarkets',
+  major: 'Oil majors',
+  independent: 'Independents'
+};
+
+/**
+ * Brand registry with station counts
+ * @returns {Promise<{categories: string[], brands: Object[]}>}
+ */
+export const fetchBrands = async () => {
+  const response = await fetch(BRANDS_URL);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * Average price per brand, nationally or in one region
+ * @param {string} fuel - Fuel code
+ * @param {string} region - Region name, or empty for the whole country
+ */
+export const fetchBrandComparison = async (fuel, region) => {
+  const params = new URLSearchParams({ fuel });
+  if (region) params.append('region', region);
+  const response = await fetch(`${BRANDS_URL}/comparison?${params.toString()}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * URL of the initials badge standing in for a registry brand's logo
+ */
+export const brandBadgeUrl = (brandId) => `${BRANDS_URL}/${encodeURIComponent(brandId)}/badge.svg`;
+
+/**
+ * Query parameters for a brand filter value: '' (all), 'category:<category>'
+ * or 'brand:<id>'
+ * @returns {Object} { brand } or { category } or {}
+ */
+export const brandFilterParams = (value) => {
+  const [kind, id] = (value || '').split(':');
+  if (kind === 'brand') return { brand: id };
+  if (kind === 'category') return { category: id };
+  return {};
+};
@@ -21,6 +21,14 @@ const toRad = (degrees) => {
 
 // Parse coordinates from API (latitude and longitude are often in different formats)
 export const parseCoordinates = (station) => {
+  // Normalized stations carry a location object
+  if (station.location) {
+    return {
+      lat: station.location.lat,
+      lon: station.location.lon
+    };
+  }
+
   // API returns geom array [lat, lon] or latitude/longitude strings
   if (station.geom && Array.isArray(station.geom)) {
     return {
@@ -0,0 +1,164 @@
+// Favorite stations, kept in this browser and optionally synced through the
+// backend profile of the anonymous owner token (see utils/alerts.js). Other
+// devices share the profile by entering this one's token as a sync code.
+
+import { useEffect, useState } from 'react';
+import { getOwnerToken } from './alerts';
+
+const FAVORITES_KEY = 'fuelprice.favorites';
+const SYNC_KEY = 'fuelprice.favoritesSync';
+const PENDING_KEY = 'fuelprice.favoritesPending';
+const PROFILE_FAVORITES_URL = '/fuelprice/api/profile/favorites';
+const SUMMARY_URL = '/fuelprice/api/v1/stations/summary';
+
+// Fired on window whenever the list changes, so every star stays in step
+const CHANGE_EVENT = 'fuelprice:favorites';
+
+/**
+ * Favorites saved in this browser, oldest first
+ * @returns {Array<{stationId: string, addedAt: string}>}
+ */
+export const getFavorites = () => {
+  try {
+    return JSON.parse(localStorage.getItem(FAVORITES_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const storeFavorites = (favorites) => {
+  localStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites));
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+};
+
+export const isSyncEnabled = () => localStorage.getItem(SYNC_KEY) === 'true';
+
+// Changes made here that the server has not taken yet, oldest first:
+// [{ stationId, added, at }]
+const getPending = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const setPending = (pending) => localStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+
+const profileRequest = async (options = {}) => {
+  const response = await fetch(PROFILE_FAVORITES_URL, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Owner-Token': getOwnerToken()
+    }
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+  }
+  return data.favorites;
+};
+
+// Apply starring/unstarring changes to a favorites list
+const applyChanges = (favorites, changes) => {
+  const result = new Map(favorites.map(favorite => [favorite.stationId, favorite]));
+  changes.forEach(({ stationId, added, at }) => {
+    if (!added) result.delete(stationId);
+    else if (!result.has(stationId)) result.set(stationId, { stationId, addedAt: at });
+  });
+  return [...result.values()].sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+};
+
+let syncing = null;
+
+/**
+ * Replay this browser's pending changes onto the server's favorites and take
+ * the result as the list of both. Once synced the server's list is the
+ * reference: a station unstarred on another device disappears here too.
+ */
+export const syncFavorites = () => {
+  if (!syncing) {
+    syncing = (async () => {
+      const pending = getPending();
+      const remote = await profileRequest();
+      let favorites = applyChanges(remote, pending);
+      if (pending.length > 0) {
+        favorites = await profileRequest({ method: 'PUT', body: JSON.stringify({ favorites }) });
+        // Keep changes made while this request was running
+        setPending(getPending().slice(pending.length));
+      }
+      storeFavorites(applyChanges(favorites, getPending()));
+      return getFavorites();
+    })().finally(() => {
+      syncing = null;
+    });
+  }
+  return syncing;
+};
+
+/**
+ * Turn syncing on or off. Turning it on adds this browser's favorites to
+ * the server's list.
+ */
+export const setSyncEnabled = async (enabled) => {
+  localStorage.setItem(SYNC_KEY, String(enabled));
+  if (!enabled) return;
+  setPending(getFavorites().map(favorite => ({ stationId: favorite.stationId, added: true, at: favorite.addedAt })));
+  await syncFavorites();
+};
+
+/**
+ * Star or unstar a station. Synced to the server in the background when
+ * enabled; a change that fails to reach it is sent again on the next sync.
+ */
+export const toggleFavorite = (stationId) => {
+  const favorites = getFavorites();
+  const change = {
+    stationId,
+    added: !favorites.some(favorite => favorite.stationId === stationId),
+    at: new Date().toISOString()
+  };
+  storeFavorites(applyChanges(favorites, [change]));
+  if (isSyncEnabled()) {
+    setPending([...getPending(), change]);
+    // A sync already running has read the pending changes without this one
+    (syncing ? syncing.catch(() => {}).then(syncFavorites) : syncFavorites())
+      .catch(err => console.error('Error syncing favorites:', err));
+  }
+};
+
+/**
+ * Current favorites, re-rendering whenever they change anywhere in the app
+ */
+export const useFavorites = () => {
+  const [favorites, setFavorites] = useState(getFavorites);
+
+  useEffect(() => {
+    const handleChange = () => setFavorites(getFavorites());
+    window.addEventListener(CHANGE_EVENT, handleChange);
+    // Other tabs
+    window.addEventListener('storage', handleChange);
+    return () => {
+      window.removeEventListener(CHANGE_EVENT, handleChange);
+      window.removeEventListener('storage', handleChange);
+    };
+  }, []);
+
+  return favorites;
+};
+
+/**
+ * Current prices of stations compared with their departement's average,
+ * with their price changes over the last `days`
+ * @param {string[]} stationIds
+ * @returns {Promise<{days: number, stations: Object[], missing: string[]}>}
+ */
+export const fetchStationSummaries = async (stationIds, days = 7) => {
+  const params = new URLSearchParams({ ids: stationIds.join(','), days: String(days) });
+  const response = await fetch(`${SUMMARY_URL}?${params.toString()}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
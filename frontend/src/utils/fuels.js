@@ -0,0 +1,79 @@
+// Fuel catalog served by the backend (codes, labels, colors, compatible
+// vehicles and related services), fetched once per session
+
+import { useEffect, useState } from 'react';
+
+const FUELS_URL = '/fuelprice/api/v1/fuels';
+
+// Fuel selected until the user picks another (the API's default too)
+export const DEFAULT_FUEL = 'Gazole';
+
+const EMPTY_CATALOG = { fuels: [], vehicles: [], services: [] };
+
+let catalogRequest = null;
+
+/**
+ * @returns {Promise<{fuels: Object[], vehicles: Object[], services: Object[]}>}
+ */
+export const fetchFuelCatalog = () => {
+  if (!catalogRequest) {
+    catalogRequest = fetch(FUELS_URL)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+      })
+      .catch(err => {
+        // Let the next caller try again
+        catalogRequest = null;
+        throw err;
+      });
+  }
+  return catalogRequest;
+};
+
+let loadedCatalog = null;
+
+/**
+ * The fuel catalog, empty until it has loaded
+ */
+export const useFuelCatalog = () => {
+  const [catalog, setCatalog] = useState(loadedCatalog || EMPTY_CATALOG);
+
+  useEffect(() => {
+    if (loadedCatalog) return undefined;
+    let cancelled = false;
+    fetchFuelCatalog()
+      .then(data => {
+        loadedCatalog = data;
+        if (!cancelled) setCatalog(data);
+      })
+      .catch(err => console.error('Error loading fuel catalog:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return catalog;
+};
+
+/**
+ * Catalog entry of a fuel code, if known
+ */
+export const findFuel = (catalog, code) => catalog.fuels.find(fuel => fuel.code === code) || null;
+
+export const fuelLabel = (catalog, code) => findFuel(catalog, code)?.label || code;
+
+export const fuelColor = (catalog, code) => findFuel(catalog, code)?.color || '#667eea';
+
+/**
+ * Services of a station worth showing next to a fuel's price (e.g. AdBlue
+ * for diesel), as { id, label }
+ * @param {Object} station - Station from the v1 API
+ */
+export const fuelServices = (catalog, code, station) => {
+  const fuel = findFuel(catalog, code);
+  if (!fuel || !station.amenities) return [];
+  return catalog.services.filter(service => fuel.services.includes(service.id) && station.amenities.includes(service.id));
+};
@@ -0,0 +1,21 @@
+// Address geocoding through the French government address API (BAN)
+
+const GEOCODE_URL = 'https://api-adresse.data.gouv.fr/search/';
+
+/**
+ * Resolve a free-text French address, town or postal code to coordinates
+ * @param {string} query - Address to look up
+ * @returns {Promise<{lat: number, lon: number, label: string}|null>}
+ */
+export const geocodeAddress = async (query) => {
+  const response = await fetch(`${GEOCODE_URL}?q=${encodeURIComponent(query)}&limit=1`);
+  if (!response.ok) {
+    throw new Error('Failed to geocode address');
+  }
+  const data = await response.json();
+  const feature = data.features?.[0];
+  if (!feature) return null;
+
+  const [lon, lat] = feature.geometry.coordinates;
+  return { lat, lon, label: feature.properties.label };
+};
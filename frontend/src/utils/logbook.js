@@ -0,0 +1,78 @@
+// Fill-up logbook, kept by the backend for this browser's anonymous owner token
+
+import { getOwnerToken } from './alerts';
+
+const LOGBOOK_URL = '/fuelprice/api/logbook';
+const STATIONS_URL = '/fuelprice/api/v1/stations';
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${LOGBOOK_URL}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Owner-Token': getOwnerToken(),
+      ...options.headers
+    }
+  });
+  if (response.status === 204) return null;
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+    // Invalid CSV rows, as [{ path: 'line N', message }]
+    error.details = data.errors || [];
+    throw error;
+  }
+  return data;
+};
+
+/**
+ * Fill-ups, newest first, with consumption, monthly spend and what the
+ * cheapest station within `radiusKm` charged that day
+ * @returns {Promise<Object>} See LogbookReport in /api/openapi.json
+ */
+export const fetchLogbook = (radiusKm) =>
+  request(`?${new URLSearchParams({ radiusKm: String(radiusKm) }).toString()}`);
+
+/**
+ * @param {Object} entry - { vehicle, stationId, fuel, liters, price or total, odometer, filledAt }
+ */
+export const addFillUp = (entry) => request('', { method: 'POST', body: JSON.stringify(entry) });
+
+export const deleteFillUp = (id) => request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+/**
+ * Add the fill-ups of a CSV file (same columns as the export)
+ * @param {File} file
+ * @returns {Promise<{imported: number, skipped: number}>}
+ */
+export const importLogbook = async (file) =>
+  request('/import', { method: 'POST', headers: { 'Content-Type': 'text/csv' }, body: await file.text() });
+
+/**
+ * Download the logbook as fuel-logbook.csv
+ */
+export const exportLogbook = async () => {
+  const response = await fetch(`${LOGBOOK_URL}/export`, { headers: { 'X-Owner-Token': getOwnerToken() } });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'fuel-logbook.csv';
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Stations matching a free-text search (brand, address, city, postal code)
+ * @returns {Promise<Object[]>} Stations from the v1 API
+ */
+export const searchStations = async (query, signal) => {
+  const params = new URLSearchParams({ q: query, rows: '10' });
+  const response = await fetch(`${STATIONS_URL}?${params.toString()}`, { signal });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return (await response.json()).stations;
+};
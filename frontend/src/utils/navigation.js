@@ -51,5 +51,8 @@ export const navigateToStation = (lat, lon, label = '') => {
  * Get address string for a station
  */
 export const getStationAddress = (station) => {
+  if (station.address) {
+    return `${station.address.street}, ${station.address.city} ${station.address.postalCode}`;
+  }
   return `${station.adresse}, ${station.ville} ${station.cp}`;
 };
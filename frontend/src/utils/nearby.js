@@ -0,0 +1,35 @@
+// Server-side nearby station search
+
+const NEARBY_URL = '/fuelprice/api/v1/stations/nearby';
+
+/**
+ * Fetch the stations closest to a point, ranked by the backend, as
+ * normalized stations with `distance` and `score`
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} options - fuelType, sort (distance|price|score|cost), radius (km), limit,
+ *   stationFilter (brand and amenity query parameters, see utils/brands.js and utils/amenities.js),
+ *   vehicle ({ consumption, fillLiters } for the true cost of each station, see utils/vehicle.js)
+ */
+export const fetchNearbyStations = async (lat, lon, { fuelType, sort = 'score', radius = 50, limit = 10, stationFilter = {}, vehicle = null } = {}) => {
+  const params = new URLSearchParams({
+    lat: String(lat),
+    lon: String(lon),
+    radius: String(radius),
+    limit: String(limit),
+    sort,
+    ...stationFilter
+  });
+  if (fuelType) params.append('fuel', fuelType);
+  if (vehicle) {
+    params.append('consumption', String(vehicle.consumption));
+    params.append('fillLiters', String(vehicle.fillLiters));
+  }
+
+  const response = await fetch(`${NEARBY_URL}?${params.toString()}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  const data = await response.json();
+  return data.stations || [];
+};
@@ -0,0 +1,27 @@
+// Green -> red color scale for fuel prices
+
+/**
+ * Price range used for coloring, ignoring the cheapest and dearest 5%
+ * so a single outlier (e.g. a motorway station) doesn't flatten the scale
+ * @param {number[]} prices - Prices in €/L
+ */
+export const getPriceRange = (prices) => {
+  const sorted = prices.filter(price => Number.isFinite(price)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const low = sorted[Math.floor((sorted.length - 1) * 0.05)];
+  const high = sorted[Math.ceil((sorted.length - 1) * 0.95)];
+  return { min: low, max: high };
+};
+
+/**
+ * Color of a price within a range: green when cheapest, red when dearest
+ * @param {number} price - Price in €/L
+ * @param {Object} range - { min, max } from getPriceRange
+ */
+export const getPriceColor = (price, range) => {
+  if (!range || !Number.isFinite(price)) return '#9e9e9e';
+  const span = range.max - range.min;
+  const ratio = span > 0 ? Math.min(Math.max((price - range.min) / span, 0), 1) : 0.5;
+  const hue = Math.round(120 * (1 - ratio));
+  return `hsl(${hue}, 75%, 42%)`;
+};
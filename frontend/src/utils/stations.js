@@ -0,0 +1,47 @@
+// Helpers over the normalized Station objects served by /api/v1
+
+export const ROAD_TYPE_LABELS = {
+  road: 'Route',
+  motorway: 'Autoroute'
+};
+
+/**
+ * Current price of a fuel at a station
+ * @param {Object} station - Station from the v1 API
+ * @param {string} fuel - Fuel code (e.g. 'Gazole')
+ * @returns {number|null} Price in €/L
+ */
+export const getFuelPrice = (station, fuel) =>
+  station?.prices?.find(entry => entry.fuel === fuel)?.price ?? null;
+
+/**
+ * Short display name: "City - street"
+ */
+export const getStationTitle = (station) =>
+  `${station.address.city} - ${station.address.street}`;
+
+/**
+ * Fuels the station currently sells
+ */
+export const getAvailableFuels = (station) =>
+  (station.prices || []).map(entry => entry.fuel);
+
+export const SHORTAGE_LABELS = {
+  temporary: 'Out of stock',
+  permanent: 'No longer sold'
+};
+
+/**
+ * Reported shortage of a fuel at a station
+ * @returns {Object|null} { fuel, type: 'temporary'|'permanent', since }
+ */
+export const getShortage = (station, fuel) =>
+  station?.shortages?.find(shortage => shortage.fuel === fuel) ?? null;
+
+/**
+ * Label for a shortage chip: "SP98 out of stock since 12/10"
+ */
+export const formatShortage = (shortage) => {
+  const since = new Date(shortage.since).toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit' });
+  return `${shortage.fuel}: ${SHORTAGE_LABELS[shortage.type].toLowerCase()} since ${since}`;
+};
@@ -0,0 +1,79 @@
+// Average price series used by the Trends page comparisons
+
+const HISTORY_URL = '/fuelprice/api/history/average';
+
+// Price differences worth watching: a - b, in €/L
+export const SPREADS = [
+  {
+    value: 'SP98-E10',
+    label: 'SP98 − E10',
+    description: 'Extra cost of SP98 over E10',
+    a: { fuel: 'SP98' },
+    b: { fuel: 'E10' }
+  },
+  {
+    value: 'SP95-E10',
+    label: 'SP95 − E10',
+    description: 'Extra cost of SP95 over E10',
+    a: { fuel: 'SP95' },
+    b: { fuel: 'E10' }
+  },
+  {
+    value: 'E10-E85',
+    label: 'E10 − E85',
+    description: 'Saving of E85 over E10 (before its higher consumption)',
+    a: { fuel: 'E10' },
+    b: { fuel: 'E85' }
+  },
+  {
+    value: 'Gazole-motorway',
+    label: 'Gazole: motorway − road',
+    description: 'Motorway premium on Gazole',
+    a: { fuel: 'Gazole', roadType: 'motorway' },
+    b: { fuel: 'Gazole', roadType: 'road' }
+  },
+  {
+    value: 'E10-motorway',
+    label: 'E10: motorway − road',
+    description: 'Motorway premium on E10',
+    a: { fuel: 'E10', roadType: 'motorway' },
+    b: { fuel: 'E10', roadType: 'road' }
+  }
+];
+
+/**
+ * Daily average price of a fuel since `from`
+ * @param {Object} series - { fuel, roadType? }
+ * @param {Object} options - { from: Date, region? }
+ * @returns {Promise<Object[]>} Buckets { period, start, mean, count, ... }
+ */
+export const fetchAverageSeries = async ({ fuel, roadType }, { from, region }) => {
+  const params = new URLSearchParams({
+    fuel,
+    from: from.toISOString().slice(0, 10),
+    interval: 'day'
+  });
+  if (region) params.append('region', region);
+  if (roadType) params.append('roadType', roadType);
+
+  const response = await fetch(`${HISTORY_URL}?${params.toString()}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return (await response.json()).buckets;
+};
+
+/**
+ * Per-day difference a - b of two bucket series, null where either has no price
+ * @returns {Array<{period: string, start: string, value: number|null}>}
+ */
+export const spreadSeries = (a, b) => {
+  const other = new Map(b.map(bucket => [bucket.period, bucket]));
+  return a.map(bucket => {
+    const match = other.get(bucket.period);
+    const value = bucket.count > 0 && match && match.count > 0
+      ? Math.round((bucket.mean - match.mean) * 1000) / 1000
+      : null;
+    return { period: bucket.period, start: bucket.start, value };
+  });
+};
@@ -0,0 +1,68 @@
+// Vehicle used to rank stations by the true cost of filling up, kept in this browser
+
+const VEHICLE_KEY = 'fuelprice.vehicle';
+
+export const DEFAULT_VEHICLE = { consumption: 6.5, fillLiters: 40 };
+
+export const RANKINGS = [
+  { value: 'cost', label: 'Best value (incl. detour)' },
+  { value: 'price', label: 'Cheapest' },
+  { value: 'distance', label: 'Nearest' }
+];
+
+/**
+ * Saved vehicle settings, or the defaults
+ * @returns {{consumption: number, fillLiters: number}}
+ */
+export const loadVehicle = () => {
+  try {
+    return { ...DEFAULT_VEHICLE, ...JSON.parse(localStorage.getItem(VEHICLE_KEY)) };
+  } catch {
+    return DEFAULT_VEHICLE;
+  }
+};
+
+export const saveVehicle = (vehicle) => {
+  localStorage.setItem(VEHICLE_KEY, JSON.stringify(vehicle));
+};
+
+const euros = (value) => `€${Math.abs(value).toFixed(2)}`;
+
+/**
+ * Short label of what a station saves against the nearest one:
+ * "saves €1.35 vs nearest", "costs €0.40 more vs nearest" or "Nearest"
+ * @param {Object} station - Ranked station with `cost` (see /api/v1/stations/nearby)
+ * @returns {string|null}
+ */
+export const formatSavings = (station) => {
+  const cost = station.cost;
+  if (!cost || cost.savings == null) return null;
+  if (cost.nearestId === station.id) return 'Nearest';
+  if (Math.abs(cost.savings) < 0.005) return 'same as nearest';
+  return cost.savings > 0
+    ? `saves ${euros(cost.savings)} vs nearest`
+    : `costs ${euros(cost.savings)} more vs nearest`;
+};
+
+/**
+ * Lines explaining a station's true cost and savings
+ * @param {Object} station - Ranked station with `cost`
+ * @param {Object} vehicle - { consumption, fillLiters }
+ * @returns {string[]}
+ */
+export const savingsBreakdown = (station, vehicle) => {
+  const cost = station.cost;
+  if (!cost) return [];
+  const lines = [
+    `Fill (${vehicle.fillLiters} L): ${euros(cost.fill)}`,
+    `Round trip (${station.distance.toFixed(1)} km each way, ${cost.detourLiters.toFixed(2)} L): ${euros(cost.detour)}`,
+    `True cost: ${euros(cost.total)}`
+  ];
+  if (cost.savings != null && cost.nearestId !== station.id) {
+    lines.push(
+      `Price vs nearest: ${cost.priceSavings >= 0 ? '−' : '+'}${euros(cost.priceSavings)}`,
+      `Extra detour vs nearest: ${cost.extraDetour >= 0 ? '+' : '−'}${euros(cost.extraDetour)}`
+    );
+  }
+  return lines;
+};